@@ -5,9 +5,18 @@
 import React from 'react';
 import ReactTestRenderer from 'react-test-renderer';
 import App from '../App';
+import { setBackend } from '../src/backend';
+import { createMemoryBackend } from '../src/backend/memoryBackend';
 
-test('renders correctly', async () => {
-  await ReactTestRenderer.act(() => {
-    ReactTestRenderer.create(<App />);
+beforeEach(() => {
+  setBackend(createMemoryBackend());
+});
+
+test('renders the login screen when signed out', async () => {
+  let renderer: ReactTestRenderer.ReactTestRenderer | undefined;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(<App />);
   });
+
+  expect(renderer!.root.findAllByProps({ children: 'Login' }).length).toBeGreaterThan(0);
 });
@@ -0,0 +1,25 @@
+/**
+ * @format
+ */
+
+import { collectDiagnostics } from '../src/services/diagnostics';
+import { cleanDiagnostics, DIAGNOSTIC_FIELDS } from '../src/config/diagnostics';
+
+describe('diagnostics', () => {
+  it('collects every detail shown to the client', () => {
+    const diagnostics = collectDiagnostics();
+    DIAGNOSTIC_FIELDS.forEach(({ key }) => {
+      expect(typeof diagnostics[key]).toBe('string');
+      expect(diagnostics[key]).not.toBe('');
+    });
+    expect(diagnostics.screen).toMatch(/^\d+×\d+ @[\d.]+x$/);
+  });
+
+  it('drops unknown and empty details', () => {
+    expect(
+      cleanDiagnostics({ platform: ' ios ', locale: '', serial: 'ABC123' }),
+    ).toEqual({ platform: 'ios' });
+    expect(cleanDiagnostics({ serial: 'ABC123' })).toBeNull();
+    expect(cleanDiagnostics(null)).toBeNull();
+  });
+});
@@ -0,0 +1,1015 @@
+/**
+ * @format
+ * @jest-environment node
+ */
+
+// Runs firestore.rules against the local Firestore emulator.
+// Start it with `npm run test:rules` (see setup.md), not the regular `npm test`.
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} from '@firebase/rules-unit-testing';
+import {
+  collection,
+  collectionGroup,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp,
+  Timestamp,
+} from 'firebase/firestore';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Due dates a medium bug gets from the default SLA policy (see utils/sla.js)
+const dueIn = hours => Timestamp.fromMillis(Date.now() + hours * HOUR);
+
+let testEnv;
+
+const makeTicket = (overrides = {}) => ({
+  title: 'Login button broken',
+  description: 'Nothing happens when I tap it',
+  type: 'bug',
+  priority: 'medium',
+  priorityRank: 2,
+  status: 'open',
+  clientId: 'alice',
+  clientName: 'Alice',
+  assigneeId: null,
+  assigneeName: null,
+  createdAt: serverTimestamp(),
+  updatedAt: serverTimestamp(),
+  firstResponseDueAt: dueIn(8),
+  resolutionDueAt: dueIn(72),
+  firstRespondedAt: null,
+  resolvedAt: null,
+  slaPausedAt: null,
+  slaPausedMs: 0,
+  watcherIds: [],
+  ...overrides,
+});
+
+// Firestore for a signed-in user, or for a signed-out visitor when uid is null
+const db = uid =>
+  uid
+    ? testEnv.authenticatedContext(uid).firestore()
+    : testEnv.unauthenticatedContext().firestore();
+
+beforeAll(async () => {
+  const [host, port] = (
+    process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080'
+  ).split(':');
+
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-taskrelay-rules',
+    firestore: {
+      host,
+      port: Number(port),
+      rules: readFileSync(
+        path.resolve(__dirname, '../firestore.rules'),
+        'utf8',
+      ),
+    },
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async context => {
+    const admin = context.firestore();
+    await setDoc(doc(admin, 'users/alice'), {
+      name: 'Alice',
+      email: 'alice@example.com',
+      role: 'client',
+    });
+    await setDoc(doc(admin, 'users/bob'), {
+      name: 'Bob',
+      email: 'bob@example.com',
+      role: 'client',
+    });
+    await setDoc(doc(admin, 'users/ada'), {
+      name: 'Ada',
+      email: 'ada@example.com',
+      role: 'admin',
+    });
+    await setDoc(doc(admin, 'tickets/alice-ticket'), makeTicket());
+    await setDoc(
+      doc(admin, 'tickets/bob-ticket'),
+      makeTicket({ clientId: 'bob', clientName: 'Bob' }),
+    );
+
+    const invite = { createdById: 'ada', usedById: null };
+    await setDoc(doc(admin, 'adminInvites/VALIDCODE1'), {
+      ...invite,
+      expiresAt: Timestamp.fromMillis(Date.now() + DAY),
+    });
+    await setDoc(doc(admin, 'adminInvites/EXPIRED123'), {
+      ...invite,
+      expiresAt: Timestamp.fromMillis(Date.now() - DAY),
+    });
+    await setDoc(doc(admin, 'adminInvites/USEDCODE12'), {
+      ...invite,
+      usedById: 'someone',
+      expiresAt: Timestamp.fromMillis(Date.now() + DAY),
+    });
+  });
+});
+
+describe('signed-out visitors', () => {
+  test('cannot read tickets or profiles', async () => {
+    await assertFails(getDoc(doc(db(null), 'tickets/alice-ticket')));
+    await assertFails(getDoc(doc(db(null), 'users/alice')));
+  });
+});
+
+describe('users', () => {
+  test('clients read their own profile but not other people', async () => {
+    await assertSucceeds(getDoc(doc(db('alice'), 'users/alice')));
+    await assertFails(getDoc(doc(db('alice'), 'users/bob')));
+  });
+
+  test('admins read every profile and list users by role', async () => {
+    await assertSucceeds(getDoc(doc(db('ada'), 'users/alice')));
+    await assertSucceeds(
+      getDocs(
+        query(collection(db('ada'), 'users'), where('role', '==', 'client')),
+      ),
+    );
+  });
+
+  test('new accounts can only be created as clients', async () => {
+    const profile = { name: 'Carol', email: 'carol@example.com' };
+    await assertFails(
+      setDoc(doc(db('carol'), 'users/carol'), { ...profile, role: 'admin' }),
+    );
+    await assertSucceeds(
+      setDoc(doc(db('carol'), 'users/carol'), { ...profile, role: 'client' }),
+    );
+  });
+
+  test('users edit their profile but not their role', async () => {
+    await assertSucceeds(
+      updateDoc(doc(db('alice'), 'users/alice'), { name: 'Alice B.' }),
+    );
+    await assertFails(
+      updateDoc(doc(db('alice'), 'users/alice'), { role: 'admin' }),
+    );
+  });
+
+  test('a valid invite upgrades the user who redeems it', async () => {
+    const batch = writeBatch(db('alice'));
+    batch.update(doc(db('alice'), 'adminInvites/VALIDCODE1'), {
+      usedById: 'alice',
+      usedByName: 'Alice',
+      usedAt: Timestamp.now(),
+    });
+    batch.update(doc(db('alice'), 'users/alice'), {
+      role: 'admin',
+      adminInviteCode: 'VALIDCODE1',
+    });
+    await assertSucceeds(batch.commit());
+  });
+
+  test('naming an invite without consuming it does not upgrade', async () => {
+    await assertFails(
+      updateDoc(doc(db('alice'), 'users/alice'), {
+        role: 'admin',
+        adminInviteCode: 'VALIDCODE1',
+      }),
+    );
+  });
+
+  test.each(['EXPIRED123', 'USEDCODE12'])(
+    'invite %s cannot be redeemed',
+    async code => {
+      const batch = writeBatch(db('alice'));
+      batch.update(doc(db('alice'), `adminInvites/${code}`), {
+        usedById: 'alice',
+        usedByName: 'Alice',
+        usedAt: Timestamp.now(),
+      });
+      batch.update(doc(db('alice'), 'users/alice'), {
+        role: 'admin',
+        adminInviteCode: code,
+      });
+      await assertFails(batch.commit());
+    },
+  );
+
+  test("admins can change other users' roles", async () => {
+    await assertSucceeds(
+      updateDoc(doc(db('ada'), 'users/bob'), { role: 'admin' }),
+    );
+    await assertFails(
+      updateDoc(doc(db('ada'), 'users/bob'), { role: 'owner' }),
+    );
+  });
+});
+
+describe('tickets', () => {
+  test('clients read only their own tickets', async () => {
+    await assertSucceeds(getDoc(doc(db('alice'), 'tickets/alice-ticket')));
+    await assertFails(getDoc(doc(db('alice'), 'tickets/bob-ticket')));
+  });
+
+  test('clients can check whether a queued ticket already exists', async () => {
+    await assertSucceeds(getDoc(doc(db('alice'), 'tickets/not-sent-yet')));
+  });
+
+  test("clients list their own tickets but not everyone else's", async () => {
+    const tickets = collection(db('alice'), 'tickets');
+    await assertSucceeds(
+      getDocs(query(tickets, where('clientId', '==', 'alice'))),
+    );
+    await assertFails(getDocs(tickets));
+  });
+
+  test('admins read and list every ticket', async () => {
+    await assertSucceeds(getDoc(doc(db('ada'), 'tickets/bob-ticket')));
+    await assertSucceeds(getDocs(collection(db('ada'), 'tickets')));
+  });
+
+  test('clients create open tickets for themselves only', async () => {
+    const tickets = 'tickets/new-ticket';
+    await assertFails(
+      setDoc(doc(db('alice'), tickets), makeTicket({ clientId: 'bob' })),
+    );
+    await assertFails(
+      setDoc(doc(db('alice'), tickets), makeTicket({ status: 'resolved' })),
+    );
+    await assertFails(
+      setDoc(doc(db('alice'), tickets), makeTicket({ assigneeId: 'ada' })),
+    );
+    await assertSucceeds(setDoc(doc(db('alice'), tickets), makeTicket()));
+  });
+
+  test.each([
+    ['createdAt', Timestamp.fromMillis(Date.now() - DAY)],
+    ['firstResponseDueAt', dueIn(24 * 365)],
+    ['resolutionDueAt', dueIn(24 * 365)],
+    ['firstRespondedAt', Timestamp.now()],
+    ['resolvedAt', Timestamp.now()],
+    ['slaPausedAt', Timestamp.now()],
+    ['slaPausedMs', DAY],
+    ['watcherIds', ['bob']],
+  ])('new tickets cannot start with %s set', async (field, value) => {
+    await assertFails(
+      setDoc(
+        doc(db('alice'), 'tickets/new-ticket'),
+        makeTicket({ [field]: value }),
+      ),
+    );
+  });
+
+  test('due dates follow the stored SLA policy', async () => {
+    await testEnv.withSecurityRulesDisabled(async context => {
+      await setDoc(doc(context.firestore(), 'slaPolicies/bug_medium'), {
+        firstResponseHours: 2,
+        resolutionHours: 12,
+      });
+    });
+
+    const ticket = doc(db('alice'), 'tickets/new-ticket');
+    await assertFails(setDoc(ticket, makeTicket()));
+    await assertSucceeds(
+      setDoc(
+        ticket,
+        makeTicket({
+          firstResponseDueAt: dueIn(2),
+          resolutionDueAt: dueIn(12),
+        }),
+      ),
+    );
+  });
+
+  test('the priority rank has to match the priority', async () => {
+    await assertFails(
+      setDoc(
+        doc(db('alice'), 'tickets/new-ticket'),
+        makeTicket({ priorityRank: 4 }),
+      ),
+    );
+    await assertFails(
+      updateDoc(doc(db('ada'), 'tickets/alice-ticket'), { priority: 'urgent' }),
+    );
+    await assertSucceeds(
+      updateDoc(doc(db('ada'), 'tickets/alice-ticket'), {
+        priority: 'urgent',
+        priorityRank: 4,
+      }),
+    );
+  });
+
+  test('only admins label tickets', async () => {
+    await assertFails(
+      setDoc(
+        doc(db('alice'), 'tickets/new-ticket'),
+        makeTicket({ labelIds: ['billing'] }),
+      ),
+    );
+    await assertFails(
+      updateDoc(doc(db('alice'), 'tickets/alice-ticket'), {
+        labelIds: ['billing'],
+      }),
+    );
+    await assertSucceeds(
+      updateDoc(doc(db('ada'), 'tickets/alice-ticket'), {
+        labelIds: ['billing'],
+      }),
+    );
+  });
+
+  test('new tickets must use an active type', async () => {
+    await testEnv.withSecurityRulesDisabled(async context => {
+      const admin = context.firestore();
+      await setDoc(doc(admin, 'ticketTypes/question'), {
+        label: 'Question',
+        active: true,
+      });
+      await setDoc(doc(admin, 'ticketTypes/feature'), {
+        label: 'Feature',
+        active: false,
+      });
+    });
+
+    const create = (id, type) =>
+      setDoc(doc(db('alice'), `tickets/${id}`), makeTicket({ type }));
+    await assertSucceeds(create('t1', 'bug'));
+    await assertSucceeds(create('t2', 'question'));
+    await assertFails(create('t3', 'feature'));
+    await assertFails(create('t4', 'made-up'));
+  });
+
+  test('only bug reports carry device diagnostics', async () => {
+    const diagnostics = { platform: 'android', osVersion: '14 (API 34)' };
+    await assertSucceeds(
+      setDoc(
+        doc(db('alice'), 'tickets/bug-report'),
+        makeTicket({ type: 'bug', diagnostics }),
+      ),
+    );
+    await assertFails(
+      setDoc(
+        doc(db('alice'), 'tickets/feature-request'),
+        makeTicket({ type: 'feature', diagnostics }),
+      ),
+    );
+  });
+
+  test('custom field answers are stored as a list', async () => {
+    const tickets = 'tickets/new-ticket';
+    const steps = {
+      name: 'steps',
+      label: 'Steps',
+      kind: 'multiline',
+      value: '1. Log in',
+    };
+    await assertFails(
+      setDoc(
+        doc(db('alice'), tickets),
+        makeTicket({ customFields: { steps: '1. Log in' } }),
+      ),
+    );
+    await assertSucceeds(
+      setDoc(doc(db('alice'), tickets), makeTicket({ customFields: [steps] })),
+    );
+  });
+
+  test('clients cannot change status, priority or assignee', async () => {
+    const ticket = doc(db('alice'), 'tickets/alice-ticket');
+    await assertFails(updateDoc(ticket, { status: 'closed' }));
+    await assertFails(updateDoc(ticket, { priority: 'urgent' }));
+    await assertFails(updateDoc(ticket, { assigneeId: 'alice' }));
+  });
+
+  test('clients can edit the text of their own ticket', async () => {
+    await assertSucceeds(
+      updateDoc(doc(db('alice'), 'tickets/alice-ticket'), {
+        description: 'Also broken on tablet',
+      }),
+    );
+    await assertFails(
+      updateDoc(doc(db('alice'), 'tickets/bob-ticket'), {
+        description: 'Hijacked',
+      }),
+    );
+  });
+
+  test('clients close or reopen their resolved tickets, and nothing else', async () => {
+    await testEnv.withSecurityRulesDisabled(async context => {
+      await updateDoc(doc(context.firestore(), 'tickets/alice-ticket'), {
+        status: 'resolved',
+      });
+    });
+
+    const ticket = doc(db('alice'), 'tickets/alice-ticket');
+    await assertFails(updateDoc(ticket, { status: 'open' }));
+    await assertFails(updateDoc(ticket, { status: 'closed', priority: 'low' }));
+    // "Handled by" keeps naming the last admin
+    await assertFails(
+      updateDoc(ticket, {
+        status: 'closed',
+        lastUpdatedById: 'alice',
+        lastUpdatedByName: 'Alice',
+      }),
+    );
+    await assertSucceeds(
+      updateDoc(ticket, { status: 'closed', resolvedAt: null }),
+    );
+    // Once closed, the client can't bring it back
+    await assertFails(updateDoc(ticket, { status: 'in-progress' }));
+  });
+
+  test('admins update status but cannot move a ticket to another client', async () => {
+    const ticket = doc(db('ada'), 'tickets/alice-ticket');
+    await assertSucceeds(updateDoc(ticket, { status: 'in-progress' }));
+    await assertFails(updateDoc(ticket, { clientId: 'bob' }));
+  });
+
+  test('only admins link and merge tickets', async () => {
+    const link = { links: [{ ticketId: 'bob-ticket', type: 'related-to' }] };
+    await assertFails(
+      setDoc(doc(db('alice'), 'tickets/new-ticket'), makeTicket(link)),
+    );
+    await assertFails(
+      setDoc(
+        doc(db('alice'), 'tickets/new-ticket'),
+        makeTicket({ mergedIntoId: 'bob-ticket' }),
+      ),
+    );
+    await assertFails(
+      updateDoc(doc(db('alice'), 'tickets/alice-ticket'), link),
+    );
+    await assertSucceeds(
+      updateDoc(doc(db('ada'), 'tickets/alice-ticket'), {
+        ...link,
+        status: 'closed',
+        mergedIntoId: 'bob-ticket',
+      }),
+    );
+  });
+
+  test('tickets cannot be deleted', async () => {
+    await assertFails(deleteDoc(doc(db('ada'), 'tickets/alice-ticket')));
+  });
+});
+
+describe('shared feature requests', () => {
+  const feature = makeTicket({ type: 'feature', title: 'Dark mode' });
+  const summary = { title: 'Dark mode', type: 'feature', status: 'open' };
+
+  test('are listed alongside the ticket that creates them', async () => {
+    const batch = writeBatch(db('alice'));
+    batch.set(doc(db('alice'), 'tickets/dark-mode'), feature);
+    batch.set(doc(db('alice'), 'sharedTickets/dark-mode'), summary);
+    await assertSucceeds(batch.commit());
+    await assertSucceeds(getDocs(collection(db('bob'), 'sharedTickets')));
+
+    // Bugs stay private
+    await assertFails(
+      setDoc(doc(db('alice'), 'sharedTickets/alice-ticket'), {
+        ...summary,
+        title: 'Login button broken',
+      }),
+    );
+  });
+
+  test('a new title has to be copied to the shared listing', async () => {
+    await testEnv.withSecurityRulesDisabled(async context => {
+      await setDoc(doc(context.firestore(), 'tickets/dark-mode'), feature);
+      await setDoc(
+        doc(context.firestore(), 'sharedTickets/dark-mode'),
+        summary,
+      );
+    });
+
+    await assertFails(
+      updateDoc(doc(db('alice'), 'tickets/dark-mode'), {
+        title: 'Dark theme',
+      }),
+    );
+    await assertSucceeds(
+      updateDoc(doc(db('alice'), 'tickets/dark-mode'), {
+        description: 'Easier on the eyes at night',
+      }),
+    );
+
+    const batch = writeBatch(db('alice'));
+    batch.update(doc(db('alice'), 'tickets/dark-mode'), {
+      title: 'Dark theme',
+    });
+    batch.update(doc(db('alice'), 'sharedTickets/dark-mode'), {
+      title: 'Dark theme',
+    });
+    await assertSucceeds(batch.commit());
+
+    await assertFails(
+      updateDoc(doc(db('bob'), 'sharedTickets/dark-mode'), {
+        title: 'Light mode',
+      }),
+    );
+  });
+
+  test('clients watch other feature requests, as themselves only', async () => {
+    await testEnv.withSecurityRulesDisabled(async context => {
+      await setDoc(doc(context.firestore(), 'tickets/dark-mode'), feature);
+    });
+    const ticket = docPath => doc(db('bob'), docPath);
+
+    await assertFails(
+      updateDoc(ticket('tickets/dark-mode'), { watcherIds: ['bob', 'carol'] }),
+    );
+    await assertFails(
+      updateDoc(ticket('tickets/alice-ticket'), { watcherIds: ['bob'] }),
+    );
+    await assertSucceeds(
+      updateDoc(ticket('tickets/dark-mode'), { watcherIds: ['bob'] }),
+    );
+  });
+
+  test("watchers follow the shared listing, not the client's ticket", async () => {
+    await testEnv.withSecurityRulesDisabled(async context => {
+      const admin = context.firestore();
+      await setDoc(doc(admin, 'tickets/dark-mode'), {
+        ...feature,
+        watcherIds: ['bob'],
+      });
+      await setDoc(doc(admin, 'sharedTickets/dark-mode'), summary);
+      await setDoc(doc(admin, 'tickets/dark-mode/comments/c1'), {
+        text: 'My email is alice@example.com',
+        authorId: 'alice',
+      });
+      await setDoc(doc(admin, 'tickets/dark-mode/attachments/a1'), {
+        uploadedById: 'alice',
+      });
+    });
+    const bob = db('bob');
+
+    await assertFails(getDoc(doc(bob, 'tickets/dark-mode')));
+    await assertFails(getDocs(collection(bob, 'tickets/dark-mode/comments')));
+    await assertFails(getDocs(collection(bob, 'tickets/dark-mode/history')));
+    await assertFails(
+      getDocs(collection(bob, 'tickets/dark-mode/attachments')),
+    );
+    await assertFails(
+      setDoc(doc(bob, 'tickets/dark-mode/comments/c2'), {
+        text: 'Me too',
+        authorId: 'bob',
+        authorRole: 'client',
+      }),
+    );
+
+    await assertSucceeds(getDoc(doc(bob, 'sharedTickets/dark-mode')));
+    await assertSucceeds(
+      setDoc(doc(db('ada'), 'users/bob/notifications/n1'), {
+        type: 'status',
+        ticketId: 'dark-mode',
+        message: 'Status changed to in-progress',
+        actorId: 'ada',
+        watching: true,
+        read: false,
+      }),
+    );
+  });
+});
+
+describe('feature board', () => {
+  const board = 'sharedTickets/bob-feature';
+  const vote = uid => `${board}/votes/${uid}`;
+
+  // A client's vote and the two counts it changes, written together
+  const castVote = (uid, count) => {
+    const batch = writeBatch(db(uid));
+    batch.set(doc(db(uid), vote(uid)), { voterId: uid });
+    batch.update(doc(db(uid), board), { voteCount: count });
+    batch.update(doc(db(uid), 'tickets/bob-feature'), { voteCount: count });
+    return batch.commit();
+  };
+
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async context => {
+      const admin = context.firestore();
+      await setDoc(
+        doc(admin, 'tickets/bob-feature'),
+        makeTicket({
+          clientId: 'bob',
+          type: 'feature',
+          public: true,
+          voteCount: 0,
+        }),
+      );
+      await setDoc(doc(admin, board), {
+        title: 'Login button broken',
+        type: 'feature',
+        status: 'open',
+        public: true,
+        voteCount: 0,
+      });
+    });
+  });
+
+  test('only admins put requests on the board', async () => {
+    await assertFails(
+      updateDoc(doc(db('bob'), board), { public: false, description: null }),
+    );
+    const batch = writeBatch(db('ada'));
+    batch.update(doc(db('ada'), 'tickets/bob-feature'), { public: false });
+    batch.update(doc(db('ada'), board), { public: false, description: null });
+    await assertSucceeds(batch.commit());
+  });
+
+  test('each client votes once, and the count moves by one', async () => {
+    await assertFails(castVote('alice', 2));
+    await assertSucceeds(castVote('alice', 1));
+    await assertFails(castVote('alice', 2)); // The vote document already exists
+    await assertFails(
+      setDoc(doc(db('alice'), vote('bob')), { voterId: 'bob' }),
+    );
+    await assertFails(castVote('ada', 2)); // Admins don't vote
+  });
+
+  test('clients take back only their own vote', async () => {
+    await assertSucceeds(castVote('alice', 1));
+    await assertFails(deleteDoc(doc(db('bob'), vote('alice'))));
+
+    const batch = writeBatch(db('alice'));
+    batch.delete(doc(db('alice'), vote('alice')));
+    batch.update(doc(db('alice'), board), { voteCount: 0 });
+    batch.update(doc(db('alice'), 'tickets/bob-feature'), { voteCount: 0 });
+    await assertSucceeds(batch.commit());
+  });
+
+  test('clients list their own votes only', async () => {
+    await assertSucceeds(castVote('alice', 1));
+    const votes = collectionGroup(db('alice'), 'votes');
+    await assertSucceeds(
+      getDocs(query(votes, where('voterId', '==', 'alice'))),
+    );
+    await assertFails(getDocs(votes));
+  });
+});
+
+describe('ticket subcollections', () => {
+  const comment = (authorId, authorRole) => ({
+    text: 'Any update?',
+    authorId,
+    authorRole,
+  });
+
+  test('clients comment on their own tickets as themselves', async () => {
+    await assertSucceeds(
+      setDoc(
+        doc(db('alice'), 'tickets/alice-ticket/comments/c1'),
+        comment('alice', 'client'),
+      ),
+    );
+    await assertFails(
+      setDoc(
+        doc(db('alice'), 'tickets/bob-ticket/comments/c1'),
+        comment('alice', 'client'),
+      ),
+    );
+  });
+
+  test('clients cannot pose as support', async () => {
+    await assertFails(
+      setDoc(
+        doc(db('alice'), 'tickets/alice-ticket/comments/c1'),
+        comment('alice', 'admin'),
+      ),
+    );
+    await assertFails(
+      setDoc(
+        doc(db('alice'), 'tickets/alice-ticket/comments/c1'),
+        comment('ada', 'client'),
+      ),
+    );
+  });
+
+  test('only admins write status history', async () => {
+    const entry = { fromStatus: 'open', toStatus: 'closed' };
+    await assertFails(
+      setDoc(doc(db('alice'), 'tickets/alice-ticket/history/h1'), {
+        ...entry,
+        actorId: 'alice',
+      }),
+    );
+    await assertSucceeds(
+      setDoc(doc(db('ada'), 'tickets/alice-ticket/history/h1'), {
+        ...entry,
+        actorId: 'ada',
+      }),
+    );
+  });
+
+  test('admins record auto-closing as the system', async () => {
+    const autoClose = {
+      fromStatus: 'resolved',
+      toStatus: 'closed',
+      actorId: 'system',
+      triggeredById: 'ada',
+    };
+    await assertSucceeds(
+      setDoc(doc(db('ada'), 'tickets/alice-ticket/history/h1'), autoClose),
+    );
+    await assertFails(
+      setDoc(doc(db('ada'), 'tickets/alice-ticket/history/h2'), {
+        ...autoClose,
+        triggeredById: 'someone-else',
+      }),
+    );
+    await assertFails(
+      setDoc(doc(db('ada'), 'tickets/alice-ticket/history/h2'), {
+        ...autoClose,
+        fromStatus: 'open',
+      }),
+    );
+    await assertFails(
+      setDoc(doc(db('alice'), 'tickets/alice-ticket/history/h2'), {
+        ...autoClose,
+        triggeredById: 'alice',
+      }),
+    );
+  });
+
+  test('clients record confirming or reopening a resolved ticket', async () => {
+    const history = doc(db('alice'), 'tickets/alice-ticket/history/h1');
+    const reopen = {
+      fromStatus: 'resolved',
+      toStatus: 'in-progress',
+      actorId: 'alice',
+    };
+
+    // Still open, so there is nothing to confirm yet
+    await assertFails(setDoc(history, { ...reopen, reason: 'Still broken' }));
+
+    await testEnv.withSecurityRulesDisabled(async context => {
+      await updateDoc(doc(context.firestore(), 'tickets/alice-ticket'), {
+        status: 'resolved',
+      });
+    });
+    await assertFails(setDoc(history, { ...reopen, reason: null }));
+    await assertSucceeds(
+      setDoc(history, { ...reopen, reason: 'Still broken' }),
+    );
+    await assertSucceeds(
+      setDoc(doc(db('alice'), 'tickets/alice-ticket/history/h2'), {
+        ...reopen,
+        toStatus: 'closed',
+        reason: null,
+      }),
+    );
+  });
+
+  test('attachments can be added by anyone on the ticket', async () => {
+    await assertSucceeds(
+      setDoc(doc(db('alice'), 'tickets/alice-ticket/attachments/a1'), {
+        name: 'screenshot.png',
+        uploadedById: 'alice',
+      }),
+    );
+    await assertFails(
+      setDoc(doc(db('bob'), 'tickets/alice-ticket/attachments/a2'), {
+        name: 'screenshot.png',
+        uploadedById: 'bob',
+      }),
+    );
+  });
+
+  test('only the uploader can write an attachment again', async () => {
+    const attachment = doc(db('alice'), 'tickets/alice-ticket/attachments/a1');
+    await assertSucceeds(
+      setDoc(attachment, { name: 'screenshot.png', uploadedById: 'alice' }),
+    );
+    await assertSucceeds(
+      setDoc(attachment, { name: 'screenshot.png', uploadedById: 'alice' }),
+    );
+    await assertFails(
+      setDoc(doc(db('ada'), 'tickets/alice-ticket/attachments/a1'), {
+        name: 'replaced.png',
+        uploadedById: 'ada',
+      }),
+    );
+  });
+
+  test('admins copy comments and attachments over when merging', async () => {
+    const moved = { movedFromTicketId: 'alice-ticket' };
+    await assertSucceeds(
+      setDoc(doc(db('ada'), 'tickets/bob-ticket/comments/c1'), {
+        ...comment('alice', 'client'),
+        ...moved,
+      }),
+    );
+    await assertSucceeds(
+      setDoc(doc(db('ada'), 'tickets/bob-ticket/attachments/a1'), {
+        name: 'screenshot.png',
+        uploadedById: 'alice',
+        ...moved,
+      }),
+    );
+    await assertFails(
+      setDoc(doc(db('bob'), 'tickets/bob-ticket/comments/c2'), {
+        ...comment('alice', 'client'),
+        ...moved,
+      }),
+    );
+  });
+});
+
+describe('notifications', () => {
+  const notification = (actorId, ticketId = 'alice-ticket') => ({
+    type: 'comment',
+    ticketId,
+    message: 'New reply',
+    actorId,
+    read: false,
+  });
+
+  test('people on a ticket can notify each other', async () => {
+    await assertSucceeds(
+      setDoc(
+        doc(db('alice'), 'users/ada/notifications/n1'),
+        notification('alice'),
+      ),
+    );
+    await assertFails(
+      setDoc(
+        doc(db('bob'), 'users/alice/notifications/n1'),
+        notification('bob'),
+      ),
+    );
+    await assertFails(
+      setDoc(
+        doc(db('alice'), 'users/ada/notifications/n1'),
+        notification('bob'),
+      ),
+    );
+  });
+
+  test("only the ticket's client, assignee, watchers and admins are notified", async () => {
+    await assertFails(
+      setDoc(
+        doc(db('alice'), 'users/bob/notifications/n1'),
+        notification('alice'),
+      ),
+    );
+    await assertFails(
+      setDoc(doc(db('ada'), 'users/bob/notifications/n1'), notification('ada')),
+    );
+    await assertSucceeds(
+      setDoc(
+        doc(db('ada'), 'users/alice/notifications/n1'),
+        notification('ada'),
+      ),
+    );
+
+    await testEnv.withSecurityRulesDisabled(async context => {
+      await updateDoc(doc(context.firestore(), 'tickets/alice-ticket'), {
+        watcherIds: ['bob'],
+      });
+    });
+    await assertSucceeds(
+      setDoc(
+        doc(db('alice'), 'users/bob/notifications/n1'),
+        notification('alice'),
+      ),
+    );
+  });
+
+  test('only the recipient reads their inbox and marks it read', async () => {
+    await testEnv.withSecurityRulesDisabled(async context => {
+      await setDoc(
+        doc(context.firestore(), 'users/alice/notifications/n1'),
+        notification('ada'),
+      );
+    });
+
+    await assertSucceeds(
+      getDoc(doc(db('alice'), 'users/alice/notifications/n1')),
+    );
+    await assertFails(getDoc(doc(db('bob'), 'users/alice/notifications/n1')));
+    await assertSucceeds(
+      updateDoc(doc(db('alice'), 'users/alice/notifications/n1'), {
+        read: true,
+      }),
+    );
+    await assertFails(
+      updateDoc(doc(db('alice'), 'users/alice/notifications/n1'), {
+        message: 'Edited',
+      }),
+    );
+  });
+});
+
+describe('admin onboarding', () => {
+  test('only admins create and list invites', async () => {
+    const invite = {
+      createdById: 'alice',
+      usedById: null,
+      expiresAt: Timestamp.fromMillis(Date.now() + DAY),
+    };
+    await assertFails(
+      setDoc(doc(db('alice'), 'adminInvites/ALICECODE1'), invite),
+    );
+    await assertFails(getDocs(collection(db('alice'), 'adminInvites')));
+    await assertSucceeds(
+      setDoc(doc(db('ada'), 'adminInvites/ADACODE123'), {
+        ...invite,
+        createdById: 'ada',
+      }),
+    );
+    await assertSucceeds(getDocs(collection(db('ada'), 'adminInvites')));
+  });
+
+  test('anyone signed in can look up a code they were given', async () => {
+    await assertSucceeds(getDoc(doc(db('alice'), 'adminInvites/VALIDCODE1')));
+  });
+
+  test('clients file requests; only admins approve them', async () => {
+    const request = doc(db('alice'), 'adminRequests/alice');
+    await assertSucceeds(
+      setDoc(request, { status: 'pending', reviewedById: null }),
+    );
+    await assertFails(
+      updateDoc(request, { status: 'approved', reviewedById: 'alice' }),
+    );
+    await assertFails(
+      setDoc(doc(db('alice'), 'adminRequests/bob'), {
+        status: 'pending',
+        reviewedById: null,
+      }),
+    );
+    await assertSucceeds(
+      updateDoc(doc(db('ada'), 'adminRequests/alice'), {
+        status: 'approved',
+        reviewedById: 'ada',
+      }),
+    );
+  });
+});
+
+describe('configuration', () => {
+  test('only admins manage ticket types', async () => {
+    const type = { label: 'Incident', icon: '🔥', active: true };
+    await assertFails(setDoc(doc(db('alice'), 'ticketTypes/incident'), type));
+    await assertSucceeds(setDoc(doc(db('ada'), 'ticketTypes/incident'), type));
+    await assertSucceeds(getDocs(collection(db('alice'), 'ticketTypes')));
+    await assertFails(deleteDoc(doc(db('ada'), 'ticketTypes/incident')));
+  });
+
+  test('ticket type fields must be a list', async () => {
+    const type = { label: 'Incident', icon: '🔥', active: true };
+    const impact = {
+      name: 'impact',
+      label: 'Impact',
+      kind: 'text',
+      required: true,
+    };
+    await assertFails(
+      setDoc(doc(db('ada'), 'ticketTypes/incident'), {
+        ...type,
+        fields: impact,
+      }),
+    );
+    await assertSucceeds(
+      setDoc(doc(db('ada'), 'ticketTypes/incident'), {
+        ...type,
+        fields: [impact],
+      }),
+    );
+  });
+
+  test('everyone reads workflow settings; only admins change them', async () => {
+    const settings = { autoCloseResolvedDays: 3 };
+    await assertFails(setDoc(doc(db('alice'), 'settings/workflow'), settings));
+    await assertSucceeds(setDoc(doc(db('ada'), 'settings/workflow'), settings));
+    await assertSucceeds(getDoc(doc(db('alice'), 'settings/workflow')));
+  });
+
+  test('only admins read and manage labels', async () => {
+    const label = { name: 'Billing', color: '#2563eb' };
+    await assertFails(setDoc(doc(db('alice'), 'labels/billing'), label));
+    await assertFails(
+      setDoc(doc(db('ada'), 'labels/billing'), { ...label, name: '' }),
+    );
+    await assertSucceeds(setDoc(doc(db('ada'), 'labels/billing'), label));
+    await assertFails(getDocs(collection(db('alice'), 'labels')));
+    await assertSucceeds(getDocs(collection(db('ada'), 'labels')));
+    await assertSucceeds(deleteDoc(doc(db('ada'), 'labels/billing')));
+  });
+});
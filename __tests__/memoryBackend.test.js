@@ -0,0 +1,432 @@
+/**
+ * @format
+ */
+
+import { createMemoryBackend } from '../src/backend/memoryBackend';
+import { DEMO_PASSWORD } from '../src/backend/demoData';
+
+// Lets queued subscription callbacks run
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('memory backend', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createMemoryBackend();
+  });
+
+  it('signs in demo accounts and rejects wrong passwords', async () => {
+    await expect(backend.signIn('client@demo.taskrelay', 'nope')).rejects.toThrow(
+      'Incorrect password',
+    );
+
+    const user = await backend.signIn('client@demo.taskrelay', DEMO_PASSWORD);
+    expect(backend.getCurrentUser()).toEqual(user);
+    await expect(backend.getUserRole(user.uid)).resolves.toBe('client');
+  });
+
+  it('creates every new account as a client', async () => {
+    const user = await backend.signUp('new@example.com', 'secret1', 'New Person');
+    await expect(backend.getUserRole(user.uid)).resolves.toBe('client');
+    await expect(
+      backend.signUp('new@example.com', 'secret1', 'Again'),
+    ).rejects.toThrow('already in use');
+  });
+
+  it('pushes new tickets to live subscribers', async () => {
+    await backend.signIn('client@demo.taskrelay', DEMO_PASSWORD);
+    const callback = jest.fn();
+    const unsubscribe = backend.getMyTickets(callback);
+    await flush();
+
+    const before = callback.mock.calls[callback.mock.calls.length - 1][0];
+    const ticketId = await backend.createTicket('Login broken', 'Cannot log in', 'bug', 'high', null, {
+      steps: 'Open the app and sign in',
+    });
+    await flush();
+
+    const after = callback.mock.calls[callback.mock.calls.length - 1][0];
+    expect(after).toHaveLength(before.length + 1);
+    expect(after[0]).toMatchObject({ id: ticketId, status: 'open', clientId: 'demo-client' });
+
+    unsubscribe();
+    await backend.createTicket('Another', 'One more', 'feature', 'low');
+    await flush();
+    expect(callback.mock.calls[callback.mock.calls.length - 1][0]).toHaveLength(after.length);
+  });
+
+  it('records status history and notifies the client', async () => {
+    await backend.signIn('admin@demo.taskrelay', DEMO_PASSWORD);
+    await backend.updateTicketStatus('demo-ticket-2', 'in-progress', 'Looking into it');
+
+    const history = jest.fn();
+    backend.subscribeToStatusHistory('demo-ticket-2', history);
+    await flush();
+    expect(history).toHaveBeenLastCalledWith([
+      expect.objectContaining({ fromStatus: 'open', toStatus: 'in-progress', reason: 'Looking into it' }),
+    ]);
+
+    await backend.signIn('client@demo.taskrelay', DEMO_PASSWORD);
+    const count = jest.fn();
+    backend.subscribeToUnreadNotificationCount(count);
+    await flush();
+    expect(count).toHaveBeenLastCalledWith(1);
+
+    await backend.markAllNotificationsRead();
+    await flush();
+    expect(count).toHaveBeenLastCalledWith(0);
+  });
+
+  it('lets the client confirm or reopen a resolved ticket', async () => {
+    await backend.signIn('riley@demo.taskrelay', DEMO_PASSWORD);
+    await expect(backend.updateTicketStatus('demo-ticket-4', 'in-progress')).rejects.toThrow(
+      'Please give a reason',
+    );
+
+    await backend.updateTicketStatus('demo-ticket-4', 'in-progress', 'Export is empty');
+    const ticket = await backend.getTicketById('demo-ticket-4');
+    expect(ticket).toMatchObject({ status: 'in-progress', resolvedAt: null, lastUpdatedByName: 'Sam Support' });
+
+    // Only support can resolve it again
+    await expect(backend.updateTicketStatus('demo-ticket-4', 'resolved')).rejects.toThrow(
+      "don't have permission",
+    );
+  });
+
+  it('auto-closes resolved tickets the client never answered', async () => {
+    await backend.signIn('admin@demo.taskrelay', DEMO_PASSWORD);
+    await expect(backend.closeStaleResolvedTickets()).resolves.toBe(0);
+
+    const later = Date.now() + 8 * 24 * 60 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    try {
+      await expect(backend.closeStaleResolvedTickets()).resolves.toBe(1);
+    } finally {
+      jest.restoreAllMocks();
+    }
+
+    const ticket = await backend.getTicketById('demo-ticket-4');
+    expect(ticket.status).toBe('closed');
+    expect(ticket).toMatchObject({ lastUpdatedById: 'demo-admin-2', lastUpdatedByName: 'Sam Support' });
+
+    const history = jest.fn();
+    backend.subscribeToStatusHistory('demo-ticket-4', history);
+    await flush();
+    expect(history.mock.calls[0][0].pop()).toEqual(
+      expect.objectContaining({ actorId: 'system', triggeredById: 'demo-admin' }),
+    );
+  });
+
+  it('only accepts tickets of an active type', async () => {
+    await backend.signIn('admin@demo.taskrelay', DEMO_PASSWORD);
+    await backend.saveTicketType({
+      key: 'incident',
+      label: 'Incident',
+      icon: '🔥',
+      color: '#dc2626',
+      active: true,
+    });
+    await backend.saveTicketType({
+      key: 'feature',
+      label: 'Feature',
+      icon: '✨',
+      color: '#7c3aed',
+      active: false,
+    });
+
+    const types = await backend.getTicketTypes();
+    expect(types.map(type => type.key)).toEqual(['bug', 'feature', 'incident', 'question']);
+
+    await backend.signIn('client@demo.taskrelay', DEMO_PASSWORD);
+    await expect(
+      backend.createTicket('Site down', 'Nothing loads', 'incident', 'urgent'),
+    ).resolves.toBeTruthy();
+    await expect(
+      backend.createTicket('Dark mode', 'Please', 'feature', 'low'),
+    ).rejects.toThrow('Type must be one of: Bug, Incident, Question');
+    await expect(
+      backend.saveTicketType({ ...types[0], active: false }),
+    ).rejects.toThrow('Only admins');
+  });
+
+  it("validates and stores answers to the type's custom fields", async () => {
+    await backend.signIn('client@demo.taskrelay', DEMO_PASSWORD);
+    await expect(backend.createTicket('Crash', 'It crashed', 'bug', 'high')).rejects.toThrow(
+      'Steps to reproduce is required',
+    );
+
+    const ticketId = await backend.createTicket('Crash', 'It crashed', 'bug', 'high', null, {
+      steps: ' Tap save ',
+      expected: '',
+      environment: 'iOS 18',
+    });
+    const ticket = await backend.getTicketById(ticketId);
+    expect(ticket.customFields).toEqual([
+      { name: 'steps', label: 'Steps to reproduce', kind: 'multiline', value: 'Tap save' },
+      { name: 'environment', label: 'Environment', kind: 'text', value: 'iOS 18' },
+    ]);
+
+    await expect(
+      backend.createTicket('Invoice', 'Where is it?', 'question', 'low', null, { topic: 'Sales' }),
+    ).rejects.toThrow('Topic must be one of: Account, Billing, Other');
+  });
+
+  it('keeps diagnostics on bug reports only', async () => {
+    await backend.signIn('client@demo.taskrelay', DEMO_PASSWORD);
+    const diagnostics = { platform: 'ios', osVersion: '18.1', deviceId: 'secret' };
+
+    const create = (type, fields, sent) =>
+      backend.createTicket('Problem', 'Details', type, 'low', null, fields, sent);
+    const bugId = await create('bug', { steps: 'Tap' }, diagnostics);
+    const featureId = await create('feature', {}, diagnostics);
+    const optedOutId = await create('bug', { steps: 'Wait' }, null);
+
+    expect((await backend.getTicketById(bugId)).diagnostics).toEqual({
+      platform: 'ios',
+      osVersion: '18.1',
+    });
+    expect((await backend.getTicketById(featureId)).diagnostics).toBeNull();
+    expect((await backend.getTicketById(optedOutId)).diagnostics).toBeNull();
+  });
+
+  it('shares feature requests so other clients can follow them', async () => {
+    await backend.signIn('riley@demo.taskrelay', DEMO_PASSWORD);
+    const shared = await backend.getSharedTickets();
+    expect(shared.map(ticket => ticket.title)).toEqual(['Dark mode']); // The CSV request is resolved
+    expect(shared[0]).not.toHaveProperty('description');
+
+    await backend.watchTicket('demo-ticket-2');
+    await backend.watchTicket('demo-ticket-2');
+    await expect(backend.watchTicket('demo-ticket-1')).rejects.toThrow('Only feature requests');
+    await expect(backend.getTicketById('demo-ticket-2')).rejects.toThrow('do not have access');
+    await expect(backend.addComment('demo-ticket-2', 'Me too')).rejects.toThrow('do not have access');
+
+    await backend.signIn('admin@demo.taskrelay', DEMO_PASSWORD);
+    expect((await backend.getTicketById('demo-ticket-2')).watcherIds).toEqual(['demo-client-2']);
+    await backend.addComment('demo-ticket-2', 'Scheduled for next sprint');
+    await backend.updateTicketStatus('demo-ticket-2', 'in-progress');
+    await backend.signIn('riley@demo.taskrelay', DEMO_PASSWORD);
+    const inbox = jest.fn();
+    backend.subscribeToNotifications(inbox);
+    await flush();
+    const received = inbox.mock.calls[inbox.mock.calls.length - 1][0];
+    expect(received).toHaveLength(1); // The comment stays between the client and support
+    expect(received[0]).toMatchObject({
+      ticketId: 'demo-ticket-2',
+      message: 'Status changed to in-progress',
+      watching: true,
+    });
+    expect((await backend.getSharedTickets())[0].status).toBe('in-progress');
+  });
+
+  it('links tickets both ways and merges duplicates', async () => {
+    await backend.signIn('riley@demo.taskrelay', DEMO_PASSWORD);
+    await backend.addComment('demo-ticket-3', 'Same problem here');
+    await expect(backend.searchTickets('reset')).rejects.toThrow('Only admins');
+
+    await backend.signIn('admin@demo.taskrelay', DEMO_PASSWORD);
+    expect((await backend.searchTickets('reset')).map(ticket => ticket.id)).toEqual(['demo-ticket-3']);
+
+    await backend.linkTickets('demo-ticket-2', 'demo-ticket-1', 'blocked-by');
+    expect((await backend.getTicketById('demo-ticket-1')).links).toEqual([
+      { ticketId: 'demo-ticket-2', type: 'blocks' },
+    ]);
+    await expect(backend.linkTickets('demo-ticket-1', 'demo-ticket-2', 'related-to')).rejects.toThrow(
+      'already linked',
+    );
+
+    await backend.mergeTicket('demo-ticket-3', 'demo-ticket-1');
+    const duplicate = await backend.getTicketById('demo-ticket-3');
+    const canonical = await backend.getTicketById('demo-ticket-1');
+    expect(duplicate).toMatchObject({
+      status: 'closed',
+      mergedIntoId: 'demo-ticket-1',
+      links: [{ ticketId: 'demo-ticket-1', type: 'duplicate-of' }],
+    });
+    expect(canonical.links).toContainEqual({ ticketId: 'demo-ticket-3', type: 'duplicated-by' });
+    expect(canonical.watcherIds).toEqual(['demo-client-2']);
+
+    const thread = jest.fn();
+    backend.subscribeToComments('demo-ticket-1', thread);
+    await flush();
+    expect(thread.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ text: 'Same problem here', movedFromTicketId: 'demo-ticket-3' }),
+    ]);
+    await expect(backend.mergeTicket('demo-ticket-3', 'demo-ticket-2')).rejects.toThrow(
+      'already been merged',
+    );
+
+    // Merging two tickets into each other at the same time keeps only one merge
+    const results = await Promise.allSettled([
+      backend.mergeTicket('demo-ticket-2', 'demo-ticket-4'),
+      backend.mergeTicket('demo-ticket-4', 'demo-ticket-2'),
+    ]);
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect((await backend.getTicketById('demo-ticket-4')).mergedIntoId).toBeUndefined();
+  });
+
+  it('counts one vote per client on the feature board', async () => {
+    await backend.signIn('admin@demo.taskrelay', DEMO_PASSWORD);
+    await expect(backend.setTicketPublic('demo-ticket-1', true)).rejects.toThrow('Only feature requests');
+    await backend.setTicketPublic('demo-ticket-2', true);
+    await expect(backend.setVote('demo-ticket-2', true)).rejects.toThrow('Only clients');
+
+    await backend.signIn('riley@demo.taskrelay', DEMO_PASSWORD);
+    await backend.setVote('demo-ticket-2', true);
+    await expect(backend.setVote('demo-ticket-2', true)).rejects.toThrow('already voted');
+
+    const board = jest.fn();
+    backend.subscribeToFeatureBoard(board);
+    await flush();
+    expect(board.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ id: 'demo-ticket-4', voteCount: 2, voted: true }),
+      expect.objectContaining({ id: 'demo-ticket-2', voteCount: 1, voted: true, description: expect.any(String) }),
+    ]);
+
+    await backend.setVote('demo-ticket-2', false);
+    await backend.signIn('admin@demo.taskrelay', DEMO_PASSWORD);
+    expect((await backend.getTicketById('demo-ticket-2')).voteCount).toBe(0);
+
+    const list = jest.fn();
+    backend.getAllTickets(list, undefined, { sortBy: 'votes' });
+    await flush();
+    expect(list.mock.calls[0][0][0].id).toBe('demo-ticket-4');
+  });
+
+  it("keeps clients out of admin actions and other people's tickets", async () => {
+    await backend.signIn('client@demo.taskrelay', DEMO_PASSWORD);
+    await expect(backend.getTicketById('demo-ticket-1')).resolves.toBeTruthy();
+    await expect(backend.getTicketById('demo-ticket-3')).rejects.toThrow('do not have access');
+    await expect(
+      backend.assignTicket('demo-ticket-1', { id: 'demo-client', name: 'Casey' }),
+    ).rejects.toThrow('Only admins');
+    await expect(backend.updateTicketPriority('demo-ticket-1', 'urgent')).rejects.toThrow('Only admins');
+
+    await backend.signIn('admin@demo.taskrelay', DEMO_PASSWORD);
+    const { code } = await backend.createAdminInvite();
+    await backend.signIn('client@demo.taskrelay', DEMO_PASSWORD);
+    await expect(backend.revokeAdminInvite(code)).rejects.toThrow('Only admins');
+  });
+
+  it('sorts tickets by their stored priority rank', async () => {
+    await backend.signIn('admin@demo.taskrelay', DEMO_PASSWORD);
+    const list = jest.fn();
+    backend.getAllTickets(list, undefined, { sortBy: 'priority' });
+    await flush();
+    expect(list.mock.calls[0][0].map(ticket => ticket.priorityRank)).toEqual([4, 3, 2, 1]);
+
+    await backend.updateTicketPriority('demo-ticket-2', 'high');
+    expect((await backend.getTicketById('demo-ticket-2')).priorityRank).toBe(3);
+  });
+
+  it('labels tickets and filters the list by label', async () => {
+    await backend.signIn('riley@demo.taskrelay', DEMO_PASSWORD);
+    await expect(backend.setTicketLabels('demo-ticket-3', [])).rejects.toThrow('Only admins');
+
+    await backend.signIn('admin@demo.taskrelay', DEMO_PASSWORD);
+    await expect(backend.saveLabel({ name: ' login ', color: '#059669' })).rejects.toThrow('already a label');
+    await expect(backend.saveLabel({ name: 'Billing 2', color: '#123456' })).rejects.toThrow('label colors');
+    const labelId = await backend.saveLabel({ name: 'Payments', color: '#059669' });
+    await backend.setTicketLabels('demo-ticket-2', [labelId, 'demo-label-login']);
+
+    const list = jest.fn();
+    backend.getAllTickets(list, undefined, { labelId: 'demo-label-login' });
+    await flush();
+    expect(list.mock.calls[0][0].map(ticket => ticket.id)).toEqual(['demo-ticket-3', 'demo-ticket-2']);
+
+    await backend.deleteLabel('demo-label-login');
+    expect((await backend.getTicketById('demo-ticket-2')).labelIds).toEqual([labelId]);
+    await expect(backend.countTickets({ labelId: 'demo-label-login' })).resolves.toBe(0);
+
+    const labels = jest.fn();
+    backend.subscribeToLabels(labels);
+    await flush();
+    expect(labels.mock.calls[0][0].map(label => label.name)).toEqual(['Android only', 'Billing', 'Payments']);
+  });
+
+  it('applies bulk actions ticket by ticket and reports failures', async () => {
+    await backend.signIn('riley@demo.taskrelay', DEMO_PASSWORD);
+    await expect(
+      backend.bulkUpdateTickets(['demo-ticket-3'], { kind: 'assign', assignee: null }),
+    ).rejects.toThrow('Only admins');
+
+    await backend.signIn('admin@demo.taskrelay', DEMO_PASSWORD);
+    await expect(backend.bulkUpdateTickets([], { kind: 'assign', assignee: null })).rejects.toThrow(
+      'at least one ticket',
+    );
+
+    const resolved = await backend.bulkUpdateTickets(['demo-ticket-1', 'demo-ticket-3', 'demo-ticket-4', 'missing'], {
+      kind: 'status',
+      status: 'resolved',
+    });
+    expect(resolved.succeeded).toEqual(['demo-ticket-1', 'demo-ticket-3']);
+    expect(resolved.failed).toEqual([
+      { ticketId: 'demo-ticket-4', error: 'Ticket is already resolved' },
+      { ticketId: 'missing', error: 'Ticket not found' },
+    ]);
+
+    // Larger selections are worked through a group at a time, in order
+    const missing = Array.from({ length: 12 }, (_, index) => `missing-${index}`);
+    const assigned = await backend.bulkUpdateTickets([...missing, 'demo-ticket-1', 'demo-ticket-1'], {
+      kind: 'assign',
+      assignee: { id: 'demo-admin', name: 'Avery Admin' },
+    });
+    expect(assigned.succeeded).toEqual(['demo-ticket-1']);
+    expect(assigned.failed.map(result => result.ticketId)).toEqual(missing);
+
+    const history = jest.fn();
+    backend.subscribeToStatusHistory('demo-ticket-3', history);
+    await flush();
+    expect(history.mock.calls[0][0]).toEqual([expect.objectContaining({ fromStatus: 'open', toStatus: 'resolved' })]);
+
+    await backend.bulkUpdateTickets(['demo-ticket-2', 'demo-ticket-3'], {
+      kind: 'assign',
+      assignee: { id: 'demo-admin-2', name: 'Sam Support' },
+    });
+    await backend.bulkUpdateTickets(['demo-ticket-1', 'demo-ticket-3'], {
+      kind: 'labels',
+      addLabelIds: ['demo-label-billing'],
+      removeLabelIds: ['demo-label-login'],
+    });
+    const ticket = await backend.getTicketById('demo-ticket-3');
+    expect(ticket).toMatchObject({ status: 'resolved', assigneeName: 'Sam Support', labelIds: ['demo-label-billing'] });
+    expect((await backend.getTicketById('demo-ticket-1')).labelIds).toEqual(['demo-label-android', 'demo-label-billing']);
+
+    await backend.signIn('riley@demo.taskrelay', DEMO_PASSWORD);
+    const inbox = jest.fn();
+    backend.subscribeToNotifications(inbox);
+    await flush();
+    expect(inbox.mock.calls[0][0].map(notification => notification.type)).toEqual(['assignment', 'status']);
+  });
+
+  it('pages tickets with a cursor', async () => {
+    await backend.signIn('admin@demo.taskrelay', DEMO_PASSWORD);
+    const all = await backend.countTickets();
+    const page = await backend.loadMoreTickets('demo-ticket-3', { sortBy: 'newest' });
+
+    expect(all).toBe(4);
+    // demo-ticket-3 is the newest, so everything else follows it
+    expect(page.tickets.map(ticket => ticket.id)).toEqual([
+      'demo-ticket-2',
+      'demo-ticket-1',
+      'demo-ticket-4',
+    ]);
+    expect(page.hasMore).toBe(false);
+
+    // Reloading older pages asks for a custom number of tickets
+    const reload = await backend.loadMoreTickets('demo-ticket-3', { sortBy: 'newest' }, 2);
+    expect(reload.tickets.map(ticket => ticket.id)).toEqual(['demo-ticket-2', 'demo-ticket-1']);
+    expect(reload).toEqual(expect.objectContaining({ cursor: 'demo-ticket-1', hasMore: true }));
+  });
+
+  it('upgrades a user who redeems an admin invite', async () => {
+    await backend.signIn('admin@demo.taskrelay', DEMO_PASSWORD);
+    const { code } = await backend.createAdminInvite();
+
+    const user = await backend.signUp('new@example.com', 'secret1', 'New Admin', {
+      inviteCode: code.toLowerCase(),
+    });
+    await expect(backend.getUserRole(user.uid)).resolves.toBe('admin');
+    await expect(backend.redeemAdminInvite(code)).rejects.toThrow('already been used');
+  });
+});
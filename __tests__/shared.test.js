@@ -0,0 +1,61 @@
+/**
+ * @format
+ */
+
+import {
+  SYSTEM_ACTOR,
+  getLastUpdatedBy,
+  mapInGroups,
+} from '../src/backend/shared';
+
+describe('mapInGroups', () => {
+  it('keeps results in the order of the items', async () => {
+    const results = await mapInGroups([3, 1, 2], 2, async n => n * 10);
+    expect(results).toEqual([30, 10, 20]);
+  });
+
+  it('never runs more tasks at once than the group size', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    const task = async () => {
+      running += 1;
+      mostRunning = Math.max(mostRunning, running);
+      await Promise.resolve();
+      running -= 1;
+    };
+
+    await mapInGroups(Array.from({ length: 25 }), 10, task);
+    expect(mostRunning).toBe(10);
+  });
+
+  it('stops at a task that fails without catching its error', async () => {
+    const started = [];
+    const task = async n => {
+      started.push(n);
+      if (n === 2) {
+        throw new Error('Boom');
+      }
+    };
+
+    await expect(mapInGroups([1, 2, 3, 4], 2, task)).rejects.toThrow('Boom');
+    expect(started).toEqual([1, 2]);
+  });
+});
+
+describe('getLastUpdatedBy', () => {
+  it('names the admin who made the change', () => {
+    expect(
+      getLastUpdatedBy({ uid: 'ada', name: 'Ada', role: 'admin' }),
+    ).toEqual({
+      lastUpdatedById: 'ada',
+      lastUpdatedByName: 'Ada',
+    });
+  });
+
+  it('leaves the last admin in place for clients and automatic changes', () => {
+    expect(
+      getLastUpdatedBy({ uid: 'alice', name: 'Alice', role: 'client' }),
+    ).toEqual({});
+    expect(getLastUpdatedBy(SYSTEM_ACTOR)).toEqual({});
+  });
+});
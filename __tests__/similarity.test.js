@@ -0,0 +1,50 @@
+/**
+ * @format
+ */
+
+import {
+  tokenize,
+  titleSimilarity,
+  findSimilarTickets,
+} from '../src/utils/similarity';
+
+describe('title similarity', () => {
+  it('ignores case, punctuation, filler words and word endings', () => {
+    expect(tokenize("The app crashes when I can't upload photos!")).toEqual([
+      'crash',
+      'upload',
+      'photo',
+    ]);
+  });
+
+  it('scores shared words between 0 and 1', () => {
+    expect(titleSimilarity('Dark mode', 'dark MODE please')).toBe(1);
+    expect(titleSimilarity('Dark mode', 'Export to CSV')).toBe(0);
+    expect(titleSimilarity('Crash on upload', 'Upload is slow')).toBeCloseTo(
+      0.5,
+    );
+    expect(titleSimilarity('', 'Anything')).toBe(0);
+  });
+
+  it('returns the best matches in a stable order', () => {
+    const tickets = [
+      { id: 'c', title: 'Photo upload crashes' },
+      { id: 'a', title: 'Crashes when uploading a photo' },
+      { id: 'b', title: 'Add dark mode' },
+      { id: 'd', title: 'Upload fails' },
+    ];
+
+    const matches = findSimilarTickets('App crashed uploading photo', tickets);
+    expect(matches.map(match => match.ticket.id)).toEqual(['a', 'c', 'd']);
+    expect(matches[0].score).toBe(1);
+    expect(findSimilarTickets('App crashed uploading photo', tickets)).toEqual(
+      matches,
+    );
+  });
+
+  it('suggests nothing for titles without meaningful words', () => {
+    expect(
+      findSimilarTickets('it is the', [{ id: 'a', title: 'It is' }]),
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * @format
+ */
+
+import { getDueDates, getSlaStatus, resumeDueDates, SLA_WARNING_MS } from '../src/utils/sla';
+
+const HOUR = 60 * 60 * 1000;
+const policy = { firstResponseHours: 4, resolutionHours: 24 };
+
+const makeTicket = (overrides = {}) => {
+  const dueDates = getDueDates(0, policy);
+  return {
+    status: 'open',
+    firstRespondedAt: null,
+    resolvedAt: null,
+    slaPausedAt: null,
+    slaPausedMs: 0,
+    ...dueDates,
+    ...overrides,
+  };
+};
+
+test('computes due dates from the policy', () => {
+  expect(getDueDates(1000, policy)).toEqual({
+    firstResponseDueAt: 1000 + 4 * HOUR,
+    resolutionDueAt: 1000 + 24 * HOUR,
+  });
+});
+
+test('ignores tickets created before SLAs existed', () => {
+  expect(getSlaStatus({ status: 'open' }, 0)).toBeNull();
+});
+
+test('tracks first response until an admin responds, then resolution', () => {
+  expect(getSlaStatus(makeTicket(), HOUR)).toEqual({
+    state: 'ok',
+    label: 'Response due in 3h',
+  });
+  expect(getSlaStatus(makeTicket({ firstRespondedAt: HOUR }), HOUR).label).toBe(
+    'Resolution due in 23h',
+  );
+});
+
+test('warns when a deadline is close and flags breaches', () => {
+  const ticket = makeTicket();
+  expect(getSlaStatus(ticket, 4 * HOUR - SLA_WARNING_MS).state).toBe('warning');
+  expect(getSlaStatus(ticket, 5 * HOUR)).toEqual({
+    state: 'breached',
+    label: 'Response breached',
+  });
+});
+
+test('freezes the clock while waiting on the client', () => {
+  const ticket = makeTicket({ status: 'waiting', slaPausedAt: HOUR });
+  expect(getSlaStatus(ticket, 100 * HOUR).state).toBe('paused');
+
+  const resumed = resumeDueDates(ticket, 3 * HOUR);
+  expect(resumed).toEqual({
+    firstResponseDueAt: 6 * HOUR,
+    resolutionDueAt: 26 * HOUR,
+    slaPausedMs: 2 * HOUR,
+  });
+});
+
+test('judges finished tickets on when they were resolved', () => {
+  expect(getSlaStatus(makeTicket({ status: 'resolved', resolvedAt: 10 * HOUR })).state).toBe('met');
+  expect(getSlaStatus(makeTicket({ status: 'closed', resolvedAt: 30 * HOUR })).state).toBe(
+    'breached',
+  );
+});
@@ -0,0 +1,175 @@
+/**
+ * @format
+ * @jest-environment node
+ */
+
+// Runs storage.rules against the local Storage emulator. The rules look up
+// tickets and roles in Firestore, so both emulators have to be running.
+// Start them with `npm run test:rules` (see setup.md), not the regular `npm test`.
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} from '@firebase/rules-unit-testing';
+import { doc, setDoc, updateDoc } from 'firebase/firestore';
+import { ref, uploadBytes, getMetadata } from 'firebase/storage';
+
+const MB = 1024 * 1024;
+
+let testEnv;
+
+// Splits "host:port" from an emulator environment variable
+const hostAndPort = (value, fallback) => {
+  const [host, port] = (value || fallback).split(':');
+  return { host, port: Number(port) };
+};
+
+// Storage for a signed-in user, or for a signed-out visitor when uid is null
+const storage = uid =>
+  uid
+    ? testEnv.authenticatedContext(uid).storage()
+    : testEnv.unauthenticatedContext().storage();
+
+// Reference to an attachment of the given ticket
+const attachment = (uid, ticketId, fileName = 'screenshot.png') =>
+  ref(storage(uid), `tickets/${ticketId}/attachment-1/${fileName}`);
+
+// Uploads a file the way uploadAttachment does, with the uploader in its metadata
+const upload = (
+  fileRef,
+  uploadedById,
+  size = 1024,
+  contentType = 'image/png',
+) =>
+  uploadBytes(fileRef, new Uint8Array(size), {
+    contentType,
+    customMetadata: { uploadedById },
+  });
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-taskrelay-rules',
+    firestore: {
+      ...hostAndPort(process.env.FIRESTORE_EMULATOR_HOST, '127.0.0.1:8080'),
+      rules: readFileSync(
+        path.resolve(__dirname, '../firestore.rules'),
+        'utf8',
+      ),
+    },
+    storage: {
+      ...hostAndPort(
+        process.env.FIREBASE_STORAGE_EMULATOR_HOST,
+        '127.0.0.1:9199',
+      ),
+      rules: readFileSync(path.resolve(__dirname, '../storage.rules'), 'utf8'),
+    },
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.clearStorage();
+  await testEnv.withSecurityRulesDisabled(async context => {
+    const db = context.firestore();
+    await setDoc(doc(db, 'users/alice'), { name: 'Alice', role: 'client' });
+    await setDoc(doc(db, 'users/bob'), { name: 'Bob', role: 'client' });
+    await setDoc(doc(db, 'users/ada'), { name: 'Ada', role: 'admin' });
+    await setDoc(doc(db, 'tickets/alice-ticket'), {
+      title: 'Login button broken',
+      clientId: 'alice',
+    });
+
+    await upload(
+      ref(context.storage(), 'tickets/alice-ticket/attachment-0/log.txt'),
+      'alice',
+      100,
+      'text/plain',
+    );
+  });
+});
+
+describe('ticket attachments', () => {
+  const existing = uid =>
+    ref(storage(uid), 'tickets/alice-ticket/attachment-0/log.txt');
+
+  test('the ticket owner uploads and reads attachments', async () => {
+    await assertSucceeds(upload(attachment('alice', 'alice-ticket'), 'alice'));
+    await assertSucceeds(getMetadata(existing('alice')));
+  });
+
+  test('admins upload and read attachments on any ticket', async () => {
+    await assertSucceeds(upload(attachment('ada', 'alice-ticket'), 'ada'));
+    await assertSucceeds(getMetadata(existing('ada')));
+  });
+
+  test('other clients and signed-out visitors are kept out', async () => {
+    await assertFails(upload(attachment('bob', 'alice-ticket'), 'bob'));
+    await assertFails(getMetadata(existing('bob')));
+    await assertFails(upload(attachment(null, 'alice-ticket'), 'alice'));
+    await assertFails(getMetadata(existing(null)));
+  });
+
+  test("clients watching the ticket can't see or add attachments", async () => {
+    await testEnv.withSecurityRulesDisabled(async context => {
+      await updateDoc(doc(context.firestore(), 'tickets/alice-ticket'), {
+        watcherIds: ['bob'],
+      });
+    });
+
+    await assertFails(upload(attachment('bob', 'alice-ticket'), 'bob'));
+    await assertFails(getMetadata(existing('bob')));
+    await assertFails(upload(existing('bob'), 'bob', 100, 'text/plain'));
+  });
+
+  test('uploads name their own uploader', async () => {
+    await assertFails(upload(attachment('alice', 'alice-ticket'), 'bob'));
+  });
+
+  test('only the uploader can replace a file', async () => {
+    await assertSucceeds(upload(existing('alice'), 'alice', 100, 'text/plain'));
+    await assertFails(upload(existing('ada'), 'ada', 100, 'text/plain'));
+  });
+
+  test('files over 10 MB are rejected', async () => {
+    await assertSucceeds(
+      upload(attachment('alice', 'alice-ticket'), 'alice', 10 * MB),
+    );
+    await assertFails(
+      upload(attachment('alice', 'alice-ticket'), 'alice', 10 * MB + 1),
+    );
+  });
+
+  test('only the allowed content types can be uploaded', async () => {
+    await assertSucceeds(
+      upload(
+        attachment('alice', 'alice-ticket', 'report.pdf'),
+        'alice',
+        1024,
+        'application/pdf',
+      ),
+    );
+    await assertFails(
+      upload(
+        attachment('alice', 'alice-ticket', 'setup.exe'),
+        'alice',
+        1024,
+        'application/x-msdownload',
+      ),
+    );
+    await assertFails(
+      upload(
+        attachment('alice', 'alice-ticket', 'page.html'),
+        'alice',
+        1024,
+        'text/html',
+      ),
+    );
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { setBackend } from '../src/backend';
+import { createMemoryBackend } from '../src/backend/memoryBackend';
+import { DEMO_PASSWORD } from '../src/backend/demoData';
+import {
+  createDraftId,
+  saveDraft,
+  getDrafts,
+  deleteDraft,
+  getActiveDraft,
+  clearActiveDraft,
+} from '../src/services/ticketDrafts';
+
+const draft = (name, title = name) => ({
+  id: createDraftId(),
+  name,
+  title,
+  description: '',
+  type: 'bug',
+  priority: 'medium',
+  customFields: {},
+});
+
+describe('ticket drafts', () => {
+  let backend;
+  let now;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    backend = createMemoryBackend();
+    setBackend(backend);
+    await backend.signIn('client@demo.taskrelay', DEMO_PASSWORD);
+
+    // Every save gets a later updatedAt
+    now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => (now += 1000));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("keeps each user's drafts apart", async () => {
+    await saveDraft(draft('Login bug'));
+
+    await backend.signIn('riley@demo.taskrelay', DEMO_PASSWORD);
+    expect(await getDrafts()).toEqual([]);
+    expect(await getActiveDraft()).toBeNull();
+    await saveDraft(draft('Export idea'));
+
+    await backend.signIn('client@demo.taskrelay', DEMO_PASSWORD);
+    expect((await getDrafts()).map(saved => saved.name)).toEqual(['Login bug']);
+    expect((await getActiveDraft()).name).toBe('Login bug');
+  });
+
+  it('lists drafts by when they were last edited', async () => {
+    const first = await saveDraft(draft('First'));
+    await saveDraft(draft('Second'));
+    expect((await getDrafts()).map(saved => saved.name)).toEqual([
+      'Second',
+      'First',
+    ]);
+
+    await saveDraft({ ...first, title: 'First, edited' });
+    const drafts = await getDrafts();
+    expect(drafts.map(saved => saved.name)).toEqual(['First', 'Second']);
+    expect(drafts[0].title).toBe('First, edited');
+  });
+
+  it('makes the last saved draft the active one', async () => {
+    const first = await saveDraft(draft('First'));
+    await saveDraft(draft('Second'));
+    expect((await getActiveDraft()).name).toBe('Second');
+
+    await saveDraft(first);
+    expect((await getActiveDraft()).id).toBe(first.id);
+
+    await clearActiveDraft();
+    expect(await getActiveDraft()).toBeNull();
+    expect(await getDrafts()).toHaveLength(2); // Only the form was cleared
+  });
+
+  it('forgets the active draft when it is deleted', async () => {
+    const first = await saveDraft(draft('First'));
+    const second = await saveDraft(draft('Second'));
+
+    await deleteDraft(first.id);
+    expect((await getActiveDraft()).id).toBe(second.id); // Another draft stays active
+
+    await deleteDraft(second.id);
+    expect(await getActiveDraft()).toBeNull();
+    expect(await getDrafts()).toEqual([]);
+  });
+
+  it('needs an ID and a signed-in user', async () => {
+    await expect(saveDraft({ ...draft('No ID'), id: null })).rejects.toThrow(
+      'Draft ID is required',
+    );
+
+    await backend.signOut();
+    await expect(getDrafts()).rejects.toThrow('logged in');
+  });
+});
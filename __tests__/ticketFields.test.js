@@ -0,0 +1,63 @@
+/**
+ * @format
+ */
+
+import {
+  toFieldName,
+  validateFieldSchema,
+  validateFieldValues,
+} from '../src/config/ticketFields';
+
+const fields = [
+  { name: 'steps', label: 'Steps', kind: 'multiline', required: true },
+  {
+    name: 'browser',
+    label: 'Browser',
+    kind: 'select',
+    required: false,
+    options: ['Chrome', 'Safari'],
+  },
+  { name: 'blocking', label: 'Blocking', kind: 'checkbox', required: false },
+];
+
+describe('ticket fields', () => {
+  it('turns labels into field names', () => {
+    expect(toFieldName('Steps to reproduce')).toBe('stepsToReproduce');
+    expect(toFieldName(' Device / OS ')).toBe('deviceOs');
+  });
+
+  it('keeps filled-in answers in form order with their labels', () => {
+    expect(
+      validateFieldValues(fields, {
+        blocking: true,
+        steps: ' Click save ',
+        browser: '',
+      }),
+    ).toEqual([
+      { name: 'steps', label: 'Steps', kind: 'multiline', value: 'Click save' },
+      { name: 'blocking', label: 'Blocking', kind: 'checkbox', value: true },
+    ]);
+  });
+
+  it('rejects missing required answers and unknown choices', () => {
+    expect(() => validateFieldValues(fields, { steps: '  ' })).toThrow(
+      'Steps is required',
+    );
+    expect(() =>
+      validateFieldValues(fields, { steps: 'x', browser: 'Edge' }),
+    ).toThrow('Browser must be one of: Chrome, Safari');
+  });
+
+  it('checks field definitions before they are saved', () => {
+    expect(() => validateFieldSchema(fields)).not.toThrow();
+    expect(() => validateFieldSchema([fields[0], fields[0]])).toThrow(
+      'Two fields are called "Steps"',
+    );
+    expect(() =>
+      validateFieldSchema([{ ...fields[1], options: ['Chrome'] }]),
+    ).toThrow('needs at least two choices');
+    expect(() => validateFieldSchema([{ ...fields[0], kind: 'date' }])).toThrow(
+      'unknown kind',
+    );
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * @format
+ */
+
+import { addLink, removeLink, validateLink } from '../src/config/ticketLinks';
+
+const ticket = (id, links = []) => ({ id, links });
+
+describe('ticket links', () => {
+  it('stores the inverse kind on the other ticket', () => {
+    expect(addLink(ticket('a'), ticket('b'), 'blocks')).toEqual({
+      ticketLinks: [{ ticketId: 'b', type: 'blocks' }],
+      targetLinks: [{ ticketId: 'a', type: 'blocked-by' }],
+    });
+    expect(addLink(ticket('a'), ticket('b'), 'related-to').targetLinks).toEqual(
+      [{ ticketId: 'a', type: 'related-to' }],
+    );
+  });
+
+  it('removes the link from both tickets only', () => {
+    const a = ticket('a', [
+      { ticketId: 'b', type: 'blocks' },
+      { ticketId: 'c', type: 'related-to' },
+    ]);
+    const b = ticket('b', [{ ticketId: 'a', type: 'blocked-by' }]);
+
+    expect(removeLink(a, b)).toEqual({
+      ticketLinks: [{ ticketId: 'c', type: 'related-to' }],
+      targetLinks: [],
+    });
+  });
+
+  it('rejects unknown kinds, self links and second links', () => {
+    expect(() => validateLink(ticket('a'), ticket('b'), 'fixes')).toThrow(
+      'Link must be one of',
+    );
+    expect(() => validateLink(ticket('a'), ticket('a'), 'blocks')).toThrow(
+      'itself',
+    );
+
+    const linked = ticket('a', [{ ticketId: 'b', type: 'related-to' }]);
+    expect(() => validateLink(linked, ticket('b'), 'blocks')).toThrow(
+      'already linked',
+    );
+  });
+
+  it('lets a ticket duplicate only one other ticket', () => {
+    const duplicate = ticket('a', [{ ticketId: 'b', type: 'duplicate-of' }]);
+
+    expect(() => validateLink(duplicate, ticket('c'), 'duplicate-of')).toThrow(
+      'only be a duplicate of one',
+    );
+    // Seen from the canonical side: c duplicated-by a would make a a duplicate again
+    expect(() => validateLink(ticket('c'), duplicate, 'duplicated-by')).toThrow(
+      'only be a duplicate of one',
+    );
+    expect(() =>
+      validateLink(ticket('c'), duplicate, 'related-to'),
+    ).not.toThrow();
+  });
+});
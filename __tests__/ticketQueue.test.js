@@ -0,0 +1,89 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { setBackend } from '../src/backend';
+import { createMemoryBackend } from '../src/backend/memoryBackend';
+import { DEMO_PASSWORD } from '../src/backend/demoData';
+import {
+  enqueueTicket,
+  flushTicketQueue,
+  getQueuedTickets,
+} from '../src/services/ticketQueue';
+
+const ticket = {
+  title: 'Dark mode for reports',
+  description: 'The reports page is very bright at night.',
+  type: 'feature',
+  priority: 'low',
+  customFields: {},
+  diagnostics: null,
+};
+
+describe('ticket queue', () => {
+  let backend;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    backend = createMemoryBackend();
+    setBackend(backend);
+    await backend.signIn('client@demo.taskrelay', DEMO_PASSWORD);
+  });
+
+  it('creates a queued ticket exactly once, however often it is flushed', async () => {
+    const before = await backend.countTickets();
+    const entry = await enqueueTicket(ticket);
+
+    const [first, second] = await Promise.all([
+      flushTicketQueue(),
+      flushTicketQueue(),
+    ]);
+    await flushTicketQueue();
+
+    expect(first).toEqual([]);
+    expect(second).toBe(first); // The overlapping call joined the running flush
+    expect(await backend.countTickets()).toBe(before + 1);
+    expect((await backend.getTicketById(entry.id)).title).toBe(ticket.title);
+    expect(await getQueuedTickets()).toEqual([]);
+  });
+
+  it('keeps a ticket that could not reach the server for the next attempt', async () => {
+    const createTicket = jest
+      .spyOn(backend, 'createTicket')
+      .mockRejectedValueOnce(
+        new Error(
+          '[firestore/unavailable] The service is currently unavailable.',
+        ),
+      );
+    const entry = await enqueueTicket(ticket);
+
+    const remaining = await flushTicketQueue();
+    expect(remaining).toEqual([
+      expect.objectContaining({
+        id: entry.id,
+        lastError:
+          '[firestore/unavailable] The service is currently unavailable.',
+        failed: false,
+      }),
+    ]);
+    expect(await getQueuedTickets()).toEqual(remaining);
+
+    await expect(flushTicketQueue()).resolves.toEqual([]);
+    expect(createTicket).toHaveBeenCalledTimes(2);
+  });
+
+  it('stops sending a ticket the server rejected', async () => {
+    const createTicket = jest.spyOn(backend, 'createTicket');
+    const entry = await enqueueTicket({ ...ticket, priority: 'whenever' });
+
+    const remaining = await flushTicketQueue();
+    expect(remaining).toEqual([
+      expect.objectContaining({ id: entry.id, failed: true }),
+    ]);
+    expect(remaining[0].lastError).toBeTruthy();
+
+    await flushTicketQueue();
+    expect(createTicket).toHaveBeenCalledTimes(1);
+  });
+});
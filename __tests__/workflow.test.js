@@ -0,0 +1,48 @@
+/**
+ * @format
+ */
+
+import {
+  TICKET_TRANSITIONS,
+  getAvailableTransitions,
+  validateTransition,
+} from '../src/config/workflow';
+import { TICKET_STATUSES } from '../src/config/statuses';
+
+describe('ticket workflow', () => {
+  it('only uses known statuses', () => {
+    TICKET_TRANSITIONS.forEach(transition => {
+      expect(TICKET_STATUSES).toContain(transition.from);
+      expect(TICKET_STATUSES).toContain(transition.to);
+    });
+  });
+
+  it('leaves every status with a way out', () => {
+    TICKET_STATUSES.forEach(status => {
+      expect(getAvailableTransitions(status, 'admin').length).toBeGreaterThan(0);
+    });
+  });
+
+  it('offers only the changes allowed from the current status', () => {
+    const targets = getAvailableTransitions('closed', 'admin').map(t => t.to);
+    expect(targets).toEqual(['open']);
+  });
+
+  it('refuses changes that are not in the workflow', () => {
+    expect(() => validateTransition('closed', 'in-progress', 'admin', 'why')).toThrow(
+      "can't move from closed to in-progress",
+    );
+    expect(() => validateTransition('open', 'open', 'admin')).toThrow('already open');
+    expect(() => validateTransition('open', 'done', 'admin')).toThrow('Status must be one of');
+  });
+
+  it('checks the role and required reason', () => {
+    expect(() => validateTransition('open', 'in-progress', 'client')).toThrow(
+      "don't have permission",
+    );
+    expect(() => validateTransition('closed', 'open', 'admin', '  ')).toThrow(
+      'Please give a reason',
+    );
+    expect(validateTransition('closed', 'open', 'admin', 'Still broken').to).toBe('open');
+  });
+});
@@ -3,7 +3,12 @@
  */
 
 import { AppRegistry } from 'react-native';
+import Config from 'react-native-config';
 import App from './App';
 import { name as appName } from './app.json';
+import { configureBackend } from './src/backend';
+
+// Pick where app data lives ('firebase' or the offline 'memory' demo)
+configureBackend(Config.DATA_BACKEND);
 
 AppRegistry.registerComponent(appName, () => App);
@@ -1,3 +1,10 @@
 module.exports = {
   preset: 'react-native',
+  setupFiles: ['<rootDir>/jest.setup.js'],
+  // React Navigation and some native modules ship untranspiled ES modules
+  transformIgnorePatterns: [
+    'node_modules/(?!((jest-)?react-native|@react-native(-community)?|@react-native-async-storage|@react-native-documents|@react-navigation)/)',
+  ],
+  // Security rules tests need the Firestore and Storage emulators; run them with `npm run test:rules`
+  testPathIgnorePatterns: ['/node_modules/', '\\.rules\\.test\\.js$'],
 };
@@ -0,0 +1,7 @@
+// Jest config for the security rules suites, which talk to the Firestore and Storage emulators.
+// Run through `npm run test:rules` so the emulator is started and stopped around it.
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/__tests__/*.rules.test.js'],
+  testTimeout: 20000,
+};
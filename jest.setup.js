@@ -0,0 +1,21 @@
+/* eslint-env jest */
+// Native modules have no implementation under Jest; the screens run against
+// the in-memory backend (src/backend) so Firebase is never loaded here.
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+jest.mock('@react-native-community/netinfo', () =>
+  require('@react-native-community/netinfo/jest/netinfo-mock'),
+);
+
+jest.mock('react-native-config', () => ({}));
+
+jest.mock('@react-native-documents/picker', () => ({
+  pick: jest.fn(),
+  keepLocalCopy: jest.fn(),
+  types: {},
+  errorCodes: {},
+  isErrorWithCode: () => false,
+}));
@@ -0,0 +1,96 @@
+// DEMO DATA - Sample accounts and tickets loaded into the in-memory backend
+
+/**
+ * Accounts you can sign in with when the app runs on the in-memory backend
+ * @description Everyone uses the password "password"
+ */
+export const DEMO_USERS = [
+    { uid: 'demo-client', email: 'client@demo.taskrelay', name: 'Casey Client', role: 'client' },
+    { uid: 'demo-client-2', email: 'riley@demo.taskrelay', name: 'Riley Reporter', role: 'client' },
+    { uid: 'demo-admin', email: 'admin@demo.taskrelay', name: 'Avery Admin', role: 'admin' },
+    { uid: 'demo-admin-2', email: 'sam@demo.taskrelay', name: 'Sam Support', role: 'admin' }
+];
+
+// Password shared by every demo account
+export const DEMO_PASSWORD = 'password';
+
+/**
+ * Extra ticket types an admin has added, on top of bug and feature
+ */
+export const DEMO_TICKET_TYPES = [
+    {
+        key: 'question',
+        label: 'Question',
+        icon: '❓',
+        color: '#0891b2',
+        active: true,
+        fields: [
+            { name: 'topic', label: 'Topic', kind: 'select', required: false, options: ['Account', 'Billing', 'Other'] }
+        ]
+    }
+];
+
+/**
+ * Labels an admin has set up for sorting tickets by area
+ */
+export const DEMO_LABELS = [
+    { id: 'demo-label-android', name: 'Android only', color: '#059669' },
+    { id: 'demo-label-billing', name: 'Billing', color: '#2563eb' },
+    { id: 'demo-label-login', name: 'Login', color: '#d97706' }
+];
+
+/**
+ * Tickets present when the demo starts
+ * @description hoursAgo is when the ticket was filed, relative to app start;
+ *   voterIds are the clients who voted for it on the feature board
+ */
+export const DEMO_TICKETS = [
+    {
+        title: 'App crashes when uploading a profile photo',
+        description: 'Picking a photo from the gallery closes the app straight away. Happens every time on my phone.',
+        type: 'bug',
+        customFields: [
+            { name: 'steps', label: 'Steps to reproduce', kind: 'multiline', value: '1. Open Profile\n2. Tap the photo\n3. Pick any image from the gallery' },
+            { name: 'environment', label: 'Environment', kind: 'text', value: 'Pixel 7, Android 14' }
+        ],
+        priority: 'high',
+        status: 'in-progress',
+        clientId: 'demo-client',
+        assigneeId: 'demo-admin',
+        labelIds: ['demo-label-android'],
+        hoursAgo: 30
+    },
+    {
+        title: 'Dark mode',
+        description: 'It would be great to have a dark theme for using the app at night.',
+        type: 'feature',
+        priority: 'low',
+        status: 'open',
+        clientId: 'demo-client',
+        assigneeId: null,
+        hoursAgo: 6
+    },
+    {
+        title: 'Password reset email never arrives',
+        description: 'I requested a reset three times and nothing arrived, not even in spam.',
+        type: 'bug',
+        priority: 'urgent',
+        status: 'open',
+        clientId: 'demo-client-2',
+        assigneeId: null,
+        labelIds: ['demo-label-login'],
+        hoursAgo: 2
+    },
+    {
+        title: 'Export tickets to CSV',
+        description: 'We need to share ticket history with our accountant every month.',
+        type: 'feature',
+        priority: 'medium',
+        status: 'resolved',
+        clientId: 'demo-client-2',
+        assigneeId: 'demo-admin-2',
+        public: true, // Listed on the feature board
+        voterIds: ['demo-client', 'demo-client-2'],
+        hoursAgo: 96
+    }
+];
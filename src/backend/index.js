@@ -0,0 +1,155 @@
+// DATA BACKEND - The single entry point screens use to read and write app data
+// Screens, hooks and services import from here instead of a specific backend,
+// so the app can run against Firebase or entirely in memory (tests, demos).
+
+export {
+    TICKET_PAGE_SIZE,
+    ADMIN_INVITE_EXPIRY_DAYS,
+    SHARED_TICKET_TYPE,
+    BULK_TICKET_LIMIT,
+    matchesTicketSearch
+} from './shared';
+
+/**
+ * Functions every backend provides. See src/config/firebase.js for the
+ * documentation of each one; src/backend/memoryBackend.js behaves the same way.
+ * @typedef {object} Backend
+ *
+ * Auth:    subscribeToAuthState, signUp, signIn, signOut, getCurrentUser
+ * Users:   getUserRole, subscribeToUserProfile, getClients, getAdmins,
+ *          createAdminInvite, subscribeToAdminInvites, revokeAdminInvite,
+ *          redeemAdminInvite, requestAdminAccess, subscribeToAdminRequests,
+ *          reviewAdminRequest
+ * Tickets: getSlaPolicy, getWorkflowSettings, getTicketTypes,
+ *          subscribeToTicketTypes, saveTicketType, subscribeToLabels, saveLabel,
+ *          deleteLabel, generateTicketId, createTicket,
+ *          getMyTickets, getAllTickets, loadMoreTickets, countTickets,
+ *          getTicketById, subscribeToTicket, getSharedTickets, watchTicket,
+ *          searchTickets, linkTickets, unlinkTickets, mergeTicket,
+ *          setTicketPublic, subscribeToFeatureBoard, setVote,
+ *          assignTicket, updateTicketStatus,
+ *          subscribeToStatusHistory, closeStaleResolvedTickets,
+ *          updateTicketPriority, setTicketLabels, bulkUpdateTickets, addComment,
+ *          subscribeToComments, uploadAttachment, subscribeToAttachments
+ * Inbox:   subscribeToNotifications, subscribeToUnreadNotificationCount,
+ *          markNotificationRead, markAllNotificationsRead
+ */
+
+// Backends that can be picked by name (see configureBackend)
+const BACKEND_NAMES = ['firebase', 'memory'];
+
+let activeBackend = null;
+
+/**
+ * Replaces the backend used by the whole app
+ * @param {Backend} backend - Backend object, e.g. createMemoryBackend()
+ * @description Call before the first render. Tests use this to run screens
+ *   against a fresh in-memory backend.
+ */
+export const setBackend = (backend) => {
+    activeBackend = backend;
+};
+
+/**
+ * Gets the backend in use
+ * @returns {Backend} The active backend
+ * @description Defaults to Firebase. It is loaded on first use so the native
+ *   Firebase modules are never touched when another backend is selected.
+ */
+export const getBackend = () => {
+    if (!activeBackend) {
+        activeBackend = require('../config/firebase');
+    }
+    return activeBackend;
+};
+
+/**
+ * Selects a backend by name at startup
+ * @param {string} name - 'firebase' (default) or 'memory'
+ * @throws {Error} If the name is unknown
+ * @description Called from index.js with the DATA_BACKEND setting from .env
+ */
+export const configureBackend = (name = 'firebase') => {
+    const backendName = name || 'firebase';
+    if (!BACKEND_NAMES.includes(backendName)) {
+        throw new Error(`DATA_BACKEND must be one of: ${BACKEND_NAMES.join(', ')}`);
+    }
+
+    if (backendName === 'memory') {
+        // Loaded only when picked, like Firebase in getBackend, so the demo data
+        // isn't set up in apps that never use it
+        const { createMemoryBackend } = require('./memoryBackend');
+        setBackend(createMemoryBackend());
+    } else {
+        activeBackend = null; // Firebase is loaded lazily by getBackend
+    }
+};
+
+// ---------- Auth ----------
+
+export const subscribeToAuthState = (...args) => getBackend().subscribeToAuthState(...args);
+export const signUp = (...args) => getBackend().signUp(...args);
+export const signIn = (...args) => getBackend().signIn(...args);
+export const signOut = (...args) => getBackend().signOut(...args);
+export const getCurrentUser = (...args) => getBackend().getCurrentUser(...args);
+
+// ---------- Users ----------
+
+export const getUserRole = (...args) => getBackend().getUserRole(...args);
+export const subscribeToUserProfile = (...args) => getBackend().subscribeToUserProfile(...args);
+export const getClients = (...args) => getBackend().getClients(...args);
+export const getAdmins = (...args) => getBackend().getAdmins(...args);
+export const createAdminInvite = (...args) => getBackend().createAdminInvite(...args);
+export const subscribeToAdminInvites = (...args) => getBackend().subscribeToAdminInvites(...args);
+export const revokeAdminInvite = (...args) => getBackend().revokeAdminInvite(...args);
+export const redeemAdminInvite = (...args) => getBackend().redeemAdminInvite(...args);
+export const requestAdminAccess = (...args) => getBackend().requestAdminAccess(...args);
+export const subscribeToAdminRequests = (...args) => getBackend().subscribeToAdminRequests(...args);
+export const reviewAdminRequest = (...args) => getBackend().reviewAdminRequest(...args);
+
+// ---------- Tickets ----------
+
+export const getSlaPolicy = (...args) => getBackend().getSlaPolicy(...args);
+export const getWorkflowSettings = (...args) => getBackend().getWorkflowSettings(...args);
+export const getTicketTypes = (...args) => getBackend().getTicketTypes(...args);
+export const subscribeToTicketTypes = (...args) => getBackend().subscribeToTicketTypes(...args);
+export const saveTicketType = (...args) => getBackend().saveTicketType(...args);
+export const subscribeToLabels = (...args) => getBackend().subscribeToLabels(...args);
+export const saveLabel = (...args) => getBackend().saveLabel(...args);
+export const deleteLabel = (...args) => getBackend().deleteLabel(...args);
+export const generateTicketId = (...args) => getBackend().generateTicketId(...args);
+export const createTicket = (...args) => getBackend().createTicket(...args);
+export const getMyTickets = (...args) => getBackend().getMyTickets(...args);
+export const getAllTickets = (...args) => getBackend().getAllTickets(...args);
+export const loadMoreTickets = (...args) => getBackend().loadMoreTickets(...args);
+export const countTickets = (...args) => getBackend().countTickets(...args);
+export const getTicketById = (...args) => getBackend().getTicketById(...args);
+export const subscribeToTicket = (...args) => getBackend().subscribeToTicket(...args);
+export const getSharedTickets = (...args) => getBackend().getSharedTickets(...args);
+export const watchTicket = (...args) => getBackend().watchTicket(...args);
+export const searchTickets = (...args) => getBackend().searchTickets(...args);
+export const linkTickets = (...args) => getBackend().linkTickets(...args);
+export const unlinkTickets = (...args) => getBackend().unlinkTickets(...args);
+export const mergeTicket = (...args) => getBackend().mergeTicket(...args);
+export const setTicketPublic = (...args) => getBackend().setTicketPublic(...args);
+export const subscribeToFeatureBoard = (...args) => getBackend().subscribeToFeatureBoard(...args);
+export const setVote = (...args) => getBackend().setVote(...args);
+export const assignTicket = (...args) => getBackend().assignTicket(...args);
+export const updateTicketStatus = (...args) => getBackend().updateTicketStatus(...args);
+export const subscribeToStatusHistory = (...args) => getBackend().subscribeToStatusHistory(...args);
+export const closeStaleResolvedTickets = (...args) => getBackend().closeStaleResolvedTickets(...args);
+export const updateTicketPriority = (...args) => getBackend().updateTicketPriority(...args);
+export const setTicketLabels = (...args) => getBackend().setTicketLabels(...args);
+export const bulkUpdateTickets = (...args) => getBackend().bulkUpdateTickets(...args);
+export const addComment = (...args) => getBackend().addComment(...args);
+export const subscribeToComments = (...args) => getBackend().subscribeToComments(...args);
+export const uploadAttachment = (...args) => getBackend().uploadAttachment(...args);
+export const subscribeToAttachments = (...args) => getBackend().subscribeToAttachments(...args);
+
+// ---------- Notifications ----------
+
+export const subscribeToNotifications = (...args) => getBackend().subscribeToNotifications(...args);
+export const subscribeToUnreadNotificationCount = (...args) =>
+    getBackend().subscribeToUnreadNotificationCount(...args);
+export const markNotificationRead = (...args) => getBackend().markNotificationRead(...args);
+export const markAllNotificationsRead = (...args) => getBackend().markAllNotificationsRead(...args);
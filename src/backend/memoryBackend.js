@@ -0,0 +1,1450 @@
+// MEMORY BACKEND - Complete data backend kept in memory, for tests and offline demos
+// Mirrors the behaviour of src/config/firebase.js (same functions, same data
+// shapes, live subscriptions) without needing a Firebase project or network.
+
+import { DEFAULT_PRIORITY, getPriority } from '../config/priorities';
+import { OPEN_STATUSES } from '../config/statuses';
+import { mergeTicketTypes } from '../config/ticketTypes';
+import { validateTransition, DEFAULT_AUTO_CLOSE_DAYS } from '../config/workflow';
+import { validateAttachment, isImageAttachment } from '../config/attachments';
+import { DEFAULT_SLA_POLICIES, getDueDates, toMillis } from '../utils/sla';
+import {
+    TICKET_PAGE_SIZE,
+    ADMIN_INVITE_EXPIRY_DAYS,
+    SHARED_TICKET_TYPE,
+    SHARED_TICKET_LIMIT,
+    TICKET_SEARCH_LIMIT,
+    TICKET_SEARCH_RESULTS,
+    FEATURE_BOARD_LIMIT,
+    SYSTEM_ACTOR,
+    createInviteCode,
+    validatePriority,
+    validateNewTicket,
+    getTicketDiagnostics,
+    validateTicketType,
+    getSlaUpdates,
+    getNotificationRecipients,
+    getLastUpdatedBy,
+    isWatcherOnly,
+    getAutoCloseCutoff,
+    getAutoCloseReason,
+    matchesTicketSearch,
+    validateMerge,
+    getMergeReason,
+    getMergeUpdates,
+    validateBulkChange,
+    getBulkTicketChange,
+    mapInGroups,
+    BULK_TICKETS_AT_ONCE
+} from './shared';
+import { validateLink, addLink, removeLink } from '../config/ticketLinks';
+import { sortLabels, validateLabel, validateTicketLabels } from '../config/labels';
+import { DEMO_USERS, DEMO_PASSWORD, DEMO_TICKETS, DEMO_TICKET_TYPES, DEMO_LABELS } from './demoData';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Number of notifications shown in the inbox
+const NOTIFICATION_LIMIT = 50;
+
+/**
+ * Creates a timestamp that behaves like a Firestore Timestamp
+ * @param {number} ms - Milliseconds since epoch (defaults to now)
+ * @returns {object} Object with toMillis() and toDate()
+ */
+export const memoryTimestamp = (ms = Date.now()) => ({
+    toMillis: () => ms,
+    toDate: () => new Date(ms)
+});
+
+/**
+ * Sorts a list by a timestamp field
+ * @param {Array<object>} items - Items to sort (not modified)
+ * @param {string} field - Timestamp field name
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array<object>} Sorted copy; ties keep a stable order by ID
+ */
+const sortByTime = (items, field, direction) => {
+    const sign = direction === 'asc' ? 1 : -1;
+    return [...items].sort((a, b) =>
+        sign * ((toMillis(a[field]) || 0) - (toMillis(b[field]) || 0)) || String(a.id || a.code).localeCompare(String(b.id || b.code))
+    );
+};
+
+/**
+ * Creates an in-memory backend
+ * @param {object} options - Optional settings
+ * @param {boolean} options.seed - Load the demo accounts and tickets (default true)
+ * @returns {object} Backend with the same functions as src/config/firebase.js
+ * @description Every write re-runs the live subscriptions on the next tick,
+ *   the way Firestore snapshot listeners fire after a write. Nothing is
+ *   persisted: restarting the app starts from the demo data again.
+ */
+export const createMemoryBackend = ({ seed = true } = {}) => {
+    // "Collections"
+    const accounts = new Map(); // email -> { uid, email, password }
+    const users = new Map(); // uid -> profile
+    const tickets = new Map(); // ticketId -> ticket
+    const comments = new Map(); // ticketId -> Array of comments
+    const history = new Map(); // ticketId -> Array of status changes
+    const attachments = new Map(); // ticketId -> Map of attachmentId -> attachment
+    const notifications = new Map(); // uid -> Array of notifications
+    const adminInvites = new Map(); // code -> invite
+    const adminRequests = new Map(); // uid -> request
+    const slaPolicies = new Map(); // `${type}_${priority}` -> policy
+    const settings = new Map(); // settingsId -> settings document
+    const ticketTypes = new Map(); // typeKey -> type
+    const sharedTickets = new Map(); // ticketId -> { title, type, status, public, description, voteCount, ... }
+    const votes = new Map(); // ticketId -> Set of voter uids
+    const labels = new Map(); // labelId -> { id, name, color, ... }
+
+    let currentUser = null;
+    let idCounter = 0;
+    const authListeners = new Set();
+    const watchers = new Set();
+
+    // Unique IDs that also sort in creation order
+    const createId = (prefix) => `${prefix}-${Date.now().toString(36)}-${(idCounter++).toString(36)}`;
+
+    const listOf = (map, key) => {
+        if (!map.has(key)) {
+            map.set(key, []);
+        }
+        return map.get(key);
+    };
+
+    // Re-runs every live subscription after a write
+    const notifyWatchers = () => {
+        Promise.resolve().then(() => watchers.forEach(run => run()));
+    };
+
+    /**
+     * Registers a live subscription
+     * @param {function} listener - Reads the current data and calls the subscriber's callback
+     * @param {function} onError - Optional error handler
+     * @returns {function} Unsubscribe function
+     */
+    const watch = (listener, onError) => {
+        const run = () => {
+            if (!watchers.has(run)) {
+                return;
+            }
+            try {
+                listener();
+            } catch (error) {
+                if (onError) {
+                    onError(error);
+                }
+                console.error('Error in live subscription:', error);
+            }
+        };
+
+        watchers.add(run);
+        Promise.resolve().then(run); // First snapshot arrives asynchronously, like Firestore
+
+        return () => {
+            watchers.delete(run);
+        };
+    };
+
+    /**
+     * Throws (and reports to onError) when nobody is signed in
+     * @param {string} message - Error message
+     * @param {function} onError - Optional error handler
+     */
+    const requireSignedIn = (message, onError) => {
+        if (!currentUser) {
+            const error = new Error(message);
+            if (onError) {
+                onError(error);
+            }
+            throw error;
+        }
+    };
+
+    const requireTicketId = (ticketId, onError) => {
+        if (!ticketId) {
+            const error = new Error('Ticket ID is required');
+            if (onError) {
+                onError(error);
+            }
+            throw error;
+        }
+    };
+
+    // Profile of the signed-in user, used to attribute writes
+    const getCurrentUserProfile = () => {
+        if (!currentUser) {
+            throw new Error('You must be logged in');
+        }
+        const profile = users.get(currentUser.uid) || {};
+        return {
+            uid: currentUser.uid,
+            email: currentUser.email,
+            name: profile.name || currentUser.email,
+            role: profile.role || null
+        };
+    };
+
+    const getTicketOrThrow = (ticketId) => {
+        const ticket = tickets.get(ticketId);
+        if (!ticket) {
+            throw new Error('Ticket not found');
+        }
+        return ticket;
+    };
+
+    /**
+     * Throws unless the signed-in user is an admin
+     * @param {string} message - Error message
+     * @returns {object} The admin's profile (see getCurrentUserProfile)
+     */
+    const requireAdmin = (message) => {
+        const actor = getCurrentUserProfile();
+        if (actor.role !== 'admin') {
+            throw new Error(message);
+        }
+        return actor;
+    };
+
+    /**
+     * Same check as isOnTicket in firestore.rules: an admin or the ticket's client.
+     * Watchers only see the shared entry and status notifications.
+     * @param {object} ticket - Ticket data
+     * @param {object} user - Profile of the signed-in user
+     * @returns {boolean} True if the user may see the ticket
+     */
+    const isOnTicket = (ticket, user) =>
+        user.role === 'admin' || ticket.clientId === user.uid;
+
+    /**
+     * Throws (and reports to onError) when the signed-in user can't see a ticket
+     * @param {string} ticketId - The unique ID of the ticket
+     * @param {function} onError - Optional error handler
+     * @description Tickets that don't exist pass, as they do in the rules, so
+     *   callers can still report "not found" themselves.
+     */
+    const requireTicketAccess = (ticketId, onError) => {
+        const ticket = tickets.get(ticketId);
+        if (ticket && !(currentUser && isOnTicket(ticket, getCurrentUserProfile()))) {
+            const error = new Error('You do not have access to this ticket');
+            if (onError) {
+                onError(error);
+            }
+            throw error;
+        }
+    };
+
+    const addNotifications = (recipientIds, ticketId, ticketData, actor, type, message) => {
+        recipientIds.forEach(uid => {
+            listOf(notifications, uid).push({
+                id: createId('notification'),
+                type,
+                ticketId,
+                ticketTitle: ticketData.title || '',
+                message,
+                actorId: actor.uid,
+                actorName: actor.name,
+                watching: isWatcherOnly(ticketData, uid),
+                read: false,
+                createdAt: memoryTimestamp()
+            });
+        });
+    };
+
+    const setCurrentUser = (user) => {
+        currentUser = user;
+        Promise.resolve().then(() => authListeners.forEach(listener => listener(currentUser)));
+    };
+
+    // ---------- Auth and users ----------
+
+    const subscribeToAuthState = (callback) => {
+        authListeners.add(callback);
+        Promise.resolve().then(() => {
+            if (authListeners.has(callback)) {
+                callback(currentUser);
+            }
+        });
+        return () => {
+            authListeners.delete(callback);
+        };
+    };
+
+    const signUp = async (email, password, name, adminAccess = {}) => {
+        if (!email || !password || !name) {
+            throw new Error('All fields are required');
+        }
+        if (password.length < 6) {
+            throw new Error('Password must be at least 6 characters');
+        }
+        const key = email.trim().toLowerCase();
+        if (accounts.has(key)) {
+            throw new Error('The email address is already in use by another account.');
+        }
+
+        const user = { uid: createId('user'), email: key };
+        accounts.set(key, { ...user, password });
+        users.set(user.uid, { email: key, name, role: 'client', createdAt: memoryTimestamp() });
+        setCurrentUser(user);
+        notifyWatchers();
+
+        // The account exists either way, so say so if the admin step fails
+        try {
+            if (adminAccess.inviteCode) {
+                await redeemAdminInvite(adminAccess.inviteCode);
+            } else if (adminAccess.requestNote !== undefined) {
+                await requestAdminAccess(adminAccess.requestNote);
+            }
+        } catch (err) {
+            throw new Error(`Your account was created as a client, but: ${err.message}`);
+        }
+
+        return user;
+    };
+
+    const signIn = async (email, password) => {
+        if (!email || !password) {
+            throw new Error('Email and password are required');
+        }
+        const account = accounts.get(email.trim().toLowerCase());
+        if (!account) {
+            throw new Error('No account found with this email');
+        }
+        if (account.password !== password) {
+            throw new Error('Incorrect password');
+        }
+
+        const user = { uid: account.uid, email: account.email };
+        setCurrentUser(user);
+        return user;
+    };
+
+    const signOut = async () => {
+        setCurrentUser(null);
+    };
+
+    const getCurrentUser = () => currentUser;
+
+    const getUserRole = async (userId) => {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        const profile = users.get(userId);
+        if (!profile) {
+            throw new Error('User profile not found');
+        }
+        if (!profile.role) {
+            throw new Error('User role not found');
+        }
+        return profile.role;
+    };
+
+    const subscribeToUserProfile = (userId, callback, onError) => {
+        if (!userId) {
+            const error = new Error('User ID is required');
+            if (onError) {
+                onError(error);
+            }
+            throw error;
+        }
+
+        return watch(() => {
+            const profile = users.get(userId);
+            callback(profile ? { id: userId, ...profile } : null);
+        }, onError);
+    };
+
+    const getUsersByRole = (role) =>
+        [...users.entries()]
+            .filter(([, profile]) => profile.role === role)
+            .map(([id, profile]) => ({ id, name: profile.name || profile.email, email: profile.email }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+    const getClients = async () => getUsersByRole('client');
+
+    const getAdmins = async () => getUsersByRole('admin');
+
+    // ---------- Admin onboarding ----------
+
+    const createAdminInvite = async () => {
+        const creator = getCurrentUserProfile();
+        if (creator.role !== 'admin') {
+            throw new Error('Only admins can invite other admins');
+        }
+
+        const code = createInviteCode();
+        const expiresAt = memoryTimestamp(Date.now() + ADMIN_INVITE_EXPIRY_DAYS * 24 * HOUR_MS);
+        adminInvites.set(code, {
+            createdById: creator.uid,
+            createdByName: creator.name,
+            createdAt: memoryTimestamp(),
+            expiresAt,
+            usedById: null,
+            usedByName: null,
+            usedAt: null
+        });
+        notifyWatchers();
+
+        return { code, expiresAt };
+    };
+
+    const subscribeToAdminInvites = (callback, onError) => {
+        requireSignedIn('You must be logged in to view invites', onError);
+
+        return watch(() => {
+            const unused = [...adminInvites.entries()]
+                .filter(([, invite]) => !invite.usedById)
+                .map(([code, invite]) => ({ code, ...invite }));
+            callback(sortByTime(unused, 'createdAt', 'desc'));
+        }, onError);
+    };
+
+    const revokeAdminInvite = async (code) => {
+        requireAdmin('Only admins can revoke invites');
+        adminInvites.delete(code);
+        notifyWatchers();
+    };
+
+    const redeemAdminInvite = async (code) => {
+        const user = getCurrentUserProfile();
+        const normalized = (code || '').trim().toUpperCase();
+        if (!normalized) {
+            throw new Error('Invite code is required');
+        }
+
+        const invite = adminInvites.get(normalized);
+        if (!invite) {
+            throw new Error('Invite code not found');
+        }
+        if (invite.usedById) {
+            throw new Error('This invite code has already been used');
+        }
+        if (toMillis(invite.expiresAt) < Date.now()) {
+            throw new Error('This invite code has expired');
+        }
+
+        adminInvites.set(normalized, {
+            ...invite,
+            usedById: user.uid,
+            usedByName: user.name,
+            usedAt: memoryTimestamp()
+        });
+        users.set(user.uid, { ...users.get(user.uid), role: 'admin', adminInviteCode: normalized });
+        notifyWatchers();
+    };
+
+    const requestAdminAccess = async (note = '') => {
+        const user = getCurrentUserProfile();
+        if (user.role === 'admin') {
+            throw new Error('You are already an admin');
+        }
+
+        adminRequests.set(user.uid, {
+            name: user.name,
+            email: user.email,
+            note: note.trim() || null,
+            status: 'pending',
+            createdAt: memoryTimestamp(),
+            reviewedById: null,
+            reviewedByName: null,
+            reviewedAt: null
+        });
+        notifyWatchers();
+    };
+
+    const subscribeToAdminRequests = (callback, onError) => {
+        requireSignedIn('You must be logged in to view requests', onError);
+
+        return watch(() => {
+            const pending = [...adminRequests.entries()]
+                .filter(([, request]) => request.status === 'pending')
+                .map(([id, request]) => ({ id, ...request }));
+            callback(sortByTime(pending, 'createdAt', 'asc'));
+        }, onError);
+    };
+
+    const reviewAdminRequest = async (userId, approve) => {
+        const reviewer = getCurrentUserProfile();
+        if (reviewer.role !== 'admin') {
+            throw new Error('Only admins can review requests');
+        }
+
+        const request = adminRequests.get(userId);
+        if (!request || request.status !== 'pending') {
+            throw new Error('This request has already been reviewed');
+        }
+
+        adminRequests.set(userId, {
+            ...request,
+            status: approve ? 'approved' : 'rejected',
+            reviewedById: reviewer.uid,
+            reviewedByName: reviewer.name,
+            reviewedAt: memoryTimestamp()
+        });
+        if (approve && users.has(userId)) {
+            users.set(userId, { ...users.get(userId), role: 'admin' });
+        }
+        notifyWatchers();
+    };
+
+    // ---------- Tickets ----------
+
+    const getSlaPolicy = async (type, priority) => {
+        const fallback = DEFAULT_SLA_POLICIES[priority] || DEFAULT_SLA_POLICIES[DEFAULT_PRIORITY];
+        const policy = slaPolicies.get(`${type}_${priority}`);
+        if (!policy) {
+            return fallback;
+        }
+        return {
+            firstResponseHours: policy.firstResponseHours || fallback.firstResponseHours,
+            resolutionHours: policy.resolutionHours || fallback.resolutionHours
+        };
+    };
+
+    const getWorkflowSettings = async () => {
+        const days = (settings.get('workflow') || {}).autoCloseResolvedDays;
+        return {
+            autoCloseResolvedDays: Number.isFinite(days) && days >= 0 ? days : DEFAULT_AUTO_CLOSE_DAYS
+        };
+    };
+
+    const getTicketTypes = async () => mergeTicketTypes([...ticketTypes.values()]);
+
+    const subscribeToTicketTypes = (callback, onError) => {
+        requireSignedIn('You must be logged in to view ticket types', onError);
+
+        return watch(() => {
+            callback(mergeTicketTypes([...ticketTypes.values()]));
+        }, onError);
+    };
+
+    const saveTicketType = async (type) => {
+        validateTicketType(type);
+
+        const admin = getCurrentUserProfile();
+        if (admin.role !== 'admin') {
+            throw new Error('Only admins can manage ticket types');
+        }
+
+        ticketTypes.set(type.key, {
+            key: type.key,
+            label: type.label.trim(),
+            icon: type.icon.trim(),
+            color: type.color,
+            active: type.active,
+            fields: type.fields || [],
+            updatedById: admin.uid,
+            updatedAt: memoryTimestamp()
+        });
+        notifyWatchers();
+    };
+
+    const subscribeToLabels = (callback, onError) => {
+        requireSignedIn('You must be logged in to view labels', onError);
+
+        return watch(() => {
+            callback(sortLabels([...labels.values()]));
+        }, onError);
+    };
+
+    const saveLabel = async (label) => {
+        const admin = requireAdmin('Only admins can manage labels');
+        validateLabel(label, [...labels.values()]);
+
+        const id = label.id || createId('label');
+        labels.set(id, {
+            id,
+            name: label.name.trim(),
+            color: label.color,
+            updatedById: admin.uid,
+            updatedAt: memoryTimestamp()
+        });
+        notifyWatchers();
+
+        return id;
+    };
+
+    const deleteLabel = async (labelId) => {
+        if (!labelId) {
+            throw new Error('Label ID is required');
+        }
+        requireAdmin('Only admins can manage labels');
+
+        tickets.forEach((ticket, id) => {
+            if ((ticket.labelIds || []).includes(labelId)) {
+                tickets.set(id, { ...ticket, labelIds: ticket.labelIds.filter(other => other !== labelId) });
+            }
+        });
+        labels.delete(labelId);
+        notifyWatchers();
+    };
+
+    const generateTicketId = () => createId('ticket');
+
+    const createTicket = async (
+        title,
+        description,
+        type,
+        priority = DEFAULT_PRIORITY,
+        ticketId = null,
+        customFields = {},
+        diagnostics = null
+    ) => {
+        if (!currentUser) {
+            throw new Error('You must be logged in to create a ticket');
+        }
+        const customFieldAnswers = validateNewTicket(
+            title,
+            description,
+            type,
+            priority,
+            await getTicketTypes(),
+            customFields
+        );
+
+        const id = ticketId || generateTicketId();
+        if (tickets.has(id)) {
+            return id; // An earlier attempt with this ID already created it
+        }
+
+        const client = getCurrentUserProfile();
+        const policy = await getSlaPolicy(type, priority);
+        const now = Date.now();
+        const dueDates = getDueDates(now, policy);
+
+        tickets.set(id, {
+            id,
+            title: title.trim(),
+            description: description.trim(),
+            type,
+            customFields: customFieldAnswers,
+            diagnostics: getTicketDiagnostics(type, diagnostics),
+            priority,
+            suggestedPriority: priority,
+            priorityRank: getPriority(priority).rank,
+            status: 'open',
+            clientId: client.uid,
+            clientName: client.name,
+            clientEmail: client.email,
+            assigneeId: null,
+            assigneeName: null,
+            createdAt: memoryTimestamp(now),
+            updatedAt: memoryTimestamp(now),
+            firstResponseDueAt: memoryTimestamp(dueDates.firstResponseDueAt),
+            resolutionDueAt: memoryTimestamp(dueDates.resolutionDueAt),
+            firstRespondedAt: null,
+            resolvedAt: null,
+            slaPausedAt: null,
+            slaPausedMs: 0,
+            watcherIds: [],
+            public: false,
+            voteCount: 0,
+            labelIds: []
+        });
+        if (type === SHARED_TICKET_TYPE) {
+            sharedTickets.set(id, {
+                title: title.trim(),
+                type,
+                status: 'open',
+                public: false,
+                voteCount: 0,
+                createdAt: memoryTimestamp(now),
+                updatedAt: memoryTimestamp(now)
+            });
+        }
+        notifyWatchers();
+
+        return id;
+    };
+
+    // Same filters and sort order as the Firestore queries in firebase.js
+    const queryTickets = (options) => {
+        if ((options.mine || options.assignedToMe) && !currentUser) {
+            throw new Error('You must be logged in to view tickets');
+        }
+
+        const matches = [...tickets.values()].filter(ticket => {
+            if (options.status && ticket.status !== options.status) {
+                return false;
+            }
+            if (options.type && ticket.type !== options.type) {
+                return false;
+            }
+            if (options.mine) {
+                if (ticket.clientId !== currentUser.uid) {
+                    return false;
+                }
+            } else if (options.clientId && ticket.clientId !== options.clientId) {
+                return false;
+            }
+            if (options.assignedToMe) {
+                if (ticket.assigneeId !== currentUser.uid) {
+                    return false;
+                }
+            } else if (options.assigneeId !== undefined && ticket.assigneeId !== options.assigneeId) {
+                return false;
+            }
+            if (options.labelId && !(ticket.labelIds || []).includes(options.labelId)) {
+                return false;
+            }
+            return true;
+        });
+
+        if (options.sortBy === 'oldest') {
+            return sortByTime(matches, 'createdAt', 'asc');
+        }
+        if (options.sortBy === 'updated') {
+            return sortByTime(matches, 'updatedAt', 'desc');
+        }
+        if (options.sortBy === 'priority') {
+            // Highest priority first, newest first within each level
+            return sortByTime(matches, 'createdAt', 'desc')
+                .sort((a, b) => (b.priorityRank || 0) - (a.priorityRank || 0));
+        }
+        if (options.sortBy === 'votes') {
+            // Firestore breaks ties by document ID, in the direction of the sort
+            return [...matches].sort((a, b) => (b.voteCount || 0) - (a.voteCount || 0) || b.id.localeCompare(a.id));
+        }
+        return sortByTime(matches, 'createdAt', 'desc');
+    };
+
+    // One page of tickets; the cursor is the ID of the last ticket on the page
+    const toTicketPage = (list, pageSize = TICKET_PAGE_SIZE) => {
+        const page = list.slice(0, pageSize).map(ticket => ({ ...ticket }));
+        return {
+            tickets: page,
+            cursor: page.length > 0 ? page[page.length - 1].id : null,
+            hasMore: page.length === pageSize
+        };
+    };
+
+    const getAllTickets = (callback, onError, options = {}) => {
+        return watch(() => {
+            const { tickets: page, cursor, hasMore } = toTicketPage(queryTickets(options));
+            callback(page, { cursor, hasMore });
+        }, onError);
+    };
+
+    const getMyTickets = (callback, onError) => {
+        requireSignedIn('You must be logged in to view tickets', onError);
+        return getAllTickets(callback, onError, { mine: true });
+    };
+
+    const loadMoreTickets = async (cursor, options = {}, pageSize = TICKET_PAGE_SIZE) => {
+        if (!cursor) {
+            throw new Error('A page cursor is required');
+        }
+        const list = queryTickets(options);
+        const index = list.findIndex(ticket => ticket.id === cursor);
+        return toTicketPage(index === -1 ? [] : list.slice(index + 1), pageSize);
+    };
+
+    const countTickets = async (options = {}) => queryTickets(options).length;
+
+    const getTicketById = async (ticketId) => {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+        requireTicketAccess(ticketId);
+        return { ...getTicketOrThrow(ticketId) };
+    };
+
+    const subscribeToTicket = (ticketId, callback, onError) => {
+        requireTicketId(ticketId, onError);
+        requireTicketAccess(ticketId, onError);
+
+        return watch(() => {
+            const ticket = tickets.get(ticketId);
+            callback(ticket ? { ...ticket } : null);
+        }, onError);
+    };
+
+    const getSharedTickets = async () => {
+        if (!currentUser) {
+            throw new Error('You must be logged in to view tickets');
+        }
+        return sortByTime(
+            [...sharedTickets.entries()]
+                .map(([id, shared]) => ({ id, ...shared }))
+                .filter(shared => OPEN_STATUSES.includes(shared.status)),
+            'updatedAt',
+            'desc'
+        ).slice(0, SHARED_TICKET_LIMIT);
+    };
+
+    const watchTicket = async (ticketId) => {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+        if (!currentUser) {
+            throw new Error('You must be logged in to watch a ticket');
+        }
+        const ticket = getTicketOrThrow(ticketId);
+        // Same check as the Firestore rules: only shared requests can be watched
+        if (ticket.type !== SHARED_TICKET_TYPE) {
+            throw new Error('Only feature requests can be watched');
+        }
+
+        const watcherIds = ticket.watcherIds || [];
+        if (!watcherIds.includes(currentUser.uid)) {
+            tickets.set(ticketId, { ...ticket, watcherIds: [...watcherIds, currentUser.uid] });
+            notifyWatchers();
+        }
+    };
+
+    const setTicketPublic = async (ticketId, isPublic) => {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+        requireAdmin('Only admins can publish feature requests');
+        const ticket = getTicketOrThrow(ticketId);
+        if (ticket.type !== SHARED_TICKET_TYPE) {
+            throw new Error('Only feature requests can be made public');
+        }
+
+        tickets.set(ticketId, { ...ticket, public: isPublic });
+        sharedTickets.set(ticketId, {
+            title: ticket.title,
+            type: ticket.type,
+            status: ticket.status,
+            voteCount: 0,
+            createdAt: memoryTimestamp(),
+            ...sharedTickets.get(ticketId),
+            public: isPublic,
+            description: isPublic ? ticket.description : null,
+            updatedAt: memoryTimestamp()
+        });
+        notifyWatchers();
+    };
+
+    const subscribeToFeatureBoard = (callback, onError) => {
+        requireSignedIn('You must be logged in to view the feature board', onError);
+        const uid = currentUser.uid;
+
+        return watch(() => {
+            const board = [...sharedTickets.entries()]
+                .filter(([, shared]) => shared.public)
+                .map(([id, shared]) => ({ id, ...shared, voted: (votes.get(id) || new Set()).has(uid) }))
+                .sort((a, b) => b.voteCount - a.voteCount || b.id.localeCompare(a.id));
+            callback(board.slice(0, FEATURE_BOARD_LIMIT));
+        }, onError);
+    };
+
+    const setVote = async (ticketId, vote) => {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+        const voter = getCurrentUserProfile();
+        if (voter.role !== 'client') {
+            throw new Error('Only clients can vote on feature requests');
+        }
+        const shared = sharedTickets.get(ticketId);
+        if (!shared || (vote && !shared.public)) {
+            throw new Error('This request is not on the feature board');
+        }
+
+        const voters = votes.get(ticketId) || new Set();
+        if (vote === voters.has(voter.uid)) {
+            throw new Error(vote ? 'You already voted for this request' : 'You have not voted for this request');
+        }
+
+        if (vote) {
+            voters.add(voter.uid);
+        } else {
+            voters.delete(voter.uid);
+        }
+        votes.set(ticketId, voters);
+        sharedTickets.set(ticketId, { ...shared, voteCount: voters.size });
+        const ticket = getTicketOrThrow(ticketId);
+        tickets.set(ticketId, { ...ticket, voteCount: voters.size });
+        notifyWatchers();
+    };
+
+    const searchTickets = async (text) => {
+        requireAdmin('Only admins can search all tickets');
+
+        const recent = sortByTime([...tickets.values()], 'updatedAt', 'desc').slice(0, TICKET_SEARCH_LIMIT);
+        const results = recent.filter(ticket => matchesTicketSearch(ticket, text));
+
+        const ticketId = (text || '').trim();
+        if (tickets.has(ticketId) && !results.some(ticket => ticket.id === ticketId)) {
+            results.unshift(tickets.get(ticketId));
+        }
+
+        return results.slice(0, TICKET_SEARCH_RESULTS).map(ticket => ({ ...ticket }));
+    };
+
+    const linkTickets = async (ticketId, targetId, type) => {
+        if (!ticketId || !targetId) {
+            throw new Error('Ticket ID is required');
+        }
+        requireAdmin('Only admins can link tickets');
+        const ticket = getTicketOrThrow(ticketId);
+        const target = getTicketOrThrow(targetId);
+        validateLink(ticket, target, type);
+
+        const { ticketLinks, targetLinks } = addLink(ticket, target, type);
+        tickets.set(ticketId, { ...ticket, links: ticketLinks });
+        tickets.set(targetId, { ...target, links: targetLinks });
+        notifyWatchers();
+    };
+
+    const unlinkTickets = async (ticketId, targetId) => {
+        if (!ticketId || !targetId) {
+            throw new Error('Ticket ID is required');
+        }
+        requireAdmin('Only admins can unlink tickets');
+        const ticket = getTicketOrThrow(ticketId);
+        const target = getTicketOrThrow(targetId);
+
+        const { ticketLinks, targetLinks } = removeLink(ticket, target);
+        tickets.set(ticketId, { ...ticket, links: ticketLinks });
+        tickets.set(targetId, { ...target, links: targetLinks });
+        notifyWatchers();
+    };
+
+    const mergeTicket = async (duplicateId, canonicalId) => {
+        if (!duplicateId || !canonicalId) {
+            throw new Error('Ticket ID is required');
+        }
+        const actor = requireAdmin('Only admins can merge tickets');
+        const duplicate = getTicketOrThrow(duplicateId);
+        const canonical = getTicketOrThrow(canonicalId);
+        validateMerge(duplicate, canonical);
+        const reason = getMergeReason(canonical);
+        validateTransition(duplicate.status, 'closed', actor.role, reason);
+
+        const { duplicateLinks, canonicalLinks, canonicalWatcherIds } = getMergeUpdates(duplicate, canonical);
+
+        // Copied comments get new IDs, so attachments are pointed at the copies
+        const commentIds = {};
+        const copies = listOf(comments, duplicateId).map(comment => {
+            const id = createId('comment');
+            commentIds[comment.id] = id;
+            return { ...comment, id, movedFromTicketId: duplicateId };
+        });
+        comments.set(canonicalId, sortByTime([...listOf(comments, canonicalId), ...copies], 'createdAt', 'asc'));
+
+        if (attachments.has(duplicateId)) {
+            if (!attachments.has(canonicalId)) {
+                attachments.set(canonicalId, new Map());
+            }
+            attachments.get(duplicateId).forEach((attachment, id) => {
+                attachments.get(canonicalId).set(id, {
+                    ...attachment,
+                    commentId: attachment.commentId ? commentIds[attachment.commentId] || null : null,
+                    movedFromTicketId: duplicateId
+                });
+            });
+        }
+
+        tickets.set(canonicalId, {
+            ...canonical,
+            links: canonicalLinks,
+            watcherIds: canonicalWatcherIds,
+            updatedAt: memoryTimestamp(),
+            lastUpdatedById: actor.uid,
+            lastUpdatedByName: actor.name
+        });
+
+        tickets.set(duplicateId, {
+            ...duplicate,
+            status: 'closed',
+            mergedIntoId: canonicalId,
+            links: duplicateLinks,
+            updatedAt: memoryTimestamp(),
+            lastUpdatedById: actor.uid,
+            lastUpdatedByName: actor.name,
+            ...getSlaUpdates(duplicate, 'closed', actor, memoryTimestamp)
+        });
+        listOf(history, duplicateId).push({
+            id: createId('history'),
+            fromStatus: duplicate.status,
+            toStatus: 'closed',
+            actorId: actor.uid,
+            actorName: actor.name,
+            reason,
+            createdAt: memoryTimestamp()
+        });
+        if (sharedTickets.has(duplicateId)) {
+            sharedTickets.set(duplicateId, { ...sharedTickets.get(duplicateId), status: 'closed', updatedAt: memoryTimestamp() });
+        }
+
+        const recipients = getNotificationRecipients(
+            [duplicate.clientId, duplicate.assigneeId, ...(duplicate.watcherIds || [])],
+            actor
+        );
+        addNotifications(recipients, duplicateId, duplicate, actor, 'status', reason);
+        notifyWatchers();
+    };
+
+    const assignTicket = async (ticketId, assignee) => {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+        if (assignee && !assignee.id) {
+            throw new Error('Assignee ID is required');
+        }
+
+        const actor = requireAdmin('Only admins can assign tickets');
+        const ticket = getTicketOrThrow(ticketId);
+
+        tickets.set(ticketId, {
+            ...ticket,
+            assigneeId: assignee ? assignee.id : null,
+            assigneeName: assignee ? assignee.name : null,
+            updatedAt: memoryTimestamp(),
+            lastUpdatedById: actor.uid,
+            lastUpdatedByName: actor.name
+        });
+
+        const recipients = getNotificationRecipients(
+            [ticket.clientId, ticket.assigneeId, assignee ? assignee.id : null],
+            actor
+        );
+        const message = assignee ? `Assigned to ${assignee.name}` : 'No longer assigned to anyone';
+        addNotifications(recipients, ticketId, ticket, actor, 'assignment', message);
+        notifyWatchers();
+    };
+
+    // Shared by updateTicketStatus and auto-closing (see changeTicketStatus in firebase.js)
+    const changeTicketStatus = (ticketId, status, reason, actor, triggeredBy = null) => {
+        const ticket = getTicketOrThrow(ticketId);
+        const fromStatus = ticket.status;
+        validateTransition(fromStatus, status, actor.role, reason);
+
+        tickets.set(ticketId, {
+            ...ticket,
+            status,
+            updatedAt: memoryTimestamp(),
+            ...getLastUpdatedBy(actor),
+            ...getSlaUpdates(ticket, status, actor, memoryTimestamp)
+        });
+
+        listOf(history, ticketId).push({
+            id: createId('history'),
+            fromStatus,
+            toStatus: status,
+            actorId: actor.uid,
+            actorName: actor.name,
+            ...(triggeredBy ? { triggeredById: triggeredBy.uid, triggeredByName: triggeredBy.name } : {}),
+            reason: reason.trim() || null,
+            createdAt: memoryTimestamp()
+        });
+
+        if (sharedTickets.has(ticketId)) {
+            sharedTickets.set(ticketId, { ...sharedTickets.get(ticketId), status, updatedAt: memoryTimestamp() });
+        }
+
+        const recipients = getNotificationRecipients(
+            [ticket.clientId, ticket.assigneeId, ...(ticket.watcherIds || [])],
+            actor
+        );
+        addNotifications(recipients, ticketId, ticket, actor, 'status', `Status changed to ${status}`);
+        notifyWatchers();
+    };
+
+    const updateTicketStatus = async (ticketId, status, reason = '') => {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+        changeTicketStatus(ticketId, status, reason, getCurrentUserProfile());
+    };
+
+    const subscribeToStatusHistory = (ticketId, callback, onError) => {
+        requireTicketId(ticketId, onError);
+        requireTicketAccess(ticketId, onError);
+
+        return watch(() => {
+            callback(listOf(history, ticketId).map(entry => ({ ...entry })));
+        }, onError);
+    };
+
+    const closeStaleResolvedTickets = async () => {
+        const admin = getCurrentUserProfile();
+        if (admin.role !== 'admin') {
+            return 0;
+        }
+
+        const { autoCloseResolvedDays } = await getWorkflowSettings();
+        const cutoff = getAutoCloseCutoff(autoCloseResolvedDays);
+        if (cutoff === null) {
+            return 0;
+        }
+
+        const stale = [...tickets.values()].filter(ticket =>
+            ticket.status === 'resolved' && ticket.resolvedAt && toMillis(ticket.resolvedAt) <= cutoff
+        );
+        const reason = getAutoCloseReason(autoCloseResolvedDays);
+
+        let closed = 0;
+        for (const ticket of stale) {
+            try {
+                changeTicketStatus(ticket.id, 'closed', reason, SYSTEM_ACTOR, admin);
+                closed++;
+            } catch (err) {
+                console.error(`Could not auto-close ticket ${ticket.id}:`, err);
+            }
+        }
+
+        return closed;
+    };
+
+    const updateTicketPriority = async (ticketId, priority) => {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+        validatePriority(priority);
+
+        const actor = requireAdmin('Only admins can change ticket priority');
+        const ticket = getTicketOrThrow(ticketId);
+        const updates = {
+            priority,
+            priorityRank: getPriority(priority).rank,
+            updatedAt: memoryTimestamp(),
+            lastUpdatedById: actor.uid,
+            lastUpdatedByName: actor.name
+        };
+
+        // Re-plan the SLA deadlines against the new priority's policy
+        const createdAt = toMillis(ticket.createdAt);
+        if (ticket.resolutionDueAt && createdAt !== null) {
+            const policy = await getSlaPolicy(ticket.type, priority);
+            const dueDates = getDueDates(createdAt + (ticket.slaPausedMs || 0), policy);
+            updates.firstResponseDueAt = memoryTimestamp(dueDates.firstResponseDueAt);
+            updates.resolutionDueAt = memoryTimestamp(dueDates.resolutionDueAt);
+        }
+
+        tickets.set(ticketId, { ...ticket, ...updates });
+        notifyWatchers();
+    };
+
+    const setTicketLabels = async (ticketId, labelIds) => {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+        validateTicketLabels(labelIds);
+
+        const admin = requireAdmin('Only admins can label tickets');
+        const ticket = getTicketOrThrow(ticketId);
+
+        tickets.set(ticketId, {
+            ...ticket,
+            labelIds: [...new Set(labelIds)],
+            updatedAt: memoryTimestamp(),
+            lastUpdatedById: admin.uid,
+            lastUpdatedByName: admin.name
+        });
+        notifyWatchers();
+    };
+
+    // Same checks as firebase.js; nothing here can fail halfway, so only
+    // tickets that fail their own check are reported as failed
+    const bulkUpdateTickets = async (ticketIds, change) => {
+        validateBulkChange(ticketIds, change);
+        const actor = requireAdmin('Only admins can change tickets in bulk');
+
+        // Like the Firestore backend, each ticket is checked against its data at
+        // the moment it is changed, a group of tickets at a time
+        const applyBulkChange = async (ticketId) => {
+            const ticket = getTicketOrThrow(ticketId);
+            const { updates, historyEntry, notification } = getBulkTicketChange(
+                ticket,
+                change,
+                actor,
+                memoryTimestamp
+            );
+
+            tickets.set(ticketId, { ...ticket, ...updates, updatedAt: memoryTimestamp() });
+            if (historyEntry) {
+                listOf(history, ticketId).push({ id: createId('history'), ...historyEntry, createdAt: memoryTimestamp() });
+            }
+            if (change.kind === 'status' && sharedTickets.has(ticketId)) {
+                sharedTickets.set(ticketId, {
+                    ...sharedTickets.get(ticketId),
+                    status: change.status,
+                    updatedAt: memoryTimestamp()
+                });
+            }
+            if (notification) {
+                addNotifications(notification.recipientIds, ticketId, ticket, actor, notification.type, notification.message);
+            }
+        };
+
+        const results = await mapInGroups([...new Set(ticketIds)], BULK_TICKETS_AT_ONCE, ticketId =>
+            applyBulkChange(ticketId)
+                .then(() => ({ ticketId }))
+                .catch(err => ({ ticketId, error: err.message || 'Could not change this ticket' }))
+        );
+        notifyWatchers();
+
+        return {
+            succeeded: results.filter(result => !result.error).map(result => result.ticketId),
+            failed: results.filter(result => result.error)
+        };
+    };
+
+    // ---------- Comments and attachments ----------
+
+    const addComment = async (ticketId, text, attachmentCount = 0) => {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+        if ((!text || !text.trim()) && attachmentCount === 0) {
+            throw new Error('Comment cannot be empty');
+        }
+
+        requireTicketAccess(ticketId);
+        const author = getCurrentUserProfile();
+        const ticket = getTicketOrThrow(ticketId);
+        const commentId = createId('comment');
+
+        listOf(comments, ticketId).push({
+            id: commentId,
+            text: (text || '').trim(),
+            attachmentCount,
+            authorId: author.uid,
+            authorName: author.name,
+            authorRole: author.role,
+            createdAt: memoryTimestamp()
+        });
+
+        // An admin reply counts as the support side touching the ticket
+        if (author.role === 'admin') {
+            tickets.set(ticketId, {
+                ...ticket,
+                updatedAt: memoryTimestamp(),
+                lastUpdatedById: author.uid,
+                lastUpdatedByName: author.name,
+                firstRespondedAt: ticket.firstRespondedAt || memoryTimestamp()
+            });
+        }
+
+        // Watchers can't read the conversation, so they get no preview of it
+        const preview = (text || '').trim() || '📎 Sent an attachment';
+        const recipients = getNotificationRecipients([ticket.clientId, ticket.assigneeId], author);
+        addNotifications(recipients, ticketId, ticket, author, 'comment', `${author.name}: ${preview}`);
+        notifyWatchers();
+
+        return commentId;
+    };
+
+    const subscribeToComments = (ticketId, callback, onError) => {
+        requireTicketId(ticketId, onError);
+        requireTicketAccess(ticketId, onError);
+
+        return watch(() => {
+            callback(listOf(comments, ticketId).map(comment => ({ ...comment })));
+        }, onError);
+    };
+
+    // Files stay on the device; the local URI stands in for the download URL
+    const uploadAttachment = async (ticketId, file, commentId = null) => {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+        const invalid = validateAttachment(file);
+        if (invalid) {
+            throw new Error(invalid);
+        }
+
+        requireTicketAccess(ticketId);
+        const uploader = getCurrentUserProfile();
+        if (!attachments.has(ticketId)) {
+            attachments.set(ticketId, new Map());
+        }
+
+        const attachment = {
+            name: file.name,
+            contentType: file.type,
+            size: file.size,
+            isImage: isImageAttachment(file.type),
+            path: `tickets/${ticketId}/${file.id}/${file.name}`,
+            url: file.uri,
+            commentId,
+            uploadedById: uploader.uid,
+            uploadedByName: uploader.name,
+            createdAt: memoryTimestamp()
+        };
+        attachments.get(ticketId).set(file.id, attachment);
+        notifyWatchers();
+
+        return { id: file.id, ...attachment };
+    };
+
+    const subscribeToAttachments = (ticketId, callback, onError) => {
+        requireTicketId(ticketId, onError);
+        requireTicketAccess(ticketId, onError);
+
+        return watch(() => {
+            const stored = attachments.get(ticketId) || new Map();
+            const list = [...stored.entries()].map(([id, attachment]) => ({ id, ...attachment }));
+            callback(sortByTime(list, 'createdAt', 'asc'));
+        }, onError);
+    };
+
+    // ---------- Notifications ----------
+
+    const subscribeToNotifications = (callback, onError) => {
+        requireSignedIn('You must be logged in to view notifications', onError);
+        const uid = currentUser.uid;
+
+        return watch(() => {
+            const inbox = sortByTime(listOf(notifications, uid), 'createdAt', 'desc');
+            callback(inbox.slice(0, NOTIFICATION_LIMIT).map(notification => ({ ...notification })));
+        }, onError);
+    };
+
+    const subscribeToUnreadNotificationCount = (callback, onError) => {
+        requireSignedIn('You must be logged in to view notifications', onError);
+        const uid = currentUser.uid;
+
+        return watch(() => {
+            callback(listOf(notifications, uid).filter(notification => !notification.read).length);
+        }, onError);
+    };
+
+    const markNotificationRead = async (notificationId) => {
+        if (!currentUser) {
+            throw new Error('You must be logged in');
+        }
+        const notification = listOf(notifications, currentUser.uid).find(n => n.id === notificationId);
+        if (notification) {
+            notification.read = true;
+            notifyWatchers();
+        }
+    };
+
+    const markAllNotificationsRead = async () => {
+        if (!currentUser) {
+            throw new Error('You must be logged in');
+        }
+        listOf(notifications, currentUser.uid).forEach(notification => {
+            notification.read = true;
+        });
+        notifyWatchers();
+    };
+
+    // ---------- Demo data ----------
+
+    if (seed) {
+        DEMO_TICKET_TYPES.forEach(type => ticketTypes.set(type.key, { ...type }));
+        DEMO_LABELS.forEach(label => labels.set(label.id, { ...label }));
+
+        DEMO_USERS.forEach(user => {
+            accounts.set(user.email, { uid: user.uid, email: user.email, password: DEMO_PASSWORD });
+            users.set(user.uid, {
+                email: user.email,
+                name: user.name,
+                role: user.role,
+                createdAt: memoryTimestamp()
+            });
+        });
+
+        DEMO_TICKETS.forEach(({ hoursAgo, voterIds = [], labelIds = [], ...demo }, index) => {
+            const createdAt = Date.now() - hoursAgo * HOUR_MS;
+            const dueDates = getDueDates(createdAt, DEFAULT_SLA_POLICIES[demo.priority]);
+            const client = users.get(demo.clientId);
+            const assignee = demo.assigneeId ? users.get(demo.assigneeId) : null;
+            const id = `demo-ticket-${index + 1}`;
+
+            tickets.set(id, {
+                id,
+                ...demo,
+                suggestedPriority: demo.priority,
+                priorityRank: getPriority(demo.priority).rank,
+                clientName: client.name,
+                clientEmail: client.email,
+                assigneeName: assignee ? assignee.name : null,
+                lastUpdatedById: demo.assigneeId || null,
+                lastUpdatedByName: assignee ? assignee.name : null,
+                createdAt: memoryTimestamp(createdAt),
+                updatedAt: memoryTimestamp(createdAt),
+                firstResponseDueAt: memoryTimestamp(dueDates.firstResponseDueAt),
+                resolutionDueAt: memoryTimestamp(dueDates.resolutionDueAt),
+                firstRespondedAt: assignee ? memoryTimestamp(createdAt + HOUR_MS) : null,
+                resolvedAt: ['resolved', 'closed'].includes(demo.status) ? memoryTimestamp(createdAt + 24 * HOUR_MS) : null,
+                slaPausedAt: null,
+                slaPausedMs: 0,
+                watcherIds: [],
+                public: Boolean(demo.public),
+                voteCount: voterIds.length,
+                labelIds
+            });
+            if (voterIds.length > 0) {
+                votes.set(id, new Set(voterIds));
+            }
+            if (demo.type === SHARED_TICKET_TYPE) {
+                sharedTickets.set(id, {
+                    title: demo.title,
+                    type: demo.type,
+                    status: demo.status,
+                    public: Boolean(demo.public),
+                    ...(demo.public ? { description: demo.description } : {}),
+                    voteCount: voterIds.length,
+                    createdAt: memoryTimestamp(createdAt),
+                    updatedAt: memoryTimestamp(createdAt)
+                });
+            }
+        });
+    }
+
+    return {
+        subscribeToAuthState,
+        signUp,
+        signIn,
+        signOut,
+        getCurrentUser,
+        getUserRole,
+        subscribeToUserProfile,
+        getClients,
+        getAdmins,
+        createAdminInvite,
+        subscribeToAdminInvites,
+        revokeAdminInvite,
+        redeemAdminInvite,
+        requestAdminAccess,
+        subscribeToAdminRequests,
+        reviewAdminRequest,
+        getSlaPolicy,
+        getWorkflowSettings,
+        getTicketTypes,
+        subscribeToTicketTypes,
+        saveTicketType,
+        subscribeToLabels,
+        saveLabel,
+        deleteLabel,
+        generateTicketId,
+        createTicket,
+        getMyTickets,
+        getAllTickets,
+        loadMoreTickets,
+        countTickets,
+        getTicketById,
+        subscribeToTicket,
+        getSharedTickets,
+        watchTicket,
+        searchTickets,
+        linkTickets,
+        unlinkTickets,
+        mergeTicket,
+        setTicketPublic,
+        subscribeToFeatureBoard,
+        setVote,
+        assignTicket,
+        updateTicketStatus,
+        subscribeToStatusHistory,
+        closeStaleResolvedTickets,
+        updateTicketPriority,
+        setTicketLabels,
+        bulkUpdateTickets,
+        addComment,
+        subscribeToComments,
+        uploadAttachment,
+        subscribeToAttachments,
+        subscribeToNotifications,
+        subscribeToUnreadNotificationCount,
+        markNotificationRead,
+        markAllNotificationsRead
+    };
+};
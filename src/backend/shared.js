@@ -0,0 +1,426 @@
+// BACKEND SHARED RULES - Validation and business rules used by every backend
+// Each backend stores data its own way, but what counts as a valid ticket or
+// which SLA fields change on a status update must not depend on the backend.
+
+import { PRIORITIES } from '../config/priorities';
+import { resumeDueDates } from '../utils/sla';
+import { getTicketType } from '../config/ticketTypes';
+import { validateFieldSchema, validateFieldValues } from '../config/ticketFields';
+import { DIAGNOSTICS_TICKET_TYPE, cleanDiagnostics } from '../config/diagnostics';
+import { addLink, removeLink } from '../config/ticketLinks';
+import { validateTransition } from '../config/workflow';
+import { validateTicketLabels } from '../config/labels';
+
+// Number of tickets fetched per page in the ticket lists
+export const TICKET_PAGE_SIZE = 20;
+
+// Feature requests are listed (title and status only) to every client, so
+// people can find and watch a request someone else already made
+export const SHARED_TICKET_TYPE = 'feature';
+
+// Number of shared tickets fetched for duplicate suggestions
+export const SHARED_TICKET_LIMIT = 100;
+
+// Number of recently updated tickets searched by the link picker
+export const TICKET_SEARCH_LIMIT = 100;
+
+// Most matches the link picker shows at once
+export const TICKET_SEARCH_RESULTS = 20;
+
+// Most requests listed on the public feature board
+export const FEATURE_BOARD_LIMIT = 100;
+
+// How long an admin invite code stays valid
+export const ADMIN_INVITE_EXPIRY_DAYS = 7;
+
+// Most tickets one bulk action can change (see bulkUpdateTickets)
+export const BULK_TICKET_LIMIT = 200;
+
+// Tickets a bulk action changes at the same time, so a full selection doesn't
+// start BULK_TICKET_LIMIT transactions (and all their retries) at once
+export const BULK_TICKETS_AT_ONCE = 10;
+
+// Who automatic changes (like auto-closing) are recorded as. The admin whose
+// app made the change is kept next to it as triggeredById.
+export const SYSTEM_ACTOR = { uid: 'system', name: 'TaskRelay', role: 'admin' };
+
+// Invite code alphabet, without characters that are easy to mix up (0/O, 1/I/L)
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 10;
+
+/**
+ * Generates a random admin invite code
+ * @returns {string} Upper-case code, e.g. "K7QM2XPA9D"
+ */
+export const createInviteCode = () => {
+    let code = '';
+    for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+        code += INVITE_CODE_ALPHABET[Math.floor(Math.random() * INVITE_CODE_ALPHABET.length)];
+    }
+    return code;
+};
+
+/**
+ * Checks that a priority key is one of PRIORITIES
+ * @param {string} priority - Priority key
+ * @throws {Error} If the priority is unknown
+ */
+export const validatePriority = (priority) => {
+    if (!PRIORITIES.some(p => p.key === priority)) {
+        throw new Error(`Priority must be one of: ${PRIORITIES.map(p => p.key).join(', ')}`);
+    }
+};
+
+/**
+ * Checks the fields of a new ticket
+ * @param {string} title - Brief title of the ticket
+ * @param {string} description - Detailed description
+ * @param {string} type - Ticket type key
+ * @param {string} priority - Suggested priority
+ * @param {Array<object>} ticketTypes - Configured types (see mergeTicketTypes)
+ * @param {object} customFields - Answers to the type's custom fields, keyed by field name
+ * @returns {Array<object>} Custom field answers to store on the ticket (see validateFieldValues)
+ * @throws {Error} If a field is missing or invalid, or the type isn't active
+ */
+export const validateNewTicket = (title, description, type, priority, ticketTypes, customFields = {}) => {
+    if (!title || !description || !type) {
+        throw new Error('All fields are required');
+    }
+    const activeTypes = ticketTypes.filter(ticketType => ticketType.active);
+    if (!activeTypes.some(ticketType => ticketType.key === type)) {
+        throw new Error(`Type must be one of: ${activeTypes.map(ticketType => ticketType.label).join(', ')}`);
+    }
+    validatePriority(priority);
+
+    return validateFieldValues(getTicketType(ticketTypes, type).fields, customFields || {});
+};
+
+/**
+ * Works out which diagnostics to store on a new ticket
+ * @param {string} type - Ticket type key
+ * @param {object|null} diagnostics - Details collected on the device, or null if the client opted out
+ * @returns {object|null} Diagnostics for bug reports, null for every other type
+ */
+export const getTicketDiagnostics = (type, diagnostics) =>
+    type === DIAGNOSTICS_TICKET_TYPE ? cleanDiagnostics(diagnostics) : null;
+
+// Type keys end up in document IDs and SLA policy IDs, so keep them simple
+const TICKET_TYPE_KEY_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Checks a ticket type an admin wants to save
+ * @param {object} type - { key, label, icon, color, active, fields }
+ * @throws {Error} If a field is missing or malformed
+ */
+export const validateTicketType = (type) => {
+    if (!type || !type.key || !TICKET_TYPE_KEY_PATTERN.test(type.key)) {
+        throw new Error('Type key may only use lowercase letters, numbers and dashes');
+    }
+    if (!type.label || !type.label.trim()) {
+        throw new Error('Type name is required');
+    }
+    if (type.label.trim().length > 30) {
+        throw new Error('Type name must be 30 characters or fewer');
+    }
+    if (!type.icon || !type.icon.trim()) {
+        throw new Error('Type icon is required');
+    }
+    if (!HEX_COLOR_PATTERN.test(type.color || '')) {
+        throw new Error('Type color must be a hex color like #2563eb');
+    }
+    if (typeof type.active !== 'boolean') {
+        throw new Error('Type must be marked active or inactive');
+    }
+    validateFieldSchema(type.fields || []);
+};
+
+/**
+ * Works out which SLA fields change when a ticket moves to a new status
+ * @param {object} ticketData - Current ticket data
+ * @param {string} status - Status the ticket is moving to
+ * @param {object} actor - Profile of the user making the change
+ * @param {function} fromMillis - Converts milliseconds to the backend's timestamp type
+ * @returns {object} Fields to merge into the ticket update
+ */
+export const getSlaUpdates = (ticketData, status, actor, fromMillis) => {
+    const now = Date.now();
+    const updates = {};
+
+    // Any admin action counts as the first response
+    if (actor.role === 'admin' && !ticketData.firstRespondedAt) {
+        updates.firstRespondedAt = fromMillis(now);
+    }
+
+    if (status === 'waiting' && !ticketData.slaPausedAt) {
+        updates.slaPausedAt = fromMillis(now);
+    } else if (status !== 'waiting' && ticketData.slaPausedAt) {
+        const resumed = resumeDueDates(ticketData, now);
+        updates.slaPausedAt = null;
+        updates.slaPausedMs = resumed.slaPausedMs;
+        if (resumed.firstResponseDueAt !== null) {
+            updates.firstResponseDueAt = fromMillis(resumed.firstResponseDueAt);
+        }
+        if (resumed.resolutionDueAt !== null) {
+            updates.resolutionDueAt = fromMillis(resumed.resolutionDueAt);
+        }
+    }
+
+    if (['resolved', 'closed'].includes(status)) {
+        if (!ticketData.resolvedAt) {
+            updates.resolvedAt = fromMillis(now);
+        }
+    } else if (ticketData.resolvedAt) {
+        updates.resolvedAt = null; // Reopened
+    }
+
+    return updates;
+};
+
+/**
+ * Works out who should hear about a change to a ticket
+ * @param {Array<string|null>} userIds - Candidate user IDs (client, assignees)
+ * @param {object} actor - Profile of the user making the change
+ * @returns {Array<string>} Unique user IDs, without the person who made the change
+ */
+export const getNotificationRecipients = (userIds, actor) =>
+    [...new Set(userIds)].filter(uid => uid && uid !== actor.uid);
+
+/**
+ * Works out the "Handled by" fields for a change to a ticket
+ * @param {object} actor - Profile of the user making the change
+ * @returns {object} lastUpdatedById and lastUpdatedByName for a support team
+ *   member; nothing for clients or SYSTEM_ACTOR, so the ticket keeps showing
+ *   the last admin who worked on it
+ */
+export const getLastUpdatedBy = (actor) =>
+    actor.role === 'admin' && actor.uid !== SYSTEM_ACTOR.uid
+        ? { lastUpdatedById: actor.uid, lastUpdatedByName: actor.name }
+        : {};
+
+/**
+ * Checks whether a user only watches a ticket (see watchTicket)
+ * @param {object} ticketData - Ticket data
+ * @param {string} uid - User ID
+ * @returns {boolean} True for watchers, who can't open the ticket itself and
+ *   are only told about its status changes
+ */
+export const isWatcherOnly = (ticketData, uid) =>
+    uid !== ticketData.clientId && (ticketData.watcherIds || []).includes(uid);
+
+/**
+ * Works out when a resolved ticket becomes due for auto-closing
+ * @param {number} days - Days the client has to respond (0 turns auto-closing off)
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Tickets resolved at or before this time should be closed,
+ *   or null if auto-closing is off
+ */
+export const getAutoCloseCutoff = (days, now = Date.now()) =>
+    days > 0 ? now - days * 24 * 60 * 60 * 1000 : null;
+
+/**
+ * Builds the history note for a ticket closed automatically
+ * @param {number} days - Days the client had to respond
+ * @returns {string} Reason saved with the status change
+ */
+export const getAutoCloseReason = (days) =>
+    `Closed automatically: no reply from the client within ${days} day${days === 1 ? '' : 's'} of the fix`;
+
+/**
+ * Checks whether a ticket matches a free-text search (link picker and admin list)
+ * @param {object} ticket - Ticket object
+ * @param {string} text - Text typed by the admin
+ * @returns {boolean} True if the ID starts with the text, or the title or
+ *   description contains it; empty text matches everything
+ */
+export const matchesTicketSearch = (ticket, text) => {
+    const needle = (text || '').trim().toLowerCase();
+    if (!needle) {
+        return true;
+    }
+    return ticket.id.toLowerCase().startsWith(needle)
+        || `${ticket.title} ${ticket.description}`.toLowerCase().includes(needle);
+};
+
+/**
+ * Checks that one ticket can be merged into another
+ * @param {object} duplicate - Ticket that will be closed
+ * @param {object} canonical - Ticket that stays open and takes over the conversation
+ * @throws {Error} If the tickets are the same or either was already merged
+ */
+export const validateMerge = (duplicate, canonical) => {
+    if (duplicate.id === canonical.id) {
+        throw new Error("A ticket can't be merged into itself");
+    }
+    if (duplicate.mergedIntoId) {
+        throw new Error('This ticket has already been merged');
+    }
+    if (canonical.mergedIntoId) {
+        throw new Error('That ticket was merged into another one; merge into that one instead');
+    }
+};
+
+/**
+ * Builds the status history note written when a ticket is merged
+ * @param {object} canonical - Ticket it was merged into
+ * @returns {string} e.g. 'Merged into "Dark mode"'
+ */
+export const getMergeReason = (canonical) => `Merged into "${canonical.title}"`;
+
+/**
+ * Works out what changes on both tickets when one is merged into the other
+ * @param {object} duplicate - Ticket being closed
+ * @param {object} canonical - Ticket it is merged into
+ * @returns {object} { duplicateLinks, canonicalLinks, canonicalWatcherIds }
+ * @description Any earlier link between the two is replaced by duplicate-of.
+ *   The duplicate's client and watchers start watching the canonical ticket,
+ *   so they are told when its status changes.
+ */
+export const getMergeUpdates = (duplicate, canonical) => {
+    const unlinked = removeLink(duplicate, canonical);
+    const { ticketLinks, targetLinks } = addLink(
+        { ...duplicate, links: unlinked.ticketLinks },
+        { ...canonical, links: unlinked.targetLinks },
+        'duplicate-of'
+    );
+
+    const watcherIds = [
+        ...(canonical.watcherIds || []),
+        ...(duplicate.watcherIds || []),
+        duplicate.clientId
+    ].filter(uid => uid && uid !== canonical.clientId);
+
+    return {
+        duplicateLinks: ticketLinks,
+        canonicalLinks: targetLinks,
+        canonicalWatcherIds: [...new Set(watcherIds)]
+    };
+};
+
+/**
+ * Checks a bulk action before any ticket is read
+ * @param {Array<string>} ticketIds - Tickets to change
+ * @param {object} change - What to do to every ticket, one of:
+ *   1. { kind: 'status', status, reason } - move them to a status
+ *   2. { kind: 'assign', assignee } - assign them to an admin ({ id, name }), or unassign with null
+ *   3. { kind: 'labels', addLabelIds, removeLabelIds } - add and take off labels
+ * @throws {Error} If there are no tickets or too many, or the change is malformed
+ */
+export const validateBulkChange = (ticketIds, change) => {
+    if (!Array.isArray(ticketIds) || ticketIds.length === 0) {
+        throw new Error('Select at least one ticket');
+    }
+    if (ticketIds.length > BULK_TICKET_LIMIT) {
+        throw new Error(`Select up to ${BULK_TICKET_LIMIT} tickets at a time`);
+    }
+    if (!change || !['status', 'assign', 'labels'].includes(change.kind)) {
+        throw new Error('Choose a status, assignee or labels to apply');
+    }
+    if (change.kind === 'status' && !change.status) {
+        throw new Error('Status is required');
+    }
+    if (change.kind === 'assign' && change.assignee && !change.assignee.id) {
+        throw new Error('Assignee ID is required');
+    }
+    if (change.kind === 'labels' && (change.addLabelIds || []).length + (change.removeLabelIds || []).length === 0) {
+        throw new Error('Choose at least one label to add or remove');
+    }
+};
+
+/**
+ * Works out what a bulk action writes to one ticket
+ * @param {object} ticketData - Current ticket data
+ * @param {object} change - Validated change (see validateBulkChange)
+ * @param {object} actor - Profile of the admin making the change
+ * @param {function} fromMillis - Converts milliseconds to the backend's timestamp type
+ * @returns {object} { updates, historyEntry, notification }: the ticket fields to
+ *   update, the status history entry (status changes only, otherwise null) and
+ *   who to tell ({ recipientIds, type, message }, or null for labels).
+ *   Backends add their own updatedAt and createdAt timestamps.
+ * @throws {Error} If this ticket can't take the change, e.g. the workflow
+ *   doesn't allow its status to move, or it would have too many labels
+ * @description Writes the same fields as updateTicketStatus, assignTicket and
+ *   setTicketLabels do for a single ticket.
+ */
+export const getBulkTicketChange = (ticketData, change, actor, fromMillis) => {
+    const updates = getLastUpdatedBy(actor);
+
+    if (change.kind === 'status') {
+        validateTransition(ticketData.status, change.status, actor.role, change.reason);
+        return {
+            updates: {
+                ...updates,
+                status: change.status,
+                ...getSlaUpdates(ticketData, change.status, actor, fromMillis)
+            },
+            historyEntry: {
+                fromStatus: ticketData.status,
+                toStatus: change.status,
+                actorId: actor.uid,
+                actorName: actor.name,
+                reason: (change.reason || '').trim() || null
+            },
+            notification: {
+                recipientIds: getNotificationRecipients(
+                    [ticketData.clientId, ticketData.assigneeId, ...(ticketData.watcherIds || [])],
+                    actor
+                ),
+                type: 'status',
+                message: `Status changed to ${change.status}`
+            }
+        };
+    }
+
+    if (change.kind === 'assign') {
+        const assignee = change.assignee;
+        return {
+            updates: {
+                ...updates,
+                assigneeId: assignee ? assignee.id : null,
+                assigneeName: assignee ? assignee.name : null
+            },
+            historyEntry: null,
+            notification: {
+                recipientIds: getNotificationRecipients(
+                    [ticketData.clientId, ticketData.assigneeId, assignee ? assignee.id : null],
+                    actor
+                ),
+                type: 'assignment',
+                message: assignee ? `Assigned to ${assignee.name}` : 'No longer assigned to anyone'
+            }
+        };
+    }
+
+    const removeLabelIds = change.removeLabelIds || [];
+    const labelIds = [
+        ...new Set([
+            ...(ticketData.labelIds || []).filter(id => !removeLabelIds.includes(id)),
+            ...(change.addLabelIds || [])
+        ])
+    ];
+    validateTicketLabels(labelIds);
+
+    return {
+        updates: { ...updates, labelIds },
+        historyEntry: null,
+        notification: null
+    };
+};
+
+/**
+ * Runs an async task for each item, a few items at a time
+ * @param {Array} items - Items to work through
+ * @param {number} size - Most tasks running at the same time
+ * @param {function} task - Called with each item; returns a Promise
+ * @returns {Promise<Array>} Each task's result, in the order of the items
+ * @description The next group only starts once the whole previous group has
+ *   settled, so a task that fails must catch its own error if the rest
+ *   should go on.
+ */
+export const mapInGroups = async (items, size, task) => {
+    const results = [];
+    for (let start = 0; start < items.length; start += size) {
+        results.push(...await Promise.all(items.slice(start, start + size).map(task)));
+    }
+    return results;
+};
@@ -0,0 +1,116 @@
+// ATTACHMENT LIST - Thumbnails for screenshots and files attached to a ticket
+
+import { View, Text, Image, TouchableOpacity, StyleSheet, Linking, Alert } from 'react-native';
+import { isImageAttachment } from '../config/attachments';
+import { formatFileSize } from '../utils/format';
+
+/**
+ * Renders a single attachment tile
+ * @param {object} item - Uploaded attachment (has url) or picked file (has uri)
+ * @param {function} onRemove - Optional function to call to remove a picked file
+ * @returns {JSX.Element} Image thumbnail, or a file icon with name and size
+ */
+const AttachmentTile = ({ item, onRemove }) => {
+    const source = item.url || item.uri;
+    const contentType = item.contentType || item.type;
+
+    // Uploaded files open in the browser / system viewer
+    const handleOpen = () => {
+        if (!item.url) {
+            return;
+        }
+        Linking.openURL(item.url).catch(() => Alert.alert('Error', 'Could not open this file'));
+    };
+
+    return (
+        <TouchableOpacity style={styles.tile} onPress={handleOpen} disabled={!item.url}>
+            {isImageAttachment(contentType) ? (
+                <Image source={{ uri: source }} style={styles.thumbnail} />
+            ) : (
+                <View style={[styles.thumbnail, styles.fileIcon]}>
+                    <Text style={styles.fileEmoji}>📄</Text>
+                </View>
+            )}
+            <Text style={styles.name} numberOfLines={1}>{item.name}</Text>
+            <Text style={styles.size}>{formatFileSize(item.size)}</Text>
+            {onRemove ? (
+                <TouchableOpacity style={styles.removeButton} onPress={() => onRemove(item)}>
+                    <Text style={styles.removeText}>✕</Text>
+                </TouchableOpacity>
+            ) : null}
+        </TouchableOpacity>
+    );
+};
+
+/**
+ * Attachment list component
+ * @param {Array<object>} attachments - Uploaded attachments or files waiting to be sent
+ * @param {function} onRemove - Optional; shows a remove button on each tile when given
+ * @returns {JSX.Element|null} Wrapping grid of tiles, or nothing when the list is empty
+ */
+export default function AttachmentList({ attachments, onRemove }) {
+    if (!attachments || attachments.length === 0) {
+        return null;
+    }
+
+    return (
+        <View style={styles.container}>
+            {attachments.map(item => (
+                <AttachmentTile key={item.id} item={item} onRemove={onRemove} />
+            ))}
+        </View>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    container: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginTop: 8
+    },
+    tile: {
+        width: 88
+    },
+    thumbnail: {
+        width: 88,
+        height: 88,
+        borderRadius: 8,
+        backgroundColor: '#f3f4f6'
+    },
+    fileIcon: {
+        alignItems: 'center',
+        justifyContent: 'center',
+        borderWidth: 1,
+        borderColor: '#e5e7eb'
+    },
+    fileEmoji: {
+        fontSize: 32
+    },
+    name: {
+        fontSize: 11,
+        color: '#1f2937',
+        marginTop: 4
+    },
+    size: {
+        fontSize: 10,
+        color: '#9ca3af'
+    },
+    removeButton: {
+        position: 'absolute',
+        top: 4,
+        right: 4,
+        width: 22,
+        height: 22,
+        borderRadius: 11,
+        backgroundColor: 'rgba(0, 0, 0, 0.6)',
+        alignItems: 'center',
+        justifyContent: 'center'
+    },
+    removeText: {
+        color: '#fff',
+        fontSize: 12,
+        fontWeight: '700'
+    }
+});
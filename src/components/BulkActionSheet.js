@@ -0,0 +1,326 @@
+// BULK ACTION SHEET - Picks a status, assignee or labels to apply to every selected ticket
+
+import { useState } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    ScrollView,
+    Modal,
+    StyleSheet
+} from 'react-native';
+import { TICKET_STATUSES } from '../config/statuses';
+
+// What the sheet can change
+const ACTIONS = [
+    { key: 'status', label: 'Status' },
+    { key: 'assign', label: 'Assignee' },
+    { key: 'labels', label: 'Labels' }
+];
+
+/**
+ * Bulk action sheet component
+ * @param {boolean} visible - Whether the sheet is open
+ * @param {number} count - How many tickets are selected
+ * @param {Array<object>} admins - Possible assignees ({ id, name })
+ * @param {Array<object>} labels - Every label (see useLabels)
+ * @param {function} onApply - Called with the change to apply (see validateBulkChange);
+ *   returns a promise that settles once the tickets are saved
+ * @param {function} onClose - Called when the sheet should close
+ * @returns {JSX.Element} Full-screen sheet
+ * @description The admin:
+ *   1. Picks what to change: status, assignee or labels
+ *   2. Picks the new status (with a reason, which some moves require), the
+ *      admin to assign (or Unassign), or labels to add and labels to take off
+ *   3. Applies it to every selected ticket
+ */
+export default function BulkActionSheet({ visible, count, admins, labels, onApply, onClose }) {
+    const [action, setAction] = useState('status');
+    const [status, setStatus] = useState(null);
+    const [reason, setReason] = useState('');
+    const [assignee, setAssignee] = useState(undefined); // undefined = not picked, null = unassign
+    const [labelChoices, setLabelChoices] = useState({}); // labelId -> 'add' or 'remove'
+    const [saving, setSaving] = useState(false);
+
+    const close = () => {
+        setStatus(null);
+        setReason('');
+        setAssignee(undefined);
+        setLabelChoices({});
+        onClose();
+    };
+
+    /**
+     * Cycles a label between add, remove and leave alone
+     * @param {string} labelId - Label that was tapped
+     */
+    const toggleLabel = (labelId) => {
+        setLabelChoices((current) => {
+            const next = { ...current };
+            if (!current[labelId]) {
+                next[labelId] = 'add';
+            } else if (current[labelId] === 'add') {
+                next[labelId] = 'remove';
+            } else {
+                delete next[labelId];
+            }
+            return next;
+        });
+    };
+
+    // The change for the picked action, or null if nothing is picked yet
+    const getChange = () => {
+        if (action === 'status') {
+            return status ? { kind: 'status', status, reason } : null;
+        }
+        if (action === 'assign') {
+            return assignee === undefined ? null : { kind: 'assign', assignee };
+        }
+
+        const labelIds = Object.keys(labelChoices);
+        return labelIds.length === 0 ? null : {
+            kind: 'labels',
+            addLabelIds: labelIds.filter(id => labelChoices[id] === 'add'),
+            removeLabelIds: labelIds.filter(id => labelChoices[id] === 'remove')
+        };
+    };
+
+    const change = getChange();
+
+    const handleApply = () => {
+        setSaving(true);
+        onApply(change)
+            .then(close)
+            .catch(() => {}) // onApply reports its own errors
+            .finally(() => setSaving(false));
+    };
+
+    /**
+     * Renders one selectable chip
+     * @param {string} key - React key
+     * @param {string} label - Chip text
+     * @param {boolean} active - Whether the chip is picked
+     * @param {function} onPress - Called when the chip is tapped
+     * @returns {JSX.Element} Chip UI
+     */
+    const renderChip = (key, label, active, onPress) => (
+        <TouchableOpacity key={key} style={[styles.chip, active && styles.chipActive]} onPress={onPress}>
+            <Text style={[styles.chipText, active && styles.chipTextActive]}>{label}</Text>
+        </TouchableOpacity>
+    );
+
+    return (
+        <Modal visible={visible} animationType="slide" onRequestClose={close}>
+            <View style={styles.container}>
+                {/* HEADER */}
+                <View style={styles.header}>
+                    <Text style={styles.headerTitle}>
+                        Change {count} ticket{count === 1 ? '' : 's'}
+                    </Text>
+                    <TouchableOpacity onPress={close}>
+                        <Text style={styles.close}>Cancel</Text>
+                    </TouchableOpacity>
+                </View>
+
+                <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+                    {/* ACTION PICKER */}
+                    <View style={styles.chipRow}>
+                        {ACTIONS.map(option =>
+                            renderChip(option.key, option.label, action === option.key, () => setAction(option.key))
+                        )}
+                    </View>
+
+                    {/* STATUS */}
+                    {action === 'status' ? (
+                        <>
+                            <Text style={styles.sectionTitle}>Move to</Text>
+                            <View style={styles.chipRow}>
+                                {TICKET_STATUSES.map(option =>
+                                    renderChip(option, option.replace('-', ' '), status === option, () => setStatus(option))
+                                )}
+                            </View>
+                            <TextInput
+                                style={styles.reasonInput}
+                                placeholder="Reason (required for waiting, closing and reopening)"
+                                value={reason}
+                                onChangeText={setReason}
+                                multiline
+                            />
+                            <Text style={styles.hint}>
+                                Tickets that can't move to this status from where they are now are skipped.
+                            </Text>
+                        </>
+                    ) : null}
+
+                    {/* ASSIGNEE */}
+                    {action === 'assign' ? (
+                        <>
+                            <Text style={styles.sectionTitle}>Assign to</Text>
+                            <View style={styles.chipRow}>
+                                {admins.map(admin =>
+                                    renderChip(
+                                        admin.id,
+                                        admin.name,
+                                        Boolean(assignee) && assignee.id === admin.id,
+                                        () => setAssignee({ id: admin.id, name: admin.name })
+                                    )
+                                )}
+                                {renderChip('unassign', 'Unassign', assignee === null, () => setAssignee(null))}
+                            </View>
+                        </>
+                    ) : null}
+
+                    {/* LABELS */}
+                    {action === 'labels' ? (
+                        <>
+                            <Text style={styles.sectionTitle}>Labels</Text>
+                            <Text style={styles.hint}>Tap once to add a label, twice to take it off.</Text>
+                            {labels.length === 0 ? (
+                                <Text style={styles.hint}>No labels yet. Add some from the Labels tab.</Text>
+                            ) : null}
+                            <View style={styles.chipRow}>
+                                {labels.map((label) => {
+                                    const choice = labelChoices[label.id];
+                                    return (
+                                        <TouchableOpacity
+                                            key={label.id}
+                                            style={[
+                                                styles.chip,
+                                                choice === 'add' && { borderColor: label.color, backgroundColor: `${label.color}1a` },
+                                                choice === 'remove' && styles.chipRemove
+                                            ]}
+                                            onPress={() => toggleLabel(label.id)}
+                                        >
+                                            <Text
+                                                style={[
+                                                    styles.chipText,
+                                                    choice === 'add' && { color: label.color },
+                                                    choice === 'remove' && styles.chipTextRemove
+                                                ]}
+                                            >
+                                                {choice === 'add' ? '＋ ' : choice === 'remove' ? '－ ' : ''}{label.name}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    );
+                                })}
+                            </View>
+                        </>
+                    ) : null}
+                </ScrollView>
+
+                {/* APPLY BUTTON */}
+                <TouchableOpacity
+                    style={[styles.applyButton, (!change || saving) && styles.applyButtonDisabled]}
+                    disabled={!change || saving}
+                    onPress={handleApply}
+                >
+                    <Text style={styles.applyText}>
+                        {saving ? 'Applying...' : `Apply to ${count} ticket${count === 1 ? '' : 's'}`}
+                    </Text>
+                </TouchableOpacity>
+            </View>
+        </Modal>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5'
+    },
+    header: {
+        backgroundColor: '#fff',
+        padding: 20,
+        paddingTop: 50,
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        borderBottomWidth: 1,
+        borderBottomColor: '#ddd'
+    },
+    headerTitle: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#1f2937'
+    },
+    close: {
+        fontSize: 16,
+        color: '#007AFF',
+        fontWeight: '600'
+    },
+    content: {
+        padding: 16,
+        gap: 12
+    },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#1f2937',
+        marginTop: 8
+    },
+    chipRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8
+    },
+    chip: {
+        backgroundColor: '#fff',
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#d1d5db'
+    },
+    chipActive: {
+        borderColor: '#6366f1',
+        backgroundColor: '#eef2ff'
+    },
+    chipRemove: {
+        borderColor: '#dc2626',
+        backgroundColor: '#fee2e2'
+    },
+    chipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#6b7280',
+        textTransform: 'capitalize'
+    },
+    chipTextActive: {
+        color: '#6366f1'
+    },
+    chipTextRemove: {
+        color: '#dc2626',
+        textDecorationLine: 'line-through'
+    },
+    reasonInput: {
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#d1d5db',
+        borderRadius: 8,
+        padding: 12,
+        fontSize: 15,
+        minHeight: 64,
+        textAlignVertical: 'top'
+    },
+    hint: {
+        fontSize: 13,
+        color: '#6b7280'
+    },
+    applyButton: {
+        backgroundColor: '#007AFF',
+        margin: 16,
+        paddingVertical: 14,
+        borderRadius: 8,
+        alignItems: 'center'
+    },
+    applyButtonDisabled: {
+        backgroundColor: '#9ca3af'
+    },
+    applyText: {
+        color: '#fff',
+        fontWeight: '600',
+        fontSize: 16
+    }
+});
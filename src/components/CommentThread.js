@@ -0,0 +1,293 @@
+// COMMENT THREAD - Live conversation between the client and admins on a ticket
+
+import { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    StyleSheet,
+    Alert
+} from 'react-native';
+import {
+    addComment,
+    subscribeToComments,
+    subscribeToAttachments,
+    uploadAttachment,
+    getCurrentUser
+} from '../backend';
+import { pickAttachments } from '../services/attachmentPicker';
+import { MAX_ATTACHMENTS } from '../config/attachments';
+import { formatTimestamp } from '../utils/format';
+import AttachmentList from './AttachmentList';
+
+/**
+ * Renders a single comment bubble
+ * @param {object} item - Comment object from Firestore
+ * @param {boolean} isOwn - Whether the current user wrote this comment
+ * @param {Array<object>} attachments - Files sent with this comment
+ * @returns {JSX.Element} Comment bubble UI
+ */
+const CommentBubble = ({ item, isOwn, attachments }) => {
+    const uploading = (item.attachmentCount || 0) - attachments.length;
+
+    return (
+        <View style={[styles.bubble, isOwn ? styles.bubbleOwn : styles.bubbleOther]}>
+            <Text style={styles.author}>
+                {item.authorName || 'Unknown'}
+                {item.authorRole === 'admin' ? ' · Support' : ''}
+            </Text>
+            {item.text ? <Text style={styles.text}>{item.text}</Text> : null}
+            <AttachmentList attachments={attachments} />
+            {uploading > 0 ? (
+                <Text style={styles.timestamp}>📎 Uploading {uploading} file{uploading === 1 ? '' : 's'}...</Text>
+            ) : null}
+            <Text style={styles.timestamp}>
+                {formatTimestamp(item.createdAt)}
+                {item.movedFromTicketId ? ' · Moved from a merged ticket' : ''}
+            </Text>
+        </View>
+    );
+};
+
+/**
+ * Comment thread component
+ * @param {string} ticketId - The ticket whose comments should be shown
+ * @returns {JSX.Element} Message list and reply box
+ * @description Used by both the admin and client ticket screens:
+ *   1. Subscribes to the ticket's comments in real-time
+ *   2. Shows who wrote each message and when
+ *   3. Lets the current user post a reply, with screenshots or files attached
+ */
+export default function CommentThread({ ticketId }) {
+    const [comments, setComments] = useState([]);
+    const [message, setMessage] = useState('');
+    const [files, setFiles] = useState([]); // Picked files waiting to be sent with the reply
+    const [attachments, setAttachments] = useState([]); // Every uploaded file on the ticket
+    const [sending, setSending] = useState(false);
+    const [error, setError] = useState(null);
+    const currentUser = getCurrentUser();
+
+    useEffect(() => {
+        let unsubscribe;
+
+        try {
+            unsubscribe = subscribeToComments(
+                ticketId,
+                (data) => {
+                    setComments(data);
+                    setError(null);
+                },
+                (err) => {
+                    setError(err.message);
+                }
+            );
+        }
+        catch (err) {
+            console.error('Error setting up comment listener:', err);
+            setError(err.message);
+        }
+
+        return () => {
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        };
+    }, [ticketId]);
+
+    // Files are listed under the comment they were sent with
+    useEffect(() => {
+        let unsubscribe;
+
+        try {
+            unsubscribe = subscribeToAttachments(ticketId, setAttachments);
+        }
+        catch (err) {
+            console.error('Error setting up attachment listener:', err);
+        }
+
+        return () => {
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        };
+    }, [ticketId]);
+
+    // Adds screenshots or files to the reply
+    const handleAttach = async () => {
+        try {
+            const picked = await pickAttachments();
+            if (files.length + picked.length > MAX_ATTACHMENTS) {
+                Alert.alert('Too Many Files', `You can attach up to ${MAX_ATTACHMENTS} files to a message.`);
+                return;
+            }
+            setFiles([...files, ...picked]);
+        }
+        catch (err) {
+            Alert.alert('Error', err.message);
+        }
+    };
+
+    // Posts the typed message and any picked files to the thread
+    const handleSend = async () => {
+        if (!message.trim() && files.length === 0) {
+            return;
+        }
+
+        setSending(true);
+        try {
+            const commentId = await addComment(ticketId, message, files.length);
+            setMessage('');
+            for (const file of files) {
+                await uploadAttachment(ticketId, file, commentId);
+            }
+            setFiles([]);
+        }
+        catch (err) {
+            Alert.alert('Error', err.message);
+        }
+        finally {
+            setSending(false);
+        }
+    };
+
+    return (
+        <View>
+            <Text style={styles.sectionTitle}>Conversation</Text>
+
+            {/* MESSAGES */}
+            {error ? (
+                <Text style={styles.emptyText}>{error}</Text>
+            ) : comments.length === 0 ? (
+                <Text style={styles.emptyText}>No messages yet. Start the conversation below.</Text>
+            ) : (
+                comments.map((comment) => (
+                    <CommentBubble
+                        key={comment.id}
+                        item={comment}
+                        isOwn={currentUser && comment.authorId === currentUser.uid}
+                        attachments={attachments.filter(file => file.commentId === comment.id)}
+                    />
+                ))
+            )}
+
+            {/* REPLY BOX */}
+            <AttachmentList
+                attachments={files}
+                onRemove={(file) => setFiles(files.filter(f => f.id !== file.id))}
+            />
+            <View style={styles.replyContainer}>
+                <TouchableOpacity
+                    style={styles.attachButton}
+                    onPress={handleAttach}
+                    disabled={sending}
+                >
+                    <Text style={styles.attachButtonText}>📎</Text>
+                </TouchableOpacity>
+                <TextInput
+                    style={styles.input}
+                    placeholder="Write a message..."
+                    value={message}
+                    onChangeText={setMessage}
+                    multiline
+                />
+                <TouchableOpacity
+                    style={[styles.sendButton, sending && styles.sendButtonDisabled]}
+                    onPress={handleSend}
+                    disabled={sending}
+                >
+                    <Text style={styles.sendButtonText}>{sending ? '...' : 'Send'}</Text>
+                </TouchableOpacity>
+            </View>
+        </View>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    sectionTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#1f2937',
+        marginBottom: 16
+    },
+    emptyText: {
+        fontSize: 14,
+        color: '#666',
+        marginBottom: 16
+    },
+    bubble: {
+        maxWidth: '85%',
+        padding: 12,
+        borderRadius: 12,
+        marginBottom: 12
+    },
+    bubbleOwn: {
+        alignSelf: 'flex-end',
+        backgroundColor: '#e3f2ff'
+    },
+    bubbleOther: {
+        alignSelf: 'flex-start',
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#e5e7eb'
+    },
+    author: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#6366f1',
+        marginBottom: 4
+    },
+    text: {
+        fontSize: 15,
+        color: '#1f2937',
+        lineHeight: 21
+    },
+    timestamp: {
+        fontSize: 11,
+        color: '#9ca3af',
+        marginTop: 6
+    },
+    replyContainer: {
+        flexDirection: 'row',
+        alignItems: 'flex-end',
+        gap: 8,
+        marginTop: 4,
+        marginBottom: 40
+    },
+    input: {
+        flex: 1,
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#d1d5db',
+        borderRadius: 8,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+        fontSize: 15,
+        color: '#1f2937',
+        maxHeight: 120
+    },
+    attachButton: {
+        paddingHorizontal: 10,
+        paddingVertical: 10,
+        borderRadius: 8,
+        backgroundColor: '#f3f4f6'
+    },
+    attachButtonText: {
+        fontSize: 18
+    },
+    sendButton: {
+        backgroundColor: '#007AFF',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        borderRadius: 8
+    },
+    sendButtonDisabled: {
+        backgroundColor: '#9ca3af'
+    },
+    sendButtonText: {
+        color: '#fff',
+        fontWeight: '600',
+        fontSize: 14
+    }
+});
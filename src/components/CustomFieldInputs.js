@@ -0,0 +1,181 @@
+// CUSTOM FIELD INPUTS - Renders the extra form fields of a ticket type
+
+import {
+    View,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    StyleSheet
+} from 'react-native';
+import { MAX_FIELD_LENGTH } from '../config/ticketFields';
+
+/**
+ * Custom field inputs component
+ * @param {Array<object>} fields - Field definitions of the selected ticket type
+ * @param {object} values - Current answers keyed by field name
+ * @param {function} onChange - Called with (name, value) when an answer changes
+ * @returns {JSX.Element|null} One input per field, or nothing if the type has no fields
+ * @description Each field is drawn according to its kind:
+ *   1. text - single-line input
+ *   2. multiline - paragraph input
+ *   3. select - a row of choices, tap again to clear
+ *   4. checkbox - a yes/no tick box
+ */
+export default function CustomFieldInputs({ fields, values, onChange }) {
+    if (!fields || fields.length === 0) {
+        return null;
+    }
+
+    /**
+     * Renders the input for one field
+     * @param {object} field - Field definition
+     * @returns {JSX.Element} Input matching the field's kind
+     */
+    const renderInput = (field) => {
+        const value = values[field.name];
+
+        if (field.kind === 'checkbox') {
+            return (
+                <TouchableOpacity style={styles.checkboxRow} onPress={() => onChange(field.name, value !== true)}>
+                    <View style={[styles.checkbox, value === true && styles.checkboxChecked]}>
+                        {value === true ? <Text style={styles.checkmark}>✓</Text> : null}
+                    </View>
+                    <Text style={styles.checkboxLabel}>{field.label}</Text>
+                </TouchableOpacity>
+            );
+        }
+
+        if (field.kind === 'select') {
+            return (
+                <View style={styles.optionRow}>
+                    {(field.options || []).map((option) => (
+                        <TouchableOpacity
+                            key={option}
+                            style={[styles.option, value === option && styles.optionSelected]}
+                            onPress={() => onChange(field.name, value === option ? '' : option)}
+                        >
+                            <Text style={[styles.optionText, value === option && styles.optionTextSelected]}>
+                                {option}
+                            </Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            );
+        }
+
+        const multiline = field.kind === 'multiline';
+        return (
+            <TextInput
+                style={[styles.input, multiline && styles.textArea]}
+                value={typeof value === 'string' ? value : ''}
+                onChangeText={(text) => onChange(field.name, text)}
+                multiline={multiline}
+                textAlignVertical={multiline ? 'top' : 'center'}
+                maxLength={MAX_FIELD_LENGTH[field.kind]}
+            />
+        );
+    };
+
+    return (
+        <View>
+            {fields.map((field) => (
+                <View key={field.name}>
+                    {field.kind !== 'checkbox' ? (
+                        <Text style={styles.label}>
+                            {field.label}
+                            {field.required ? <Text style={styles.required}> *</Text> : null}
+                        </Text>
+                    ) : (
+                        <View style={styles.checkboxSpacer} />
+                    )}
+                    {renderInput(field)}
+                </View>
+            ))}
+        </View>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    label: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#374151',
+        marginBottom: 8,
+        marginTop: 16
+    },
+    required: {
+        color: '#dc2626'
+    },
+    input: {
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#d1d5db',
+        borderRadius: 8,
+        paddingHorizontal: 12,
+        paddingVertical: 12,
+        fontSize: 16,
+        color: '#1f2937'
+    },
+    textArea: {
+        height: 100,
+        paddingTop: 12
+    },
+    optionRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8
+    },
+    option: {
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        borderRadius: 8,
+        borderWidth: 2,
+        borderColor: '#d1d5db',
+        backgroundColor: '#fff'
+    },
+    optionSelected: {
+        borderColor: '#007AFF',
+        backgroundColor: '#e3f2ff'
+    },
+    optionText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#6b7280'
+    },
+    optionTextSelected: {
+        color: '#007AFF'
+    },
+    checkboxSpacer: {
+        height: 16
+    },
+    checkboxRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 10
+    },
+    checkbox: {
+        width: 22,
+        height: 22,
+        borderRadius: 4,
+        borderWidth: 2,
+        borderColor: '#d1d5db',
+        backgroundColor: '#fff',
+        alignItems: 'center',
+        justifyContent: 'center'
+    },
+    checkboxChecked: {
+        borderColor: '#007AFF',
+        backgroundColor: '#007AFF'
+    },
+    checkmark: {
+        color: '#fff',
+        fontSize: 14,
+        fontWeight: '700'
+    },
+    checkboxLabel: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#374151'
+    }
+});
@@ -0,0 +1,56 @@
+// CUSTOM FIELDS SECTION - Shows a ticket's answers to its type's extra form fields
+
+import { View, Text, StyleSheet } from 'react-native';
+
+/**
+ * Custom fields section component
+ * @param {Array<object>} customFields - Answers stored on the ticket: [{ name, label, kind, value }]
+ * @returns {JSX.Element|null} One titled block per answer, or nothing for tickets without any
+ * @description Uses the labels saved with the ticket, so answers still read
+ *   correctly after an admin changes the type's form.
+ */
+export default function CustomFieldsSection({ customFields }) {
+    if (!Array.isArray(customFields) || customFields.length === 0) {
+        return null;
+    }
+
+    return (
+        <View style={styles.container}>
+            {customFields.map((field) => (
+                <View key={field.name} style={styles.section}>
+                    <Text style={styles.label}>{field.label}</Text>
+                    <Text style={styles.value}>
+                        {field.kind === 'checkbox' ? '✅ Yes' : field.value}
+                    </Text>
+                </View>
+            ))}
+        </View>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    container: {
+        marginBottom: 24,
+        gap: 12
+    },
+    section: {
+        backgroundColor: '#fff',
+        borderRadius: 8,
+        padding: 12,
+        borderLeftWidth: 3,
+        borderLeftColor: '#d1d5db'
+    },
+    label: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#6b7280',
+        textTransform: 'uppercase',
+        marginBottom: 4
+    },
+    value: {
+        fontSize: 15,
+        color: '#1f2937',
+        lineHeight: 22
+    }
+});
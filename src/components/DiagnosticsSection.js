@@ -0,0 +1,89 @@
+// DIAGNOSTICS SECTION - Collapsible list of the device details attached to a bug report
+
+import { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { DIAGNOSTIC_FIELDS } from '../config/diagnostics';
+
+/**
+ * Diagnostics section component
+ * @param {object|null} diagnostics - Details stored on the ticket (see config/diagnostics.js)
+ * @param {string} title - Heading shown on the collapsed section
+ * @returns {JSX.Element|null} Collapsible details, or nothing if the ticket has none
+ * @description Starts collapsed so the details don't push the conversation down;
+ *   tap the heading to show or hide them.
+ */
+export default function DiagnosticsSection({ diagnostics, title = 'Device diagnostics' }) {
+    const [expanded, setExpanded] = useState(false);
+
+    if (!diagnostics) {
+        return null;
+    }
+
+    const rows = DIAGNOSTIC_FIELDS.filter(({ key }) => diagnostics[key]);
+
+    return (
+        <View style={styles.container}>
+            <TouchableOpacity style={styles.header} onPress={() => setExpanded(!expanded)}>
+                <Text style={styles.title}>🔧 {title}</Text>
+                <Text style={styles.toggle}>{expanded ? '▲ Hide' : '▼ Show'}</Text>
+            </TouchableOpacity>
+
+            {expanded ? (
+                <View style={styles.rows}>
+                    {rows.map(({ key, label }) => (
+                        <View key={key} style={styles.row}>
+                            <Text style={styles.label}>{label}</Text>
+                            <Text style={styles.value}>{diagnostics[key]}</Text>
+                        </View>
+                    ))}
+                </View>
+            ) : null}
+        </View>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    container: {
+        backgroundColor: '#f9fafb',
+        borderRadius: 8,
+        padding: 12,
+        marginBottom: 24,
+        borderWidth: 1,
+        borderColor: '#e5e7eb'
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center'
+    },
+    title: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#374151'
+    },
+    toggle: {
+        fontSize: 13,
+        color: '#007AFF',
+        fontWeight: '600'
+    },
+    rows: {
+        marginTop: 8,
+        gap: 4
+    },
+    row: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        gap: 12
+    },
+    label: {
+        fontSize: 13,
+        color: '#6b7280'
+    },
+    value: {
+        flex: 1,
+        fontSize: 13,
+        color: '#1f2937',
+        textAlign: 'right'
+    }
+});
@@ -0,0 +1,48 @@
+// LABEL CHIPS - Small colored pills showing a ticket's labels
+
+import { View, Text, StyleSheet } from 'react-native';
+
+/**
+ * Label chips component
+ * @param {Array<object>} labels - Labels to show (see getTicketLabels)
+ * @returns {JSX.Element|null} Row of chips, or nothing if there are no labels
+ */
+export default function LabelChips({ labels }) {
+    if (!labels || labels.length === 0) {
+        return null;
+    }
+
+    return (
+        <View style={styles.row}>
+            {labels.map((label) => (
+                <Text
+                    key={label.id}
+                    style={[
+                        styles.chip,
+                        { color: label.color, backgroundColor: `${label.color}1a` } // 10% tint, like TypeBadge
+                    ]}
+                    numberOfLines={1}
+                >
+                    {label.name}
+                </Text>
+            ))}
+        </View>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    row: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 6
+    },
+    chip: {
+        fontSize: 11,
+        fontWeight: '600',
+        paddingHorizontal: 8,
+        paddingVertical: 3,
+        borderRadius: 10,
+        overflow: 'hidden'
+    }
+});
@@ -0,0 +1,269 @@
+// LINK TICKET PICKER - Finds another ticket to link to, or to merge this one into
+
+import { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    FlatList,
+    Modal,
+    StyleSheet,
+    Alert
+} from 'react-native';
+import { searchTickets, linkTickets, mergeTicket } from '../backend';
+import { LINK_TYPES } from '../config/ticketLinks';
+
+// Pseudo link kind for the merge action
+const MERGE_MODE = 'merge';
+
+// How long to wait after the last keystroke before searching
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * Link ticket picker component
+ * @param {boolean} visible - Whether the picker is open
+ * @param {object} ticket - Ticket the link is added from
+ * @param {function} onClose - Called when the picker should close
+ * @returns {JSX.Element} Full-screen picker
+ * @description The admin:
+ *   1. Picks what to do: one of the link kinds, or "Merge into"
+ *   2. Searches by ticket ID, or words from the title or description
+ *   3. Taps a ticket to link it, or confirms merging this ticket into it
+ *   Tickets already linked to this one are left out of the results.
+ */
+export default function LinkTicketPicker({ visible, ticket, onClose }) {
+    const [mode, setMode] = useState('related-to');
+    const [search, setSearch] = useState('');
+    const [results, setResults] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    const linkedIds = (ticket.links || []).map(link => link.ticketId);
+
+    // Search after the admin stops typing
+    useEffect(() => {
+        if (!visible) {
+            return undefined;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            searchTickets(search)
+                .then((tickets) => {
+                    if (!cancelled) {
+                        setResults(tickets);
+                    }
+                })
+                .catch((err) => console.error('Error searching tickets:', err));
+        }, SEARCH_DELAY_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [visible, search]);
+
+    const close = () => {
+        setSearch('');
+        onClose();
+    };
+
+    /**
+     * Links or merges the chosen ticket
+     * @param {object} target - Ticket picked from the results
+     * @description Merging closes this ticket, so it asks for confirmation first.
+     */
+    const handlePick = (target) => {
+        if (mode !== MERGE_MODE) {
+            setSaving(true);
+            linkTickets(ticket.id, target.id, mode)
+                .then(close)
+                .catch((err) => Alert.alert('Error', err.message))
+                .finally(() => setSaving(false));
+            return;
+        }
+
+        Alert.alert(
+            'Merge Ticket',
+            `This ticket will be closed and its conversation and followers moved to "${target.title}".`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Merge',
+                    style: 'destructive',
+                    onPress: () => {
+                        setSaving(true);
+                        mergeTicket(ticket.id, target.id)
+                            .then(close)
+                            .catch((err) => Alert.alert('Error', err.message))
+                            .finally(() => setSaving(false));
+                    }
+                }
+            ]
+        );
+    };
+
+    const modes = [
+        ...LINK_TYPES.filter(linkType => linkType.pickable),
+        { key: MERGE_MODE, label: 'Merge into' }
+    ];
+
+    return (
+        <Modal visible={visible} animationType="slide" onRequestClose={close}>
+            <View style={styles.container}>
+                {/* HEADER */}
+                <View style={styles.header}>
+                    <Text style={styles.headerTitle}>Link Ticket</Text>
+                    <TouchableOpacity onPress={close}>
+                        <Text style={styles.close}>Cancel</Text>
+                    </TouchableOpacity>
+                </View>
+
+                {/* LINK KIND OR MERGE */}
+                <View style={styles.chipRow}>
+                    {modes.map((option) => (
+                        <TouchableOpacity
+                            key={option.key}
+                            style={[styles.chip, mode === option.key && styles.chipActive]}
+                            onPress={() => setMode(option.key)}
+                        >
+                            <Text style={[styles.chipText, mode === option.key && styles.chipTextActive]}>
+                                {option.label}
+                            </Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+                {mode === MERGE_MODE ? (
+                    <Text style={styles.hint}>
+                        Closes this ticket and moves its conversation and followers to the ticket you pick.
+                    </Text>
+                ) : null}
+
+                {/* SEARCH BOX */}
+                <TextInput
+                    style={styles.search}
+                    placeholder="Search by ticket ID, title or description"
+                    value={search}
+                    onChangeText={setSearch}
+                    autoCapitalize="none"
+                    autoFocus
+                />
+
+                {/* RESULTS */}
+                <FlatList
+                    data={results.filter(result => result.id !== ticket.id && !linkedIds.includes(result.id))}
+                    keyExtractor={(item) => item.id}
+                    contentContainerStyle={styles.list}
+                    keyboardShouldPersistTaps="handled"
+                    renderItem={({ item }) => (
+                        <TouchableOpacity style={styles.result} disabled={saving} onPress={() => handlePick(item)}>
+                            <Text style={styles.resultTitle} numberOfLines={1}>{item.title}</Text>
+                            <Text style={styles.resultMeta} numberOfLines={1}>
+                                {item.status} · {item.clientName || 'Unknown User'} · {item.id}
+                            </Text>
+                        </TouchableOpacity>
+                    )}
+                    ListEmptyComponent={<Text style={styles.empty}>No matching tickets</Text>}
+                />
+            </View>
+        </Modal>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5'
+    },
+    header: {
+        backgroundColor: '#fff',
+        padding: 20,
+        paddingTop: 50,
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        borderBottomWidth: 1,
+        borderBottomColor: '#ddd'
+    },
+    headerTitle: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#1f2937'
+    },
+    close: {
+        fontSize: 16,
+        color: '#007AFF',
+        fontWeight: '600'
+    },
+    chipRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+        paddingHorizontal: 16,
+        paddingTop: 16
+    },
+    chip: {
+        backgroundColor: '#fff',
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#d1d5db'
+    },
+    chipActive: {
+        borderColor: '#6366f1',
+        backgroundColor: '#eef2ff'
+    },
+    chipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#6b7280'
+    },
+    chipTextActive: {
+        color: '#6366f1'
+    },
+    hint: {
+        fontSize: 13,
+        color: '#92400e',
+        paddingHorizontal: 16,
+        paddingTop: 12
+    },
+    search: {
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#d1d5db',
+        borderRadius: 8,
+        paddingHorizontal: 12,
+        paddingVertical: 12,
+        fontSize: 15,
+        color: '#1f2937',
+        margin: 16,
+        marginBottom: 0
+    },
+    list: {
+        padding: 16
+    },
+    result: {
+        backgroundColor: '#fff',
+        padding: 16,
+        marginBottom: 12,
+        borderRadius: 12
+    },
+    resultTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#1f2937',
+        marginBottom: 4
+    },
+    resultMeta: {
+        fontSize: 12,
+        color: '#6b7280'
+    },
+    empty: {
+        fontSize: 14,
+        color: '#666',
+        textAlign: 'center',
+        paddingVertical: 32
+    }
+});
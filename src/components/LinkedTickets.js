@@ -0,0 +1,128 @@
+// LINKED TICKETS - "Linked tickets" section shown on both ticket detail screens
+
+import { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { getTicketById } from '../backend';
+import { getLinkType } from '../config/ticketLinks';
+
+/**
+ * Linked tickets component
+ * @param {Array<object>} links - The ticket's links ([{ ticketId, type }])
+ * @param {function} onOpen - Called with the linked ticket when it is tapped
+ * @param {function} onUnlink - Optional; called with a link to remove it (admins only)
+ * @returns {JSX.Element|null} List of linked tickets, or nothing if there are none
+ * @description Links only store ticket IDs, so each one is looked up here.
+ *   A client can't read other clients' tickets; those rows show without a
+ *   title and can't be opened.
+ */
+export default function LinkedTickets({ links, onOpen, onUnlink }) {
+    const [linked, setLinked] = useState({}); // ticketId -> ticket, or null if unreadable
+    const ticketIds = (links || []).map(link => link.ticketId).join(',');
+
+    useEffect(() => {
+        let cancelled = false;
+        const ids = ticketIds ? ticketIds.split(',') : [];
+
+        Promise.all(ids.map(id => getTicketById(id).catch(() => null)))
+            .then((results) => {
+                if (!cancelled) {
+                    const byId = {};
+                    ids.forEach((id, index) => {
+                        byId[id] = results[index];
+                    });
+                    setLinked(byId);
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [ticketIds]);
+
+    if (!links || links.length === 0) {
+        return null;
+    }
+
+    return (
+        <View style={styles.container}>
+            <Text style={styles.title}>🔗 Linked tickets</Text>
+            {links.map((link) => {
+                const linkedTicket = linked[link.ticketId];
+                const loaded = link.ticketId in linked;
+                const linkType = getLinkType(link.type);
+
+                return (
+                    <View key={link.ticketId} style={styles.row}>
+                        <TouchableOpacity
+                            style={styles.rowBody}
+                            disabled={!linkedTicket}
+                            onPress={() => onOpen(linkedTicket)}
+                        >
+                            <Text style={styles.linkType}>{linkType ? linkType.label : link.type}</Text>
+                            <Text style={[styles.linkTitle, !linkedTicket && styles.linkTitleHidden]} numberOfLines={1}>
+                                {linkedTicket ? linkedTicket.title : loaded ? "Another client's ticket" : 'Loading...'}
+                            </Text>
+                            {linkedTicket ? <Text style={styles.linkStatus}>{linkedTicket.status}</Text> : null}
+                        </TouchableOpacity>
+                        {onUnlink ? (
+                            <TouchableOpacity onPress={() => onUnlink(link)}>
+                                <Text style={styles.unlink}>Unlink</Text>
+                            </TouchableOpacity>
+                        ) : null}
+                    </View>
+                );
+            })}
+        </View>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    container: {
+        backgroundColor: '#f9fafb',
+        borderRadius: 8,
+        padding: 12,
+        marginBottom: 24,
+        borderWidth: 1,
+        borderColor: '#e5e7eb',
+        gap: 8
+    },
+    title: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#374151'
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 12
+    },
+    rowBody: {
+        flex: 1
+    },
+    linkType: {
+        fontSize: 11,
+        fontWeight: '600',
+        color: '#6b7280',
+        textTransform: 'uppercase'
+    },
+    linkTitle: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#007AFF'
+    },
+    linkTitleHidden: {
+        color: '#9ca3af',
+        fontWeight: 'normal'
+    },
+    linkStatus: {
+        fontSize: 12,
+        color: '#6b7280',
+        textTransform: 'capitalize'
+    },
+    unlink: {
+        fontSize: 13,
+        color: '#dc2626',
+        fontWeight: '600'
+    }
+});
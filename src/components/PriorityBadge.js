@@ -0,0 +1,36 @@
+// PRIORITY BADGE - Colored pill showing a ticket's priority
+
+import { Text, StyleSheet } from 'react-native';
+import { getPriority } from '../config/priorities';
+
+/**
+ * Priority badge component
+ * @param {string} priority - Priority key from the ticket
+ * @returns {JSX.Element} Colored priority label
+ */
+export default function PriorityBadge({ priority }) {
+    const definition = getPriority(priority);
+
+    return (
+        <Text
+            style={[
+                styles.badge,
+                { color: definition.color, backgroundColor: definition.background }
+            ]}
+        >
+            {definition.label.toUpperCase()}
+        </Text>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    badge: {
+        fontSize: 11,
+        fontWeight: '700',
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+        borderRadius: 6,
+        overflow: 'hidden'
+    }
+});
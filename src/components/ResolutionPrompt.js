@@ -0,0 +1,175 @@
+// RESOLUTION PROMPT - Lets a client confirm a fix or reopen a resolved ticket
+
+import { useState } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    StyleSheet,
+    Alert
+} from 'react-native';
+import { updateTicketStatus } from '../backend';
+
+/**
+ * Resolution prompt component
+ * @param {object} ticket - The ticket (only rendered while it is resolved)
+ * @returns {JSX.Element|null} Confirm / reopen buttons, or nothing for other statuses
+ * @description The client can:
+ *   1. Confirm the fix, which closes the ticket
+ *   2. Say it's still broken, which asks for an explanation and moves the
+ *      ticket back to in-progress
+ *   Tickets left unanswered are closed automatically after a few days
+ *   (see closeStaleResolvedTickets).
+ */
+export default function ResolutionPrompt({ ticket }) {
+    const [reopening, setReopening] = useState(false); // Whether the explanation box is showing
+    const [reason, setReason] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    if (ticket.status !== 'resolved') {
+        return null;
+    }
+
+    /**
+     * Moves the ticket on and resets the prompt
+     * @param {string} status - 'closed' to confirm, 'in-progress' to reopen
+     * @param {string} note - Reason saved in the ticket history
+     */
+    const respond = async (status, note) => {
+        setSaving(true);
+        try {
+            await updateTicketStatus(ticket.id, status, note);
+            setReopening(false);
+            setReason('');
+        }
+        catch (error) {
+            Alert.alert('Error', error.message);
+        }
+        finally {
+            setSaving(false);
+        }
+    };
+
+    const handleReopen = () => {
+        if (!reason.trim()) {
+            Alert.alert('Reason Required', "Please tell the support team what's still wrong.");
+            return;
+        }
+        respond('in-progress', reason);
+    };
+
+    return (
+        <View style={styles.container}>
+            <Text style={styles.title}>Is this fixed?</Text>
+
+            {reopening ? (
+                <>
+                    {/* REOPEN EXPLANATION */}
+                    <TextInput
+                        style={styles.input}
+                        placeholder="What's still not working?"
+                        value={reason}
+                        onChangeText={setReason}
+                        multiline
+                        editable={!saving}
+                    />
+                    <View style={styles.buttonRow}>
+                        <TouchableOpacity
+                            style={[styles.button, styles.secondaryButton]}
+                            onPress={() => setReopening(false)}
+                            disabled={saving}
+                        >
+                            <Text style={styles.secondaryButtonText}>Cancel</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[styles.button, styles.reopenButton]}
+                            onPress={handleReopen}
+                            disabled={saving}
+                        >
+                            <Text style={styles.buttonText}>Reopen Ticket</Text>
+                        </TouchableOpacity>
+                    </View>
+                </>
+            ) : (
+                <View style={styles.buttonRow}>
+                    <TouchableOpacity
+                        style={[styles.button, styles.confirmButton]}
+                        onPress={() => respond('closed', 'Client confirmed the fix')}
+                        disabled={saving}
+                    >
+                        <Text style={styles.buttonText}>✅ Yes, close it</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.button, styles.secondaryButton]}
+                        onPress={() => setReopening(true)}
+                        disabled={saving}
+                    >
+                        <Text style={styles.secondaryButtonText}>Still broken</Text>
+                    </TouchableOpacity>
+                </View>
+            )}
+        </View>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    container: {
+        backgroundColor: '#ecfdf5',
+        borderRadius: 8,
+        padding: 12,
+        marginTop: 12,
+        marginBottom: 12,
+        borderLeftWidth: 3,
+        borderLeftColor: '#10b981'
+    },
+    title: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#065f46',
+        marginBottom: 8
+    },
+    input: {
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#d1d5db',
+        borderRadius: 8,
+        padding: 10,
+        fontSize: 14,
+        minHeight: 60,
+        textAlignVertical: 'top',
+        marginBottom: 8
+    },
+    buttonRow: {
+        flexDirection: 'row',
+        gap: 8
+    },
+    button: {
+        flex: 1,
+        paddingVertical: 10,
+        borderRadius: 8,
+        alignItems: 'center'
+    },
+    confirmButton: {
+        backgroundColor: '#10b981'
+    },
+    reopenButton: {
+        backgroundColor: '#dc2626'
+    },
+    secondaryButton: {
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#d1d5db'
+    },
+    buttonText: {
+        color: '#fff',
+        fontWeight: '600',
+        fontSize: 14
+    },
+    secondaryButtonText: {
+        color: '#374151',
+        fontWeight: '600',
+        fontSize: 14
+    }
+});
@@ -0,0 +1,51 @@
+// SLA INDICATOR - Shows how a ticket is tracking against its response/resolution targets
+
+import { Text, StyleSheet } from 'react-native';
+import { getSlaStatus } from '../utils/sla';
+
+// Icon and colors for each SLA state
+const STATE_STYLES = {
+    ok: { icon: '⏱', color: '#059669', background: '#d1fae5' },
+    warning: { icon: '⏳', color: '#d97706', background: '#fef3c7' },
+    breached: { icon: '🔥', color: '#dc2626', background: '#fee2e2' },
+    paused: { icon: '⏸', color: '#6b7280', background: '#f3f4f6' },
+    met: { icon: '✅', color: '#059669', background: '#d1fae5' }
+};
+
+/**
+ * SLA indicator component
+ * @param {object} ticket - Ticket object from Firestore
+ * @returns {JSX.Element|null} Colored SLA label, or nothing for tickets without SLA data
+ */
+export default function SlaIndicator({ ticket }) {
+    const status = getSlaStatus(ticket);
+    if (!status) {
+        return null;
+    }
+
+    const stateStyle = STATE_STYLES[status.state];
+
+    return (
+        <Text
+            style={[
+                styles.indicator,
+                { color: stateStyle.color, backgroundColor: stateStyle.background }
+            ]}
+        >
+            {stateStyle.icon} {status.label}
+        </Text>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    indicator: {
+        alignSelf: 'flex-start',
+        fontSize: 11,
+        fontWeight: '600',
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+        borderRadius: 6,
+        overflow: 'hidden'
+    }
+});
@@ -0,0 +1,157 @@
+// STATUS TIMELINE - Full lifecycle of a ticket built from its status history
+
+import { useState, useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { subscribeToStatusHistory } from '../backend';
+import { formatTimestamp, formatDuration } from '../utils/format';
+
+// Pending serverTimestamps are null locally, so treat them as "now"
+const toMillis = (timestamp) =>
+    timestamp && typeof timestamp.toMillis === 'function' ? timestamp.toMillis() : Date.now();
+
+/**
+ * Status timeline component
+ * @param {object} ticket - Ticket object (needs id, status and createdAt)
+ * @returns {JSX.Element} Vertical list of every status change
+ * @description Shows for each change:
+ *   - Previous and new status
+ *   - Which admin made the change and when
+ *   - The optional reason they gave
+ *   - How long the ticket sat in the previous status
+ */
+export default function StatusTimeline({ ticket }) {
+    const [entries, setEntries] = useState([]);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let unsubscribe;
+
+        try {
+            unsubscribe = subscribeToStatusHistory(
+                ticket.id,
+                (data) => {
+                    setEntries(data);
+                    setError(null);
+                },
+                (err) => {
+                    setError(err.message);
+                }
+            );
+        }
+        catch (err) {
+            console.error('Error setting up history listener:', err);
+            setError(err.message);
+        }
+
+        return () => {
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        };
+    }, [ticket.id]);
+
+    if (error) {
+        return <Text style={styles.emptyText}>{error}</Text>;
+    }
+
+    const lastChangeAt = entries.length > 0
+        ? toMillis(entries[entries.length - 1].createdAt)
+        : toMillis(ticket.createdAt);
+    const currentStatus = entries.length > 0
+        ? entries[entries.length - 1].toStatus
+        : ticket.status;
+
+    return (
+        <View>
+            {/* TICKET CREATED */}
+            <View style={styles.entry}>
+                <View style={styles.dot} />
+                <View style={styles.entryBody}>
+                    <Text style={styles.entryTitle}>Ticket created</Text>
+                    <Text style={styles.entryMeta}>
+                        {ticket.clientName || 'Client'} · {formatTimestamp(ticket.createdAt)}
+                    </Text>
+                </View>
+            </View>
+
+            {/* STATUS CHANGES */}
+            {entries.map((entry, index) => {
+                const previousAt = index === 0
+                    ? toMillis(ticket.createdAt)
+                    : toMillis(entries[index - 1].createdAt);
+
+                return (
+                    <View key={entry.id} style={styles.entry}>
+                        <View style={styles.dot} />
+                        <View style={styles.entryBody}>
+                            <Text style={styles.entryTitle}>
+                                {(entry.fromStatus || 'new').replace('-', ' ')} → {entry.toStatus.replace('-', ' ')}
+                            </Text>
+                            <Text style={styles.entryMeta}>
+                                {entry.actorName || 'Unknown'} · {formatTimestamp(entry.createdAt)}
+                            </Text>
+                            <Text style={styles.entryMeta}>
+                                After {formatDuration(toMillis(entry.createdAt) - previousAt)} in {(entry.fromStatus || 'new').replace('-', ' ')}
+                            </Text>
+                            {entry.reason ? (
+                                <Text style={styles.reason}>“{entry.reason}”</Text>
+                            ) : null}
+                        </View>
+                    </View>
+                );
+            })}
+
+            {/* CURRENT STATE */}
+            <Text style={styles.currentText}>
+                In {currentStatus.replace('-', ' ')} for {formatDuration(Date.now() - lastChangeAt)}
+            </Text>
+        </View>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    entry: {
+        flexDirection: 'row',
+        marginBottom: 16
+    },
+    dot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        backgroundColor: '#6366f1',
+        marginTop: 5,
+        marginRight: 12
+    },
+    entryBody: {
+        flex: 1
+    },
+    entryTitle: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#1f2937',
+        textTransform: 'capitalize'
+    },
+    entryMeta: {
+        fontSize: 12,
+        color: '#6b7280',
+        marginTop: 2
+    },
+    reason: {
+        fontSize: 13,
+        color: '#374151',
+        fontStyle: 'italic',
+        marginTop: 4
+    },
+    currentText: {
+        fontSize: 13,
+        color: '#059669',
+        fontWeight: '600',
+        marginBottom: 8
+    },
+    emptyText: {
+        fontSize: 14,
+        color: '#666',
+        marginBottom: 16
+    }
+});
@@ -0,0 +1,56 @@
+// TICKET ATTACHMENTS - Every screenshot and file on a ticket, kept live
+
+import { useState, useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { subscribeToAttachments } from '../backend';
+import AttachmentList from './AttachmentList';
+
+/**
+ * Ticket attachments component
+ * @param {string} ticketId - The ticket whose attachments should be shown
+ * @returns {JSX.Element|null} Attachment thumbnails, or nothing if the ticket has none
+ * @description Lists files sent with the ticket and with any reply in its thread
+ */
+export default function TicketAttachments({ ticketId }) {
+    const [attachments, setAttachments] = useState([]);
+
+    useEffect(() => {
+        let unsubscribe;
+
+        try {
+            unsubscribe = subscribeToAttachments(ticketId, setAttachments);
+        }
+        catch (err) {
+            console.error('Error setting up attachment listener:', err);
+        }
+
+        return () => {
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        };
+    }, [ticketId]);
+
+    if (attachments.length === 0) {
+        return null;
+    }
+
+    return (
+        <View style={styles.container}>
+            <Text style={styles.label}>📎 Attachments ({attachments.length})</Text>
+            <AttachmentList attachments={attachments} />
+        </View>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    container: {
+        marginBottom: 20
+    },
+    label: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#666'
+    }
+});
@@ -0,0 +1,140 @@
+// TICKET FILTERS - Search box, filter chips and sort options for the admin ticket list
+
+import { View, Text, TextInput, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+
+/**
+ * Renders one horizontally scrolling row of selectable chips
+ * @param {string} label - Row label
+ * @param {Array<object>} options - Options with key and label
+ * @param {*} selected - Key of the selected option
+ * @param {function} onSelect - Called with the key of the tapped option
+ * @returns {JSX.Element} Chip row UI
+ */
+const ChipRow = ({ label, options, selected, onSelect }) => (
+    <View style={styles.row}>
+        <Text style={styles.rowLabel}>{label}</Text>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {options.map((option) => (
+                <TouchableOpacity
+                    key={String(option.key)}
+                    style={[styles.chip, selected === option.key && styles.chipActive]}
+                    onPress={() => onSelect(option.key)}
+                >
+                    <Text style={[styles.chipText, selected === option.key && styles.chipTextActive]}>
+                        {option.label}
+                    </Text>
+                </TouchableOpacity>
+            ))}
+        </ScrollView>
+    </View>
+);
+
+/**
+ * Ticket filters component
+ * @param {object} filters - Current filter values (search, status, type, clientId, assigneeId, labelId, sortBy)
+ * @param {function} onChange - Called with the updated filters object
+ * @param {Array<object>} statusOptions - Status chips to offer
+ * @param {Array<object>} typeOptions - Type chips to offer
+ * @param {Array<object>} clientOptions - Client chips to offer
+ * @param {Array<object>|null} assigneeOptions - Assignee chips, or null to hide that row
+ * @param {Array<object>|null} labelOptions - Label chips, or null to hide that row
+ * @param {Array<object>} sortOptions - Sort chips to offer
+ * @returns {JSX.Element} Filter bar UI
+ * @description "All" chips use an undefined key so the matching filter is left out of the query
+ */
+export default function TicketFilters({
+    filters,
+    onChange,
+    statusOptions,
+    typeOptions,
+    clientOptions,
+    assigneeOptions,
+    labelOptions,
+    sortOptions
+}) {
+    const update = (key) => (value) => onChange({ ...filters, [key]: value });
+
+    return (
+        <View style={styles.container}>
+            {/* TEXT SEARCH */}
+            <TextInput
+                style={styles.search}
+                placeholder="Search title or description..."
+                value={filters.search}
+                onChangeText={update('search')}
+                autoCapitalize="none"
+                clearButtonMode="while-editing"
+            />
+
+            <ChipRow label="Status" options={statusOptions} selected={filters.status} onSelect={update('status')} />
+            <ChipRow label="Type" options={typeOptions} selected={filters.type} onSelect={update('type')} />
+            <ChipRow label="Client" options={clientOptions} selected={filters.clientId} onSelect={update('clientId')} />
+            {assigneeOptions ? (
+                <ChipRow
+                    label="Assignee"
+                    options={assigneeOptions}
+                    selected={filters.assigneeId}
+                    onSelect={update('assigneeId')}
+                />
+            ) : null}
+            {labelOptions ? (
+                <ChipRow label="Label" options={labelOptions} selected={filters.labelId} onSelect={update('labelId')} />
+            ) : null}
+            <ChipRow label="Sort" options={sortOptions} selected={filters.sortBy} onSelect={update('sortBy')} />
+        </View>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    container: {
+        backgroundColor: '#fff',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+        borderBottomColor: '#ddd',
+        gap: 8
+    },
+    search: {
+        backgroundColor: '#f9fafb',
+        borderWidth: 1,
+        borderColor: '#d1d5db',
+        borderRadius: 8,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+        fontSize: 15,
+        color: '#1f2937'
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center'
+    },
+    rowLabel: {
+        width: 64,
+        fontSize: 13,
+        color: '#666',
+        fontWeight: '600'
+    },
+    chip: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#d1d5db',
+        backgroundColor: '#fff',
+        marginRight: 8
+    },
+    chipActive: {
+        borderColor: '#007AFF',
+        backgroundColor: '#e3f2ff'
+    },
+    chipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#6b7280',
+        textTransform: 'capitalize'
+    },
+    chipTextActive: {
+        color: '#007AFF'
+    }
+});
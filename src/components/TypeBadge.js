@@ -0,0 +1,34 @@
+// TYPE BADGE - Colored pill showing a ticket's type
+
+import { Text, StyleSheet } from 'react-native';
+
+/**
+ * Type badge component
+ * @param {object} ticketType - Type definition (see getTicketType)
+ * @returns {JSX.Element} Icon and label in the type's color
+ */
+export default function TypeBadge({ ticketType }) {
+    return (
+        <Text
+            style={[
+                styles.badge,
+                { color: ticketType.color, backgroundColor: `${ticketType.color}1a` } // 10% tint
+            ]}
+        >
+            {ticketType.icon} {ticketType.label.toUpperCase()}
+        </Text>
+    );
+}
+
+// Styles for this component
+const styles = StyleSheet.create({
+    badge: {
+        alignSelf: 'flex-start',
+        fontSize: 11,
+        fontWeight: '700',
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+        borderRadius: 6,
+        overflow: 'hidden'
+    }
+});
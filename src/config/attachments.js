@@ -0,0 +1,48 @@
+// TICKET ATTACHMENTS - Limits for screenshots and files attached to tickets
+// Keep these in sync with storage.rules, which enforces the same limits on the server
+
+// Largest file a client or admin can attach, in bytes (10 MB)
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// Most files that can be attached to a single ticket or reply
+export const MAX_ATTACHMENTS = 5;
+
+/**
+ * Content types that can be attached
+ * @description Images for screenshots, plus small text/archive formats for logs and exports
+ */
+export const ALLOWED_ATTACHMENT_TYPES = [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'image/heic',
+    'text/plain',
+    'text/csv',
+    'application/json',
+    'application/pdf',
+    'application/zip'
+];
+
+/**
+ * Checks whether an attachment should be shown as an image thumbnail
+ * @param {string} contentType - MIME type of the file
+ * @returns {boolean} True for image types
+ */
+export const isImageAttachment = (contentType) =>
+    typeof contentType === 'string' && contentType.startsWith('image/');
+
+/**
+ * Checks a file against the attachment limits
+ * @param {object} file - File with name, type and size
+ * @returns {string|null} Reason the file can't be attached, or null if it's fine
+ */
+export const validateAttachment = (file) => {
+    if (!ALLOWED_ATTACHMENT_TYPES.includes(file.type)) {
+        return `"${file.name}" is not a supported file type`;
+    }
+    if (!file.size || file.size > MAX_ATTACHMENT_BYTES) {
+        return `"${file.name}" is larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`;
+    }
+    return null;
+};
@@ -0,0 +1,43 @@
+// DIAGNOSTICS - What device and app details are attached to bug reports
+
+// Only tickets of this type carry diagnostics
+export const DIAGNOSTICS_TICKET_TYPE = 'bug';
+
+/**
+ * Details collected from the device, in display order
+ * @description Every value is stored as a short string so the ticket shows
+ *   exactly what the client saw before sending it.
+ */
+export const DIAGNOSTIC_FIELDS = [
+    { key: 'platform', label: 'Platform' },
+    { key: 'osVersion', label: 'OS version' },
+    { key: 'appVersion', label: 'App version' },
+    { key: 'appBuild', label: 'Build' },
+    { key: 'deviceModel', label: 'Device' },
+    { key: 'locale', label: 'Locale' },
+    { key: 'screen', label: 'Screen' }
+];
+
+// Longest value kept for a single detail
+const MAX_DIAGNOSTIC_LENGTH = 100;
+
+/**
+ * Keeps only the known diagnostics of a ticket
+ * @param {object|null} diagnostics - Details collected on the device
+ * @returns {object|null} Known details as trimmed strings, or null if there are none
+ */
+export const cleanDiagnostics = (diagnostics) => {
+    if (!diagnostics || typeof diagnostics !== 'object') {
+        return null;
+    }
+
+    const cleaned = {};
+    DIAGNOSTIC_FIELDS.forEach(({ key }) => {
+        const value = diagnostics[key];
+        if ((typeof value === 'string' || typeof value === 'number') && String(value).trim()) {
+            cleaned[key] = String(value).trim().slice(0, MAX_DIAGNOSTIC_LENGTH);
+        }
+    });
+
+    return Object.keys(cleaned).length > 0 ? cleaned : null;
+};
@@ -1,54 +1,124 @@
 // FIREBASE CONFIGURATION AND HELPER FUNCTIONS
-// This file contains all the functions needed to interact with Firebase
+// This file contains all the functions needed to interact with Firebase.
+// It is the Firebase implementation of the data backend: screens import from
+// src/backend, which loads this file only when the Firebase backend is in use.
 
 import auth, { 
     createUserWithEmailAndPassword,
     signInWithEmailAndPassword,
     signOut as firebaseSignOut,
-    onAuthStateChanged
+    onAuthStateChanged,
+    connectAuthEmulator
 } from '@react-native-firebase/auth';
 
 import Config from 'react-native-config';
+import { DEFAULT_PRIORITY, getPriority } from './priorities';
+import { OPEN_STATUSES } from './statuses';
+import { mergeTicketTypes } from './ticketTypes';
+import { validateTransition, DEFAULT_AUTO_CLOSE_DAYS } from './workflow';
+import { validateAttachment, isImageAttachment } from './attachments';
+import { DEFAULT_SLA_POLICIES, getDueDates, toMillis } from '../utils/sla';
+import {
+    TICKET_PAGE_SIZE,
+    ADMIN_INVITE_EXPIRY_DAYS,
+    SHARED_TICKET_TYPE,
+    SHARED_TICKET_LIMIT,
+    TICKET_SEARCH_LIMIT,
+    TICKET_SEARCH_RESULTS,
+    FEATURE_BOARD_LIMIT,
+    SYSTEM_ACTOR,
+    createInviteCode,
+    validatePriority,
+    validateNewTicket,
+    getTicketDiagnostics,
+    validateTicketType,
+    getSlaUpdates,
+    getNotificationRecipients,
+    getLastUpdatedBy,
+    isWatcherOnly,
+    getAutoCloseCutoff,
+    getAutoCloseReason,
+    matchesTicketSearch,
+    validateMerge,
+    getMergeReason,
+    getMergeUpdates,
+    validateBulkChange,
+    getBulkTicketChange,
+    mapInGroups,
+    BULK_TICKETS_AT_ONCE
+} from '../backend/shared';
+import { validateLink, addLink, removeLink } from './ticketLinks';
+import { sortLabels, validateLabel, validateTicketLabels } from './labels';
 
 import firestore, {
     collection,
     doc,
     getDoc,
+    getDocs,
     setDoc,
-    addDoc,
     updateDoc,
+    deleteDoc,
     query,
     where,
     orderBy,
+    limit,
+    startAfter,
+    getCountFromServer,
     onSnapshot,
-    serverTimestamp
+    runTransaction,
+    writeBatch,
+    serverTimestamp,
+    arrayUnion,
+    arrayRemove,
+    increment,
+    collectionGroup,
+    Timestamp,
+    connectFirestoreEmulator
 } from '@react-native-firebase/firestore';
 
+import {
+    getStorage,
+    ref as storageRef,
+    putFile,
+    getDownloadURL,
+    connectStorageEmulator
+} from '@react-native-firebase/storage';
+
 // Create Firebase instances
 const authInstance = auth();
 const firestoreInstance = firestore();
+const storageInstance = getStorage();
+
+// Point every service at the local Firebase emulators when USE_FIREBASE_EMULATOR=true
+// (Android emulators reach the host machine at 10.0.2.2, see FIREBASE_EMULATOR_HOST)
+if (Config.USE_FIREBASE_EMULATOR === 'true') {
+    const host = Config.FIREBASE_EMULATOR_HOST || 'localhost';
+    connectAuthEmulator(authInstance, `http://${host}:9099`);
+    connectFirestoreEmulator(firestoreInstance, host, 8080);
+    connectStorageEmulator(storageInstance, host, 9199);
+}
 
 /**
  * Creates a new user account and stores user info in Firestore
  * @param {string} email - User's email address
  * @param {string} password - User's password (min 6 characters)
  * @param {string} name - User's full name
- * @param {string} role - User's role ('client' or 'admin')
+ * @param {object} adminAccess - Optional way to become an admin:
+ *   { inviteCode } redeems an invite right away, { requestNote } joins the approval queue
  * @returns {Promise<object>} Firebase user object
  * @throws {Error} If account creation or Firestore write fails
+ * @description Every account starts as a client. Admin access only comes from
+ *   an invite code generated by an existing admin, or an approved request.
  */
-export const signUp = async (email, password, name, role) => {
+export const signUp = async (email, password, name, adminAccess = {}) => {
     try {
         // Validate inputs
-        if (!email || !password || !name || !role) {
+        if (!email || !password || !name) {
         throw new Error('All fields are required');
         }
         if (password.length < 6) {
         throw new Error('Password must be at least 6 characters');
         }
-        if (!['client', 'admin'].includes(role)) {
-        throw new Error('Role must be either "client" or "admin"');
-        }
 
         // Create authentication account
         const userCredential = await createUserWithEmailAndPassword(authInstance, email, password);
@@ -59,7 +129,7 @@ export const signUp = async (email, password, name, role) => {
         await setDoc(userRef, {
             email,
             name,
-            role,
+            role: 'client',
             createdAt: serverTimestamp()
         });
 
@@ -69,6 +139,17 @@ export const signUp = async (email, password, name, role) => {
             throw new Error('Failed to create user profile');
         }
 
+        // The account exists either way, so say so if the admin step fails
+        try {
+            if (adminAccess.inviteCode) {
+                await redeemAdminInvite(adminAccess.inviteCode);
+            } else if (adminAccess.requestNote !== undefined) {
+                await requestAdminAccess(adminAccess.requestNote);
+            }
+        } catch (err) {
+            throw new Error(`Your account was created as a client, but: ${err.message}`);
+        }
+
         return user;
     } catch (error) {
         // Re-throw with more context
@@ -76,6 +157,281 @@ export const signUp = async (email, password, name, role) => {
     }
 };
 
+/**
+ * Subscribes to a user's profile document
+ * @param {string} userId - The user's unique ID
+ * @param {function} callback - Function to call with the profile (null if it doesn't exist yet)
+ * @param {function} onError - Optional error handler
+ * @returns {function} Unsubscribe function to stop listening
+ * @throws {Error} If user ID is missing
+ * @description Lets AppNavigator switch stacks as soon as a role changes,
+ *   e.g. when an invite is redeemed or an admin request is approved
+ */
+export const subscribeToUserProfile = (userId, callback, onError) => {
+    if (!userId) {
+        const error = new Error('User ID is required');
+        if (onError) {
+            onError(error);
+        }
+        throw error;
+    }
+
+    return onSnapshot(
+        doc(firestoreInstance, 'users', userId),
+        (snapshot) => {
+            callback(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+        },
+        (error) => {
+            if (onError) {
+                onError(error);
+            }
+            console.error('Error fetching user profile:', error);
+        }
+    );
+};
+
+/**
+ * Generates an admin invite code and stores it
+ * @returns {Promise<object>} The invite: { code, expiresAt }
+ * @throws {Error} If the current user is not an admin or the write fails
+ * @description The code doubles as the document ID in `adminInvites`, so
+ *   redeeming it is a single lookup. Codes can only be used once.
+ */
+export const createAdminInvite = async () => {
+    try {
+        const creator = await getCurrentUserProfile();
+        if (creator.role !== 'admin') {
+            throw new Error('Only admins can invite other admins');
+        }
+
+        const code = createInviteCode();
+        const expiresAt = Timestamp.fromMillis(Date.now() + ADMIN_INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+        await setDoc(doc(firestoreInstance, 'adminInvites', code), {
+            createdById: creator.uid,
+            createdByName: creator.name,
+            createdAt: serverTimestamp(),
+            expiresAt,
+            usedById: null,
+            usedByName: null,
+            usedAt: null
+        });
+
+        return { code, expiresAt };
+    } catch (error) {
+        throw new Error(error.message || 'Failed to create invite');
+    }
+};
+
+/**
+ * Subscribes to admin invites that haven't been used yet (newest first)
+ * @param {function} callback - Function to call when invites update
+ * @param {function} onError - Optional error handler
+ * @returns {function} Unsubscribe function to stop listening
+ * @throws {Error} If user is not authenticated
+ */
+export const subscribeToAdminInvites = (callback, onError) => {
+    if (!authInstance.currentUser) {
+        const error = new Error('You must be logged in to view invites');
+        if (onError) {
+            onError(error);
+        }
+        throw error;
+    }
+
+    const q = query(
+        collection(firestoreInstance, 'adminInvites'),
+        where('usedById', '==', null),
+        orderBy('createdAt', 'desc')
+    );
+
+    return onSnapshot(
+        q,
+        (snapshot) => {
+            const invites = snapshot.docs.map(inviteDoc => ({
+                code: inviteDoc.id,
+                ...inviteDoc.data()
+            }));
+            callback(invites);
+        },
+        (error) => {
+            if (onError) {
+                onError(error);
+            }
+            console.error('Error fetching invites:', error);
+        }
+    );
+};
+
+/**
+ * Deletes an unused admin invite so it can no longer be redeemed
+ * @param {string} code - The invite code
+ * @returns {Promise<void>}
+ * @throws {Error} If the delete fails
+ */
+export const revokeAdminInvite = async (code) => {
+    try {
+        await deleteDoc(doc(firestoreInstance, 'adminInvites', code));
+    } catch (error) {
+        throw new Error(error.message || 'Failed to revoke invite');
+    }
+};
+
+/**
+ * Redeems an admin invite code for the signed-in user
+ * @param {string} code - Invite code (case and surrounding spaces don't matter)
+ * @returns {Promise<void>}
+ * @throws {Error} If the code is unknown, already used or expired
+ * @description Marking the invite used and upgrading the user happen in one
+ *   transaction, so a code can never make two admins.
+ */
+export const redeemAdminInvite = async (code) => {
+    try {
+        const user = await getCurrentUserProfile();
+        const normalized = (code || '').trim().toUpperCase();
+        if (!normalized) {
+            throw new Error('Invite code is required');
+        }
+
+        const inviteRef = doc(firestoreInstance, 'adminInvites', normalized);
+        const userRef = doc(firestoreInstance, 'users', user.uid);
+
+        await runTransaction(firestoreInstance, async (transaction) => {
+            const inviteDoc = await transaction.get(inviteRef);
+            if (!inviteDoc.exists()) {
+                throw new Error('Invite code not found');
+            }
+
+            const invite = inviteDoc.data();
+            if (invite.usedById) {
+                throw new Error('This invite code has already been used');
+            }
+            if (toMillis(invite.expiresAt) < Date.now()) {
+                throw new Error('This invite code has expired');
+            }
+
+            transaction.update(inviteRef, {
+                usedById: user.uid,
+                usedByName: user.name,
+                usedAt: serverTimestamp()
+            });
+            transaction.update(userRef, {
+                role: 'admin',
+                adminInviteCode: normalized // Lets the security rules check the invite was consumed
+            });
+        });
+    } catch (error) {
+        throw new Error(error.message || 'Failed to redeem invite');
+    }
+};
+
+/**
+ * Asks the admins to give the signed-in user admin access
+ * @param {string} note - Optional message for the reviewing admin
+ * @returns {Promise<void>}
+ * @throws {Error} If user is not authenticated or the write fails
+ * @description One request per user, stored at adminRequests/{uid}. Asking
+ *   again replaces an earlier (e.g. rejected) request.
+ */
+export const requestAdminAccess = async (note = '') => {
+    try {
+        const user = await getCurrentUserProfile();
+        if (user.role === 'admin') {
+            throw new Error('You are already an admin');
+        }
+
+        await setDoc(doc(firestoreInstance, 'adminRequests', user.uid), {
+            name: user.name,
+            email: user.email,
+            note: note.trim() || null,
+            status: 'pending',
+            createdAt: serverTimestamp(),
+            reviewedById: null,
+            reviewedByName: null,
+            reviewedAt: null
+        });
+    } catch (error) {
+        throw new Error(error.message || 'Failed to request admin access');
+    }
+};
+
+/**
+ * Subscribes to admin access requests waiting for review (oldest first)
+ * @param {function} callback - Function to call when requests update
+ * @param {function} onError - Optional error handler
+ * @returns {function} Unsubscribe function to stop listening
+ * @throws {Error} If user is not authenticated
+ */
+export const subscribeToAdminRequests = (callback, onError) => {
+    if (!authInstance.currentUser) {
+        const error = new Error('You must be logged in to view requests');
+        if (onError) {
+            onError(error);
+        }
+        throw error;
+    }
+
+    const q = query(
+        collection(firestoreInstance, 'adminRequests'),
+        where('status', '==', 'pending'),
+        orderBy('createdAt', 'asc')
+    );
+
+    return onSnapshot(
+        q,
+        (snapshot) => {
+            const requests = snapshot.docs.map(requestDoc => ({
+                id: requestDoc.id,
+                ...requestDoc.data()
+            }));
+            callback(requests);
+        },
+        (error) => {
+            if (onError) {
+                onError(error);
+            }
+            console.error('Error fetching admin requests:', error);
+        }
+    );
+};
+
+/**
+ * Approves or rejects a pending admin access request
+ * @param {string} userId - ID of the user who made the request
+ * @param {boolean} approve - True to make them an admin, false to reject
+ * @returns {Promise<void>}
+ * @throws {Error} If the current user is not an admin or the request isn't pending
+ */
+export const reviewAdminRequest = async (userId, approve) => {
+    try {
+        const reviewer = await getCurrentUserProfile();
+        if (reviewer.role !== 'admin') {
+            throw new Error('Only admins can review requests');
+        }
+
+        const requestRef = doc(firestoreInstance, 'adminRequests', userId);
+        const userRef = doc(firestoreInstance, 'users', userId);
+
+        await runTransaction(firestoreInstance, async (transaction) => {
+            const requestDoc = await transaction.get(requestRef);
+            if (!requestDoc.exists() || requestDoc.data().status !== 'pending') {
+                throw new Error('This request has already been reviewed');
+            }
+
+            transaction.update(requestRef, {
+                status: approve ? 'approved' : 'rejected',
+                reviewedById: reviewer.uid,
+                reviewedByName: reviewer.name,
+                reviewedAt: serverTimestamp()
+            });
+            if (approve) {
+                transaction.update(userRef, { role: 'admin' });
+            }
+        });
+    } catch (error) {
+        throw new Error(error.message || 'Failed to review request');
+    }
+};
+
 /**
  * Signs in an existing user
  * @param {string} email - User's email address
@@ -161,190 +517,1940 @@ export const getUserRole = async (userId, retries = 3) => {
 };
 
 /**
- * Creates a new ticket in Firestore
- * @param {string} title - Brief title of the ticket
- * @param {string} description - Detailed description of the issue/request
- * @param {string} type - Type of ticket ('bug' or 'feature')
- * @returns {Promise<string>} The ID of the created ticket
- * @throws {Error} If ticket creation fails or user not authenticated
+ * Looks up the signed-in user's profile so writes can be attributed to them
+ * @returns {Promise<object>} Object with uid, email, name and role
+ * @throws {Error} If user is not authenticated
  */
-export const createTicket = async (title, description, type) => {
+const getCurrentUserProfile = async () => {
+    const currentUser = authInstance.currentUser;
+
+    if (!currentUser) {
+        throw new Error('You must be logged in');
+    }
+
+    const profile = {
+        uid: currentUser.uid,
+        email: currentUser.email,
+        name: currentUser.email, // Default fallback
+        role: null
+    };
+
     try {
-        const currentUser = authInstance.currentUser;
-        
-        if (!currentUser) {
-            throw new Error('You must be logged in to create a ticket');
+        const userDoc = await getDoc(doc(firestoreInstance, 'users', currentUser.uid));
+        if (userDoc.exists()) {
+            const userData = userDoc.data();
+            profile.name = userData.name || currentUser.email;
+            profile.role = userData.role || null;
         }
+    } catch (err) {
+        console.log('Could not fetch user profile, using email instead:', err);
+    }
 
-        // Validate inputs
-        if (!title || !description || !type) {
-            throw new Error('All fields are required');
-        }
-        if (!['bug', 'feature'].includes(type)) {
-            throw new Error('Type must be either "bug" or "feature"');
+    return profile;
+};
+
+/**
+ * Gets the SLA policy for a ticket type and priority
+ * @param {string} type - Ticket type key
+ * @param {string} priority - Ticket priority
+ * @returns {Promise<object>} Policy with firstResponseHours and resolutionHours
+ * @description Policies live in the `slaPolicies` collection with IDs like
+ *   "bug_urgent". Missing policies fall back to DEFAULT_SLA_POLICIES.
+ */
+export const getSlaPolicy = async (type, priority) => {
+    const fallback = DEFAULT_SLA_POLICIES[priority] || DEFAULT_SLA_POLICIES[DEFAULT_PRIORITY];
+
+    try {
+        const policyDoc = await getDoc(doc(firestoreInstance, 'slaPolicies', `${type}_${priority}`));
+        if (!policyDoc.exists()) {
+            return fallback;
         }
 
-        let clientName = currentUser.email; // Default fallback
-        
-        try {
-            const userDoc = await firestoreInstance
-                .collection('users')
-                .doc(currentUser.uid)
-                .get();
-            
-            if (userDoc.exists) {
-                const userData = userDoc.data();
-                clientName = userData.name || currentUser.email;
-            }
-        } catch (err) {
-            console.log('Could not fetch user name, using email instead:', err);
+        const policy = policyDoc.data();
+        return {
+            firstResponseHours: policy.firstResponseHours || fallback.firstResponseHours,
+            resolutionHours: policy.resolutionHours || fallback.resolutionHours
+        };
+    } catch (err) {
+        console.log('Could not fetch SLA policy, using defaults:', err);
+        return fallback;
+    }
+};
+
+/**
+ * Gets the workflow settings admins can change without an app release
+ * @returns {Promise<object>} Settings with autoCloseResolvedDays
+ * @description Stored in the `settings/workflow` document. A missing document
+ *   or field falls back to DEFAULT_AUTO_CLOSE_DAYS.
+ */
+export const getWorkflowSettings = async () => {
+    const fallback = { autoCloseResolvedDays: DEFAULT_AUTO_CLOSE_DAYS };
+
+    try {
+        const settingsDoc = await getDoc(doc(firestoreInstance, 'settings', 'workflow'));
+        if (!settingsDoc.exists()) {
+            return fallback;
         }
 
-        // Create the ticket
-        const docRef = await firestoreInstance
-            .collection('tickets')
-            .add({
-                title: title.trim(),
-                description: description.trim(),
-                type,
-                status: 'open',
-                clientId: currentUser.uid,
-                clientName: clientName,
-                clientEmail: currentUser.email,
-                createdAt: firestore.FieldValue.serverTimestamp()
-            });
+        const days = settingsDoc.data().autoCloseResolvedDays;
+        return {
+            autoCloseResolvedDays: Number.isFinite(days) && days >= 0 ? days : fallback.autoCloseResolvedDays
+        };
+    } catch (err) {
+        console.log('Could not fetch workflow settings, using defaults:', err);
+        return fallback;
+    }
+};
 
-        return docRef.id;
-    } catch (error) {
-        throw new Error(error.message || 'Failed to create ticket');
+/**
+ * Gets every ticket type, including inactive ones
+ * @returns {Promise<Array<object>>} Types with key, label, icon, color and active
+ * @description Types live in the `ticketTypes` collection, keyed by type key.
+ *   The built-in bug and feature types are always included unless an admin
+ *   has overridden them (see mergeTicketTypes).
+ */
+export const getTicketTypes = async () => {
+    try {
+        const snapshot = await getDocs(collection(firestoreInstance, 'ticketTypes'));
+        return mergeTicketTypes(snapshot.docs.map(typeDoc => ({ key: typeDoc.id, ...typeDoc.data() })));
+    } catch (err) {
+        console.log('Could not fetch ticket types, using defaults:', err);
+        return mergeTicketTypes();
     }
 };
 
 /**
- * Subscribes to real-time updates of tickets created by current user
- * @param {function} callback - Function to call when tickets update
+ * Subscribes to real-time updates of the ticket types
+ * @param {function} callback - Function to call with every type (see getTicketTypes)
  * @param {function} onError - Optional error handler
  * @returns {function} Unsubscribe function to stop listening
  * @throws {Error} If user is not authenticated
  */
-export const getMyTickets = (callback, onError) => {
-    const currentUser = authInstance.currentUser;
-    
-    if (!currentUser) {
-        const error = new Error('You must be logged in to view tickets');
+export const subscribeToTicketTypes = (callback, onError) => {
+    if (!authInstance.currentUser) {
+        const error = new Error('You must be logged in to view ticket types');
         if (onError) {
-        onError(error);
+            onError(error);
         }
         throw error;
     }
 
-    const ticketsRef = collection(firestoreInstance, 'tickets');
-    const q = query(
-        ticketsRef,
-        where('clientId', '==', currentUser.uid),
-        orderBy('createdAt', 'desc')
-    );
-
     return onSnapshot(
-        q,
+        collection(firestoreInstance, 'ticketTypes'),
         (snapshot) => {
-        const tickets = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
-        callback(tickets);
+            callback(mergeTicketTypes(snapshot.docs.map(typeDoc => ({ key: typeDoc.id, ...typeDoc.data() }))));
         },
         (error) => {
-        if (onError) {
-            onError(error);
-        }
-        console.error('Error fetching tickets:', error);
+            if (onError) {
+                onError(error);
+            }
+            console.error('Error fetching ticket types:', error);
         }
     );
 };
 
 /**
- * Subscribes to real-time updates of ALL tickets (for admins)
- * @param {function} callback - Function to call when tickets update
+ * Creates or updates a ticket type
+ * @param {object} type - { key, label, icon, color, active, fields }
+ * @returns {Promise<void>}
+ * @throws {Error} If the current user is not an admin or the type is invalid
+ * @description Types are never deleted, since old tickets still point at
+ *   them. Deactivate a type to stop clients from picking it.
+ */
+export const saveTicketType = async (type) => {
+    try {
+        validateTicketType(type);
+
+        const admin = await getCurrentUserProfile();
+        if (admin.role !== 'admin') {
+            throw new Error('Only admins can manage ticket types');
+        }
+
+        await setDoc(doc(firestoreInstance, 'ticketTypes', type.key), {
+            label: type.label.trim(),
+            icon: type.icon.trim(),
+            color: type.color,
+            active: type.active,
+            fields: type.fields || [],
+            updatedById: admin.uid,
+            updatedAt: serverTimestamp()
+        });
+    } catch (error) {
+        throw new Error(error.message || 'Failed to save ticket type');
+    }
+};
+
+/**
+ * Subscribes to real-time updates of the ticket labels (admins only)
+ * @param {function} callback - Function to call with every label ({ id, name, color }), sorted by name
  * @param {function} onError - Optional error handler
  * @returns {function} Unsubscribe function to stop listening
+ * @throws {Error} If user is not authenticated
  */
-export const getAllTickets = (callback, onError) => {
-    const ticketsRef = collection(firestoreInstance, 'tickets');
-    const q = query(ticketsRef, orderBy('createdAt', 'desc'));
+export const subscribeToLabels = (callback, onError) => {
+    if (!authInstance.currentUser) {
+        const error = new Error('You must be logged in to view labels');
+        if (onError) {
+            onError(error);
+        }
+        throw error;
+    }
 
     return onSnapshot(
-        q,
+        collection(firestoreInstance, 'labels'),
         (snapshot) => {
-        const tickets = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
-        callback(tickets);
+            callback(sortLabels(snapshot.docs.map(labelDoc => ({ id: labelDoc.id, ...labelDoc.data() }))));
         },
         (error) => {
-        if (onError) {
-            onError(error);
-        }
-        console.error('Error fetching tickets:', error);
+            if (onError) {
+                onError(error);
+            }
+            console.error('Error fetching labels:', error);
         }
     );
 };
 
 /**
- * Updates the status of a specific ticket
- * @param {string} ticketId - The unique ID of the ticket to update
- * @param {string} status - New status ('open', 'in-progress', 'resolved', 'closed')
- * @returns {Promise<void>}
- * @throws {Error} If update fails or validation fails
+ * Creates or renames a label
+ * @param {object} label - { id, name, color }; leave id out to create a new label
+ * @returns {Promise<string>} The ID of the saved label
+ * @throws {Error} If the current user is not an admin or the label is invalid
+ *   (see validateLabel)
+ * @description Tickets store label IDs, so renaming or recoloring a label
+ *   shows up on every ticket that has it.
  */
-export const updateTicketStatus = async (ticketId, status) => {
+export const saveLabel = async (label) => {
     try {
-        if (!ticketId) {
-        throw new Error('Ticket ID is required');
+        const admin = await getCurrentUserProfile();
+        if (admin.role !== 'admin') {
+            throw new Error('Only admins can manage labels');
         }
 
-        const validStatuses = ['open', 'in-progress', 'resolved', 'closed'];
-        if (!validStatuses.includes(status)) {
-        throw new Error(`Status must be one of: ${validStatuses.join(', ')}`);
-        }
+        const snapshot = await getDocs(collection(firestoreInstance, 'labels'));
+        validateLabel(label, snapshot.docs.map(labelDoc => ({ id: labelDoc.id, ...labelDoc.data() })));
+
+        const labelRef = label.id
+            ? doc(firestoreInstance, 'labels', label.id)
+            : doc(collection(firestoreInstance, 'labels'));
+
+        await setDoc(labelRef, {
+            name: label.name.trim(),
+            color: label.color,
+            updatedById: admin.uid,
+            updatedAt: serverTimestamp()
+        });
+
+        return labelRef.id;
+    } catch (error) {
+        throw new Error(error.message || 'Failed to save label');
+    }
+};
+
+/**
+ * Deletes a label and takes it off every ticket
+ * @param {string} labelId - The unique ID of the label
+ * @returns {Promise<void>}
+ * @throws {Error} If the current user is not an admin or the update fails
+ * @description Batches are capped at 500 writes, so tickets are updated 500 at
+ *   a time; the label itself is deleted last, once no ticket points at it.
+ */
+export const deleteLabel = async (labelId) => {
+    try {
+        if (!labelId) {
+            throw new Error('Label ID is required');
+        }
+
+        const admin = await getCurrentUserProfile();
+        if (admin.role !== 'admin') {
+            throw new Error('Only admins can manage labels');
+        }
+
+        const labelledQuery = query(
+            collection(firestoreInstance, 'tickets'),
+            where('labelIds', 'array-contains', labelId),
+            limit(500)
+        );
+
+        let snapshot = await getDocs(labelledQuery);
+        while (!snapshot.empty) {
+            const batch = writeBatch(firestoreInstance);
+            snapshot.docs.forEach(ticketDoc => batch.update(ticketDoc.ref, { labelIds: arrayRemove(labelId) }));
+            await batch.commit();
+            snapshot = await getDocs(labelledQuery);
+        }
+
+        await deleteDoc(doc(firestoreInstance, 'labels', labelId));
+    } catch (error) {
+        throw new Error(error.message || 'Failed to delete label');
+    }
+};
+
+/**
+ * Generates a ticket ID on the device, without talking to the server
+ * @returns {string} New Firestore document ID
+ * @description Used as an idempotency key for tickets queued while offline
+ */
+export const generateTicketId = () => {
+    return doc(collection(firestoreInstance, 'tickets')).id;
+};
+
+/**
+ * Creates a new ticket in Firestore
+ * @param {string} title - Brief title of the ticket
+ * @param {string} description - Detailed description of the issue/request
+ * @param {string} type - Key of an active ticket type (see getTicketTypes)
+ * @param {string} priority - Client's suggested priority ('low', 'medium', 'high' or 'urgent')
+ * @param {string} ticketId - Optional client-generated ID (see generateTicketId); retrying
+ *   with the same ID never creates a second ticket
+ * @param {object} customFields - Answers to the type's custom fields, keyed by field name.
+ *   Stored as a list of { name, label, kind, value } so the ticket reads the same
+ *   after the type's form changes.
+ * @param {object} diagnostics - Device and app details collected for a bug report
+ *   (see services/diagnostics.js), or null if the client opted out. Ignored for other types.
+ * @returns {Promise<string>} The ID of the created ticket
+ * @throws {Error} If ticket creation fails or user not authenticated
+ * @description Feature requests also get a title-only entry in `sharedTickets`
+ *   so other clients can find them (see getSharedTickets).
+ */
+export const createTicket = async (
+    title,
+    description,
+    type,
+    priority = DEFAULT_PRIORITY,
+    ticketId = null,
+    customFields = {},
+    diagnostics = null
+) => {
+    try {
+        const currentUser = authInstance.currentUser;
+        
+        if (!currentUser) {
+            throw new Error('You must be logged in to create a ticket');
+        }
+
+        // Validate inputs
+        const customFieldAnswers = validateNewTicket(
+            title,
+            description,
+            type,
+            priority,
+            await getTicketTypes(),
+            customFields
+        );
+
+        let clientName = currentUser.email; // Default fallback
+        
+        try {
+            const userDoc = await firestoreInstance
+                .collection('users')
+                .doc(currentUser.uid)
+                .get();
+            
+            if (userDoc.exists) {
+                const userData = userDoc.data();
+                clientName = userData.name || currentUser.email;
+            }
+        } catch (err) {
+            console.log('Could not fetch user name, using email instead:', err);
+        }
+
+        // Work out SLA deadlines from the policy for this type and priority
+        const policy = await getSlaPolicy(type, priority);
+        const dueDates = getDueDates(Date.now(), policy);
+
+        const ticketRef = ticketId
+            ? doc(firestoreInstance, 'tickets', ticketId)
+            : doc(collection(firestoreInstance, 'tickets'));
+
+        // Create the ticket, unless an earlier attempt with this ID already did
+        await runTransaction(firestoreInstance, async (transaction) => {
+            const existing = await transaction.get(ticketRef);
+            if (existing.exists()) {
+                return;
+            }
+
+            transaction.set(ticketRef, {
+                title: title.trim(),
+                description: description.trim(),
+                type,
+                customFields: customFieldAnswers,
+                diagnostics: getTicketDiagnostics(type, diagnostics),
+                priority,
+                suggestedPriority: priority, // Kept so admins can see what the client asked for
+                priorityRank: getPriority(priority).rank, // Lets the list sort by priority in the query
+                status: 'open',
+                clientId: currentUser.uid,
+                clientName: clientName,
+                clientEmail: currentUser.email,
+                assigneeId: null,
+                assigneeName: null,
+                createdAt: firestore.FieldValue.serverTimestamp(),
+                updatedAt: firestore.FieldValue.serverTimestamp(), // Lets new tickets show up when sorting by last update
+                firstResponseDueAt: Timestamp.fromMillis(dueDates.firstResponseDueAt),
+                resolutionDueAt: Timestamp.fromMillis(dueDates.resolutionDueAt),
+                firstRespondedAt: null,
+                resolvedAt: null,
+                slaPausedAt: null,
+                slaPausedMs: 0,
+                watcherIds: [], // Other clients who said "this is my issue" (see watchTicket)
+                public: false, // Shown on the feature board once an admin allows it (see setTicketPublic)
+                voteCount: 0, // Kept on every ticket so sorting by votes doesn't skip any
+                labelIds: [] // Set by admins (see setTicketLabels)
+            });
+
+            if (type === SHARED_TICKET_TYPE) {
+                transaction.set(doc(firestoreInstance, 'sharedTickets', ticketRef.id), {
+                    title: title.trim(),
+                    type,
+                    status: 'open',
+                    public: false,
+                    voteCount: 0,
+                    createdAt: serverTimestamp(),
+                    updatedAt: serverTimestamp()
+                });
+            }
+        });
+
+        return ticketRef.id;
+    } catch (error) {
+        throw new Error(error.message || 'Failed to create ticket');
+    }
+};
+
+/**
+ * Builds the where() constraints for a ticket list query
+ * @param {object} options - Filters (see getAllTickets)
+ * @returns {Array<object>} Firestore query constraints
+ * @throws {Error} If a "current user" filter is used while logged out
+ */
+const getTicketFilters = (options) => {
+    const constraints = [];
+    const currentUser = authInstance.currentUser;
+
+    if ((options.mine || options.assignedToMe) && !currentUser) {
+        throw new Error('You must be logged in to view tickets');
+    }
+
+    if (options.status) {
+        constraints.push(where('status', '==', options.status));
+    }
+    if (options.type) {
+        constraints.push(where('type', '==', options.type));
+    }
+    if (options.mine) {
+        constraints.push(where('clientId', '==', currentUser.uid));
+    } else if (options.clientId) {
+        constraints.push(where('clientId', '==', options.clientId));
+    }
+    if (options.assignedToMe) {
+        constraints.push(where('assigneeId', '==', currentUser.uid));
+    } else if (options.assigneeId !== undefined) {
+        constraints.push(where('assigneeId', '==', options.assigneeId));
+    }
+    if (options.labelId) {
+        constraints.push(where('labelIds', 'array-contains', options.labelId));
+    }
+
+    return constraints;
+};
+
+/**
+ * Builds the orderBy() constraints for a ticket list query
+ * @param {object} options - Options with sortBy ('newest', 'oldest', 'updated', 'votes' or 'priority')
+ * @returns {Array<object>} Firestore orderBy constraints
+ * @description Priority sorts on the stored priorityRank, highest first, and
+ *   newest first within each level.
+ */
+const getTicketOrder = (options) => {
+    if (options.sortBy === 'priority') {
+        return [orderBy('priorityRank', 'desc'), orderBy('createdAt', 'desc')];
+    }
+    if (options.sortBy === 'oldest') {
+        return [orderBy('createdAt', 'asc')];
+    }
+    if (options.sortBy === 'updated') {
+        return [orderBy('updatedAt', 'desc')];
+    }
+    if (options.sortBy === 'votes') {
+        return [orderBy('voteCount', 'desc')];
+    }
+    return [orderBy('createdAt', 'desc')];
+};
+
+/**
+ * Converts a query snapshot into one page of tickets
+ * @param {object} snapshot - Firestore query snapshot
+ * @param {number} pageSize - Limit the query used
+ * @returns {object} { tickets, cursor, hasMore } where cursor is passed to loadMoreTickets
+ */
+const toTicketPage = (snapshot, pageSize = TICKET_PAGE_SIZE) => ({
+    tickets: snapshot.docs.map(ticketDoc => ({
+        id: ticketDoc.id,
+        ...ticketDoc.data()
+    })),
+    cursor: snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1] : null,
+    hasMore: snapshot.docs.length === pageSize
+});
+
+/**
+ * Subscribes to real-time updates of the first page of tickets created by current user
+ * @param {function} callback - Function to call with (tickets, { cursor, hasMore }) when tickets update
+ * @param {function} onError - Optional error handler
+ * @returns {function} Unsubscribe function to stop listening
+ * @throws {Error} If user is not authenticated
+ * @description Older tickets are fetched with loadMoreTickets(cursor, { mine: true })
+ */
+export const getMyTickets = (callback, onError) => {
+    const currentUser = authInstance.currentUser;
+    
+    if (!currentUser) {
+        const error = new Error('You must be logged in to view tickets');
+        if (onError) {
+        onError(error);
+        }
+        throw error;
+    }
+
+    return getAllTickets(callback, onError, { mine: true });
+};
+
+/**
+ * Subscribes to real-time updates of the first page of ALL tickets (for admins)
+ * @param {function} callback - Function to call with (tickets, { cursor, hasMore }) when tickets update
+ * @param {function} onError - Optional error handler
+ * @param {object} options - Optional filters and sort order
+ * @param {string} options.status - Only tickets with this status
+ * @param {string} options.type - Only tickets of this type key
+ * @param {string} options.clientId - Only tickets filed by this client
+ * @param {boolean} options.mine - Only tickets filed by the current user
+ * @param {string|null} options.assigneeId - Only tickets assigned to this admin (null = unassigned)
+ * @param {boolean} options.assignedToMe - Only tickets assigned to the current user
+ * @param {string} options.labelId - Only tickets with this label
+ * @param {string} options.sortBy - 'newest' (default), 'oldest', 'updated', 'votes' or 'priority'
+ * @returns {function} Unsubscribe function to stop listening
+ * @description Only the first TICKET_PAGE_SIZE tickets are live; older pages are
+ *   fetched once with loadMoreTickets. Filters run inside the Firestore query, so
+ *   each combination needs a composite index. Free-text search is not supported
+ *   by Firestore and stays in the screen.
+ */
+export const getAllTickets = (callback, onError, options = {}) => {
+    const ticketsRef = collection(firestoreInstance, 'tickets');
+    const q = query(
+        ticketsRef,
+        ...getTicketFilters(options),
+        ...getTicketOrder(options),
+        limit(TICKET_PAGE_SIZE)
+    );
+
+    return onSnapshot(
+        q,
+        (snapshot) => {
+        const { tickets, cursor, hasMore } = toTicketPage(snapshot);
+        callback(tickets, { cursor, hasMore });
+        },
+        (error) => {
+        if (onError) {
+            onError(error);
+        }
+        console.error('Error fetching tickets:', error);
+        }
+    );
+};
+
+/**
+ * Fetches the next page of tickets after a cursor (one-time read, not live)
+ * @param {object} cursor - Cursor from the previous page
+ * @param {object} options - The same filters and sort order used for the first page
+ * @param {number} pageSize - How many tickets to fetch; larger than a page when
+ *   reloading several older pages at once
+ * @returns {Promise<object>} { tickets, cursor, hasMore }
+ * @throws {Error} If fetch fails
+ */
+export const loadMoreTickets = async (cursor, options = {}, pageSize = TICKET_PAGE_SIZE) => {
+    try {
+        if (!cursor) {
+            throw new Error('A page cursor is required');
+        }
+
+        const q = query(
+            collection(firestoreInstance, 'tickets'),
+            ...getTicketFilters(options),
+            ...getTicketOrder(options),
+            startAfter(cursor),
+            limit(pageSize)
+        );
+        const snapshot = await getDocs(q);
+
+        return toTicketPage(snapshot, pageSize);
+    } catch (error) {
+        throw new Error(error.message || 'Failed to load more tickets');
+    }
+};
+
+/**
+ * Counts tickets matching the filters with an aggregate query (no documents downloaded)
+ * @param {object} options - The same filters used for the list (sortBy is ignored)
+ * @returns {Promise<number>} Number of matching tickets
+ * @throws {Error} If the count fails
+ */
+export const countTickets = async (options = {}) => {
+    try {
+        const q = query(
+            collection(firestoreInstance, 'tickets'),
+            ...getTicketFilters(options)
+        );
+        const snapshot = await getCountFromServer(q);
+
+        return snapshot.data().count;
+    } catch (error) {
+        throw new Error(error.message || 'Failed to count tickets');
+    }
+};
+
+/**
+ * Fetches every user with a given role
+ * @param {string} role - 'client' or 'admin'
+ * @returns {Promise<Array<object>>} Users with id, name and email, sorted by name
+ */
+const getUsersByRole = async (role) => {
+    const q = query(
+        collection(firestoreInstance, 'users'),
+        where('role', '==', role)
+    );
+    const snapshot = await getDocs(q);
+
+    return snapshot.docs
+        .map(userDoc => ({
+            id: userDoc.id,
+            name: userDoc.data().name || userDoc.data().email,
+            email: userDoc.data().email
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Fetches every client (for the admin list's client filter)
+ * @returns {Promise<Array<object>>} List of clients with id, name and email
+ * @throws {Error} If fetch fails
+ */
+export const getClients = async () => {
+    try {
+        return await getUsersByRole('client');
+    } catch (error) {
+        throw new Error(error.message || 'Failed to load clients');
+    }
+};
+
+/**
+ * Fetches every user with the admin role (for the assignee picker)
+ * @returns {Promise<Array<object>>} List of admins with id, name and email
+ * @throws {Error} If fetch fails
+ */
+export const getAdmins = async () => {
+    try {
+        return await getUsersByRole('admin');
+    } catch (error) {
+        throw new Error(error.message || 'Failed to load admins');
+    }
+};
+
+/**
+ * Builds the notification documents for a ticket event
+ * @param {Array<string>} recipientIds - Users to notify (see getNotificationRecipients)
+ * @param {string} ticketId - The unique ID of the ticket
+ * @param {object} ticketData - Ticket data (for the title shown in the inbox)
+ * @param {object} actor - Profile of the user making the change
+ * @param {string} type - Event type ('status', 'comment' or 'assignment')
+ * @param {string} message - Short description of what happened
+ * @returns {Array<object>} Pairs of { ref, data } to write in the caller's batch/transaction
+ * @description Notifications live in each user's own users/{uid}/notifications
+ *   subcollection, so the inbox and unread badge only ever read one user's data.
+ *   Those sent to watchers are marked watching, as they can't open the ticket.
+ */
+const buildNotifications = (recipientIds, ticketId, ticketData, actor, type, message) =>
+    recipientIds.map(uid => ({
+        ref: doc(collection(firestoreInstance, 'users', uid, 'notifications')),
+        data: {
+            type,
+            ticketId,
+            ticketTitle: ticketData.title || '',
+            message,
+            actorId: actor.uid,
+            actorName: actor.name,
+            watching: isWatcherOnly(ticketData, uid),
+            read: false,
+            createdAt: serverTimestamp()
+        }
+    }));
+
+/**
+ * Assigns a ticket to an admin, or unassigns it
+ * @param {string} ticketId - The unique ID of the ticket
+ * @param {object|null} assignee - Admin object with id and name, or null to unassign
+ * @returns {Promise<void>}
+ * @throws {Error} If update fails or validation fails
+ */
+export const assignTicket = async (ticketId, assignee) => {
+    try {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+        if (assignee && !assignee.id) {
+            throw new Error('Assignee ID is required');
+        }
+
+        const actor = await getCurrentUserProfile();
+
+        const ticketRef = doc(firestoreInstance, 'tickets', ticketId);
+        const ticketDoc = await getDoc(ticketRef);
+        if (!ticketDoc.exists()) {
+            throw new Error('Ticket not found');
+        }
+        const ticketData = ticketDoc.data();
+
+        const batch = writeBatch(firestoreInstance);
+        batch.update(ticketRef, {
+            assigneeId: assignee ? assignee.id : null,
+            assigneeName: assignee ? assignee.name : null,
+            updatedAt: serverTimestamp(),
+            lastUpdatedById: actor.uid,
+            lastUpdatedByName: actor.name
+        });
+
+        // Tell the client, the new assignee and whoever had it before
+        const recipients = getNotificationRecipients(
+            [ticketData.clientId, ticketData.assigneeId, assignee ? assignee.id : null],
+            actor
+        );
+        const message = assignee ? `Assigned to ${assignee.name}` : 'No longer assigned to anyone';
+        buildNotifications(recipients, ticketId, ticketData, actor, 'assignment', message)
+            .forEach(notification => batch.set(notification.ref, notification.data));
+
+        await batch.commit();
+    } catch (error) {
+        throw new Error(error.message || 'Failed to assign ticket');
+    }
+};
+
+/**
+ * Writes a status change, its history entry and notifications in one transaction
+ * @param {string} ticketId - The unique ID of the ticket
+ * @param {string} status - New status
+ * @param {string} reason - Note explaining the change
+ * @param {object} actor - Who the change is recorded as (a profile or SYSTEM_ACTOR)
+ * @param {object|null} triggeredBy - Profile of the admin whose app made an
+ *   automatic change; saved on the history entry
+ * @returns {Promise<void>}
+ * @throws {Error} If the ticket is missing or the workflow doesn't allow the change
+ */
+const changeTicketStatus = async (ticketId, status, reason, actor, triggeredBy = null) => {
+    const ticketRef = doc(firestoreInstance, 'tickets', ticketId);
+    const historyRef = doc(collection(firestoreInstance, 'tickets', ticketId, 'history'));
+    const sharedRef = doc(firestoreInstance, 'sharedTickets', ticketId);
+
+    await runTransaction(firestoreInstance, async (transaction) => {
+        const ticketDoc = await transaction.get(ticketRef);
+        if (!ticketDoc.exists()) {
+            throw new Error('Ticket not found');
+        }
+        const sharedDoc = await transaction.get(sharedRef);
+
+        const ticketData = ticketDoc.data();
+        const fromStatus = ticketData.status;
+        validateTransition(fromStatus, status, actor.role, reason);
+
+        transaction.update(ticketRef, {
+            status,
+            updatedAt: serverTimestamp(),
+            ...getLastUpdatedBy(actor),
+            ...getSlaUpdates(ticketData, status, actor, Timestamp.fromMillis)
+        });
+
+        transaction.set(historyRef, {
+            fromStatus,
+            toStatus: status,
+            actorId: actor.uid,
+            actorName: actor.name,
+            ...(triggeredBy ? { triggeredById: triggeredBy.uid, triggeredByName: triggeredBy.name } : {}),
+            reason: reason.trim() || null,
+            createdAt: serverTimestamp()
+        });
+
+        // Keep the shared listing in step, so suggestions skip finished requests
+        if (sharedDoc.exists()) {
+            transaction.update(sharedRef, { status, updatedAt: serverTimestamp() });
+        }
+
+        const recipients = getNotificationRecipients(
+            [ticketData.clientId, ticketData.assigneeId, ...(ticketData.watcherIds || [])],
+            actor
+        );
+        buildNotifications(recipients, ticketId, ticketData, actor, 'status', `Status changed to ${status}`)
+            .forEach(notification => transaction.set(notification.ref, notification.data));
+    });
+};
+
+/**
+ * Updates the status of a specific ticket and records the change in its history
+ * @param {string} ticketId - The unique ID of the ticket to update
+ * @param {string} status - New status ('open', 'in-progress', 'waiting', 'resolved', 'closed')
+ * @param {string} reason - Note explaining the change (required by some transitions)
+ * @returns {Promise<void>}
+ * @throws {Error} If update fails, or the workflow doesn't allow this change
+ *   for the user's role (see TICKET_TRANSITIONS in config/workflow.js)
+ * @description The status update and its history entry are written in one
+ *   transaction, so the timeline can never disagree with the ticket itself.
+ *   History entries are never edited once written. Moving into 'waiting'
+ *   pauses the SLA clock and moving out of it pushes the deadlines back.
+ *   The client, assignee and watchers are notified in the same transaction.
+ */
+export const updateTicketStatus = async (ticketId, status, reason = '') => {
+    try {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+
+        const actor = await getCurrentUserProfile();
+        await changeTicketStatus(ticketId, status, reason, actor);
+    } catch (error) {
+        throw new Error(error.message || 'Failed to update ticket status');
+    }
+};
+
+/**
+ * Closes resolved tickets the client never confirmed or reopened
+ * @returns {Promise<number>} How many tickets were closed
+ * @throws {Error} If the query fails
+ * @description There is no scheduled job behind this: it runs from
+ *   AdminHomeScreen whenever an admin opens the ticket list, since only admins
+ *   may close other people's tickets. If no admin opens the app, overdue
+ *   tickets stay resolved until one does. Each close is recorded as
+ *   SYSTEM_ACTOR, with the admin whose app ran it as triggeredById, and gets a
+ *   history entry and notifications like any status change. A ticket the
+ *   client answered in the meantime fails the workflow check and is skipped.
+ */
+export const closeStaleResolvedTickets = async () => {
+    try {
+        const admin = await getCurrentUserProfile();
+        if (admin.role !== 'admin') {
+            return 0;
+        }
+
+        const { autoCloseResolvedDays } = await getWorkflowSettings();
+        const cutoff = getAutoCloseCutoff(autoCloseResolvedDays);
+        if (cutoff === null) {
+            return 0;
+        }
+
+        const q = query(
+            collection(firestoreInstance, 'tickets'),
+            where('status', '==', 'resolved'),
+            where('resolvedAt', '<=', Timestamp.fromMillis(cutoff))
+        );
+        const snapshot = await getDocs(q);
+        const reason = getAutoCloseReason(autoCloseResolvedDays);
+
+        let closed = 0;
+        for (const ticketDoc of snapshot.docs) {
+            try {
+                await changeTicketStatus(ticketDoc.id, 'closed', reason, SYSTEM_ACTOR, admin);
+                closed++;
+            } catch (err) {
+                console.error(`Could not auto-close ticket ${ticketDoc.id}:`, err);
+            }
+        }
+
+        return closed;
+    } catch (error) {
+        throw new Error(error.message || 'Failed to close resolved tickets');
+    }
+};
+
+/**
+ * Subscribes to real-time updates of a ticket's status history (oldest first)
+ * @param {string} ticketId - The unique ID of the ticket
+ * @param {function} callback - Function to call when history updates
+ * @param {function} onError - Optional error handler
+ * @returns {function} Unsubscribe function to stop listening
+ * @throws {Error} If ticket ID is missing
+ */
+export const subscribeToStatusHistory = (ticketId, callback, onError) => {
+    if (!ticketId) {
+        const error = new Error('Ticket ID is required');
+        if (onError) {
+            onError(error);
+        }
+        throw error;
+    }
+
+    const historyRef = collection(firestoreInstance, 'tickets', ticketId, 'history');
+    const q = query(historyRef, orderBy('createdAt', 'asc'));
+
+    return onSnapshot(
+        q,
+        (snapshot) => {
+            const entries = snapshot.docs.map(entryDoc => ({
+                id: entryDoc.id,
+                ...entryDoc.data()
+            }));
+            callback(entries);
+        },
+        (error) => {
+            if (onError) {
+                onError(error);
+            }
+            console.error('Error fetching status history:', error);
+        }
+    );
+};
+
+/**
+ * Sets the priority of a ticket (admins overriding the client's suggestion)
+ * @param {string} ticketId - The unique ID of the ticket
+ * @param {string} priority - New priority ('low', 'medium', 'high' or 'urgent')
+ * @returns {Promise<void>}
+ * @throws {Error} If update fails or validation fails
+ */
+export const updateTicketPriority = async (ticketId, priority) => {
+    try {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+        validatePriority(priority);
+
+        const actor = await getCurrentUserProfile();
+
+        const ticketRef = doc(firestoreInstance, 'tickets', ticketId);
+        const ticketDoc = await getDoc(ticketRef);
+        if (!ticketDoc.exists()) {
+            throw new Error('Ticket not found');
+        }
+        const ticketData = ticketDoc.data();
+
+        const updates = {
+            priority,
+            priorityRank: getPriority(priority).rank,
+            updatedAt: serverTimestamp(),
+            lastUpdatedById: actor.uid,
+            lastUpdatedByName: actor.name
+        };
+
+        // Re-plan the SLA deadlines against the new priority's policy,
+        // keeping any time already spent waiting on the client
+        const createdAt = toMillis(ticketData.createdAt);
+        if (ticketData.resolutionDueAt && createdAt !== null) {
+            const policy = await getSlaPolicy(ticketData.type, priority);
+            const dueDates = getDueDates(createdAt + (ticketData.slaPausedMs || 0), policy);
+            updates.firstResponseDueAt = Timestamp.fromMillis(dueDates.firstResponseDueAt);
+            updates.resolutionDueAt = Timestamp.fromMillis(dueDates.resolutionDueAt);
+        }
+
+        await updateDoc(ticketRef, updates);
+    } catch (error) {
+        throw new Error(error.message || 'Failed to update ticket priority');
+    }
+};
+
+/**
+ * Sets the labels of a ticket
+ * @param {string} ticketId - The unique ID of the ticket
+ * @param {Array<string>} labelIds - Every label the ticket should have (see subscribeToLabels)
+ * @returns {Promise<void>}
+ * @throws {Error} If the current user is not an admin, the ticket doesn't exist
+ *   or there are too many labels
+ * @description Labels are for triage only, so the client isn't notified.
+ */
+export const setTicketLabels = async (ticketId, labelIds) => {
+    try {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+        validateTicketLabels(labelIds);
+
+        const admin = await getCurrentUserProfile();
+        if (admin.role !== 'admin') {
+            throw new Error('Only admins can label tickets');
+        }
+
+        const ticketRef = doc(firestoreInstance, 'tickets', ticketId);
+        const ticketDoc = await getDoc(ticketRef);
+        if (!ticketDoc.exists()) {
+            throw new Error('Ticket not found');
+        }
 
-        const ticketRef = doc(firestoreInstance, 'tickets', ticketId);
         await updateDoc(ticketRef, {
-        status,
-        updatedAt: serverTimestamp()
+            labelIds: [...new Set(labelIds)],
+            updatedAt: serverTimestamp(),
+            lastUpdatedById: admin.uid,
+            lastUpdatedByName: admin.name
+        });
+    } catch (error) {
+        throw new Error(error.message || 'Failed to update ticket labels');
+    }
+};
+
+/**
+ * Applies a bulk change to one ticket in its own transaction
+ * @param {string} ticketId - The unique ID of the ticket
+ * @param {object} change - Status, assignee or labels to apply (see validateBulkChange)
+ * @param {object} actor - Profile of the admin making the change
+ * @returns {Promise<void>}
+ * @throws {Error} If the ticket is missing or the change isn't allowed for it
+ * @description The ticket is read inside the transaction, so the check runs
+ *   against its latest data and Firestore retries it if someone else changes
+ *   the ticket before it commits.
+ */
+const applyBulkChange = async (ticketId, change, actor) => {
+    const ticketRef = doc(firestoreInstance, 'tickets', ticketId);
+    const sharedRef = doc(firestoreInstance, 'sharedTickets', ticketId);
+
+    await runTransaction(firestoreInstance, async (transaction) => {
+        const ticketDoc = await transaction.get(ticketRef);
+        if (!ticketDoc.exists()) {
+            throw new Error('Ticket not found');
+        }
+        const ticketData = ticketDoc.data();
+
+        // Keep the shared listing in step, as updateTicketStatus does
+        const sharedDoc = change.kind === 'status' && ticketData.type === SHARED_TICKET_TYPE
+            ? await transaction.get(sharedRef)
+            : null;
+
+        const { updates, historyEntry, notification } = getBulkTicketChange(
+            ticketData,
+            change,
+            actor,
+            Timestamp.fromMillis
+        );
+
+        transaction.update(ticketRef, { ...updates, updatedAt: serverTimestamp() });
+        if (historyEntry) {
+            transaction.set(
+                doc(collection(firestoreInstance, 'tickets', ticketId, 'history')),
+                { ...historyEntry, createdAt: serverTimestamp() }
+            );
+        }
+        if (sharedDoc && sharedDoc.exists()) {
+            transaction.update(sharedRef, { status: change.status, updatedAt: serverTimestamp() });
+        }
+        if (notification) {
+            buildNotifications(notification.recipientIds, ticketId, ticketData, actor, notification.type, notification.message)
+                .forEach(built => transaction.set(built.ref, built.data));
+        }
+    });
+};
+
+/**
+ * Applies one change to many tickets at once (admins only)
+ * @param {Array<string>} ticketIds - Tickets to change (up to BULK_TICKET_LIMIT)
+ * @param {object} change - Status, assignee or labels to apply (see validateBulkChange)
+ * @returns {Promise<object>} { succeeded, failed }: IDs of the tickets that were
+ *   changed, and [{ ticketId, error }] for the ones that weren't
+ * @throws {Error} If the current user is not an admin or the change is malformed
+ * @description Each ticket is changed in its own transaction (see
+ *   applyBulkChange), together with its history entry and notifications, so
+ *   each ticket is either fully changed or not at all, and a ticket someone
+ *   else changed in the meantime is checked again against its latest data.
+ *   Transactions run BULK_TICKETS_AT_ONCE at a time. A ticket that fails its
+ *   check (a status change must be allowed from that ticket's latest status,
+ *   for instance) is reported without stopping the rest.
+ */
+export const bulkUpdateTickets = async (ticketIds, change) => {
+    try {
+        validateBulkChange(ticketIds, change);
+
+        const actor = await getCurrentUserProfile();
+        if (actor.role !== 'admin') {
+            throw new Error('Only admins can change tickets in bulk');
+        }
+
+        const results = await mapInGroups([...new Set(ticketIds)], BULK_TICKETS_AT_ONCE, ticketId =>
+            applyBulkChange(ticketId, change, actor)
+                .then(() => ({ ticketId }))
+                .catch(err => ({ ticketId, error: err.message || 'Could not change this ticket' }))
+        );
+
+        return {
+            succeeded: results.filter(result => !result.error).map(result => result.ticketId),
+            failed: results.filter(result => result.error)
+        };
+    } catch (error) {
+        throw new Error(error.message || 'Failed to update tickets');
+    }
+};
+
+/**
+ * Gets a single ticket by ID
+ * @param {string} ticketId - The unique ID of the ticket
+ * @returns {Promise<object>} Ticket object
+ * @throws {Error} If ticket doesn't exist or fetch fails
+ */
+export const getTicketById = async (ticketId) => {
+    try {
+        if (!ticketId) {
+        throw new Error('Ticket ID is required');
+        }
+
+        const ticketRef = doc(firestoreInstance, 'tickets', ticketId);
+        const ticketDoc = await getDoc(ticketRef);
+        
+        if (!ticketDoc.exists()) {
+        throw new Error('Ticket not found');
+        }
+
+        return { id: ticketDoc.id, ...ticketDoc.data() };
+    } catch (error) {
+        throw new Error(error.message || 'Failed to get ticket');
+    }
+};
+
+/**
+ * Subscribes to real-time updates of a single ticket
+ * @param {string} ticketId - The unique ID of the ticket
+ * @param {function} callback - Function to call with the ticket (or null if it was deleted)
+ * @param {function} onError - Optional error handler
+ * @returns {function} Unsubscribe function to stop listening
+ * @throws {Error} If ticket ID is missing
+ */
+export const subscribeToTicket = (ticketId, callback, onError) => {
+    if (!ticketId) {
+        const error = new Error('Ticket ID is required');
+        if (onError) {
+            onError(error);
+        }
+        throw error;
+    }
+
+    const ticketRef = doc(firestoreInstance, 'tickets', ticketId);
+
+    return onSnapshot(
+        ticketRef,
+        (ticketDoc) => {
+            callback(ticketDoc.exists() ? { id: ticketDoc.id, ...ticketDoc.data() } : null);
+        },
+        (error) => {
+            if (onError) {
+                onError(error);
+            }
+            console.error('Error fetching ticket:', error);
+        }
+    );
+};
+
+/**
+ * Gets the open feature requests every client can see
+ * @returns {Promise<Array<object>>} Shared tickets ({ id, title, type, status }),
+ *   most recently updated first
+ * @throws {Error} If user is not authenticated or the fetch fails
+ * @description Used for duplicate suggestions on the create ticket screen.
+ *   Only titles and statuses are shared; the tickets themselves stay private
+ *   to their client, even from clients who watch them (see watchTicket).
+ */
+export const getSharedTickets = async () => {
+    try {
+        if (!authInstance.currentUser) {
+            throw new Error('You must be logged in to view tickets');
+        }
+
+        const snapshot = await getDocs(query(
+            collection(firestoreInstance, 'sharedTickets'),
+            where('status', 'in', OPEN_STATUSES),
+            orderBy('updatedAt', 'desc'),
+            limit(SHARED_TICKET_LIMIT)
+        ));
+        return snapshot.docs.map(sharedDoc => ({ id: sharedDoc.id, ...sharedDoc.data() }));
+    } catch (error) {
+        throw new Error(error.message || 'Failed to get shared tickets');
+    }
+};
+
+/**
+ * Subscribes the current client to someone else's feature request
+ * @param {string} ticketId - The unique ID of the shared ticket
+ * @returns {Promise<void>}
+ * @throws {Error} If user is not authenticated or the ticket can't be watched
+ * @description Used instead of filing a duplicate. Watchers are notified of
+ *   status changes and can follow the request's shared entry, but can't open
+ *   the ticket itself, its conversation or its attachments, which belong to
+ *   its client. Watching twice changes nothing.
+ */
+export const watchTicket = async (ticketId) => {
+    try {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+        const currentUser = authInstance.currentUser;
+        if (!currentUser) {
+            throw new Error('You must be logged in to watch a ticket');
+        }
+
+        await updateDoc(doc(firestoreInstance, 'tickets', ticketId), {
+            watcherIds: arrayUnion(currentUser.uid)
+        });
+    } catch (error) {
+        throw new Error(error.message || 'Failed to watch ticket');
+    }
+};
+
+/**
+ * Finds tickets for the link picker
+ * @param {string} text - Ticket ID, or words from the title or description
+ * @returns {Promise<Array<object>>} Up to TICKET_SEARCH_RESULTS tickets, most
+ *   recently updated first
+ * @throws {Error} If the current user is not an admin or the fetch fails
+ * @description Firestore has no full-text search, so the most recently
+ *   updated tickets are fetched and matched on the device. A full ticket ID
+ *   is also looked up directly, so older tickets can still be found by ID.
+ */
+export const searchTickets = async (text) => {
+    try {
+        const admin = await getCurrentUserProfile();
+        if (admin.role !== 'admin') {
+            throw new Error('Only admins can search all tickets');
+        }
+
+        const snapshot = await getDocs(query(
+            collection(firestoreInstance, 'tickets'),
+            orderBy('updatedAt', 'desc'),
+            limit(TICKET_SEARCH_LIMIT)
+        ));
+        const results = snapshot.docs
+            .map(ticketDoc => ({ id: ticketDoc.id, ...ticketDoc.data() }))
+            .filter(ticket => matchesTicketSearch(ticket, text));
+
+        const ticketId = (text || '').trim();
+        if (ticketId && !ticketId.includes('/') && !results.some(ticket => ticket.id === ticketId)) {
+            const ticketDoc = await getDoc(doc(firestoreInstance, 'tickets', ticketId));
+            if (ticketDoc.exists()) {
+                results.unshift({ id: ticketDoc.id, ...ticketDoc.data() });
+            }
+        }
+
+        return results.slice(0, TICKET_SEARCH_RESULTS);
+    } catch (error) {
+        throw new Error(error.message || 'Failed to search tickets');
+    }
+};
+
+/**
+ * Links two tickets, e.g. "blocks" or "related to"
+ * @param {string} ticketId - Ticket the link is added from
+ * @param {string} targetId - Ticket being linked to
+ * @param {string} type - Link kind key (see LINK_TYPES in config/ticketLinks.js)
+ * @returns {Promise<void>}
+ * @throws {Error} If the current user is not an admin or the link is invalid
+ * @description The link is stored on both tickets (the other side gets the
+ *   inverse kind), in one transaction so the two never disagree. Links only
+ *   hold ticket IDs, so a client never sees another client's title through them.
+ */
+export const linkTickets = async (ticketId, targetId, type) => {
+    try {
+        if (!ticketId || !targetId) {
+            throw new Error('Ticket ID is required');
+        }
+
+        const admin = await getCurrentUserProfile();
+        if (admin.role !== 'admin') {
+            throw new Error('Only admins can link tickets');
+        }
+
+        const ticketRef = doc(firestoreInstance, 'tickets', ticketId);
+        const targetRef = doc(firestoreInstance, 'tickets', targetId);
+
+        await runTransaction(firestoreInstance, async (transaction) => {
+            const ticketDoc = await transaction.get(ticketRef);
+            const targetDoc = await transaction.get(targetRef);
+            if (!ticketDoc.exists() || !targetDoc.exists()) {
+                throw new Error('Ticket not found');
+            }
+
+            const ticket = { id: ticketDoc.id, ...ticketDoc.data() };
+            const target = { id: targetDoc.id, ...targetDoc.data() };
+            validateLink(ticket, target, type);
+
+            const { ticketLinks, targetLinks } = addLink(ticket, target, type);
+            transaction.update(ticketRef, { links: ticketLinks });
+            transaction.update(targetRef, { links: targetLinks });
+        });
+    } catch (error) {
+        throw new Error(error.message || 'Failed to link tickets');
+    }
+};
+
+/**
+ * Removes the link between two tickets, from both sides
+ * @param {string} ticketId - One ticket
+ * @param {string} targetId - The other ticket
+ * @returns {Promise<void>}
+ * @throws {Error} If the current user is not an admin or the update fails
+ */
+export const unlinkTickets = async (ticketId, targetId) => {
+    try {
+        if (!ticketId || !targetId) {
+            throw new Error('Ticket ID is required');
+        }
+
+        const admin = await getCurrentUserProfile();
+        if (admin.role !== 'admin') {
+            throw new Error('Only admins can unlink tickets');
+        }
+
+        const ticketRef = doc(firestoreInstance, 'tickets', ticketId);
+        const targetRef = doc(firestoreInstance, 'tickets', targetId);
+
+        await runTransaction(firestoreInstance, async (transaction) => {
+            const ticketDoc = await transaction.get(ticketRef);
+            const targetDoc = await transaction.get(targetRef);
+            if (!ticketDoc.exists() || !targetDoc.exists()) {
+                throw new Error('Ticket not found');
+            }
+
+            const { ticketLinks, targetLinks } = removeLink(
+                { id: ticketDoc.id, ...ticketDoc.data() },
+                { id: targetDoc.id, ...targetDoc.data() }
+            );
+            transaction.update(ticketRef, { links: ticketLinks });
+            transaction.update(targetRef, { links: targetLinks });
+        });
+    } catch (error) {
+        throw new Error(error.message || 'Failed to unlink tickets');
+    }
+};
+
+// Most writes Firestore accepts in one batch
+const BATCH_WRITE_LIMIT = 500;
+
+/**
+ * Merges a duplicate ticket into the ticket that stays open
+ * @param {string} duplicateId - Ticket to close
+ * @param {string} canonicalId - Ticket that takes over the conversation
+ * @returns {Promise<void>}
+ * @throws {Error} If the current user is not an admin, either ticket was
+ *   already merged, or the workflow doesn't allow closing the duplicate
+ * @description
+ *   1. In one transaction, so two admins merging the same tickets (or A into B
+ *      while B goes into A) can't both succeed:
+ *      - both tickets are read again and checked (see validateMerge)
+ *      - the duplicate's client and watchers start watching the canonical ticket
+ *      - the tickets are linked as "duplicate of" / "duplicated by"
+ *      - the duplicate is closed with mergedIntoId pointing at the canonical
+ *        ticket, a history entry, and a notification to everyone on it
+ *   2. The duplicate's comments and attachments are then copied to the canonical
+ *      ticket, keeping their authors and times and marked with movedFromTicketId,
+ *      in batches of up to BATCH_WRITE_LIMIT writes
+ *   The duplicate keeps its own comments, so nothing is lost if the merge
+ *   turns out to be wrong or the copying stops halfway.
+ */
+export const mergeTicket = async (duplicateId, canonicalId) => {
+    try {
+        if (!duplicateId || !canonicalId) {
+            throw new Error('Ticket ID is required');
+        }
+
+        const actor = await getCurrentUserProfile();
+        if (actor.role !== 'admin') {
+            throw new Error('Only admins can merge tickets');
+        }
+
+        const duplicateRef = doc(firestoreInstance, 'tickets', duplicateId);
+        const canonicalRef = doc(firestoreInstance, 'tickets', canonicalId);
+        const sharedRef = doc(firestoreInstance, 'sharedTickets', duplicateId);
+
+        await runTransaction(firestoreInstance, async (transaction) => {
+            const duplicateDoc = await transaction.get(duplicateRef);
+            const canonicalDoc = await transaction.get(canonicalRef);
+            const sharedDoc = await transaction.get(sharedRef);
+            if (!duplicateDoc.exists() || !canonicalDoc.exists()) {
+                throw new Error('Ticket not found');
+            }
+
+            const duplicate = { id: duplicateDoc.id, ...duplicateDoc.data() };
+            const canonical = { id: canonicalDoc.id, ...canonicalDoc.data() };
+            validateMerge(duplicate, canonical);
+            const reason = getMergeReason(canonical);
+            validateTransition(duplicate.status, 'closed', actor.role, reason);
+
+            const { duplicateLinks, canonicalLinks, canonicalWatcherIds } = getMergeUpdates(duplicate, canonical);
+
+            transaction.update(canonicalRef, {
+                links: canonicalLinks,
+                watcherIds: canonicalWatcherIds,
+                updatedAt: serverTimestamp(),
+                lastUpdatedById: actor.uid,
+                lastUpdatedByName: actor.name
+            });
+
+            transaction.update(duplicateRef, {
+                status: 'closed',
+                mergedIntoId: canonicalId,
+                links: duplicateLinks,
+                updatedAt: serverTimestamp(),
+                lastUpdatedById: actor.uid,
+                lastUpdatedByName: actor.name,
+                ...getSlaUpdates(duplicate, 'closed', actor, Timestamp.fromMillis)
+            });
+            transaction.set(doc(collection(firestoreInstance, 'tickets', duplicateId, 'history')), {
+                fromStatus: duplicate.status,
+                toStatus: 'closed',
+                actorId: actor.uid,
+                actorName: actor.name,
+                reason,
+                createdAt: serverTimestamp()
+            });
+            if (sharedDoc.exists()) {
+                transaction.update(sharedRef, { status: 'closed', updatedAt: serverTimestamp() });
+            }
+
+            const recipients = getNotificationRecipients(
+                [duplicate.clientId, duplicate.assigneeId, ...(duplicate.watcherIds || [])],
+                actor
+            );
+            buildNotifications(recipients, duplicateId, duplicate, actor, 'status', reason)
+                .forEach(notification => transaction.set(notification.ref, notification.data));
         });
+
+        const [commentsSnapshot, attachmentsSnapshot] = await Promise.all([
+            getDocs(collection(firestoreInstance, 'tickets', duplicateId, 'comments')),
+            getDocs(collection(firestoreInstance, 'tickets', duplicateId, 'attachments'))
+        ]);
+
+        // Copied comments get new IDs, so attachments are pointed at the copies
+        const commentIds = {};
+        const copies = commentsSnapshot.docs.map(commentDoc => {
+            const copyRef = doc(collection(firestoreInstance, 'tickets', canonicalId, 'comments'));
+            commentIds[commentDoc.id] = copyRef.id;
+            return { ref: copyRef, data: { ...commentDoc.data(), movedFromTicketId: duplicateId } };
+        });
+        attachmentsSnapshot.docs.forEach(attachmentDoc => {
+            const attachment = attachmentDoc.data();
+            copies.push({
+                ref: doc(firestoreInstance, 'tickets', canonicalId, 'attachments', attachmentDoc.id),
+                data: {
+                    ...attachment,
+                    commentId: attachment.commentId ? commentIds[attachment.commentId] || null : null,
+                    movedFromTicketId: duplicateId
+                }
+            });
+        });
+
+        for (let start = 0; start < copies.length; start += BATCH_WRITE_LIMIT) {
+            const batch = writeBatch(firestoreInstance);
+            copies.slice(start, start + BATCH_WRITE_LIMIT).forEach(copy => batch.set(copy.ref, copy.data));
+            try {
+                await batch.commit();
+            } catch (err) {
+                console.error('Error copying merged comments:', err);
+                throw new Error(`Merged, but only ${start} of ${copies.length} comments and attachments were copied; the rest are still on the duplicate`);
+            }
+        }
     } catch (error) {
-        throw new Error(error.message || 'Failed to update ticket status');
-  }
+        throw new Error(error.message || 'Failed to merge tickets');
+    }
 };
 
 /**
- * Gets a single ticket by ID
+ * Shows a feature request on the public board, or takes it off
+ * @param {string} ticketId - The unique ID of the feature request
+ * @param {boolean} isPublic - True to list it on the board
+ * @returns {Promise<void>}
+ * @throws {Error} If the current user is not an admin or the ticket isn't a feature request
+ * @description The board reads from the ticket's sharedTickets entry, which
+ *   gets the description while the request is public. Votes are kept when a
+ *   request is taken off the board, so they come back if it is listed again.
+ */
+export const setTicketPublic = async (ticketId, isPublic) => {
+    try {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+
+        const admin = await getCurrentUserProfile();
+        if (admin.role !== 'admin') {
+            throw new Error('Only admins can publish feature requests');
+        }
+
+        const ticketRef = doc(firestoreInstance, 'tickets', ticketId);
+        const sharedRef = doc(firestoreInstance, 'sharedTickets', ticketId);
+
+        await runTransaction(firestoreInstance, async (transaction) => {
+            const ticketDoc = await transaction.get(ticketRef);
+            if (!ticketDoc.exists()) {
+                throw new Error('Ticket not found');
+            }
+            const sharedDoc = await transaction.get(sharedRef);
+
+            const ticketData = ticketDoc.data();
+            if (ticketData.type !== SHARED_TICKET_TYPE) {
+                throw new Error('Only feature requests can be made public');
+            }
+
+            transaction.update(ticketRef, { public: isPublic });
+
+            const listing = {
+                public: isPublic,
+                description: isPublic ? ticketData.description : null,
+                updatedAt: serverTimestamp()
+            };
+            if (sharedDoc.exists()) {
+                transaction.update(sharedRef, listing);
+            } else {
+                // Requests filed before the shared list existed
+                transaction.set(sharedRef, {
+                    ...listing,
+                    title: ticketData.title,
+                    type: ticketData.type,
+                    status: ticketData.status,
+                    voteCount: 0,
+                    createdAt: serverTimestamp()
+                });
+            }
+        });
+    } catch (error) {
+        throw new Error(error.message || 'Failed to update feature request');
+    }
+};
+
+/**
+ * Subscribes to the public feature board
+ * @param {function} callback - Called with the board: [{ id, title, description,
+ *   status, voteCount, voted }], most votes first, where voted is true for
+ *   requests the current client voted for
+ * @param {function} onError - Optional error handler
+ * @returns {function} Unsubscribe function to stop listening
+ * @throws {Error} If user is not authenticated
+ * @description Combines two listeners: the public requests themselves and the
+ *   current client's own votes (one document per request, under each request's
+ *   votes subcollection). The callback runs once both have arrived.
+ */
+export const subscribeToFeatureBoard = (callback, onError) => {
+    const currentUser = authInstance.currentUser;
+    if (!currentUser) {
+        const error = new Error('You must be logged in to view the feature board');
+        if (onError) {
+            onError(error);
+        }
+        throw error;
+    }
+
+    let requests = null;
+    let votedIds = null;
+    const emit = () => {
+        if (requests && votedIds) {
+            callback(requests.map(request => ({ ...request, voted: votedIds.has(request.id) })));
+        }
+    };
+    const handleError = (error) => {
+        if (onError) {
+            onError(error);
+        }
+        console.error('Error fetching feature board:', error);
+    };
+
+    const unsubscribeRequests = onSnapshot(
+        query(
+            collection(firestoreInstance, 'sharedTickets'),
+            where('public', '==', true),
+            orderBy('voteCount', 'desc'),
+            limit(FEATURE_BOARD_LIMIT)
+        ),
+        (snapshot) => {
+            requests = snapshot.docs.map(sharedDoc => ({ id: sharedDoc.id, ...sharedDoc.data() }));
+            emit();
+        },
+        handleError
+    );
+    const unsubscribeVotes = onSnapshot(
+        query(collectionGroup(firestoreInstance, 'votes'), where('voterId', '==', currentUser.uid)),
+        (snapshot) => {
+            votedIds = new Set(snapshot.docs.map(voteDoc => voteDoc.ref.parent.parent.id));
+            emit();
+        },
+        handleError
+    );
+
+    return () => {
+        unsubscribeRequests();
+        unsubscribeVotes();
+    };
+};
+
+/**
+ * Adds or removes the current client's vote on a public feature request
+ * @param {string} ticketId - The unique ID of the feature request
+ * @param {boolean} vote - True to vote, false to take the vote back
+ * @returns {Promise<void>}
+ * @throws {Error} If the user is not a client, the request isn't public, or
+ *   they already voted (or never did)
+ * @description Each vote is a document named after the voter in
+ *   sharedTickets/{ticketId}/votes, so a client can only ever count once.
+ *   The vote and the counts on the listing and the ticket change in one
+ *   transaction, and the security rules check the count moves by exactly one.
+ */
+export const setVote = async (ticketId, vote) => {
+    try {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+
+        const voter = await getCurrentUserProfile();
+        if (voter.role !== 'client') {
+            throw new Error('Only clients can vote on feature requests');
+        }
+
+        const sharedRef = doc(firestoreInstance, 'sharedTickets', ticketId);
+        const voteRef = doc(firestoreInstance, 'sharedTickets', ticketId, 'votes', voter.uid);
+        const ticketRef = doc(firestoreInstance, 'tickets', ticketId);
+
+        await runTransaction(firestoreInstance, async (transaction) => {
+            const sharedDoc = await transaction.get(sharedRef);
+            const voteDoc = await transaction.get(voteRef);
+            if (!sharedDoc.exists() || (vote && !sharedDoc.data().public)) {
+                throw new Error('This request is not on the feature board');
+            }
+            if (vote === voteDoc.exists()) {
+                throw new Error(vote ? 'You already voted for this request' : 'You have not voted for this request');
+            }
+
+            if (vote) {
+                transaction.set(voteRef, { voterId: voter.uid, createdAt: serverTimestamp() });
+            } else {
+                transaction.delete(voteRef);
+            }
+            // The ticket itself can't be read by other clients, so it is counted blind
+            transaction.update(sharedRef, { voteCount: increment(vote ? 1 : -1) });
+            transaction.update(ticketRef, { voteCount: increment(vote ? 1 : -1) });
+        });
+    } catch (error) {
+        throw new Error(error.message || 'Failed to save vote');
+    }
+};
+
+/**
+ * Adds a comment to a ticket's conversation thread
  * @param {string} ticketId - The unique ID of the ticket
- * @returns {Promise<object>} Ticket object
- * @throws {Error} If ticket doesn't exist or fetch fails
+ * @param {string} text - Message body
+ * @param {number} attachmentCount - Number of files being sent with the comment
+ *   (uploaded separately with uploadAttachment); a comment with files may have no text
+ * @returns {Promise<string>} The ID of the created comment
+ * @throws {Error} If validation fails or user not authenticated
  */
-export const getTicketById = async (ticketId) => {
+export const addComment = async (ticketId, text, attachmentCount = 0) => {
     try {
         if (!ticketId) {
-        throw new Error('Ticket ID is required');
+            throw new Error('Ticket ID is required');
         }
+        if ((!text || !text.trim()) && attachmentCount === 0) {
+            throw new Error('Comment cannot be empty');
+        }
+
+        const author = await getCurrentUserProfile();
 
         const ticketRef = doc(firestoreInstance, 'tickets', ticketId);
         const ticketDoc = await getDoc(ticketRef);
-        
         if (!ticketDoc.exists()) {
-        throw new Error('Ticket not found');
+            throw new Error('Ticket not found');
         }
+        const ticketData = ticketDoc.data();
 
-        return { id: ticketDoc.id, ...ticketDoc.data() };
+        const batch = writeBatch(firestoreInstance);
+        const commentRef = doc(collection(firestoreInstance, 'tickets', ticketId, 'comments'));
+        batch.set(commentRef, {
+            text: (text || '').trim(),
+            attachmentCount,
+            authorId: author.uid,
+            authorName: author.name,
+            authorRole: author.role,
+            createdAt: serverTimestamp()
+        });
+
+        // An admin reply counts as the support side touching the ticket
+        // (and as the first response for SLA purposes)
+        if (author.role === 'admin') {
+            const updates = {
+                updatedAt: serverTimestamp(),
+                lastUpdatedById: author.uid,
+                lastUpdatedByName: author.name
+            };
+            if (!ticketData.firstRespondedAt) {
+                updates.firstRespondedAt = serverTimestamp();
+            }
+            batch.update(ticketRef, updates);
+        }
+
+        // Watchers can't read the conversation, so they get no preview of it
+        const preview = (text || '').trim() || '📎 Sent an attachment';
+        const recipients = getNotificationRecipients([ticketData.clientId, ticketData.assigneeId], author);
+        buildNotifications(recipients, ticketId, ticketData, author, 'comment', `${author.name}: ${preview}`)
+            .forEach(notification => batch.set(notification.ref, notification.data));
+
+        await batch.commit();
+
+        return commentRef.id;
     } catch (error) {
-        throw new Error(error.message || 'Failed to get ticket');
+        throw new Error(error.message || 'Failed to add comment');
+    }
+};
+
+/**
+ * Subscribes to real-time updates of a ticket's comments (oldest first)
+ * @param {string} ticketId - The unique ID of the ticket
+ * @param {function} callback - Function to call when comments update
+ * @param {function} onError - Optional error handler
+ * @returns {function} Unsubscribe function to stop listening
+ * @throws {Error} If ticket ID is missing
+ */
+export const subscribeToComments = (ticketId, callback, onError) => {
+    if (!ticketId) {
+        const error = new Error('Ticket ID is required');
+        if (onError) {
+            onError(error);
+        }
+        throw error;
+    }
+
+    const commentsRef = collection(firestoreInstance, 'tickets', ticketId, 'comments');
+    const q = query(commentsRef, orderBy('createdAt', 'asc'));
+
+    return onSnapshot(
+        q,
+        (snapshot) => {
+            const comments = snapshot.docs.map(commentDoc => ({
+                id: commentDoc.id,
+                ...commentDoc.data()
+            }));
+            callback(comments);
+        },
+        (error) => {
+            if (onError) {
+                onError(error);
+            }
+            console.error('Error fetching comments:', error);
+        }
+    );
+};
+
+/**
+ * Uploads a file to Firebase Storage and attaches it to a ticket
+ * @param {string} ticketId - The unique ID of the ticket
+ * @param {object} file - Picked file ({ id, uri, name, type, size }), see pickAttachments
+ * @param {string} commentId - Optional comment the file was sent with
+ * @returns {Promise<object>} The stored attachment
+ * @throws {Error} If the file breaks the attachment limits or the upload fails
+ * @description Files are stored at tickets/{ticketId}/{attachmentId}/{name} and
+ *   listed in the ticket's attachments subcollection. The attachment ID is used
+ *   for both, so retrying an upload overwrites instead of duplicating it.
+ */
+export const uploadAttachment = async (ticketId, file, commentId = null) => {
+    try {
+        if (!ticketId) {
+            throw new Error('Ticket ID is required');
+        }
+
+        const invalid = validateAttachment(file);
+        if (invalid) {
+            throw new Error(invalid);
+        }
+
+        const uploader = await getCurrentUserProfile();
+
+        const path = `tickets/${ticketId}/${file.id}/${file.name}`;
+        const fileRef = storageRef(storageInstance, path);
+        await putFile(fileRef, file.uri, {
+            contentType: file.type,
+            customMetadata: { uploadedById: uploader.uid }
+        });
+        const url = await getDownloadURL(fileRef);
+
+        const attachment = {
+            name: file.name,
+            contentType: file.type,
+            size: file.size,
+            isImage: isImageAttachment(file.type),
+            path,
+            url,
+            commentId,
+            uploadedById: uploader.uid,
+            uploadedByName: uploader.name,
+            createdAt: serverTimestamp()
+        };
+        await setDoc(doc(firestoreInstance, 'tickets', ticketId, 'attachments', file.id), attachment);
+
+        return { id: file.id, ...attachment };
+    } catch (error) {
+        throw new Error(error.message || 'Failed to upload attachment');
+    }
+};
+
+/**
+ * Subscribes to real-time updates of a ticket's attachments (oldest first)
+ * @param {string} ticketId - The unique ID of the ticket
+ * @param {function} callback - Function to call when attachments update
+ * @param {function} onError - Optional error handler
+ * @returns {function} Unsubscribe function to stop listening
+ * @throws {Error} If ticket ID is missing
+ */
+export const subscribeToAttachments = (ticketId, callback, onError) => {
+    if (!ticketId) {
+        const error = new Error('Ticket ID is required');
+        if (onError) {
+            onError(error);
+        }
+        throw error;
+    }
+
+    const attachmentsRef = collection(firestoreInstance, 'tickets', ticketId, 'attachments');
+    const q = query(attachmentsRef, orderBy('createdAt', 'asc'));
+
+    return onSnapshot(
+        q,
+        (snapshot) => {
+            const attachments = snapshot.docs.map(attachmentDoc => ({
+                id: attachmentDoc.id,
+                ...attachmentDoc.data()
+            }));
+            callback(attachments);
+        },
+        (error) => {
+            if (onError) {
+                onError(error);
+            }
+            console.error('Error fetching attachments:', error);
+        }
+    );
+};
+
+// Number of notifications shown in the inbox
+const NOTIFICATION_LIMIT = 50;
+
+/**
+ * Subscribes to the signed-in user's notifications (newest first)
+ * @param {function} callback - Function to call when notifications update
+ * @param {function} onError - Optional error handler
+ * @returns {function} Unsubscribe function to stop listening
+ * @throws {Error} If user is not authenticated
+ */
+export const subscribeToNotifications = (callback, onError) => {
+    const currentUser = authInstance.currentUser;
+
+    if (!currentUser) {
+        const error = new Error('You must be logged in to view notifications');
+        if (onError) {
+            onError(error);
+        }
+        throw error;
+    }
+
+    const notificationsRef = collection(firestoreInstance, 'users', currentUser.uid, 'notifications');
+    const q = query(notificationsRef, orderBy('createdAt', 'desc'), limit(NOTIFICATION_LIMIT));
+
+    return onSnapshot(
+        q,
+        (snapshot) => {
+            const notifications = snapshot.docs.map(notificationDoc => ({
+                id: notificationDoc.id,
+                ...notificationDoc.data()
+            }));
+            callback(notifications);
+        },
+        (error) => {
+            if (onError) {
+                onError(error);
+            }
+            console.error('Error fetching notifications:', error);
+        }
+    );
+};
+
+/**
+ * Subscribes to the number of unread notifications for the signed-in user
+ * @param {function} callback - Function to call with the unread count
+ * @param {function} onError - Optional error handler
+ * @returns {function} Unsubscribe function to stop listening
+ * @throws {Error} If user is not authenticated
+ */
+export const subscribeToUnreadNotificationCount = (callback, onError) => {
+    const currentUser = authInstance.currentUser;
+
+    if (!currentUser) {
+        const error = new Error('You must be logged in to view notifications');
+        if (onError) {
+            onError(error);
+        }
+        throw error;
+    }
+
+    const notificationsRef = collection(firestoreInstance, 'users', currentUser.uid, 'notifications');
+    const q = query(notificationsRef, where('read', '==', false));
+
+    return onSnapshot(
+        q,
+        (snapshot) => {
+            callback(snapshot.size);
+        },
+        (error) => {
+            if (onError) {
+                onError(error);
+            }
+            console.error('Error counting unread notifications:', error);
+        }
+    );
+};
+
+/**
+ * Marks one of the signed-in user's notifications as read
+ * @param {string} notificationId - The unique ID of the notification
+ * @returns {Promise<void>}
+ * @throws {Error} If update fails or user not authenticated
+ */
+export const markNotificationRead = async (notificationId) => {
+    try {
+        const currentUser = authInstance.currentUser;
+        if (!currentUser) {
+            throw new Error('You must be logged in');
+        }
+
+        await updateDoc(doc(firestoreInstance, 'users', currentUser.uid, 'notifications', notificationId), {
+            read: true
+        });
+    } catch (error) {
+        throw new Error(error.message || 'Failed to update notification');
     }
 };
 
 /**
- * Export the auth state change listener for use in AppNavigator
+ * Marks every unread notification of the signed-in user as read
+ * @returns {Promise<void>}
+ * @throws {Error} If update fails or user not authenticated
+ * @description Batches are capped at 500 writes, so this works through the
+ *   unread notifications 500 at a time.
+ */
+export const markAllNotificationsRead = async () => {
+    try {
+        const currentUser = authInstance.currentUser;
+        if (!currentUser) {
+            throw new Error('You must be logged in');
+        }
+
+        const notificationsRef = collection(firestoreInstance, 'users', currentUser.uid, 'notifications');
+        const unreadQuery = query(notificationsRef, where('read', '==', false), limit(500));
+
+        let snapshot = await getDocs(unreadQuery);
+        while (!snapshot.empty) {
+            const batch = writeBatch(firestoreInstance);
+            snapshot.docs.forEach(notificationDoc => batch.update(notificationDoc.ref, { read: true }));
+            await batch.commit();
+            snapshot = await getDocs(unreadQuery);
+        }
+    } catch (error) {
+        throw new Error(error.message || 'Failed to update notifications');
+    }
+};
+
+/**
+ * Subscribes to sign-in / sign-out events
+ * @param {function} callback - Called with the signed-in user, or null when signed out
+ * @returns {function} Unsubscribe function to stop listening
  */
-export { onAuthStateChanged, authInstance };
+export const subscribeToAuthState = (callback) => {
+    return onAuthStateChanged(authInstance, callback);
+};
@@ -0,0 +1,71 @@
+// LABELS - Admin-managed labels for sorting tickets by area (billing, login, Android only...)
+
+import { TICKET_TYPE_COLORS } from './ticketTypes';
+
+// Labels use the same palette as type badges, so the two look alike
+export const LABEL_COLORS = TICKET_TYPE_COLORS;
+
+// Longest label name, so chips stay on one line on the ticket cards
+export const MAX_LABEL_LENGTH = 30;
+
+// Most labels on one ticket
+export const MAX_LABELS_PER_TICKET = 10;
+
+/**
+ * Sorts labels for pickers and chips
+ * @param {Array<object>} labels - Labels ({ id, name, color })
+ * @returns {Array<object>} Copy sorted by name, ignoring case
+ */
+export const sortLabels = (labels) =>
+    [...labels].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+
+/**
+ * Looks up the labels on a ticket
+ * @param {Array<object>} labels - Every label (see useLabels)
+ * @param {Array<string>} labelIds - Label IDs stored on the ticket
+ * @returns {Array<object>} The ticket's labels in name order; IDs of labels
+ *   that were deleted or haven't loaded yet are skipped
+ */
+export const getTicketLabels = (labels, labelIds) =>
+    labels.filter(label => (labelIds || []).includes(label.id));
+
+/**
+ * Checks a label before it is saved
+ * @param {object} label - { id, name, color }; id is null for a new label
+ * @param {Array<object>} existing - Labels already stored
+ * @throws {Error} If the name is missing, too long or already used, or the
+ *   color isn't one of LABEL_COLORS
+ */
+export const validateLabel = (label, existing = []) => {
+    const name = (label.name || '').trim();
+    if (!name) {
+        throw new Error('Label name is required');
+    }
+    if (name.length > MAX_LABEL_LENGTH) {
+        throw new Error(`Label name must be ${MAX_LABEL_LENGTH} characters or less`);
+    }
+    if (!LABEL_COLORS.includes(label.color)) {
+        throw new Error('Pick one of the label colors');
+    }
+
+    const duplicate = existing.find(other =>
+        other.id !== label.id && other.name.trim().toLowerCase() === name.toLowerCase()
+    );
+    if (duplicate) {
+        throw new Error(`There is already a label called "${duplicate.name}"`);
+    }
+};
+
+/**
+ * Checks the labels chosen for a ticket
+ * @param {Array<string>} labelIds - Label IDs to store on the ticket
+ * @throws {Error} If there are too many
+ */
+export const validateTicketLabels = (labelIds) => {
+    if (!Array.isArray(labelIds)) {
+        throw new Error('Labels must be a list');
+    }
+    if (labelIds.length > MAX_LABELS_PER_TICKET) {
+        throw new Error(`A ticket can have up to ${MAX_LABELS_PER_TICKET} labels`);
+    }
+};
@@ -0,0 +1,24 @@
+// TICKET PRIORITIES - Shared definition of priority levels used across the app
+
+/**
+ * Available priority levels, lowest to highest
+ * @description rank is used for sorting; color drives the badge on ticket cards
+ */
+export const PRIORITIES = [
+    { key: 'low', label: 'Low', rank: 1, color: '#6b7280', background: '#f3f4f6' },
+    { key: 'medium', label: 'Medium', rank: 2, color: '#2563eb', background: '#dbeafe' },
+    { key: 'high', label: 'High', rank: 3, color: '#d97706', background: '#fef3c7' },
+    { key: 'urgent', label: 'Urgent', rank: 4, color: '#dc2626', background: '#fee2e2' }
+];
+
+// Priority given to tickets that were created without one
+export const DEFAULT_PRIORITY = 'medium';
+
+/**
+ * Looks up a priority definition, falling back to the default for older tickets
+ * @param {string} key - Priority key ('low', 'medium', 'high' or 'urgent')
+ * @returns {object} Priority definition
+ */
+export const getPriority = (key) =>
+    PRIORITIES.find(priority => priority.key === key) ||
+    PRIORITIES.find(priority => priority.key === DEFAULT_PRIORITY);
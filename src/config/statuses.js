@@ -0,0 +1,10 @@
+// TICKET STATUSES - Shared list of statuses a ticket can be in
+
+/**
+ * Every status a ticket can have, in lifecycle order
+ * @description 'waiting' means the team is waiting on the client (SLA clock paused)
+ */
+export const TICKET_STATUSES = ['open', 'in-progress', 'waiting', 'resolved', 'closed'];
+
+// Statuses where the work isn't finished yet
+export const OPEN_STATUSES = ['open', 'in-progress', 'waiting'];
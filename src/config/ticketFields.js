@@ -0,0 +1,125 @@
+// TICKET FIELDS - Custom form fields a ticket type can ask for, and how to check them
+
+/**
+ * Input kinds a custom field can use
+ * @description text is one line, multiline is a paragraph, select picks one
+ *   of the field's options, checkbox is a yes/no tick
+ */
+export const FIELD_KINDS = [
+    { key: 'text', label: 'Short text' },
+    { key: 'multiline', label: 'Long text' },
+    { key: 'select', label: 'Choice' },
+    { key: 'checkbox', label: 'Checkbox' }
+];
+
+// Longest answer accepted for the text kinds
+export const MAX_FIELD_LENGTH = { text: 200, multiline: 5000 };
+
+// More fields than this makes the form unusable on a phone
+export const MAX_FIELDS_PER_TYPE = 10;
+
+/**
+ * Turns a label into a field name
+ * @param {string} label - e.g. "Steps to reproduce"
+ * @returns {string} e.g. "stepsToReproduce"
+ */
+export const toFieldName = (label) =>
+    (label || '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''))
+        .replace(/^[^a-z]+/, '');
+
+/**
+ * Checks whether a field has been filled in
+ * @param {object} field - Field definition
+ * @param {*} value - Value from the form
+ * @returns {boolean} True if there is nothing to save
+ */
+export const isFieldValueEmpty = (field, value) => {
+    if (field.kind === 'checkbox') {
+        return value !== true;
+    }
+    return typeof value !== 'string' || !value.trim();
+};
+
+/**
+ * Checks the answers to a type's custom fields
+ * @param {Array<object>} fields - Field definitions from the ticket type
+ * @param {object} values - Answers keyed by field name
+ * @returns {Array<object>} Answers to store on the ticket, in form order:
+ *   [{ name, label, kind, value }]. Empty optional fields are left out.
+ * @throws {Error} If a required field is empty or an answer doesn't fit its field
+ * @description The label is copied onto the ticket so the detail screen still
+ *   reads correctly if an admin renames or removes the field later.
+ */
+export const validateFieldValues = (fields = [], values = {}) => {
+    const answers = [];
+
+    fields.forEach(field => {
+        const value = values[field.name];
+
+        if (isFieldValueEmpty(field, value)) {
+            if (field.required) {
+                throw new Error(`${field.label} is required`);
+            }
+            return;
+        }
+
+        if (field.kind === 'checkbox') {
+            answers.push({ name: field.name, label: field.label, kind: field.kind, value: true });
+            return;
+        }
+
+        const text = value.trim();
+        if (field.kind === 'select' && !(field.options || []).includes(text)) {
+            throw new Error(`${field.label} must be one of: ${(field.options || []).join(', ')}`);
+        }
+        const maxLength = MAX_FIELD_LENGTH[field.kind];
+        if (maxLength && text.length > maxLength) {
+            throw new Error(`${field.label} must be ${maxLength} characters or fewer`);
+        }
+
+        answers.push({ name: field.name, label: field.label, kind: field.kind, value: text });
+    });
+
+    return answers;
+};
+
+/**
+ * Checks a type's field definitions before an admin saves them
+ * @param {Array<object>} fields - [{ name, label, kind, required, options }]
+ * @throws {Error} If a field is malformed or two fields share a name
+ */
+export const validateFieldSchema = (fields) => {
+    if (!Array.isArray(fields)) {
+        throw new Error('Fields must be a list');
+    }
+    if (fields.length > MAX_FIELDS_PER_TYPE) {
+        throw new Error(`A type can have at most ${MAX_FIELDS_PER_TYPE} fields`);
+    }
+
+    const names = new Set();
+    fields.forEach(field => {
+        if (!field.label || !field.label.trim()) {
+            throw new Error('Every field needs a label');
+        }
+        if (!field.name || !/^[a-z][a-zA-Z0-9]*$/.test(field.name)) {
+            throw new Error(`"${field.label}" needs a name made of letters and numbers`);
+        }
+        if (names.has(field.name)) {
+            throw new Error(`Two fields are called "${field.label}"`);
+        }
+        names.add(field.name);
+
+        if (!FIELD_KINDS.some(kind => kind.key === field.kind)) {
+            throw new Error(`"${field.label}" has an unknown kind`);
+        }
+        if (typeof field.required !== 'boolean') {
+            throw new Error(`"${field.label}" must be marked required or optional`);
+        }
+        if (field.kind === 'select' && (!Array.isArray(field.options) || field.options.length < 2)) {
+            throw new Error(`"${field.label}" needs at least two choices`);
+        }
+    });
+};
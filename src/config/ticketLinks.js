@@ -0,0 +1,73 @@
+// TICKET LINKS - Relationships between tickets and the rules for adding them
+
+/**
+ * Kinds of link between two tickets
+ * @description A link is stored on both tickets: the one it was added from
+ *   gets `key`, the other side gets `inverse`. Admins only pick the `pickable`
+ *   kinds; "Duplicated by" appears on the other side of "Duplicate of".
+ */
+export const LINK_TYPES = [
+    { key: 'duplicate-of', label: 'Duplicate of', inverse: 'duplicated-by', pickable: true },
+    { key: 'duplicated-by', label: 'Duplicated by', inverse: 'duplicate-of', pickable: false },
+    { key: 'related-to', label: 'Related to', inverse: 'related-to', pickable: true },
+    { key: 'blocks', label: 'Blocks', inverse: 'blocked-by', pickable: true },
+    { key: 'blocked-by', label: 'Blocked by', inverse: 'blocks', pickable: true }
+];
+
+/**
+ * Looks up a link kind
+ * @param {string} key - Link kind key stored on the ticket
+ * @returns {object|null} Link kind definition, or null if unknown
+ */
+export const getLinkType = (key) => LINK_TYPES.find(linkType => linkType.key === key) || null;
+
+/**
+ * Checks that a link can be added between two tickets
+ * @param {object} ticket - Ticket the link is added from (with id and links)
+ * @param {object} target - Ticket being linked to (with id and links)
+ * @param {string} type - Link kind key
+ * @throws {Error} If the kind is unknown, the tickets are the same or already
+ *   linked, or either ticket would end up a duplicate of two tickets
+ * @description Two tickets have at most one link between them; remove the
+ *   old link to change its kind.
+ */
+export const validateLink = (ticket, target, type) => {
+    const linkType = getLinkType(type);
+    if (!linkType) {
+        throw new Error(`Link must be one of: ${LINK_TYPES.map(option => option.label).join(', ')}`);
+    }
+    if (ticket.id === target.id) {
+        throw new Error("A ticket can't be linked to itself");
+    }
+    if ((ticket.links || []).some(link => link.ticketId === target.id)) {
+        throw new Error('These tickets are already linked');
+    }
+
+    const isDuplicate = (side, key) => key === 'duplicate-of' && (side.links || []).some(link => link.type === 'duplicate-of');
+    if (isDuplicate(ticket, linkType.key) || isDuplicate(target, linkType.inverse)) {
+        throw new Error('A ticket can only be a duplicate of one other ticket');
+    }
+};
+
+/**
+ * Builds the updated link lists of both tickets
+ * @param {object} ticket - Ticket the link is added from
+ * @param {object} target - Ticket being linked to
+ * @param {string} type - Link kind key (already validated)
+ * @returns {object} { ticketLinks, targetLinks } to store on each ticket
+ */
+export const addLink = (ticket, target, type) => ({
+    ticketLinks: [...(ticket.links || []), { ticketId: target.id, type }],
+    targetLinks: [...(target.links || []), { ticketId: ticket.id, type: getLinkType(type).inverse }]
+});
+
+/**
+ * Builds the link lists of both tickets without the link between them
+ * @param {object} ticket - One ticket
+ * @param {object} target - The other ticket
+ * @returns {object} { ticketLinks, targetLinks } to store on each ticket
+ */
+export const removeLink = (ticket, target) => ({
+    ticketLinks: (ticket.links || []).filter(link => link.ticketId !== target.id),
+    targetLinks: (target.links || []).filter(link => link.ticketId !== ticket.id)
+});
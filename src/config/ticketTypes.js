@@ -0,0 +1,92 @@
+// TICKET TYPES - Built-in ticket types and helpers for the admin-managed list
+
+/**
+ * Types every install starts with
+ * @description Admins can edit or deactivate these and add their own; stored
+ *   types live in the `ticketTypes` collection and override these by key.
+ *   `fields` is the extra form each type asks for (see config/ticketFields.js).
+ */
+export const DEFAULT_TICKET_TYPES = [
+    {
+        key: 'bug',
+        label: 'Bug',
+        icon: '🐛',
+        color: '#dc2626',
+        active: true,
+        fields: [
+            { name: 'steps', label: 'Steps to reproduce', kind: 'multiline', required: true },
+            { name: 'expected', label: 'Expected behaviour', kind: 'multiline', required: false },
+            { name: 'actual', label: 'Actual behaviour', kind: 'multiline', required: false },
+            { name: 'environment', label: 'Environment', kind: 'text', required: false }
+        ]
+    },
+    {
+        key: 'feature',
+        label: 'Feature',
+        icon: '✨',
+        color: '#7c3aed',
+        active: true,
+        fields: [
+            { name: 'problem', label: 'What problem would this solve?', kind: 'multiline', required: false }
+        ]
+    }
+];
+
+// Colors admins can pick from for a type's badge
+export const TICKET_TYPE_COLORS = [
+    '#dc2626',
+    '#d97706',
+    '#059669',
+    '#0891b2',
+    '#2563eb',
+    '#7c3aed',
+    '#db2777',
+    '#4b5563'
+];
+
+// Shown for tickets whose type was never configured on this device
+const UNKNOWN_TYPE = { label: 'Other', icon: '🎫', color: '#4b5563', active: false, fields: [] };
+
+/**
+ * Combines the built-in types with the ones stored by admins
+ * @param {Array<object>} storedTypes - Types from the `ticketTypes` collection
+ * @returns {Array<object>} Built-in types first (in their usual order), then
+ *   custom types sorted by label. A stored type replaces the built-in one with
+ *   the same key; types saved before custom fields existed keep the built-in
+ *   fields, or none for custom types.
+ */
+export const mergeTicketTypes = (storedTypes = []) => {
+    const stored = new Map(storedTypes.map(type => [type.key, type]));
+
+    const builtIn = DEFAULT_TICKET_TYPES.map(type => {
+        const override = stored.get(type.key) || {};
+        return { ...type, ...override, fields: override.fields || type.fields };
+    });
+    const custom = storedTypes
+        .filter(type => !DEFAULT_TICKET_TYPES.some(builtInType => builtInType.key === type.key))
+        .map(type => ({ ...type, fields: type.fields || [] }))
+        .sort((a, b) => a.label.localeCompare(b.label));
+
+    return [...builtIn, ...custom];
+};
+
+/**
+ * Looks up a type definition for a ticket
+ * @param {Array<object>} types - Types from mergeTicketTypes / useTicketTypes
+ * @param {string} key - Type key stored on the ticket
+ * @returns {object} Type definition; unknown keys get a neutral placeholder
+ */
+export const getTicketType = (types, key) =>
+    types.find(type => type.key === key) || { ...UNKNOWN_TYPE, key, label: key || UNKNOWN_TYPE.label };
+
+/**
+ * Turns a label into a type key
+ * @param {string} label - e.g. "Access Request"
+ * @returns {string} e.g. "access-request"
+ */
+export const toTicketTypeKey = (label) =>
+    (label || '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
@@ -0,0 +1,90 @@
+// TICKET WORKFLOW - Which status changes are allowed, who may make them and when a reason is needed
+
+import { TICKET_STATUSES } from './statuses';
+
+/**
+ * Allowed status changes
+ * @description Each entry moves a ticket from one status to another:
+ *   1. label is the button text shown for the change
+ *   2. roles lists who may make it ('admin' and/or 'client')
+ *   3. requiresReason means the change is rejected without a note
+ *   Any change not listed here is refused, e.g. closed straight to in-progress.
+ */
+export const TICKET_TRANSITIONS = [
+    { from: 'open', to: 'in-progress', label: 'Start work', roles: ['admin'], requiresReason: false },
+    { from: 'open', to: 'waiting', label: 'Wait on client', roles: ['admin'], requiresReason: true },
+    { from: 'open', to: 'resolved', label: 'Resolve', roles: ['admin'], requiresReason: false },
+    { from: 'open', to: 'closed', label: 'Close', roles: ['admin'], requiresReason: true },
+
+    { from: 'in-progress', to: 'open', label: 'Stop work', roles: ['admin'], requiresReason: false },
+    { from: 'in-progress', to: 'waiting', label: 'Wait on client', roles: ['admin'], requiresReason: true },
+    { from: 'in-progress', to: 'resolved', label: 'Resolve', roles: ['admin'], requiresReason: false },
+    { from: 'in-progress', to: 'closed', label: 'Close', roles: ['admin'], requiresReason: true },
+
+    { from: 'waiting', to: 'in-progress', label: 'Resume work', roles: ['admin'], requiresReason: false },
+    { from: 'waiting', to: 'resolved', label: 'Resolve', roles: ['admin'], requiresReason: false },
+    { from: 'waiting', to: 'closed', label: 'Close', roles: ['admin'], requiresReason: true },
+
+    // Clients confirm the fix or say it's still broken (see ResolutionPrompt)
+    { from: 'resolved', to: 'closed', label: 'Close', roles: ['admin', 'client'], requiresReason: false },
+    { from: 'resolved', to: 'in-progress', label: 'Reopen', roles: ['admin', 'client'], requiresReason: true },
+
+    { from: 'closed', to: 'open', label: 'Reopen', roles: ['admin'], requiresReason: true }
+];
+
+/**
+ * Days a resolved ticket waits for the client before it is closed automatically
+ * @description Used when the settings/workflow document has no
+ *   autoCloseResolvedDays field. 0 turns auto-closing off.
+ */
+export const DEFAULT_AUTO_CLOSE_DAYS = 7;
+
+/**
+ * Looks up the transition between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Status to move to
+ * @returns {object|null} Transition definition, or null if the change isn't allowed
+ */
+export const getTransition = (from, to) =>
+    TICKET_TRANSITIONS.find(transition => transition.from === from && transition.to === to) || null;
+
+/**
+ * Lists the status changes a role can make from a status
+ * @param {string} status - Current status
+ * @param {string} role - 'admin' or 'client'
+ * @returns {Array<object>} Transitions, in the order they are defined
+ */
+export const getAvailableTransitions = (status, role) =>
+    TICKET_TRANSITIONS.filter(transition => transition.from === status && transition.roles.includes(role));
+
+/**
+ * Checks a status change against the workflow
+ * @param {string} from - Current status
+ * @param {string} to - Status to move to
+ * @param {string} role - Role of the user making the change
+ * @param {string} reason - Note given with the change
+ * @returns {object} The matching transition
+ * @throws {Error} If the status is unknown, the change isn't allowed, the role
+ *   can't make it or a required reason is missing
+ */
+export const validateTransition = (from, to, role, reason = '') => {
+    if (!TICKET_STATUSES.includes(to)) {
+        throw new Error(`Status must be one of: ${TICKET_STATUSES.join(', ')}`);
+    }
+    if (from === to) {
+        throw new Error(`Ticket is already ${to}`);
+    }
+
+    const transition = getTransition(from, to);
+    if (!transition) {
+        throw new Error(`A ticket can't move from ${from} to ${to}`);
+    }
+    if (!transition.roles.includes(role)) {
+        throw new Error(`You don't have permission to move a ticket from ${from} to ${to}`);
+    }
+    if (transition.requiresReason && !(reason || '').trim()) {
+        throw new Error(`Please give a reason for moving this ticket to ${to}`);
+    }
+
+    return transition;
+};
@@ -0,0 +1,82 @@
+// DUPLICATE SUGGESTIONS HOOK - Existing tickets that look like the one being written
+
+import { useState, useEffect, useMemo } from 'react';
+import { getMyTickets, getSharedTickets, SHARED_TICKET_TYPE } from '../backend';
+import { OPEN_STATUSES } from '../config/statuses';
+import { findSimilarTickets } from '../utils/similarity';
+
+// Titles shorter than this match too much to be worth suggesting
+const MIN_TITLE_LENGTH = 4;
+
+/**
+ * Suggests open tickets similar to a new ticket's title
+ * @param {string} title - Title being typed
+ * @param {string} type - Type key selected on the form
+ * @returns {Array<object>} [{ ticket, score, mine }], best match first. `mine`
+ *   is true for the client's own tickets and false for shared feature requests.
+ * @description Candidates are the client's own unfinished tickets (live) and,
+ *   while a feature request is being written, the open feature requests of
+ *   everyone else (fetched once). Matching runs on the device with
+ *   findSimilarTickets, so it costs nothing per keystroke.
+ */
+export default function useDuplicateSuggestions(title, type) {
+    const [myTickets, setMyTickets] = useState([]);
+    const [sharedTickets, setSharedTickets] = useState([]);
+
+    // The client's own tickets, kept live so a ticket sent a moment ago is included
+    useEffect(() => {
+        let unsubscribe;
+
+        try {
+            unsubscribe = getMyTickets(
+                (tickets) => setMyTickets(tickets.filter(ticket => OPEN_STATUSES.includes(ticket.status))),
+                (err) => console.error('Error fetching tickets for suggestions:', err)
+            );
+        }
+        catch (err) {
+            console.error('Error setting up suggestion listener:', err);
+        }
+
+        return () => {
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        };
+    }, []);
+
+    // Everyone's feature requests, only needed once a feature request is being written
+    const wantsShared = type === SHARED_TICKET_TYPE;
+    useEffect(() => {
+        if (!wantsShared) {
+            return undefined;
+        }
+
+        let cancelled = false;
+        getSharedTickets()
+            .then((tickets) => {
+                if (!cancelled) {
+                    setSharedTickets(tickets);
+                }
+            })
+            .catch((err) => console.error('Error fetching shared tickets:', err));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [wantsShared]);
+
+    return useMemo(() => {
+        if (title.trim().length < MIN_TITLE_LENGTH) {
+            return [];
+        }
+
+        const mineIds = new Set(myTickets.map(ticket => ticket.id));
+        const candidates = [
+            ...myTickets,
+            ...(wantsShared ? sharedTickets.filter(ticket => !mineIds.has(ticket.id)) : [])
+        ];
+
+        return findSimilarTickets(title, candidates)
+            .map(match => ({ ...match, mine: mineIds.has(match.ticket.id) }));
+    }, [title, myTickets, sharedTickets, wantsShared]);
+}
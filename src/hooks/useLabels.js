@@ -0,0 +1,36 @@
+// LABELS HOOK - Live list of the labels admins have set up
+
+import { useState, useEffect } from 'react';
+import { subscribeToLabels } from '../backend';
+
+/**
+ * Keeps the ticket labels in sync (admins only)
+ * @returns {Array<object>} Every label ({ id, name, color }), sorted by name
+ * @description Starts empty, so label chips simply appear once the first
+ *   snapshot arrives. Look up a ticket's labels with
+ *   getTicketLabels(labels, ticket.labelIds).
+ */
+export default function useLabels() {
+    const [labels, setLabels] = useState([]);
+
+    useEffect(() => {
+        let unsubscribe;
+
+        try {
+            unsubscribe = subscribeToLabels(setLabels, (err) => {
+                console.error('Error fetching labels:', err);
+            });
+        }
+        catch (err) {
+            console.error('Error setting up label listener:', err);
+        }
+
+        return () => {
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        };
+    }, []);
+
+    return labels;
+}
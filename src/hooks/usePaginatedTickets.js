@@ -0,0 +1,192 @@
+// PAGINATED TICKETS HOOK - Live first page plus older pages loaded on demand
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getAllTickets, loadMoreTickets, countTickets } from '../backend';
+
+// Shortest time between two total counts while the first page keeps changing
+const COUNT_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Loads a ticket list one page at a time
+ * @param {object} options - Filters and sort order (see getAllTickets)
+ * @param {function} subscribe - Listener for the first page; defaults to getAllTickets
+ * @returns {object} tickets, total, hasMore, loading, loadingMore, loadMoreError,
+ *   refreshing, error and the onEndReached / onRefresh / retry handlers for the FlatList
+ * @description
+ *   1. The first page is a real-time listener, so new and updated tickets appear instantly
+ *   2. Older pages are fetched once with startAfter when the list reaches the end
+ *   3. The total comes from an aggregate count query, run when the listener starts
+ *      and at most every COUNT_INTERVAL_MS after that while the first page changes
+ *   4. Changing the options (or refreshing) drops the older pages and starts over
+ *   5. When the first page's last ticket changes, the older pages are reloaded
+ *      from the new cursor, so a ticket pushed off the live page isn't lost
+ */
+export default function usePaginatedTickets(options, subscribe = getAllTickets) {
+    const [firstPage, setFirstPage] = useState([]);
+    const [firstPageInfo, setFirstPageInfo] = useState({ cursor: null, hasMore: false });
+    const [olderTickets, setOlderTickets] = useState([]);
+    const [olderPageInfo, setOlderPageInfo] = useState(null); // null until an older page is loaded
+    const [total, setTotal] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [loadMoreError, setLoadMoreError] = useState(null); // Last failure fetching an older page
+    const [refreshing, setRefreshing] = useState(false);
+    const [error, setError] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0); // Bumped to re-subscribe on refresh/retry
+    const olderStartId = useRef(null); // Last first-page ticket the older pages were loaded after
+
+    const optionsKey = JSON.stringify(options);
+
+    useEffect(() => {
+        let unsubscribe;
+        let countTimer = null;
+        let lastCountAt = 0;
+        const queryOptions = JSON.parse(optionsKey);
+
+        setOlderTickets([]);
+        setOlderPageInfo(null);
+        setLoadMoreError(null);
+        olderStartId.current = null;
+
+        // Counts right away the first time, then waits out the rest of the interval
+        const scheduleCount = () => {
+            if (countTimer) {
+                return;
+            }
+            countTimer = setTimeout(() => {
+                countTimer = null;
+                lastCountAt = Date.now();
+                countTickets(queryOptions)
+                    .then(setTotal)
+                    .catch((err) => console.error('Error counting tickets:', err));
+            }, Math.max(0, lastCountAt + COUNT_INTERVAL_MS - Date.now()));
+        };
+
+        try {
+            unsubscribe = subscribe(
+                (tickets, page) => {
+                    setFirstPage(tickets);
+                    setFirstPageInfo(page);
+                    setLoading(false);
+                    setRefreshing(false);
+                    setError(null);
+
+                    // Keep the header count roughly in step with the live page
+                    scheduleCount();
+                },
+                (err) => {
+                    setError(err.message);
+                    setLoading(false);
+                    setRefreshing(false);
+                },
+                queryOptions
+            );
+        }
+        catch (err) {
+            console.error('Error setting up listener:', err);
+            setError(err.message);
+            setLoading(false);
+            setRefreshing(false);
+        }
+
+        return () => {
+            if (countTimer) {
+                clearTimeout(countTimer);
+            }
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        };
+    }, [optionsKey, reloadKey, subscribe]);
+
+    const lastLiveId = firstPage.length > 0 ? firstPage[firstPage.length - 1].id : null;
+    const olderCount = olderTickets.length;
+
+    // The older pages start after the live page's last ticket. If that ticket changed
+    // (a new ticket arrived, or one moved up with "Recently updated"), fetch the same
+    // number of older tickets again from the new cursor.
+    useEffect(() => {
+        if (olderStartId.current === null || olderStartId.current === lastLiveId || !firstPageInfo.cursor) {
+            return undefined;
+        }
+
+        let cancelled = false;
+        olderStartId.current = lastLiveId;
+        loadMoreTickets(firstPageInfo.cursor, JSON.parse(optionsKey), Math.max(olderCount, 1))
+            .then((page) => {
+                if (!cancelled) {
+                    setOlderTickets(page.tickets);
+                    setOlderPageInfo({ cursor: page.cursor, hasMore: page.hasMore });
+                }
+            })
+            .catch((err) => console.error('Error reloading older tickets:', err));
+
+        return () => {
+            cancelled = true;
+        };
+        // olderCount is read, not watched: loading more pages must not trigger a reload
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [lastLiveId, firstPageInfo.cursor, optionsKey]);
+
+    // Once older pages are loaded, paging continues from the last of them
+    const { cursor, hasMore } = olderPageInfo || firstPageInfo;
+
+    // Fetches the next page when the FlatList reaches the end
+    const onEndReached = useCallback(async () => {
+        if (!hasMore || loadingMore || !cursor) {
+            return;
+        }
+
+        setLoadingMore(true);
+        try {
+            const page = await loadMoreTickets(cursor, JSON.parse(optionsKey));
+            if (olderStartId.current === null) {
+                olderStartId.current = lastLiveId;
+            }
+            setOlderTickets(previous => [...previous, ...page.tickets]);
+            setOlderPageInfo({ cursor: page.cursor, hasMore: page.hasMore });
+            setLoadMoreError(null);
+        }
+        catch (err) {
+            console.error('Error loading more tickets:', err);
+            setLoadMoreError(err.message);
+        }
+        finally {
+            setLoadingMore(false);
+        }
+    }, [hasMore, loadingMore, cursor, optionsKey, lastLiveId]);
+
+    // Pull-to-refresh: start again from a fresh first page
+    const onRefresh = useCallback(() => {
+        setRefreshing(true);
+        setReloadKey(key => key + 1);
+    }, []);
+
+    // Retry after an error
+    const retry = useCallback(() => {
+        setLoading(true);
+        setError(null);
+        setReloadKey(key => key + 1);
+    }, []);
+
+    // Until the older pages are reloaded, a ticket can be in both lists; show it once
+    const firstPageIds = new Set(firstPage.map(ticket => ticket.id));
+    const tickets = [
+        ...firstPage,
+        ...olderTickets.filter(ticket => !firstPageIds.has(ticket.id))
+    ];
+
+    return {
+        tickets,
+        total,
+        hasMore,
+        loading,
+        loadingMore,
+        loadMoreError,
+        refreshing,
+        error,
+        onEndReached,
+        onRefresh,
+        retry
+    };
+}
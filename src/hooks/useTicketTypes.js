@@ -0,0 +1,37 @@
+// TICKET TYPES HOOK - Live list of the ticket types admins have configured
+
+import { useState, useEffect } from 'react';
+import { subscribeToTicketTypes } from '../backend';
+import { mergeTicketTypes } from '../config/ticketTypes';
+
+/**
+ * Keeps the configured ticket types in sync
+ * @returns {Array<object>} Every type, active or not (see mergeTicketTypes)
+ * @description Starts with the built-in types so type pickers and badges can
+ *   render before the first snapshot arrives, or if the listener fails.
+ *   Look up a ticket's type with getTicketType(types, ticket.type).
+ */
+export default function useTicketTypes() {
+    const [types, setTypes] = useState(() => mergeTicketTypes());
+
+    useEffect(() => {
+        let unsubscribe;
+
+        try {
+            unsubscribe = subscribeToTicketTypes(setTypes, (err) => {
+                console.error('Error fetching ticket types:', err);
+            });
+        }
+        catch (err) {
+            console.error('Error setting up ticket type listener:', err);
+        }
+
+        return () => {
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        };
+    }, []);
+
+    return types;
+}
@@ -0,0 +1,32 @@
+// UNREAD NOTIFICATIONS HOOK - Live count of the signed-in user's unread notifications
+
+import { useState, useEffect } from 'react';
+import { subscribeToUnreadNotificationCount } from '../backend';
+
+/**
+ * Keeps track of how many notifications the signed-in user hasn't read
+ * @returns {number} Unread count (0 while loading or if the listener fails)
+ * @description Used for the badge on the Notifications tab
+ */
+export default function useUnreadNotificationCount() {
+    const [count, setCount] = useState(0);
+
+    useEffect(() => {
+        let unsubscribe;
+
+        try {
+            unsubscribe = subscribeToUnreadNotificationCount(setCount, () => setCount(0));
+        }
+        catch (err) {
+            console.error('Error setting up unread notification listener:', err);
+        }
+
+        return () => {
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        };
+    }, []);
+
+    return count;
+}
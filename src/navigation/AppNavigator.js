@@ -3,7 +3,14 @@ import { useState, useEffect } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
-import { getUserRole, onAuthStateChanged, authInstance, signOut } from '../config/firebase';
+import {
+    getUserRole,
+    subscribeToUserProfile,
+    subscribeToAuthState,
+    signOut
+} from '../backend';
+import { startTicketQueueSync } from '../services/ticketQueue';
+import useUnreadNotificationCount from '../hooks/useUnreadNotificationCount';
 
 // Auth Screens
 import LoginScreen from '../screens/auth/LoginScreen';
@@ -12,16 +19,26 @@ import SignupScreen from '../screens/auth/SignupScreen';
 // Client Screens
 import ClientHomeScreen from '../screens/client/ClientHomeScreen'
 import CreateTicketScreen from '../screens/client/CreateTicketScreen';
+import FeatureBoardScreen from '../screens/client/FeatureBoardScreen';
+import ClientTicketDetailScreen from '../screens/client/ClientTicketDetailScreen';
 
 // Developer Screens
 import AdminHomeScreen from '../screens/admin/AdminHomeScreen';
 import TicketDetailScreen from '../screens/admin/TicketDetailScreen';
+import AdminTeamScreen from '../screens/admin/AdminTeamScreen';
+import TicketTypesScreen from '../screens/admin/TicketTypesScreen';
+import LabelsScreen from '../screens/admin/LabelsScreen';
+
+// Shared Screens
+import NotificationsScreen from '../screens/shared/NotificationsScreen';
 
 const Stack = createNativeStackNavigator();
 const Tab = createBottomTabNavigator();
 
 // Client Tab Navigator
 function ClientTabs() {
+    const unread = useUnreadNotificationCount();
+
     return (
         <Tab.Navigator
         screenOptions={{
@@ -40,12 +57,25 @@ function ClientTabs() {
             component={CreateTicketScreen}
             options={{ tabBarLabel: 'New Ticket' }}
         />
+        <Tab.Screen 
+            name="FeatureBoard" 
+            component={FeatureBoardScreen}
+            options={{ tabBarLabel: 'Feature Board' }}
+        />
+        <Tab.Screen 
+            name="Notifications" 
+            component={NotificationsScreen}
+            initialParams={{ ticketScreen: 'ClientTicketDetail' }}
+            options={{ tabBarLabel: 'Notifications', tabBarBadge: unread > 0 ? unread : undefined }}
+        />
         </Tab.Navigator>
     );
 }
 
 // Developer Tab Navigator
 function DeveloperTabs() {
+    const unread = useUnreadNotificationCount();
+
     return (
         <Tab.Navigator
         screenOptions={{
@@ -59,6 +89,33 @@ function DeveloperTabs() {
             component={AdminHomeScreen}
             options={{ tabBarLabel: 'All Tickets' }}
         />
+        <Tab.Screen 
+            name="AssignedTickets" 
+            component={AdminHomeScreen}
+            initialParams={{ assignedOnly: true }}
+            options={{ tabBarLabel: 'Assigned to Me' }}
+        />
+        <Tab.Screen 
+            name="Notifications" 
+            component={NotificationsScreen}
+            initialParams={{ ticketScreen: 'TicketDetail' }}
+            options={{ tabBarLabel: 'Notifications', tabBarBadge: unread > 0 ? unread : undefined }}
+        />
+        <Tab.Screen 
+            name="Team" 
+            component={AdminTeamScreen}
+            options={{ tabBarLabel: 'Team' }}
+        />
+        <Tab.Screen 
+            name="TicketTypes" 
+            component={TicketTypesScreen}
+            options={{ tabBarLabel: 'Types' }}
+        />
+        <Tab.Screen 
+            name="Labels" 
+            component={LabelsScreen}
+            options={{ tabBarLabel: 'Labels' }}
+        />
         </Tab.Navigator>
     );
 }
@@ -81,7 +138,7 @@ export default function AppNavigator() {
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
-        const unsubscribe = onAuthStateChanged(authInstance, async (authUser) => {
+        const unsubscribe = subscribeToAuthState(async (authUser) => {
             try { 
                 if (authUser) {
 
@@ -111,6 +168,33 @@ export default function AppNavigator() {
         return unsubscribe;
     }, []);
 
+    // Follow role changes (invite redeemed, request approved) without signing out
+    useEffect(() => {
+        if (!user) {
+            return undefined;
+        }
+
+        try {
+            return subscribeToUserProfile(user.uid, (profile) => {
+                if (profile && profile.role) {
+                    setUserRole(profile.role);
+                }
+            });
+        }
+        catch (err) {
+            console.error('Error setting up profile listener:', err);
+            return undefined;
+        }
+    }, [user]);
+
+    // Send tickets queued while offline whenever a client is signed in and online
+    useEffect(() => {
+        if (!user || userRole !== 'client') {
+            return undefined;
+        }
+        return startTicketQueueSync();
+    }, [user, userRole]);
+
     if (loading) {
         return null; // Or a loading screen
     }
@@ -123,7 +207,10 @@ export default function AppNavigator() {
                 <Stack.Screen name="Auth" component={AuthStack} />
                 ) : userRole === 'client' ? (
                 // User is a client
-                <Stack.Screen name="ClientApp" component={ClientTabs} />
+                <>
+                    <Stack.Screen name="ClientApp" component={ClientTabs} />
+                    <Stack.Screen name="ClientTicketDetail" component={ClientTicketDetailScreen} />
+                </>
                 ) : userRole === 'admin' ? (
                 // User is an admin
                 <>
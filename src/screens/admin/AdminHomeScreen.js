@@ -8,40 +8,114 @@ import {
     TouchableOpacity,
     StyleSheet,
     RefreshControl,
+    ActivityIndicator,
     Alert
 } from 'react-native';
-import { getAllTickets, signOut } from '../../config/firebase';
+import {
+    getClients,
+    getAdmins,
+    closeStaleResolvedTickets,
+    bulkUpdateTickets,
+    signOut,
+    matchesTicketSearch,
+    BULK_TICKET_LIMIT
+} from '../../backend';
+import usePaginatedTickets from '../../hooks/usePaginatedTickets';
+import useTicketTypes from '../../hooks/useTicketTypes';
+import useLabels from '../../hooks/useLabels';
+import { getTicketType } from '../../config/ticketTypes';
+import { getTicketLabels } from '../../config/labels';
+import { TICKET_STATUSES } from '../../config/statuses';
+import PriorityBadge from '../../components/PriorityBadge';
+import SlaIndicator from '../../components/SlaIndicator';
+import TypeBadge from '../../components/TypeBadge';
+import LabelChips from '../../components/LabelChips';
+import TicketFilters from '../../components/TicketFilters';
+import BulkActionSheet from '../../components/BulkActionSheet';
+
+// Sort options for the ticket list (see getTicketOrder)
+const SORT_OPTIONS = [
+    { key: 'newest', label: 'Newest' },
+    { key: 'oldest', label: 'Oldest' },
+    { key: 'updated', label: 'Recently updated' },
+    { key: 'votes', label: 'Most votes' },
+    { key: 'priority', label: 'Priority' }
+];
+
+// Filter chips; an undefined key means "don't filter on this field"
+const STATUS_OPTIONS = [
+    { key: undefined, label: 'All' },
+    ...TICKET_STATUSES.map(status => ({ key: status, label: status.replace('-', ' ') }))
+];
+
+const INITIAL_FILTERS = {
+    search: '',
+    status: undefined,
+    type: undefined,
+    clientId: undefined,
+    assigneeId: undefined,
+    labelId: undefined,
+    sortBy: 'newest'
+};
 
 /**
  * Renders a single ticket card
  * @param {object} item - Ticket object from Firestore
+ * @param {object} ticketType - The ticket's type definition (see getTicketType)
+ * @param {Array<object>} labels - The ticket's labels (see getTicketLabels)
+ * @param {boolean} selected - Whether the card is selected for a bulk action
  * @param {function} onPress - Function to call when card is pressed
+ * @param {function} onLongPress - Function to call when card is held down
  * @returns {JSX.Element} Ticket card UI
  * @description Displays ticket information:
- *   - Type (bug/feature)
+ *   - Type and priority
  *   - Title
  *   - Description preview (truncated)
- *   - Current status
- *   - Clickable to open full details
+ *   - Labels
+ *   - SLA due/breached indicator
+ *   - Feature board votes, for requests on the board or with votes
+ *   - Current status and assignee
+ *   - Clickable to open full details, or to select it once a bulk selection has started
  */
-const TicketCard = ({ item, onPress }) => {
+const TicketCard = ({ item, ticketType, labels, selected, onPress, onLongPress }) => {
   return (
-    <TouchableOpacity style={styles.ticket} onPress={() => onPress(item)}>
+    <TouchableOpacity
+        style={[styles.ticket, selected && styles.ticketSelected]}
+        onPress={() => onPress(item)}
+        onLongPress={() => onLongPress(item)}
+    >
         <View style={styles.ticketHeader}>
-            <Text style={styles.ticketType}>
-                {item.type === 'bug' ? '🐛' : '✨'} {item.type.toUpperCase()}
-            </Text>
-            {/* Add client name badge */}
-            <Text style={styles.clientBadge}>
-                👤 {item.clientName || 'Unknown'}
-            </Text>
+            <TypeBadge ticketType={ticketType} />
+            <View style={styles.badgeRow}>
+                <PriorityBadge priority={item.priority} />
+                {/* Add client name badge */}
+                <Text style={styles.clientBadge}>
+                    👤 {item.clientName || 'Unknown'}
+                </Text>
+            </View>
         </View>
         <Text style={styles.ticketTitle}>{item.title}</Text>
         <Text style={styles.ticketDesc} numberOfLines={2}>
             {item.description}
         </Text>
+        {labels.length > 0 ? (
+            <View style={styles.labelContainer}>
+                <LabelChips labels={labels} />
+            </View>
+        ) : null}
+        <View style={styles.slaContainer}>
+            <SlaIndicator ticket={item} />
+            {item.public || item.voteCount > 0 ? (
+                <Text style={styles.voteBadge}>
+                    ▲ {item.voteCount || 0} vote{item.voteCount === 1 ? '' : 's'}{item.public ? ' · on the board' : ''}
+                </Text>
+            ) : null}
+        </View>
         <View style={styles.statusContainer}>
             <Text style={styles.ticketStatus}>Status: {item.status}</Text>
+            <Text style={styles.assigneeText}>
+                {item.assigneeName ? `→ ${item.assigneeName}` : 'Unassigned'}
+            </Text>
         </View>
     </TouchableOpacity>
   );
@@ -50,69 +124,89 @@ const TicketCard = ({ item, onPress }) => {
 /**
  * Admin home screen component
  * @param {object} navigation - React Navigation object for screen navigation
+ * @param {object} route - Route object; params.assignedOnly limits the list to the admin's own tickets
  * @returns {JSX.Element} Admin interface with all tickets
  * @description This screen allows admins to:
- *   1. View ALL tickets from all clients
+ *   1. View ALL tickets from all clients (or only those assigned to them)
  *   2. Click on tickets to see full details and update status
- *   3. See real-time updates when clients create tickets
- *   4. Pull to refresh
- *   5. Log out
+ *   3. Filter by status, type, client, assignee and label, search text, and sort the list
+ *   4. See real-time updates when clients create tickets
+ *   5. Scroll to load older tickets, pull to refresh
+ *   6. Automatically close resolved tickets the client hasn't answered in time
+ *   7. Hold a ticket to start selecting, then change the status, assignee or
+ *      labels of every selected ticket at once
+ *   8. Log out
  */
-export default function AdminHomeScreen({ navigation }) {
-    const [tickets, setTickets] = useState([]);
-    const [loading, setLoading] = useState(true); // State for loading indicator  
-    const [refreshing, setRefreshing] = useState(false); // State for pull-to-refresh
-    const [error, setError] = useState(null) // error state
+export default function AdminHomeScreen({ navigation, route }) {
+    const assignedOnly = Boolean(route.params && route.params.assignedOnly);
+    const [filters, setFilters] = useState(INITIAL_FILTERS); // Current filters and sort option
+    const [showFilters, setShowFilters] = useState(false); // Whether the filter bar is expanded
+    const [clients, setClients] = useState([]); // Options for the client filter
+    const [admins, setAdmins] = useState([]); // Options for the assignee filter
+    const ticketTypes = useTicketTypes(); // Configured types, for badges and the type filter
+    const labels = useLabels(); // Labels, for the chips on each card and the label filter
+    const [selectedIds, setSelectedIds] = useState([]); // Tickets picked for a bulk action
+    const [showBulkActions, setShowBulkActions] = useState(false); // Whether the bulk action sheet is open
+    const selecting = selectedIds.length > 0;
+
+    // Type chips, including inactive types so older tickets can still be found
+    const typeOptions = [
+        { key: undefined, label: 'All' },
+        ...ticketTypes.map(type => ({ key: type.key, label: `${type.icon} ${type.label}` }))
+    ];
 
     /**
-     * useEffect: Subscribe to real-time ticket updates
-     * @description When component mounts:
-     *   1. Sets up real-time listener for ALL tickets
-     *   2. Updates ticket list whenever any ticket changes in Firestore
-     *   3. Cleans up listener when component unmounts
+     * Paginated, real-time ticket list
+     * @description
+     *   1. The newest page of tickets (for the current filters) updates live
+     *   2. Older pages load as the admin scrolls down
+     *   3. Changing a filter or sort option starts a new query
+     *   4. Every sort option, priority included, is part of the query, so older pages continue the same order
+     *   5. Text search only sees loaded tickets; older pages load one at a time when
+     *      the admin taps "Search older tickets", never by themselves
      */
-    useEffect(() => {
-        let unsubscribe;
-
-        try { 
-            // Subscribe to real-time updates with error handling
-            unsubscribe = getAllTickets(
-                (data) => {
-                    setTickets(data);
-                    setLoading(false);
-                    setRefreshing(false);
-                    setError(null); // clear errors
-                },
-                (err) => { 
-                    console.error('Error fetching tickets:', err);
-                    setError(err.message);
-                    setLoading(false);
-                    setRefreshing(false);
-                }
-            );
-        } 
-        catch (err) { 
-            console.error('Error setting up listener:', err);
-            setError(err.message); 
-            setLoading(false);
-        }
+    const {
+        tickets,
+        total,
+        hasMore,
+        loading,
+        loadingMore,
+        loadMoreError,
+        refreshing,
+        error,
+        onEndReached,
+        onRefresh,
+        retry
+    } = usePaginatedTickets({
+        status: filters.status,
+        type: filters.type,
+        clientId: filters.clientId,
+        assigneeId: filters.assigneeId,
+        labelId: filters.labelId,
+        assignedToMe: assignedOnly || undefined,
+        sortBy: filters.sortBy
+    });
 
-        return () => {
-            if (unsubscribe) {
-                // null checking
-                unsubscribe();
-            }
-        };
+    const searching = Boolean(filters.search.trim());
+
+    // Load the people shown in the client and assignee filters
+    useEffect(() => {
+        getClients()
+            .then(setClients)
+            .catch((err) => console.error('Error loading clients:', err));
+        getAdmins()
+            .then(setAdmins)
+            .catch((err) => console.error('Error loading admins:', err));
     }, []);
 
-    /**
-     * Handles pull-to-refresh
-     * @description Triggers refresh animation
-     *   Real-time listener automatically updates data
-     */
-    const onRefresh = () => {
-        setRefreshing(true); // Data will update automatically via real-time listener
-    };
+    // Close resolved tickets the client never answered (once, from the main list only)
+    useEffect(() => {
+        if (assignedOnly) {
+            return;
+        }
+        closeStaleResolvedTickets()
+            .catch((err) => console.error('Error closing resolved tickets:', err));
+    }, [assignedOnly]);
 
     /**
      * Opens ticket detail screen
@@ -122,22 +216,132 @@ export default function AdminHomeScreen({ navigation }) {
      *   2. Passes ticket data to that screen
      */
     const handleTicketPress = (ticket) => {
+        if (selecting) {
+            toggleSelected(ticket);
+            return;
+        }
         navigation.navigate('TicketDetail', { ticket });
     };
 
+    /**
+     * Adds a ticket to the bulk selection, or takes it out
+     * @param {object} ticket - Ticket that was held down or tapped
+     * @description Holding a ticket down starts the selection; while selecting,
+     *   a tap toggles instead of opening the ticket.
+     */
+    const toggleSelected = (ticket) => {
+        setSelectedIds(current => (current.includes(ticket.id)
+            ? current.filter(id => id !== ticket.id)
+            : [...current, ticket.id]));
+    };
+
+    // Selects every ticket currently shown (after filters and search)
+    const handleSelectAll = () => {
+        const visibleIds = visibleTickets.map(ticket => ticket.id);
+        if (visibleIds.length > BULK_TICKET_LIMIT) {
+            Alert.alert('Too Many Tickets', `Only the first ${BULK_TICKET_LIMIT} tickets were selected.`);
+        }
+        setSelectedIds(visibleIds.slice(0, BULK_TICKET_LIMIT));
+    };
+
+    // Filters change which tickets are visible, so a selection doesn't carry over
+    const handleFiltersChange = (nextFilters) => {
+        setFilters(nextFilters);
+        setSelectedIds([]);
+    };
+
+    /**
+     * Applies a bulk action to the selected tickets and reports how it went
+     * @param {object} change - Status, assignee or labels to apply (see validateBulkChange)
+     * @returns {Promise<void>} Rejects if nothing could be saved at all
+     * @description Lists each ticket that wasn't changed and why. Those tickets
+     *   stay selected so the admin can fix the problem and try again.
+     */
+    const handleBulkApply = async (change) => {
+        try {
+            const { succeeded, failed } = await bulkUpdateTickets(selectedIds, change);
+
+            const titles = {};
+            tickets.forEach(ticket => {
+                titles[ticket.id] = ticket.title;
+            });
+            const lines = failed.map(failure => `• ${titles[failure.ticketId] || failure.ticketId}: ${failure.error}`);
+
+            Alert.alert(
+                failed.length === 0 ? 'Tickets Updated' : 'Some Tickets Were Not Changed',
+                [
+                    `${succeeded.length} of ${succeeded.length + failed.length} ticket${succeeded.length + failed.length === 1 ? '' : 's'} updated.`,
+                    ...lines
+                ].join('\n')
+            );
+            setSelectedIds(failed.map(({ ticketId }) => ticketId));
+        }
+        catch (err) {
+            Alert.alert('Error', err.message);
+            throw err;
+        }
+    };
+
+    /**
+     * Renders the list footer
+     * @returns {JSX.Element|null} Spinner while a page loads; while searching, a
+     *   button that loads one more page to search
+     * @description Search doesn't page by itself, so a single letter in the search
+     *   box never downloads the whole ticket list
+     */
+    const renderFooter = () => {
+        if (loadingMore) {
+            return <ActivityIndicator style={styles.footerLoader} />;
+        }
+        if (!searching || !hasMore) {
+            return null;
+        }
+
+        return (
+            <View style={styles.searchOlder}>
+                {loadMoreError ? (
+                    <Text style={styles.emptyText}>Couldn't load older tickets: {loadMoreError}</Text>
+                ) : null}
+                <TouchableOpacity style={styles.searchOlderButton} onPress={onEndReached}>
+                    <Text style={styles.searchOlderText}>Search older tickets</Text>
+                </TouchableOpacity>
+            </View>
+        );
+    };
+
     /**
      * Renders empty state when no tickets exist
      * @returns {JSX.Element} Empty state UI
      */
-    const renderEmpty = () => (
-        <View style={styles.emptyContainer}>
-        <Text style={styles.emptyEmoji}>📭</Text>
-        <Text style={styles.emptyTitle}>No tickets yet</Text>
-        <Text style={styles.emptyText}>
-            Waiting for clients to submit tickets...
-        </Text>
-        </View>
-    );
+    const renderEmpty = () => {
+        if (hasActiveFilters) {
+            return (
+                <View style={styles.emptyContainer}>
+                    <Text style={styles.emptyEmoji}>🔍</Text>
+                    <Text style={styles.emptyTitle}>No matching tickets</Text>
+                    <Text style={styles.emptyText}>
+                        {searching && hasMore
+                            ? 'Only the loaded tickets were searched'
+                            : 'Try clearing some filters'}
+                    </Text>
+                </View>
+            );
+        }
+
+        return (
+            <View style={styles.emptyContainer}>
+                <Text style={styles.emptyEmoji}>📭</Text>
+                <Text style={styles.emptyTitle}>
+                    {assignedOnly ? 'Nothing assigned to you' : 'No tickets yet'}
+                </Text>
+                <Text style={styles.emptyText}>
+                    {assignedOnly
+                        ? 'Assign yourself a ticket from its detail screen'
+                        : 'Waiting for clients to submit tickets...'}
+                </Text>
+            </View>
+        );
+    };
 
     // add error message using existing emojis and styles
     const renderError = () => (
@@ -147,16 +351,26 @@ export default function AdminHomeScreen({ navigation }) {
             <Text style={styles.emptyText}>{error}</Text>
             <TouchableOpacity
                 style={styles.retryButton}
-                onPress={() => {
-                    setLoading(true);
-                    setError(null);
-                }}
+                onPress={retry}
             >
                 <Text style={styles.retryButtonText}>Retry</Text>
             </TouchableOpacity>
         </View>
     );
 
+    const hasActiveFilters = Boolean(
+        searching ||
+        filters.status ||
+        filters.type ||
+        filters.clientId ||
+        filters.assigneeId !== undefined ||
+        filters.labelId
+    );
+
+    // Text search runs on the device since Firestore has no full-text search,
+    // so it only covers the tickets loaded so far (see the effect above)
+    const visibleTickets = tickets.filter(ticket => matchesTicketSearch(ticket, filters.search));
+
     // signout handling
     const handleLogout = async () => { 
         try {
@@ -170,30 +384,118 @@ export default function AdminHomeScreen({ navigation }) {
   return (
     <View style={styles.container}>
         {/* HEADER SECTION */}
-        <View style={styles.header}>
-            <View>
-                <Text style={styles.headerTitle}>All Tickets</Text>
-                <Text style={styles.headerSubtitle}>{tickets.length} total</Text>
+        {selecting ? (
+            <View style={styles.header}>
+                <View>
+                    <Text style={styles.headerTitle}>{selectedIds.length} selected</Text>
+                    <Text style={styles.headerSubtitle}>Tap tickets to add or remove them</Text>
+                </View>
+                <View style={styles.headerActions}>
+                    {/* Select All Visible */}
+                    <TouchableOpacity onPress={handleSelectAll} style={styles.filterButton}>
+                        <Text style={styles.filterButtonText}>Select all</Text>
+                    </TouchableOpacity>
+                    {/* Leave Selection */}
+                    <TouchableOpacity onPress={() => setSelectedIds([])} style={styles.filterButton}>
+                        <Text style={styles.filterButtonText}>Cancel</Text>
+                    </TouchableOpacity>
+                </View>
             </View>
-            {/* Logout Button */}
-            <TouchableOpacity onPress={handleLogout} style={styles.logoutButton}>
-                <Text style={styles.logout}>Logout</Text>
-            </TouchableOpacity>
-        </View>
+        ) : (
+            <View style={styles.header}>
+                <View>
+                    <Text style={styles.headerTitle}>
+                        {assignedOnly ? 'Assigned to Me' : 'All Tickets'}
+                    </Text>
+                    <Text style={styles.headerSubtitle}>
+                        {searching
+                            ? `${visibleTickets.length} matching in ${tickets.length} loaded ticket${tickets.length === 1 ? '' : 's'}${hasMore ? '...' : ''}`
+                            : `${total === null ? tickets.length : total} ${hasActiveFilters ? 'matching' : 'total'}`}
+                    </Text>
+                </View>
+                <View style={styles.headerActions}>
+                    {/* Filter Toggle */}
+                    <TouchableOpacity
+                        onPress={() => setShowFilters(!showFilters)}
+                        style={[styles.filterButton, hasActiveFilters && styles.filterButtonActive]}
+                    >
+                        <Text style={styles.filterButtonText}>Filters</Text>
+                    </TouchableOpacity>
+                    {/* Logout Button */}
+                    <TouchableOpacity onPress={handleLogout} style={styles.logoutButton}>
+                        <Text style={styles.logout}>Logout</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        )}
+
+        {/* FILTER BAR */}
+        {showFilters && (
+            <TicketFilters
+                filters={filters}
+                onChange={handleFiltersChange}
+                statusOptions={STATUS_OPTIONS}
+                typeOptions={typeOptions}
+                clientOptions={[
+                    { key: undefined, label: 'All' },
+                    ...clients.map(client => ({ key: client.id, label: client.name }))
+                ]}
+                assigneeOptions={assignedOnly ? null : [
+                    { key: undefined, label: 'All' },
+                    { key: null, label: 'Unassigned' },
+                    ...admins.map(admin => ({ key: admin.id, label: admin.name }))
+                ]}
+                labelOptions={labels.length === 0 ? null : [
+                    { key: undefined, label: 'All' },
+                    ...labels.map(label => ({ key: label.id, label: label.name }))
+                ]}
+                sortOptions={SORT_OPTIONS}
+            />
+        )}
 
         {/* TICKETS LIST */}
         <FlatList
-            data={tickets}
+            data={visibleTickets}
             renderItem={({ item }) => (
-                <TicketCard item={item} onPress={handleTicketPress} />
+                <TicketCard
+                    item={item}
+                    ticketType={getTicketType(ticketTypes, item.type)}
+                    labels={getTicketLabels(labels, item.labelIds)}
+                    selected={selectedIds.includes(item.id)}
+                    onPress={handleTicketPress}
+                    onLongPress={toggleSelected}
+                />
             )}
             keyExtractor={(item) => item.id}
             contentContainerStyle={styles.listContent}
             ListEmptyComponent={!loading && (error ? renderError() : renderEmpty())}
+            ListFooterComponent={renderFooter()}
+            onEndReached={searching ? undefined : onEndReached}
+            onEndReachedThreshold={0.5}
             refreshControl={
                 <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
             }
         />
+
+        {/* BULK ACTION BAR */}
+        {selecting ? (
+            <View style={styles.bulkBar}>
+                <TouchableOpacity style={styles.bulkButton} onPress={() => setShowBulkActions(true)}>
+                    <Text style={styles.bulkButtonText}>
+                        Change {selectedIds.length} ticket{selectedIds.length === 1 ? '' : 's'}
+                    </Text>
+                </TouchableOpacity>
+            </View>
+        ) : null}
+
+        <BulkActionSheet
+            visible={showBulkActions}
+            count={selectedIds.length}
+            admins={admins}
+            labels={labels}
+            onApply={handleBulkApply}
+            onClose={() => setShowBulkActions(false)}
+        />
     </View>
   );
 }
@@ -235,6 +537,24 @@ const styles = StyleSheet.create({
         fontWeight: '600',
         fontSize: 14
     },
+    headerActions: {
+        flexDirection: 'row',
+        gap: 8
+    },
+    filterButton: {
+        paddingHorizontal: 16,
+        paddingVertical: 8,
+        borderRadius: 6,
+        backgroundColor: '#f3f4f6'
+    },
+    filterButtonActive: {
+        backgroundColor: '#e3f2ff'
+    },
+    filterButtonText: {
+        color: '#007AFF',
+        fontWeight: '600',
+        fontSize: 14
+    },
     listContent: {
         padding: 16
     },
@@ -247,13 +567,13 @@ const styles = StyleSheet.create({
         shadowOffset: { width: 0, height: 1 },
         shadowOpacity: 0.05,
         shadowRadius: 2,
-        elevation: 2
+        elevation: 2,
+        borderWidth: 2,
+        borderColor: 'transparent'
     },
-    ticketType: {
-        fontSize: 12,
-        fontWeight: '600',
-        color: '#666',
-        marginBottom: 8
+    ticketSelected: {
+        borderColor: '#007AFF',
+        backgroundColor: '#f0f7ff'
     },
     ticketTitle: {
         fontSize: 18,
@@ -267,9 +587,35 @@ const styles = StyleSheet.create({
         lineHeight: 20,
         marginBottom: 12
     },
+    labelContainer: {
+        marginBottom: 12
+    },
+    slaContainer: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginBottom: 8
+    },
+    voteBadge: {
+        fontSize: 11,
+        fontWeight: '600',
+        color: '#6366f1',
+        backgroundColor: '#eef2ff',
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+        borderRadius: 6,
+        overflow: 'hidden'
+    },
     statusContainer: {
         flexDirection: 'row',
-        alignItems: 'center'
+        alignItems: 'center',
+        justifyContent: 'space-between'
+    },
+    assigneeText: {
+        fontSize: 12,
+        color: '#6b7280',
+        fontWeight: '600'
     },
     ticketStatus: {
         fontSize: 12,
@@ -277,6 +623,43 @@ const styles = StyleSheet.create({
         fontWeight: '600',
         textTransform: 'capitalize'
     },
+    bulkBar: {
+        backgroundColor: '#fff',
+        padding: 16,
+        borderTopWidth: 1,
+        borderTopColor: '#ddd'
+    },
+    bulkButton: {
+        backgroundColor: '#007AFF',
+        paddingVertical: 14,
+        borderRadius: 8,
+        alignItems: 'center'
+    },
+    bulkButtonText: {
+        color: '#fff',
+        fontWeight: '600',
+        fontSize: 16
+    },
+    footerLoader: {
+        marginVertical: 16
+    },
+    searchOlder: {
+        alignItems: 'center',
+        marginVertical: 16,
+        gap: 8
+    },
+    searchOlderButton: {
+        borderWidth: 1,
+        borderColor: '#007AFF',
+        paddingHorizontal: 20,
+        paddingVertical: 10,
+        borderRadius: 8
+    },
+    searchOlderText: {
+        color: '#007AFF',
+        fontWeight: '600',
+        fontSize: 14
+    },
     emptyContainer: {
         alignItems: 'center',
         justifyContent: 'center',
@@ -315,6 +698,11 @@ const styles = StyleSheet.create({
         alignItems: 'center',
         marginBottom: 8
     },
+    badgeRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6
+    },
     clientBadge: {
         fontSize: 11,
         fontWeight: '600',
@@ -0,0 +1,312 @@
+// ADMIN TEAM SCREEN - Invite new admins and review requests for admin access
+
+import { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    ScrollView,
+    StyleSheet,
+    Alert,
+    Share
+} from 'react-native';
+import {
+    createAdminInvite,
+    subscribeToAdminInvites,
+    revokeAdminInvite,
+    subscribeToAdminRequests,
+    reviewAdminRequest,
+    ADMIN_INVITE_EXPIRY_DAYS
+} from '../../backend';
+import { formatTimestamp } from '../../utils/format';
+import { toMillis } from '../../utils/sla';
+
+/**
+ * Admin team screen component
+ * @returns {JSX.Element} Invite and approval queue UI
+ * @description Signup always creates clients, so this is where admins come from:
+ *   1. Generate a single-use invite code (expires after ADMIN_INVITE_EXPIRY_DAYS) and share it
+ *   2. See and revoke invite codes that haven't been used yet
+ *   3. Approve or reject people who asked for admin access without a code
+ */
+export default function AdminTeamScreen() {
+    const [invites, setInvites] = useState([]);
+    const [requests, setRequests] = useState([]);
+    const [creating, setCreating] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Keep both lists live so several admins can work the queue at once
+    useEffect(() => {
+        const unsubscribers = [];
+
+        try {
+            unsubscribers.push(subscribeToAdminInvites(setInvites, (err) => setError(err.message)));
+            unsubscribers.push(subscribeToAdminRequests(setRequests, (err) => setError(err.message)));
+        }
+        catch (err) {
+            console.error('Error setting up team listeners:', err);
+            setError(err.message);
+        }
+
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, []);
+
+    // Creates a new invite code and offers to share it
+    const handleCreateInvite = async () => {
+        setCreating(true);
+        try {
+            const invite = await createAdminInvite();
+            Alert.alert('Invite Created', `Code: ${invite.code}\nValid for ${ADMIN_INVITE_EXPIRY_DAYS} days, one use only.`, [
+                { text: 'Done', style: 'cancel' },
+                {
+                    text: 'Share',
+                    onPress: () => Share.share({
+                        message: `You're invited to join the TaskRelay support team. Sign up, choose "Support Team" and enter this code: ${invite.code}`
+                    })
+                }
+            ]);
+        }
+        catch (err) {
+            Alert.alert('Error', err.message);
+        }
+        finally {
+            setCreating(false);
+        }
+    };
+
+    /**
+     * Revokes an unused invite after confirming
+     * @param {object} invite - Invite to revoke
+     */
+    const handleRevoke = (invite) => {
+        Alert.alert('Revoke Invite', `Code ${invite.code} will stop working.`, [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Revoke',
+                style: 'destructive',
+                onPress: () => revokeAdminInvite(invite.code).catch((err) => Alert.alert('Error', err.message))
+            }
+        ]);
+    };
+
+    /**
+     * Approves or rejects an admin access request
+     * @param {object} request - Pending request
+     * @param {boolean} approve - True to make them an admin
+     */
+    const handleReview = async (request, approve) => {
+        try {
+            await reviewAdminRequest(request.id, approve);
+        }
+        catch (err) {
+            Alert.alert('Error', err.message);
+        }
+    };
+
+    return (
+        <View style={styles.container}>
+        {/* HEADER SECTION */}
+        <View style={styles.header}>
+            <Text style={styles.headerTitle}>Team</Text>
+            <Text style={styles.headerSubtitle}>
+                {requests.length} pending request{requests.length === 1 ? '' : 's'}
+            </Text>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+            {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+            {/* PENDING REQUESTS */}
+            <Text style={styles.sectionTitle}>Admin Requests</Text>
+            {requests.length === 0 ? (
+                <Text style={styles.emptyText}>No one is waiting for approval.</Text>
+            ) : (
+                requests.map((request) => (
+                    <View key={request.id} style={styles.card}>
+                        <Text style={styles.cardTitle}>{request.name}</Text>
+                        <Text style={styles.cardMeta}>{request.email}</Text>
+                        {request.note ? <Text style={styles.cardNote}>{request.note}</Text> : null}
+                        <Text style={styles.cardMeta}>Requested {formatTimestamp(request.createdAt)}</Text>
+                        <View style={styles.actions}>
+                            <TouchableOpacity
+                                style={[styles.actionButton, styles.approveButton]}
+                                onPress={() => handleReview(request, true)}
+                            >
+                                <Text style={styles.approveText}>Approve</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                                style={[styles.actionButton, styles.rejectButton]}
+                                onPress={() => handleReview(request, false)}
+                            >
+                                <Text style={styles.rejectText}>Reject</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                ))
+            )}
+
+            {/* INVITES */}
+            <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Invite Codes</Text>
+            <TouchableOpacity
+                style={[styles.createButton, creating && styles.createButtonDisabled]}
+                onPress={handleCreateInvite}
+                disabled={creating}
+            >
+                <Text style={styles.createButtonText}>
+                    {creating ? 'Creating...' : '＋ Generate Invite Code'}
+                </Text>
+            </TouchableOpacity>
+            {invites.length === 0 ? (
+                <Text style={styles.emptyText}>No unused invite codes.</Text>
+            ) : (
+                invites.map((invite) => {
+                    const expired = toMillis(invite.expiresAt) < Date.now();
+                    return (
+                        <View key={invite.code} style={styles.card}>
+                            <Text style={[styles.code, expired && styles.codeExpired]}>{invite.code}</Text>
+                            <Text style={styles.cardMeta}>Created by {invite.createdByName}</Text>
+                            <Text style={[styles.cardMeta, expired && styles.expiredText]}>
+                                {expired ? 'Expired' : 'Expires'} {formatTimestamp(invite.expiresAt)}
+                            </Text>
+                            <View style={styles.actions}>
+                                <TouchableOpacity
+                                    style={[styles.actionButton, styles.rejectButton]}
+                                    onPress={() => handleRevoke(invite)}
+                                >
+                                    <Text style={styles.rejectText}>{expired ? 'Remove' : 'Revoke'}</Text>
+                                </TouchableOpacity>
+                            </View>
+                        </View>
+                    );
+                })
+            )}
+        </ScrollView>
+        </View>
+    );
+}
+
+// Styles for this screen
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5'
+    },
+    header: {
+        backgroundColor: '#fff',
+        padding: 20,
+        paddingTop: 50,
+        borderBottomWidth: 1,
+        borderBottomColor: '#ddd'
+    },
+    headerTitle: {
+        fontSize: 28,
+        fontWeight: 'bold',
+        color: '#1f2937'
+    },
+    headerSubtitle: {
+        fontSize: 14,
+        color: '#666',
+        marginTop: 4
+    },
+    content: {
+        padding: 16,
+        paddingBottom: 40
+    },
+    errorText: {
+        fontSize: 14,
+        color: '#dc2626',
+        marginBottom: 16
+    },
+    sectionTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#1f2937',
+        marginBottom: 12
+    },
+    sectionSpacing: {
+        marginTop: 24
+    },
+    emptyText: {
+        fontSize: 14,
+        color: '#666',
+        marginBottom: 12
+    },
+    card: {
+        backgroundColor: '#fff',
+        padding: 16,
+        marginBottom: 12,
+        borderRadius: 12
+    },
+    cardTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#1f2937',
+        marginBottom: 4
+    },
+    cardMeta: {
+        fontSize: 13,
+        color: '#6b7280',
+        marginBottom: 2
+    },
+    cardNote: {
+        fontSize: 14,
+        color: '#1f2937',
+        fontStyle: 'italic',
+        marginVertical: 6
+    },
+    code: {
+        fontSize: 20,
+        fontWeight: '700',
+        letterSpacing: 2,
+        color: '#1f2937',
+        marginBottom: 6
+    },
+    codeExpired: {
+        color: '#9ca3af',
+        textDecorationLine: 'line-through'
+    },
+    expiredText: {
+        color: '#dc2626'
+    },
+    actions: {
+        flexDirection: 'row',
+        gap: 8,
+        marginTop: 12
+    },
+    actionButton: {
+        paddingHorizontal: 16,
+        paddingVertical: 8,
+        borderRadius: 6
+    },
+    approveButton: {
+        backgroundColor: '#dcfce7'
+    },
+    approveText: {
+        color: '#16a34a',
+        fontWeight: '600',
+        fontSize: 14
+    },
+    rejectButton: {
+        backgroundColor: '#fee2e2'
+    },
+    rejectText: {
+        color: '#dc2626',
+        fontWeight: '600',
+        fontSize: 14
+    },
+    createButton: {
+        backgroundColor: '#007AFF',
+        padding: 14,
+        borderRadius: 8,
+        alignItems: 'center',
+        marginBottom: 12
+    },
+    createButtonDisabled: {
+        backgroundColor: '#9ca3af'
+    },
+    createButtonText: {
+        color: '#fff',
+        fontWeight: '600',
+        fontSize: 15
+    }
+});
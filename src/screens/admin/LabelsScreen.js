@@ -0,0 +1,294 @@
+// LABELS SCREEN - Manage the labels admins tag tickets with
+
+import { useState } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    ScrollView,
+    StyleSheet,
+    Alert
+} from 'react-native';
+import { saveLabel, deleteLabel } from '../../backend';
+import { LABEL_COLORS, MAX_LABEL_LENGTH } from '../../config/labels';
+import useLabels from '../../hooks/useLabels';
+import LabelChips from '../../components/LabelChips';
+
+// Form state for a label that hasn't been saved yet
+const EMPTY_FORM = { id: null, name: '', color: LABEL_COLORS[4] };
+
+/**
+ * Labels screen component
+ * @returns {JSX.Element} Label list and editor UI
+ * @description This screen allows admins to:
+ *   1. See every label, as it shows on the ticket cards
+ *   2. Add a label (billing, login, Android only...) with a name and color
+ *   3. Rename or recolor a label; tickets that have it pick up the change
+ *   4. Delete a label, which also takes it off every ticket
+ *   Labels are put on tickets from the ticket detail screen, and the ticket
+ *   list can be filtered by label.
+ */
+export default function LabelsScreen() {
+    const labels = useLabels();
+    const [form, setForm] = useState(EMPTY_FORM); // Label being added or edited
+    const [saving, setSaving] = useState(false);
+
+    const editing = form.id !== null;
+
+    // Updates one field of the form
+    const update = (field) => (value) => setForm(current => ({ ...current, [field]: value }));
+
+    // Leaves the editor without saving
+    const handleCancel = () => {
+        setForm(EMPTY_FORM);
+    };
+
+    // Saves the form as a new label or over the label being edited
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            await saveLabel(form);
+            handleCancel();
+        }
+        catch (err) {
+            Alert.alert('Error', err.message);
+        }
+        finally {
+            setSaving(false);
+        }
+    };
+
+    /**
+     * Deletes a label after confirming
+     * @param {object} label - Label to delete
+     */
+    const handleDelete = (label) => {
+        Alert.alert('Delete Label', `"${label.name}" will be taken off every ticket that has it.`, [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Delete',
+                style: 'destructive',
+                onPress: () => {
+                    if (form.id === label.id) {
+                        handleCancel();
+                    }
+                    deleteLabel(label.id).catch((err) => Alert.alert('Error', err.message));
+                }
+            }
+        ]);
+    };
+
+    return (
+        <View style={styles.container}>
+        {/* HEADER SECTION */}
+        <View style={styles.header}>
+            <Text style={styles.headerTitle}>Labels</Text>
+            <Text style={styles.headerSubtitle}>
+                {labels.length} label{labels.length === 1 ? '' : 's'} for sorting tickets by area
+            </Text>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            {/* LABEL EDITOR */}
+            <Text style={styles.sectionTitle}>{editing ? 'Edit Label' : 'Add a Label'}</Text>
+            <View style={styles.card}>
+                <TextInput
+                    style={styles.input}
+                    placeholder="Name, e.g. Billing"
+                    value={form.name}
+                    onChangeText={update('name')}
+                    maxLength={MAX_LABEL_LENGTH}
+                />
+
+                {/* COLOR PICKER */}
+                <View style={styles.colorRow}>
+                    {LABEL_COLORS.map((color) => (
+                        <TouchableOpacity
+                            key={color}
+                            style={[
+                                styles.colorSwatch,
+                                { backgroundColor: color },
+                                form.color === color && styles.colorSwatchActive
+                            ]}
+                            onPress={() => update('color')(color)}
+                        />
+                    ))}
+                </View>
+
+                {/* PREVIEW */}
+                {form.name.trim() ? (
+                    <View style={styles.preview}>
+                        <LabelChips labels={[{ id: 'preview', name: form.name.trim(), color: form.color }]} />
+                    </View>
+                ) : null}
+
+                <View style={styles.actions}>
+                    {editing ? (
+                        <TouchableOpacity
+                            style={[styles.actionButton, styles.secondaryButton]}
+                            onPress={handleCancel}
+                        >
+                            <Text style={styles.secondaryText}>Cancel</Text>
+                        </TouchableOpacity>
+                    ) : null}
+                    <TouchableOpacity
+                        style={[styles.actionButton, styles.saveButton, saving && styles.saveButtonDisabled]}
+                        onPress={handleSave}
+                        disabled={saving}
+                    >
+                        <Text style={styles.saveText}>
+                            {saving ? 'Saving...' : editing ? 'Save Changes' : '＋ Add Label'}
+                        </Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+
+            {/* LABEL LIST */}
+            <Text style={[styles.sectionTitle, styles.sectionSpacing]}>All Labels</Text>
+            {labels.length === 0 ? (
+                <Text style={styles.cardMeta}>No labels yet. Add one above to start tagging tickets.</Text>
+            ) : null}
+            {labels.map((label) => (
+                <View key={label.id} style={[styles.card, styles.labelRow]}>
+                    <View style={styles.labelChip}>
+                        <LabelChips labels={[label]} />
+                    </View>
+                    <TouchableOpacity
+                        style={[styles.actionButton, styles.secondaryButton]}
+                        onPress={() => setForm({ id: label.id, name: label.name, color: label.color })}
+                    >
+                        <Text style={styles.secondaryText}>Edit</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.actionButton, styles.deleteButton]}
+                        onPress={() => handleDelete(label)}
+                    >
+                        <Text style={styles.deleteText}>Delete</Text>
+                    </TouchableOpacity>
+                </View>
+            ))}
+        </ScrollView>
+        </View>
+    );
+}
+
+// Styles for this screen
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5'
+    },
+    header: {
+        backgroundColor: '#fff',
+        padding: 20,
+        paddingTop: 50,
+        borderBottomWidth: 1,
+        borderBottomColor: '#ddd'
+    },
+    headerTitle: {
+        fontSize: 28,
+        fontWeight: 'bold',
+        color: '#1f2937'
+    },
+    headerSubtitle: {
+        fontSize: 14,
+        color: '#666',
+        marginTop: 4
+    },
+    content: {
+        padding: 16,
+        paddingBottom: 40
+    },
+    sectionTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#1f2937',
+        marginBottom: 12
+    },
+    sectionSpacing: {
+        marginTop: 24
+    },
+    card: {
+        backgroundColor: '#fff',
+        padding: 16,
+        marginBottom: 12,
+        borderRadius: 12
+    },
+    cardMeta: {
+        fontSize: 13,
+        color: '#6b7280'
+    },
+    input: {
+        backgroundColor: '#f9fafb',
+        borderWidth: 1,
+        borderColor: '#d1d5db',
+        borderRadius: 8,
+        padding: 10,
+        fontSize: 15
+    },
+    colorRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 10,
+        marginTop: 12
+    },
+    colorSwatch: {
+        width: 28,
+        height: 28,
+        borderRadius: 14,
+        borderWidth: 2,
+        borderColor: 'transparent'
+    },
+    colorSwatchActive: {
+        borderColor: '#1f2937'
+    },
+    preview: {
+        marginTop: 12
+    },
+    labelRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8
+    },
+    labelChip: {
+        flex: 1
+    },
+    actions: {
+        flexDirection: 'row',
+        gap: 8,
+        marginTop: 12
+    },
+    actionButton: {
+        paddingHorizontal: 16,
+        paddingVertical: 8,
+        borderRadius: 6
+    },
+    secondaryButton: {
+        backgroundColor: '#f3f4f6'
+    },
+    secondaryText: {
+        color: '#374151',
+        fontWeight: '600',
+        fontSize: 14
+    },
+    saveButton: {
+        backgroundColor: '#007AFF'
+    },
+    saveButtonDisabled: {
+        backgroundColor: '#9ca3af'
+    },
+    saveText: {
+        color: '#fff',
+        fontWeight: '600',
+        fontSize: 14
+    },
+    deleteButton: {
+        backgroundColor: '#fee2e2'
+    },
+    deleteText: {
+        color: '#dc2626',
+        fontWeight: '600',
+        fontSize: 14
+    }
+});
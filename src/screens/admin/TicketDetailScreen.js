@@ -1,14 +1,42 @@
 
 // TICKET DETAIL SCREEN - View full ticket details and update status
+import { useState, useEffect } from 'react';
 import {
     View,
     Text,
+    TextInput,
     TouchableOpacity,
     ScrollView,
     StyleSheet,
-    Alert
+    Alert,
+    Switch
 } from 'react-native';
-import { updateTicketStatus } from '../../config/firebase';
+import {
+    updateTicketStatus,
+    subscribeToTicket,
+    getAdmins,
+    assignTicket,
+    updateTicketPriority,
+    unlinkTickets,
+    setTicketPublic,
+    setTicketLabels,
+    SHARED_TICKET_TYPE
+} from '../../backend';
+import { PRIORITIES, getPriority } from '../../config/priorities';
+import { getAvailableTransitions } from '../../config/workflow';
+import CommentThread from '../../components/CommentThread';
+import StatusTimeline from '../../components/StatusTimeline';
+import SlaIndicator from '../../components/SlaIndicator';
+import CustomFieldsSection from '../../components/CustomFieldsSection';
+import DiagnosticsSection from '../../components/DiagnosticsSection';
+import TicketAttachments from '../../components/TicketAttachments';
+import LinkedTickets from '../../components/LinkedTickets';
+import LinkTicketPicker from '../../components/LinkTicketPicker';
+import TypeBadge from '../../components/TypeBadge';
+import useTicketTypes from '../../hooks/useTicketTypes';
+import useLabels from '../../hooks/useLabels';
+import { getTicketType } from '../../config/ticketTypes';
+import { formatTimestamp } from '../../utils/format';
 
 /**
  * Ticket detail screen component
@@ -16,27 +44,160 @@ import { updateTicketStatus } from '../../config/firebase';
  * @param {object} route - Route object containing ticket data passed from previous screen
  * @returns {JSX.Element} Ticket detail and status update UI
  * @description This screen allows admins to:
- *   1. View full ticket details
- *   2. Update ticket status (open, in-progress, resolved, closed)
- *   3. Client sees update in real-time
- *   4. Navigate back to ticket lists
+ *   1. View full ticket details, the answers to the type's extra fields, device
+ *      diagnostics of bug reports and attachments (kept live while the screen is open)
+ *   2. Assign the ticket to an admin or unassign it
+ *   3. Override the priority suggested by the client and track SLA deadlines,
+ *      and tag the ticket with labels
+ *   4. Move the ticket along the workflow (only changes allowed from the current
+ *      status are offered; some need a reason)
+ *   5. Client sees update in real-time
+ *   6. Review the full status history of the ticket
+ *   7. Discuss the ticket with the client in a live comment thread
+ *   8. Link it to related tickets, or merge it into the ticket it duplicates
+ *   9. Put a feature request on the public feature board and see its votes
+ *   10. Navigate back to ticket lists
  */
 export default function TicketDetailScreen({ navigation, route }) {
-    const { ticket } = route.params; // Get ticket data passed from AdminHomeScreen
-    const statuses = ['open', 'in-progress', 'resolved', 'closed']; // Available status options
+    const [ticket, setTicket] = useState(route.params.ticket); // Start with data passed from AdminHomeScreen
+    const [reason, setReason] = useState(''); // Note saved with the status change
+    const [admins, setAdmins] = useState([]); // Possible assignees
+    const [showLinkPicker, setShowLinkPicker] = useState(false);
+    const ticketTypes = useTicketTypes();
+    const labels = useLabels();
+    const ticketId = route.params.ticket.id;
+    const transitions = getAvailableTransitions(ticket.status, 'admin'); // Status changes allowed from here ('waiting' pauses the SLA)
+
+    /**
+     * useEffect: Keep the ticket in sync with Firestore
+     * @description Assignment and status changes made here (or by another admin)
+     *   show up without leaving the screen
+     */
+    useEffect(() => {
+        let unsubscribe;
+
+        try {
+            unsubscribe = subscribeToTicket(
+                ticketId,
+                (data) => {
+                    if (data) {
+                        setTicket(data);
+                    }
+                },
+                (err) => {
+                    console.error('Error fetching ticket:', err);
+                }
+            );
+        }
+        catch (err) {
+            console.error('Error setting up ticket listener:', err);
+        }
+
+        return () => {
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        };
+    }, [ticketId]);
+
+    // Load the list of admins for the assignee picker
+    useEffect(() => {
+        getAdmins()
+            .then(setAdmins)
+            .catch((err) => console.error('Error loading admins:', err));
+    }, []);
+
+    /**
+     * Assigns the ticket to an admin, or unassigns it
+     * @param {object|null} admin - Admin to assign, or null to unassign
+     */
+    const handleAssign = async (admin) => {
+        try {
+            await assignTicket(ticket.id, admin);
+        }
+        catch (error) {
+            Alert.alert('Error', error.message);
+        }
+    };
+
+    /**
+     * Overrides the ticket's priority
+     * @param {string} priority - New priority key
+     */
+    const handlePriorityChange = async (priority) => {
+        try {
+            await updateTicketPriority(ticket.id, priority);
+        }
+        catch (error) {
+            Alert.alert('Error', error.message);
+        }
+    };
+
+    /**
+     * Adds a label to the ticket, or takes it off if the ticket already has it
+     * @param {object} label - Label that was tapped
+     */
+    const handleLabelToggle = async (label) => {
+        const labelIds = ticket.labelIds || [];
+        try {
+            await setTicketLabels(
+                ticket.id,
+                labelIds.includes(label.id)
+                    ? labelIds.filter(id => id !== label.id)
+                    : [...labelIds, label.id]
+            );
+        }
+        catch (error) {
+            Alert.alert('Error', error.message);
+        }
+    };
+
+    /**
+     * Puts a feature request on the public board, or takes it off
+     * @param {boolean} isPublic - True to list it for every client to see and vote on
+     */
+    const handlePublicChange = async (isPublic) => {
+        try {
+            await setTicketPublic(ticket.id, isPublic);
+        }
+        catch (error) {
+            Alert.alert('Error', error.message);
+        }
+    };
+
+    /**
+     * Removes a link after confirming
+     * @param {object} link - Link to remove ({ ticketId, type })
+     */
+    const handleUnlink = (link) => {
+        Alert.alert('Unlink Ticket', 'The link is removed from both tickets.', [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Unlink',
+                style: 'destructive',
+                onPress: () => unlinkTickets(ticket.id, link.ticketId).catch((err) => Alert.alert('Error', err.message))
+            }
+        ]);
+    };
 
     /**
      * Updates ticket status in Firestore
-     * @param {string} newStatus - New status value
-     * @description When admin selects a status:
-     *   1. Updates ticket status in Firestore
-     *   2. Shows success message
-     *   3. Navigates back to ticket list
-     *   4. Client sees update in real-time
+     * @param {object} transition - Workflow transition the admin picked
+     * @description When admin selects a status change:
+     *   1. Asks for a reason first if the workflow requires one
+     *   2. Updates ticket status in Firestore
+     *   3. Shows success message
+     *   4. Navigates back to ticket list
+     *   5. Client sees update in real-time
      */
-    const handleStatusUpdate = async (newStatus) => {
+    const handleStatusUpdate = async (transition) => {
+        if (transition.requiresReason && !reason.trim()) {
+            Alert.alert('Reason Required', `Please enter a reason before choosing "${transition.label}".`);
+            return;
+        }
+
         try {
-            await updateTicketStatus(ticket.id, newStatus);
+            await updateTicketStatus(ticket.id, transition.to, reason);
             Alert.alert('Success', 'Ticket status updated!');
             navigation.goBack(); // Return to ticket list
         } 
@@ -59,9 +220,7 @@ export default function TicketDetailScreen({ navigation, route }) {
         <ScrollView style={styles.content}>
             {/* TICKET TYPE BADGE */}
             <View style={styles.typeBadge}>
-                <Text style={styles.typeBadgeText}>
-                    {ticket.type === 'bug' ? '🐛 BUG' : '✨ FEATURE'}
-                </Text>
+                <TypeBadge ticketType={getTicketType(ticketTypes, ticket.type)} />
             </View>
 
             {/* CLIENT INFO */}
@@ -79,40 +238,204 @@ export default function TicketDetailScreen({ navigation, route }) {
             {/* TICKET DESCRIPTION */}
             <Text style={styles.description}>{ticket.description}</Text>
 
+            {/* TYPE-SPECIFIC DETAILS (steps to reproduce, environment...) */}
+            <CustomFieldsSection customFields={ticket.customFields} />
+
+            {/* DEVICE DIAGNOSTICS (bug reports only) */}
+            <DiagnosticsSection diagnostics={ticket.diagnostics} />
+
+            {/* ATTACHMENTS */}
+            <TicketAttachments ticketId={ticket.id} />
+
             {/* CURRENT STATUS */}
             <View style={styles.currentStatusContainer}>
                 <Text style={styles.currentStatusLabel}>Current Status:</Text>
                 <Text style={styles.currentStatus}>{ticket.status}</Text>
             </View>
 
+            {/* FEATURE BOARD (feature requests only) */}
+            {ticket.type === SHARED_TICKET_TYPE ? (
+                <View style={styles.boardRow}>
+                    <View style={styles.boardText}>
+                        <Text style={styles.boardLabel}>Show on the feature board</Text>
+                        <Text style={styles.boardHint}>
+                            ▲ {ticket.voteCount || 0} vote{ticket.voteCount === 1 ? '' : 's'} · clients see the title and description, not who asked
+                        </Text>
+                    </View>
+                    <Switch value={Boolean(ticket.public)} onValueChange={handlePublicChange} />
+                </View>
+            ) : null}
+
+            {/* LINKED TICKETS */}
+            <LinkedTickets
+                links={ticket.links}
+                onOpen={(linked) => navigation.push('TicketDetail', { ticket: linked })}
+                onUnlink={handleUnlink}
+            />
+            <TouchableOpacity style={styles.linkButton} onPress={() => setShowLinkPicker(true)}>
+                <Text style={styles.linkButtonText}>🔗 Link or merge ticket</Text>
+            </TouchableOpacity>
+            <LinkTicketPicker
+                visible={showLinkPicker}
+                ticket={ticket}
+                onClose={() => setShowLinkPicker(false)}
+            />
+
+            {/* SLA TARGETS */}
+            {ticket.resolutionDueAt ? (
+                <View style={styles.slaInfo}>
+                    <SlaIndicator ticket={ticket} />
+                    <Text style={styles.slaText}>
+                        First response due: {formatTimestamp(ticket.firstResponseDueAt)}
+                        {ticket.firstRespondedAt ? ' (responded)' : ''}
+                    </Text>
+                    <Text style={styles.slaText}>
+                        Resolution due: {formatTimestamp(ticket.resolutionDueAt)}
+                    </Text>
+                </View>
+            ) : null}
+
             {/* DIVIDER */}
             <View style={styles.divider} />
 
+            {/* ASSIGNMENT SECTION */}
+            <Text style={styles.sectionTitle}>Assignee</Text>
+            <Text style={styles.assigneeCurrent}>
+                {ticket.assigneeName ? `Assigned to ${ticket.assigneeName}` : 'Unassigned'}
+            </Text>
+            <View style={styles.chipRow}>
+                {admins.map((admin) => (
+                    <TouchableOpacity
+                        key={admin.id}
+                        style={[
+                            styles.chip,
+                            ticket.assigneeId === admin.id && styles.chipActive
+                        ]}
+                        onPress={() => handleAssign(admin)}
+                    >
+                        <Text
+                            style={[
+                                styles.chipText,
+                                ticket.assigneeId === admin.id && styles.chipTextActive
+                            ]}
+                        >
+                            {admin.name}
+                        </Text>
+                    </TouchableOpacity>
+                ))}
+                {ticket.assigneeId ? (
+                    <TouchableOpacity style={styles.chip} onPress={() => handleAssign(null)}>
+                        <Text style={styles.chipText}>Unassign</Text>
+                    </TouchableOpacity>
+                ) : null}
+            </View>
+
+            {/* DIVIDER */}
+            <View style={[styles.divider, styles.sectionSpacing]} />
+
+            {/* PRIORITY SECTION */}
+            <Text style={styles.sectionTitle}>Priority</Text>
+            {ticket.suggestedPriority ? (
+                <Text style={styles.assigneeCurrent}>
+                    Client suggested: {getPriority(ticket.suggestedPriority).label}
+                </Text>
+            ) : null}
+            <View style={styles.chipRow}>
+                {PRIORITIES.map((option) => {
+                    const isCurrent = getPriority(ticket.priority).key === option.key;
+                    return (
+                        <TouchableOpacity
+                            key={option.key}
+                            style={[
+                                styles.chip,
+                                isCurrent && { borderColor: option.color, backgroundColor: option.background }
+                            ]}
+                            onPress={() => handlePriorityChange(option.key)}
+                        >
+                            <Text style={[styles.chipText, isCurrent && { color: option.color }]}>
+                                {option.label}
+                            </Text>
+                        </TouchableOpacity>
+                    );
+                })}
+            </View>
+
+            {/* DIVIDER */}
+            <View style={[styles.divider, styles.sectionSpacing]} />
+
+            {/* LABELS SECTION */}
+            <Text style={styles.sectionTitle}>Labels</Text>
+            {labels.length === 0 ? (
+                <Text style={styles.assigneeCurrent}>No labels yet. Add some from the Labels tab.</Text>
+            ) : null}
+            <View style={styles.chipRow}>
+                {labels.map((label) => {
+                    const isSelected = (ticket.labelIds || []).includes(label.id);
+                    return (
+                        <TouchableOpacity
+                            key={label.id}
+                            style={[
+                                styles.chip,
+                                isSelected && { borderColor: label.color, backgroundColor: `${label.color}1a` }
+                            ]}
+                            onPress={() => handleLabelToggle(label)}
+                        >
+                            <Text style={[styles.chipText, isSelected && { color: label.color }]}>
+                                {isSelected ? '✓ ' : ''}{label.name}
+                            </Text>
+                        </TouchableOpacity>
+                    );
+                })}
+            </View>
+
+            {/* DIVIDER */}
+            <View style={[styles.divider, styles.sectionSpacing]} />
+
             {/* STATUS UPDATE SECTION */}
             <Text style={styles.sectionTitle}>Update Status</Text>
 
+            {/* REASON INPUT */}
+            <TextInput
+                style={styles.reasonInput}
+                placeholder="Reason for change"
+                value={reason}
+                onChangeText={setReason}
+            />
+
             {/* STATUS BUTTONS */}
-            <View style={styles.statusButtons}>
-            {statuses.map((status) => (
-                <TouchableOpacity
-                key={status}
-                style={[
-                    styles.statusButton,
-                    ticket.status === status && styles.statusButtonCurrent
-                ]}
-                onPress={() => handleStatusUpdate(status)}
-                >
-                <Text
-                    style={[
-                    styles.statusButtonText,
-                    ticket.status === status && styles.statusButtonTextCurrent
-                    ]}
-                >
-                    {status.replace('-', ' ')}
-                </Text>
-                </TouchableOpacity>
-            ))}
-            </View>
+            {transitions.length === 0 ? (
+                <Text style={styles.assigneeCurrent}>No status changes are available from {ticket.status}.</Text>
+            ) : (
+                <View style={styles.statusButtons}>
+                {transitions.map((transition) => (
+                    <TouchableOpacity
+                    key={transition.to}
+                    style={styles.statusButton}
+                    onPress={() => handleStatusUpdate(transition)}
+                    >
+                    <Text style={styles.statusButtonText}>
+                        {transition.label}
+                    </Text>
+                    <Text style={styles.statusButtonHint}>
+                        → {transition.to.replace('-', ' ')}{transition.requiresReason ? ' · reason required' : ''}
+                    </Text>
+                    </TouchableOpacity>
+                ))}
+                </View>
+            )}
+
+            {/* DIVIDER */}
+            <View style={[styles.divider, styles.sectionSpacing]} />
+
+            {/* STATUS HISTORY */}
+            <Text style={styles.sectionTitle}>Timeline</Text>
+            <StatusTimeline ticket={ticket} />
+
+            {/* DIVIDER */}
+            <View style={[styles.divider, styles.sectionSpacing]} />
+
+            {/* CONVERSATION WITH CLIENT */}
+            <CommentThread ticketId={ticket.id} />
         </ScrollView>
         </View>
     );
@@ -150,18 +473,8 @@ const styles = StyleSheet.create({
         padding: 20
     },
     typeBadge: {
-        backgroundColor: '#e3f2ff',
-        alignSelf: 'flex-start',
-        paddingHorizontal: 12,
-        paddingVertical: 6,
-        borderRadius: 6,
         marginBottom: 16
     },
-    typeBadgeText: {
-        fontSize: 12,
-        fontWeight: '700',
-        color: '#007AFF'
-    },
     title: {
         fontSize: 24,
         fontWeight: 'bold',
@@ -194,6 +507,42 @@ const styles = StyleSheet.create({
         paddingVertical: 4,
         borderRadius: 6
     },
+    boardRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 12,
+        marginBottom: 24
+    },
+    boardText: {
+        flex: 1
+    },
+    boardLabel: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#1f2937'
+    },
+    boardHint: {
+        fontSize: 12,
+        color: '#6b7280',
+        marginTop: 2
+    },
+    linkButton: {
+        alignSelf: 'flex-start',
+        marginBottom: 24
+    },
+    linkButtonText: {
+        fontSize: 14,
+        color: '#007AFF',
+        fontWeight: '600'
+    },
+    slaInfo: {
+        gap: 6,
+        marginBottom: 24
+    },
+    slaText: {
+        fontSize: 13,
+        color: '#6b7280'
+    },
     divider: {
         height: 1,
         backgroundColor: '#ddd',
@@ -205,9 +554,53 @@ const styles = StyleSheet.create({
         color: '#1f2937',
         marginBottom: 16
     },
+    assigneeCurrent: {
+        fontSize: 14,
+        color: '#666',
+        marginBottom: 12
+    },
+    chipRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8
+    },
+    chip: {
+        backgroundColor: '#fff',
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#d1d5db'
+    },
+    chipActive: {
+        borderColor: '#6366f1',
+        backgroundColor: '#eef2ff'
+    },
+    chipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#6b7280'
+    },
+    chipTextActive: {
+        color: '#6366f1'
+    },
+    reasonInput: {
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#d1d5db',
+        borderRadius: 8,
+        paddingHorizontal: 12,
+        paddingVertical: 12,
+        fontSize: 15,
+        color: '#1f2937',
+        marginBottom: 12
+    },
     statusButtons: {
         gap: 12
     },
+    sectionSpacing: {
+        marginTop: 24
+    },
     statusButton: {
         backgroundColor: '#fff',
         padding: 16,
@@ -216,18 +609,15 @@ const styles = StyleSheet.create({
         borderColor: '#d1d5db',
         alignItems: 'center'
     },
-    statusButtonCurrent: {
-        borderColor: '#34d399',
-        backgroundColor: '#d1fae5'
-    },
     statusButtonText: {
         fontSize: 16,
         fontWeight: '600',
-        color: '#6b7280',
-        textTransform: 'capitalize'
+        color: '#374151'
     },
-    statusButtonTextCurrent: {
-        color: '#059669'
+    statusButtonHint: {
+        fontSize: 12,
+        color: '#6b7280',
+        marginTop: 4
     },
         clientInfo: {
         backgroundColor: '#f9fafb',
@@ -0,0 +1,549 @@
+// TICKET TYPES SCREEN - Manage the ticket types clients can choose from
+
+import { useState } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    ScrollView,
+    StyleSheet,
+    Alert
+} from 'react-native';
+import { saveTicketType } from '../../backend';
+import { TICKET_TYPE_COLORS, toTicketTypeKey } from '../../config/ticketTypes';
+import { FIELD_KINDS, MAX_FIELDS_PER_TYPE, toFieldName } from '../../config/ticketFields';
+import useTicketTypes from '../../hooks/useTicketTypes';
+import TypeBadge from '../../components/TypeBadge';
+
+// Form state for a type that hasn't been saved yet
+const EMPTY_FORM = { key: null, label: '', icon: '', color: TICKET_TYPE_COLORS[4], fields: [] };
+
+// Form state for a custom field that hasn't been added yet
+const EMPTY_FIELD = { label: '', kind: 'text', required: false, options: '' };
+
+/**
+ * Ticket types screen component
+ * @returns {JSX.Element} Ticket type list and editor UI
+ * @description This screen allows admins to:
+ *   1. See every ticket type, active or not, as clients will see its badge
+ *   2. Add a type (questions, incidents, access requests...) with a name, icon and color
+ *   3. Edit an existing type; its key stays the same so old tickets keep their type
+ *   4. Choose the extra fields clients fill in for the type (text, long text,
+ *      choice or checkbox, required or optional)
+ *   5. Deactivate a type so clients can no longer pick it, or bring it back
+ */
+export default function TicketTypesScreen() {
+    const ticketTypes = useTicketTypes();
+    const [form, setForm] = useState(EMPTY_FORM); // Type being added or edited
+    const [newField, setNewField] = useState(EMPTY_FIELD); // Field about to be added to the form
+    const [saving, setSaving] = useState(false);
+
+    const editing = form.key !== null;
+    const previewKey = editing ? form.key : toTicketTypeKey(form.label);
+
+    // Updates one field of the form
+    const update = (field) => (value) => setForm(current => ({ ...current, [field]: value }));
+
+    // Updates one setting of the field about to be added
+    const updateNewField = (setting) => (value) => setNewField(current => ({ ...current, [setting]: value }));
+
+    // Adds the new field to the end of the type's form
+    const handleAddField = () => {
+        const name = toFieldName(newField.label);
+        if (!name) {
+            Alert.alert('Field Name Required', 'Give the field a label, e.g. "Steps to reproduce".');
+            return;
+        }
+        if (form.fields.some(field => field.name === name)) {
+            Alert.alert('Field Exists', `This type already has a "${newField.label.trim()}" field.`);
+            return;
+        }
+
+        const field = { name, label: newField.label.trim(), kind: newField.kind, required: newField.required };
+        if (newField.kind === 'select') {
+            field.options = newField.options.split(',').map(option => option.trim()).filter(Boolean);
+        }
+        setForm(current => ({ ...current, fields: [...current.fields, field] }));
+        setNewField(EMPTY_FIELD);
+    };
+
+    /**
+     * Removes a field from the type's form
+     * @param {string} name - Name of the field to remove
+     * @description Tickets already filed keep their answers
+     */
+    const handleRemoveField = (name) => {
+        setForm(current => ({ ...current, fields: current.fields.filter(field => field.name !== name) }));
+    };
+
+    /**
+     * Switches a field between required and optional
+     * @param {string} name - Name of the field to change
+     */
+    const handleToggleRequired = (name) => {
+        setForm(current => ({
+            ...current,
+            fields: current.fields.map(field => (field.name === name ? { ...field, required: !field.required } : field))
+        }));
+    };
+
+    // Leaves the editor without saving
+    const handleCancel = () => {
+        setForm(EMPTY_FORM);
+        setNewField(EMPTY_FIELD);
+    };
+
+    /**
+     * Loads a type into the form for editing
+     * @param {object} type - Type to edit
+     */
+    const handleEdit = (type) => {
+        setForm({ key: type.key, label: type.label, icon: type.icon, color: type.color, fields: type.fields || [] });
+        setNewField(EMPTY_FIELD);
+    };
+
+    // Saves the form as a new type or over the type being edited
+    const handleSave = async () => {
+        if (!editing && ticketTypes.some(type => type.key === previewKey)) {
+            Alert.alert('Type Exists', `There is already a type called "${form.label.trim()}". Edit it instead.`);
+            return;
+        }
+
+        const existing = ticketTypes.find(type => type.key === form.key);
+        setSaving(true);
+        try {
+            await saveTicketType({
+                key: previewKey,
+                label: form.label,
+                icon: form.icon,
+                color: form.color,
+                active: existing ? existing.active : true,
+                fields: form.fields
+            });
+            handleCancel();
+        }
+        catch (err) {
+            Alert.alert('Error', err.message);
+        }
+        finally {
+            setSaving(false);
+        }
+    };
+
+    /**
+     * Turns a type on or off for new tickets
+     * @param {object} type - Type to toggle
+     */
+    const handleToggleActive = async (type) => {
+        try {
+            await saveTicketType({ ...type, active: !type.active });
+        }
+        catch (err) {
+            Alert.alert('Error', err.message);
+        }
+    };
+
+    const activeCount = ticketTypes.filter(type => type.active).length;
+
+    return (
+        <View style={styles.container}>
+        {/* HEADER SECTION */}
+        <View style={styles.header}>
+            <Text style={styles.headerTitle}>Ticket Types</Text>
+            <Text style={styles.headerSubtitle}>
+                {activeCount} of {ticketTypes.length} offered to clients
+            </Text>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            {/* TYPE EDITOR */}
+            <Text style={styles.sectionTitle}>{editing ? 'Edit Type' : 'Add a Type'}</Text>
+            <View style={styles.card}>
+                <View style={styles.formRow}>
+                    <TextInput
+                        style={[styles.input, styles.iconInput]}
+                        placeholder="❓"
+                        value={form.icon}
+                        onChangeText={update('icon')}
+                        maxLength={4}
+                    />
+                    <TextInput
+                        style={[styles.input, styles.labelInput]}
+                        placeholder="Name, e.g. Question"
+                        value={form.label}
+                        onChangeText={update('label')}
+                        maxLength={30}
+                    />
+                </View>
+
+                {/* COLOR PICKER */}
+                <View style={styles.colorRow}>
+                    {TICKET_TYPE_COLORS.map((color) => (
+                        <TouchableOpacity
+                            key={color}
+                            style={[
+                                styles.colorSwatch,
+                                { backgroundColor: color },
+                                form.color === color && styles.colorSwatchActive
+                            ]}
+                            onPress={() => update('color')(color)}
+                        />
+                    ))}
+                </View>
+
+                {/* CUSTOM FIELDS */}
+                <Text style={styles.fieldsTitle}>
+                    Extra fields ({form.fields.length}/{MAX_FIELDS_PER_TYPE})
+                </Text>
+                {form.fields.length === 0 ? (
+                    <Text style={styles.cardMeta}>Clients only enter a title and description.</Text>
+                ) : null}
+                {form.fields.map((field) => (
+                    <View key={field.name} style={styles.fieldRow}>
+                        <View style={styles.fieldInfo}>
+                            <Text style={styles.fieldLabel}>{field.label}</Text>
+                            <Text style={styles.cardMeta}>
+                                {(FIELD_KINDS.find(kind => kind.key === field.kind) || { label: field.kind }).label}
+                                {field.options ? ` · ${field.options.join(', ')}` : ''}
+                            </Text>
+                        </View>
+                        <TouchableOpacity onPress={() => handleToggleRequired(field.name)}>
+                            <Text style={field.required ? styles.requiredText : styles.optionalText}>
+                                {field.required ? 'Required' : 'Optional'}
+                            </Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity onPress={() => handleRemoveField(field.name)}>
+                            <Text style={styles.removeText}>✕</Text>
+                        </TouchableOpacity>
+                    </View>
+                ))}
+
+                {/* NEW FIELD */}
+                {form.fields.length < MAX_FIELDS_PER_TYPE ? (
+                    <View style={styles.newField}>
+                        <TextInput
+                            style={styles.input}
+                            placeholder="Field label, e.g. App version"
+                            value={newField.label}
+                            onChangeText={updateNewField('label')}
+                            maxLength={60}
+                        />
+                        <View style={styles.kindRow}>
+                            {FIELD_KINDS.map((kind) => (
+                                <TouchableOpacity
+                                    key={kind.key}
+                                    style={[styles.kindButton, newField.kind === kind.key && styles.kindButtonActive]}
+                                    onPress={() => updateNewField('kind')(kind.key)}
+                                >
+                                    <Text style={[styles.kindText, newField.kind === kind.key && styles.kindTextActive]}>
+                                        {kind.label}
+                                    </Text>
+                                </TouchableOpacity>
+                            ))}
+                        </View>
+                        {newField.kind === 'select' ? (
+                            <TextInput
+                                style={styles.input}
+                                placeholder="Choices, separated by commas"
+                                value={newField.options}
+                                onChangeText={updateNewField('options')}
+                            />
+                        ) : null}
+                        <View style={styles.newFieldActions}>
+                            <TouchableOpacity onPress={() => updateNewField('required')(!newField.required)}>
+                                <Text style={newField.required ? styles.requiredText : styles.optionalText}>
+                                    {newField.required ? '☑ Required' : '☐ Required'}
+                                </Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                                style={[styles.actionButton, styles.secondaryButton]}
+                                onPress={handleAddField}
+                            >
+                                <Text style={styles.secondaryText}>＋ Add Field</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                ) : null}
+
+                {/* PREVIEW */}
+                {form.label.trim() ? (
+                    <View style={styles.preview}>
+                        <TypeBadge ticketType={{ label: form.label.trim(), icon: form.icon, color: form.color }} />
+                        <Text style={styles.cardMeta}>Key: {previewKey || '—'}</Text>
+                    </View>
+                ) : null}
+
+                <View style={styles.actions}>
+                    {editing ? (
+                        <TouchableOpacity
+                            style={[styles.actionButton, styles.secondaryButton]}
+                            onPress={handleCancel}
+                        >
+                            <Text style={styles.secondaryText}>Cancel</Text>
+                        </TouchableOpacity>
+                    ) : null}
+                    <TouchableOpacity
+                        style={[styles.actionButton, styles.saveButton, saving && styles.saveButtonDisabled]}
+                        onPress={handleSave}
+                        disabled={saving}
+                    >
+                        <Text style={styles.saveText}>
+                            {saving ? 'Saving...' : editing ? 'Save Changes' : '＋ Add Type'}
+                        </Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+
+            {/* TYPE LIST */}
+            <Text style={[styles.sectionTitle, styles.sectionSpacing]}>All Types</Text>
+            {ticketTypes.map((type) => (
+                <View key={type.key} style={[styles.card, !type.active && styles.cardInactive]}>
+                    <View style={styles.typeHeader}>
+                        <TypeBadge ticketType={type} />
+                        <Text style={styles.cardMeta}>{type.active ? 'Active' : 'Inactive'}</Text>
+                    </View>
+                    <Text style={[styles.cardMeta, styles.fieldSummary]}>
+                        {type.fields.length > 0
+                            ? `Asks for: ${type.fields.map(field => field.label).join(', ')}`
+                            : 'No extra fields'}
+                    </Text>
+                    <View style={styles.actions}>
+                        <TouchableOpacity
+                            style={[styles.actionButton, styles.secondaryButton]}
+                            onPress={() => handleEdit(type)}
+                        >
+                            <Text style={styles.secondaryText}>Edit</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[styles.actionButton, type.active ? styles.deactivateButton : styles.activateButton]}
+                            onPress={() => handleToggleActive(type)}
+                        >
+                            <Text style={type.active ? styles.deactivateText : styles.activateText}>
+                                {type.active ? 'Deactivate' : 'Activate'}
+                            </Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            ))}
+        </ScrollView>
+        </View>
+    );
+}
+
+// Styles for this screen
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5'
+    },
+    header: {
+        backgroundColor: '#fff',
+        padding: 20,
+        paddingTop: 50,
+        borderBottomWidth: 1,
+        borderBottomColor: '#ddd'
+    },
+    headerTitle: {
+        fontSize: 28,
+        fontWeight: 'bold',
+        color: '#1f2937'
+    },
+    headerSubtitle: {
+        fontSize: 14,
+        color: '#666',
+        marginTop: 4
+    },
+    content: {
+        padding: 16,
+        paddingBottom: 40
+    },
+    sectionTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#1f2937',
+        marginBottom: 12
+    },
+    sectionSpacing: {
+        marginTop: 24
+    },
+    card: {
+        backgroundColor: '#fff',
+        padding: 16,
+        marginBottom: 12,
+        borderRadius: 12
+    },
+    cardInactive: {
+        opacity: 0.6
+    },
+    cardMeta: {
+        fontSize: 13,
+        color: '#6b7280'
+    },
+    formRow: {
+        flexDirection: 'row',
+        gap: 8
+    },
+    input: {
+        backgroundColor: '#f9fafb',
+        borderWidth: 1,
+        borderColor: '#d1d5db',
+        borderRadius: 8,
+        padding: 10,
+        fontSize: 15
+    },
+    iconInput: {
+        width: 56,
+        textAlign: 'center'
+    },
+    labelInput: {
+        flex: 1
+    },
+    colorRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 10,
+        marginTop: 12
+    },
+    colorSwatch: {
+        width: 28,
+        height: 28,
+        borderRadius: 14,
+        borderWidth: 2,
+        borderColor: 'transparent'
+    },
+    colorSwatchActive: {
+        borderColor: '#1f2937'
+    },
+    fieldsTitle: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#374151',
+        marginTop: 16,
+        marginBottom: 8
+    },
+    fieldRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 12,
+        paddingVertical: 8,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f3f4f6'
+    },
+    fieldInfo: {
+        flex: 1
+    },
+    fieldLabel: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#1f2937'
+    },
+    fieldSummary: {
+        marginTop: 8
+    },
+    requiredText: {
+        color: '#dc2626',
+        fontWeight: '600',
+        fontSize: 13
+    },
+    optionalText: {
+        color: '#6b7280',
+        fontWeight: '600',
+        fontSize: 13
+    },
+    removeText: {
+        color: '#9ca3af',
+        fontSize: 16,
+        fontWeight: '700'
+    },
+    newField: {
+        marginTop: 12,
+        gap: 8
+    },
+    kindRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 6
+    },
+    kindButton: {
+        paddingHorizontal: 10,
+        paddingVertical: 6,
+        borderRadius: 6,
+        borderWidth: 1,
+        borderColor: '#d1d5db',
+        backgroundColor: '#fff'
+    },
+    kindButtonActive: {
+        borderColor: '#007AFF',
+        backgroundColor: '#e3f2ff'
+    },
+    kindText: {
+        fontSize: 13,
+        color: '#6b7280',
+        fontWeight: '600'
+    },
+    kindTextActive: {
+        color: '#007AFF'
+    },
+    newFieldActions: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between'
+    },
+    preview: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginTop: 12
+    },
+    typeHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between'
+    },
+    actions: {
+        flexDirection: 'row',
+        gap: 8,
+        marginTop: 12
+    },
+    actionButton: {
+        paddingHorizontal: 16,
+        paddingVertical: 8,
+        borderRadius: 6
+    },
+    secondaryButton: {
+        backgroundColor: '#f3f4f6'
+    },
+    secondaryText: {
+        color: '#374151',
+        fontWeight: '600',
+        fontSize: 14
+    },
+    saveButton: {
+        backgroundColor: '#007AFF'
+    },
+    saveButtonDisabled: {
+        backgroundColor: '#9ca3af'
+    },
+    saveText: {
+        color: '#fff',
+        fontWeight: '600',
+        fontSize: 14
+    },
+    activateButton: {
+        backgroundColor: '#dcfce7'
+    },
+    activateText: {
+        color: '#16a34a',
+        fontWeight: '600',
+        fontSize: 14
+    },
+    deactivateButton: {
+        backgroundColor: '#fee2e2'
+    },
+    deactivateText: {
+        color: '#dc2626',
+        fontWeight: '600',
+        fontSize: 14
+    }
+});
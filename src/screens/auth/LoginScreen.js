@@ -2,7 +2,7 @@
 
 import React, { useState } from 'react';
 import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert, Image } from 'react-native';
-import { signIn } from '../../config/firebase';
+import { signIn } from '../../backend';
 
 /**
  * Login screen component
@@ -2,7 +2,7 @@
 
 import React, { useState } from 'react';
 import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
-import { signUp } from '../../config/firebase';
+import { signUp } from '../../backend';
 
 /**
  * Signup screen component
@@ -10,27 +10,41 @@ import { signUp } from '../../config/firebase';
  * @returns {JSX.Element} Signup form UI
  * @description Displays a form where new users can:
  *   - Enter their name, email, and password
- *   - Choose their role (client or admin)
- *   - Create a new account
+ *   - Create a new client account
+ *   - If they're joining the support team, enter an admin invite code
+ *     (or leave it blank to ask an existing admin for access)
  *   - Navigate to login screen if they already have an account
  */
 export default function SignupScreen({ navigation }) {
     const [name, setName] = useState('');
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
-    const [role, setRole] = useState('client'); // default to 'client' but can also be 'admin'
+    const [joiningTeam, setJoiningTeam] = useState(false); // Support team members need an invite or approval
+    const [inviteCode, setInviteCode] = useState('');
 
     /**
      * Handles the signup process
      * @description When user clicks "Sign Up":
-     *   1. Calls signUp function from firebase.js
-     *   2. Creates auth account + saves user info to Firestore
-     *   3. If successful, AppNavigator automatically redirects based on role
-     *   4. If error, shows alert with error message
+     *   1. Calls signUp from src/backend
+     *   2. Creates auth account + saves user info to Firestore (always as a client)
+     *   3. Redeems the invite code, or files an admin access request if there's none
+     *   4. If successful, AppNavigator automatically redirects based on role
+     *   5. If error, shows alert with error message
      */
     const handleSignup = async () => {
         try {
-            await signUp(email, password, name, role); // Create new user account using firebase function
+            // Create new user account using firebase function
+            if (!joiningTeam) {
+                await signUp(email, password, name);
+            } else if (inviteCode.trim()) {
+                await signUp(email, password, name, { inviteCode });
+            } else {
+                await signUp(email, password, name, { requestNote: '' });
+                Alert.alert(
+                    'Request Sent',
+                    "An admin will review your request. You'll get admin access as soon as it's approved."
+                );
+            }
         } 
         catch (error) {
             Alert.alert('Error', error.message); // Show error message if signup fails
@@ -77,24 +91,40 @@ export default function SignupScreen({ navigation }) {
             <TouchableOpacity
             style={[
                 styles.roleButton,
-                role === 'client' && styles.roleButtonActive // Highlight if selected
+                !joiningTeam && styles.roleButtonActive // Highlight if selected
             ]}
-            onPress={() => setRole('client')}
+            onPress={() => setJoiningTeam(false)}
             >
             <Text style={styles.roleText}>Client</Text>
             </TouchableOpacity>
             
-            {/* Admin Role Button */}
+            {/* Support Team Button */}
             <TouchableOpacity
             style={[
                 styles.roleButton,
-                role === 'admin' && styles.roleButtonActive // Highlight if selected
+                joiningTeam && styles.roleButtonActive // Highlight if selected
             ]}
-            onPress={() => setRole('admin')}
+            onPress={() => setJoiningTeam(true)}
             >
-            <Text style={styles.roleText}>Admin</Text>
+            <Text style={styles.roleText}>Support Team</Text>
             </TouchableOpacity>
           </View>
+
+          {/* Invite Code Input (support team only) */}
+          {joiningTeam && (
+            <View>
+              <TextInput
+                style={styles.input}
+                placeholder="Admin invite code"
+                value={inviteCode}
+                onChangeText={setInviteCode}
+                autoCapitalize="characters"
+              />
+              <Text style={styles.hint}>
+                No code? Leave it blank and an existing admin will review your request.
+              </Text>
+            </View>
+          )}
         
           {/* Sign Up Button */}
           <TouchableOpacity style={styles.button} onPress={handleSignup}>
@@ -157,6 +187,12 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600'
   },
+  hint: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: -5,
+    marginBottom: 15
+  },
   button: {
     backgroundColor: '#007AFF',
     padding: 15,
@@ -8,26 +8,44 @@ import {
   TouchableOpacity,
   StyleSheet,
   RefreshControl,
+  ActivityIndicator,
   Alert
 } from 'react-native';
-import { getMyTickets, signOut } from '../../config/firebase';
+import { getMyTickets, signOut } from '../../backend';
+import usePaginatedTickets from '../../hooks/usePaginatedTickets';
+import useTicketTypes from '../../hooks/useTicketTypes';
+import { getTicketType } from '../../config/ticketTypes';
+import TypeBadge from '../../components/TypeBadge';
+import ResolutionPrompt from '../../components/ResolutionPrompt';
+import {
+    subscribeToTicketQueue,
+    flushTicketQueue,
+    discardQueuedTicket
+} from '../../services/ticketQueue';
+
+// Query options for the client's own tickets, shared by every page and the count
+const MY_TICKETS = { mine: true };
 
 /**
  * Renders a single ticket card
  * @param {object} item - Ticket object from Firestore
+ * @param {object} ticketType - The ticket's type definition (see getTicketType)
+ * @param {function} onPress - Function to call when card is pressed
  * @returns {JSX.Element} Ticket card UI
  * @description Displays ticket information:
- *   - Type (bug/feature)
+ *   - Type
  *   - Title
  *   - Description
  *   - Current status
+ *   - Confirm / reopen buttons once support marks it resolved
+ *   - Clickable to open the ticket and its conversation
  */
-const TicketCard = ({ item }) => {
+const TicketCard = ({ item, ticketType, onPress }) => {
     return (
-        <View style={styles.ticket}>
-        <Text style={styles.ticketType}>
-            {item.type === 'bug' ? '🐛' : '✨'} {item.type.toUpperCase()}
-        </Text>
+        <TouchableOpacity style={styles.ticket} onPress={() => onPress(item)}>
+        <View style={styles.ticketType}>
+            <TypeBadge ticketType={ticketType} />
+        </View>
         <Text style={styles.ticketTitle}>{item.title}</Text>
         <Text style={styles.ticketDesc} numberOfLines={3}>
             {item.description}
@@ -35,62 +53,115 @@ const TicketCard = ({ item }) => {
         <View style={styles.statusContainer}>
             <Text style={styles.ticketStatus}>Status: {item.status}</Text>
         </View>
+        <ResolutionPrompt ticket={item} />
+        </TouchableOpacity>
+    );
+};
+
+/**
+ * Renders a ticket that is still queued on the device
+ * @param {object} item - Queued ticket entry
+ * @param {object} ticketType - The ticket's type definition (see getTicketType)
+ * @param {function} onLongPress - Function to call to discard the ticket
+ * @returns {JSX.Element} Pending ticket card UI
+ */
+const PendingTicketCard = ({ item, ticketType, onLongPress }) => {
+    return (
+        <TouchableOpacity
+            style={[styles.ticket, styles.pendingTicket]}
+            onLongPress={() => onLongPress(item)}
+        >
+        <View style={styles.ticketType}>
+            <TypeBadge ticketType={ticketType} />
         </View>
+        <Text style={styles.ticketTitle}>{item.title}</Text>
+        <Text style={styles.ticketDesc} numberOfLines={2}>
+            {item.description}
+        </Text>
+        <Text style={styles.pendingStatus}>
+            {item.failed ? '⚠️ Not accepted; hold to discard' : '⏳ Waiting to send'}
+        </Text>
+        {item.lastError ? (
+            <Text style={styles.pendingError} numberOfLines={2}>{item.lastError}</Text>
+        ) : null}
+        </TouchableOpacity>
     );
 };
 
 /**
  * Client home screen component
+ * @param {object} navigation - React Navigation object for screen navigation
  * @returns {JSX.Element} Client interface showing all their tickets
  * @description This screen allows clients to:
  *   1. View all their submitted tickets
- *   2. See real-time status updates
- *   3. Pull to refresh
- *   4. Log out
+ *   2. See real-time status updates, and confirm or reopen resolved tickets
+ *   3. Open a ticket to chat with the support team
+ *   4. See tickets submitted offline that are waiting to send
+ *   5. Scroll to load older tickets, pull to refresh (also retries queued tickets)
+ *   6. Log out
  */
-export default function ClientHomeScreen() {
-    const [tickets, setTickets] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [refreshing, setRefreshing] = useState(false);
-    const [error, setError] = useState(null);
+export default function ClientHomeScreen({ navigation }) {
+    // Live first page, older pages on scroll, total from an aggregate count
+    const {
+        tickets,
+        total,
+        loading,
+        loadingMore,
+        refreshing,
+        error,
+        onEndReached,
+        onRefresh,
+        retry
+    } = usePaginatedTickets(MY_TICKETS, getMyTickets);
+    const [queued, setQueued] = useState([]); // Tickets stored on the device, not yet sent
+    const ticketTypes = useTicketTypes(); // Configured types, for the card badges
 
+    // Keep the "waiting to send" list in sync with the offline queue
     useEffect(() => {
-        let unsubscribe;
+        return subscribeToTicketQueue(setQueued);
+    }, []);
 
-        try {
-            // Subscribe to real-time updates with error handling
-            unsubscribe = getMyTickets(
-                (data) => {
-                setTickets(data);
-                setLoading(false);
-                setRefreshing(false);
-                setError(null);
-                },
-                (err) => {
-                console.error('Error fetching tickets:', err);
-                setError(err.message);
-                setLoading(false);
-                setRefreshing(false);
-                }
-            );
-        } 
-        catch (err) {
-            console.error('Error setting up listener:', err);
-            setError(err.message);
-            setLoading(false);
-        }
+    // Pull-to-refresh also retries anything still queued
+    const handleRefresh = () => {
+        flushTicketQueue().catch((err) => console.error('Error sending queued tickets:', err));
+        onRefresh();
+    };
 
-        // Unsubscribe when component unmounts
-        return () => {
-            if (unsubscribe) {
-                unsubscribe();
+    // Confirms and removes a queued ticket the client no longer wants to send
+    const handleDiscard = (ticket) => {
+        Alert.alert('Discard Ticket', `Discard "${ticket.title}"? It hasn't been sent yet.`, [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Discard',
+                style: 'destructive',
+                onPress: () => discardQueuedTicket(ticket.id).catch((err) => Alert.alert('Error', err.message))
             }
-        };
-    }, []);
+        ]);
+    };
+
+    // A ticket can reach Firestore a moment before it leaves the queue
+    const sentIds = new Set(tickets.map(ticket => ticket.id));
+    const pendingTickets = queued.filter(ticket => !sentIds.has(ticket.id));
 
-    // Handles pull-to-refresh
-    const onRefresh = () => {
-        setRefreshing(true);
+    // "Waiting to send" section shown above the sent tickets
+    const renderPending = () => (
+        pendingTickets.length > 0 ? (
+            <View>
+                {pendingTickets.map(ticket => (
+                    <PendingTicketCard
+                        key={ticket.id}
+                        item={ticket}
+                        ticketType={getTicketType(ticketTypes, ticket.type)}
+                        onLongPress={handleDiscard}
+                    />
+                ))}
+            </View>
+        ) : null
+    );
+
+    // Opens the ticket detail screen with its conversation thread
+    const handleTicketPress = (ticket) => {
+        navigation.navigate('ClientTicketDetail', { ticketId: ticket.id });
     };
 
     // logout handling
@@ -121,10 +192,7 @@ export default function ClientHomeScreen() {
             <Text style={styles.emptyText}>{error}</Text>
             <TouchableOpacity
                 style={styles.retryButton}
-                onPress={() => {
-                setLoading(true);
-                setError(null);
-                }}
+                onPress={retry}
             >
                 <Text style={styles.retryButtonText}>Retry</Text>
             </TouchableOpacity>
@@ -137,7 +205,9 @@ export default function ClientHomeScreen() {
         <View style={styles.header}>
             <View>
                 <Text style={styles.headerTitle}>My Tickets</Text>
-                <Text style={styles.headerSubtitle}>{tickets.length} total</Text>
+                <Text style={styles.headerSubtitle}>
+                    {total === null ? tickets.length : total} total
+                </Text>
             </View>
             {/* Logout Button */}
             <TouchableOpacity onPress={handleLogout} style={styles.logoutButton}>
@@ -148,12 +218,22 @@ export default function ClientHomeScreen() {
         {/* TICKETS LIST */}
         <FlatList
             data={tickets}
-            renderItem={({ item }) => <TicketCard item={item} />}
+            renderItem={({ item }) => (
+                <TicketCard
+                    item={item}
+                    ticketType={getTicketType(ticketTypes, item.type)}
+                    onPress={handleTicketPress}
+                />
+            )}
             keyExtractor={(item) => item.id}
             contentContainerStyle={styles.listContent}
-            ListEmptyComponent={!loading && (error ? renderError() : renderEmpty())}
+            ListHeaderComponent={renderPending()}
+            ListEmptyComponent={!loading && pendingTickets.length === 0 && (error ? renderError() : renderEmpty())}
+            ListFooterComponent={loadingMore ? <ActivityIndicator style={styles.footerLoader} /> : null}
+            onEndReached={onEndReached}
+            onEndReachedThreshold={0.5}
             refreshControl={
-                <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+                <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
             }
         />
         </View>
@@ -212,9 +292,6 @@ const styles = StyleSheet.create({
         elevation: 2
     },
     ticketType: {
-        fontSize: 12,
-        fontWeight: '600',
-        color: '#666',
         marginBottom: 8
     },
     ticketTitle: {
@@ -239,6 +316,25 @@ const styles = StyleSheet.create({
         fontWeight: '600',
         textTransform: 'capitalize'
     },
+    pendingTicket: {
+        opacity: 0.7,
+        borderWidth: 1,
+        borderColor: '#fbbf24',
+        borderStyle: 'dashed'
+    },
+    pendingStatus: {
+        fontSize: 12,
+        color: '#d97706',
+        fontWeight: '600'
+    },
+    pendingError: {
+        fontSize: 12,
+        color: '#dc2626',
+        marginTop: 4
+    },
+    footerLoader: {
+        marginVertical: 16
+    },
     emptyContainer: {
         alignItems: 'center',
         justifyContent: 'center',
@@ -0,0 +1,314 @@
+// CLIENT TICKET DETAIL SCREEN - View one of your tickets and talk to support
+
+import { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    ScrollView,
+    StyleSheet,
+    ActivityIndicator
+} from 'react-native';
+import { subscribeToTicket, getCurrentUser } from '../../backend';
+import CommentThread from '../../components/CommentThread';
+import PriorityBadge from '../../components/PriorityBadge';
+import TypeBadge from '../../components/TypeBadge';
+import ResolutionPrompt from '../../components/ResolutionPrompt';
+import CustomFieldsSection from '../../components/CustomFieldsSection';
+import DiagnosticsSection from '../../components/DiagnosticsSection';
+import TicketAttachments from '../../components/TicketAttachments';
+import LinkedTickets from '../../components/LinkedTickets';
+import { formatTimestamp } from '../../utils/format';
+import { getTicketType } from '../../config/ticketTypes';
+import useTicketTypes from '../../hooks/useTicketTypes';
+
+/**
+ * Client ticket detail screen component
+ * @param {object} navigation - React Navigation object
+ * @param {object} route - Route object containing the ticketId passed from ClientHomeScreen
+ * @returns {JSX.Element} Ticket detail and conversation UI
+ * @description This screen allows clients to:
+ *   1. Read the full ticket they submitted, with its extra details, the device
+ *      diagnostics sent with a bug report, and attachments
+ *   2. See its current status and when it was created/last updated
+ *   3. Confirm a resolved ticket is fixed, or reopen it with an explanation
+ *      (only on their own tickets; feature requests they follow are read-only)
+ *   4. See which support team member last worked on it
+ *   5. Reply to questions from the support team in real-time
+ *   6. Follow a ticket that was merged into another one, and open linked
+ *      tickets they can see
+ */
+export default function ClientTicketDetailScreen({ navigation, route }) {
+    const { ticketId } = route.params; // Only the ID is passed, data comes from the live listener
+    const [ticket, setTicket] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const ticketTypes = useTicketTypes();
+
+    /**
+     * useEffect: Subscribe to real-time updates of this ticket
+     * @description Keeps status and timestamps current while the screen is open
+     */
+    useEffect(() => {
+        let unsubscribe;
+
+        try {
+            unsubscribe = subscribeToTicket(
+                ticketId,
+                (data) => {
+                    setTicket(data);
+                    setError(data ? null : 'This ticket no longer exists');
+                    setLoading(false);
+                },
+                (err) => {
+                    setError(err.message);
+                    setLoading(false);
+                }
+            );
+        }
+        catch (err) {
+            console.error('Error setting up ticket listener:', err);
+            setError(err.message);
+            setLoading(false);
+        }
+
+        return () => {
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        };
+    }, [ticketId]);
+
+    const currentUser = getCurrentUser();
+    const isOwner = Boolean(ticket && currentUser && ticket.clientId === currentUser.uid);
+
+    // Renders the ticket body once it has loaded
+    const renderTicket = () => (
+        <ScrollView style={styles.content}>
+            {/* TICKET TYPE AND PRIORITY BADGES */}
+            <View style={styles.badgeRow}>
+                <TypeBadge ticketType={getTicketType(ticketTypes, ticket.type)} />
+                <PriorityBadge priority={ticket.priority} />
+            </View>
+
+            {/* FOLLOWING BANNER (someone else's feature request) */}
+            {!isOwner ? (
+                <Text style={styles.followingBanner}>
+                    👀 You're following this request from another client
+                </Text>
+            ) : null}
+
+            {/* MERGED BANNER (closed as a duplicate) */}
+            {ticket.mergedIntoId ? (
+                <TouchableOpacity
+                    style={styles.mergedBanner}
+                    onPress={() => navigation.push('ClientTicketDetail', { ticketId: ticket.mergedIntoId })}
+                >
+                    <Text style={styles.mergedBannerText}>
+                        🔀 Merged into another ticket, where the conversation continues. Tap to open it.
+                    </Text>
+                </TouchableOpacity>
+            ) : null}
+
+            {/* TICKET TITLE */}
+            <Text style={styles.title}>{ticket.title}</Text>
+
+            {/* TICKET DESCRIPTION */}
+            <Text style={styles.description}>{ticket.description}</Text>
+
+            {/* TYPE-SPECIFIC DETAILS (steps to reproduce, environment...) */}
+            <CustomFieldsSection customFields={ticket.customFields} />
+
+            {/* DEVICE DIAGNOSTICS (bug reports only) */}
+            <DiagnosticsSection diagnostics={ticket.diagnostics} />
+
+            {/* ATTACHMENTS */}
+            <TicketAttachments ticketId={ticket.id} />
+
+            {/* CURRENT STATUS */}
+            <View style={styles.currentStatusContainer}>
+                <Text style={styles.currentStatusLabel}>Current Status:</Text>
+                <Text style={styles.currentStatus}>{ticket.status}</Text>
+            </View>
+
+            {/* LINKED TICKETS */}
+            <LinkedTickets
+                links={ticket.links}
+                onOpen={(linked) => navigation.push('ClientTicketDetail', { ticketId: linked.id })}
+            />
+
+            {/* CONFIRM OR REOPEN (resolved tickets only) */}
+            {isOwner ? <ResolutionPrompt ticket={ticket} /> : null}
+
+            {/* ACTIVITY INFO */}
+            <View style={styles.metaContainer}>
+                <Text style={styles.metaText}>Created: {formatTimestamp(ticket.createdAt)}</Text>
+                <Text style={styles.metaText}>
+                    Last updated: {ticket.updatedAt ? formatTimestamp(ticket.updatedAt) : 'Not yet'}
+                </Text>
+                <Text style={styles.metaText}>
+                    Handled by: {ticket.lastUpdatedByName || 'Waiting for the support team'}
+                </Text>
+            </View>
+
+            {/* DIVIDER */}
+            <View style={styles.divider} />
+
+            {/* CONVERSATION WITH SUPPORT */}
+            <CommentThread ticketId={ticket.id} />
+        </ScrollView>
+    );
+
+    return (
+        <View style={styles.container}>
+        {/* HEADER */}
+        <View style={styles.header}>
+            <TouchableOpacity onPress={() => navigation.goBack()}>
+            <Text style={styles.backButton}>← Back</Text>
+            </TouchableOpacity>
+            <Text style={styles.headerTitle}>My Ticket</Text>
+            <View style={styles.headerSpacer} />
+        </View>
+
+        {loading ? (
+            <ActivityIndicator style={styles.loader} size="large" color="#007AFF" />
+        ) : error ? (
+            <View style={styles.emptyContainer}>
+                <Text style={styles.emptyEmoji}>⚠️</Text>
+                <Text style={styles.emptyText}>{error}</Text>
+            </View>
+        ) : (
+            renderTicket()
+        )}
+        </View>
+    );
+}
+
+// Styles for this screen
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5'
+    },
+    header: {
+        backgroundColor: '#fff',
+        paddingHorizontal: 20,
+        paddingTop: 50,
+        paddingBottom: 16,
+        borderBottomWidth: 1,
+        borderBottomColor: '#ddd',
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center'
+    },
+    backButton: {
+        fontSize: 16,
+        color: '#007AFF',
+        fontWeight: '600'
+    },
+    headerTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#1f2937'
+    },
+    headerSpacer: {
+        width: 50
+    },
+    content: {
+        flex: 1,
+        padding: 20
+    },
+    badgeRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        marginBottom: 16
+    },
+    followingBanner: {
+        fontSize: 13,
+        color: '#92400e',
+        backgroundColor: '#fffbeb',
+        padding: 10,
+        borderRadius: 8,
+        marginBottom: 16,
+        overflow: 'hidden'
+    },
+    mergedBanner: {
+        backgroundColor: '#eef2ff',
+        padding: 10,
+        borderRadius: 8,
+        marginBottom: 16
+    },
+    mergedBannerText: {
+        fontSize: 13,
+        color: '#4338ca'
+    },
+    title: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#1f2937',
+        marginBottom: 16
+    },
+    description: {
+        fontSize: 16,
+        color: '#666',
+        lineHeight: 24,
+        marginBottom: 24
+    },
+    currentStatusContainer: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 24
+    },
+    currentStatusLabel: {
+        fontSize: 14,
+        color: '#666',
+        marginRight: 8
+    },
+    currentStatus: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#007AFF',
+        textTransform: 'capitalize',
+        backgroundColor: '#e3f2ff',
+        paddingHorizontal: 12,
+        paddingVertical: 4,
+        borderRadius: 6
+    },
+    metaContainer: {
+        backgroundColor: '#f9fafb',
+        padding: 12,
+        borderRadius: 8,
+        marginBottom: 24,
+        borderLeftWidth: 3,
+        borderLeftColor: '#6366f1',
+        gap: 4
+    },
+    metaText: {
+        fontSize: 13,
+        color: '#6b7280'
+    },
+    divider: {
+        height: 1,
+        backgroundColor: '#ddd',
+        marginBottom: 24
+    },
+    loader: {
+        marginTop: 64
+    },
+    emptyContainer: {
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingVertical: 64
+    },
+    emptyEmoji: {
+        fontSize: 64,
+        marginBottom: 16
+    },
+    emptyText: {
+        fontSize: 14,
+        color: '#666',
+        textAlign: 'center',
+        paddingHorizontal: 40
+    }
+});
@@ -1,6 +1,6 @@
-// CREATE TICKET SCREEN - Form to submit new bug reports or feature requests
+// CREATE TICKET SCREEN - Form to submit new tickets (bug reports, feature requests and any other configured type)
 
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
     View,
     Text,
@@ -8,34 +8,333 @@ import {
     TouchableOpacity,
     ScrollView,
     StyleSheet,
-    Alert
+    Alert,
+    AppState,
+    Modal,
+    FlatList,
+    Switch
 } from 'react-native';
-import { createTicket } from '../../config/firebase';
+import NetInfo from '@react-native-community/netinfo';
+import { watchTicket } from '../../backend';
+import { enqueueTicket, flushTicketQueue, discardQueuedTicket } from '../../services/ticketQueue';
+import { pickAttachments } from '../../services/attachmentPicker';
+import { collectDiagnostics } from '../../services/diagnostics';
+import {
+    createDraftId,
+    getDrafts,
+    saveDraft,
+    deleteDraft,
+    getActiveDraft,
+    clearActiveDraft
+} from '../../services/ticketDrafts';
+import { PRIORITIES, DEFAULT_PRIORITY } from '../../config/priorities';
+import { MAX_ATTACHMENTS } from '../../config/attachments';
+import { getTicketType } from '../../config/ticketTypes';
+import { validateFieldValues } from '../../config/ticketFields';
+import { DIAGNOSTICS_TICKET_TYPE } from '../../config/diagnostics';
+import useTicketTypes from '../../hooks/useTicketTypes';
+import useDuplicateSuggestions from '../../hooks/useDuplicateSuggestions';
+import AttachmentList from '../../components/AttachmentList';
+import CustomFieldInputs from '../../components/CustomFieldInputs';
+import DiagnosticsSection from '../../components/DiagnosticsSection';
+
+// How long to wait after the last keystroke before autosaving
+const AUTOSAVE_DELAY_MS = 500;
 
 /**
  * Create ticket screen component
+ * @param {object} navigation - React Navigation object
  * @returns {JSX.Element} Ticket creation form UI
  * @description This screen allows clients to:
- *   1. Choose ticket type (bug or feature)
- *   2. Enter title and description
- *   3. Submit ticket to Firestore
- *   4. Form clears after successful submission
+ *   1. Choose a ticket type (only types an admin has left active are offered)
+ *   2. Suggest a priority (admins can override it later)
+ *   3. See open tickets with a similar title while typing it (their own, plus
+ *      everyone's feature requests) and follow one instead of filing a duplicate
+ *   4. Enter title and description, fill in the extra fields the type asks for
+ *      (e.g. steps to reproduce for a bug), and attach screenshots or log files
+ *   5. See the device details attached to a bug report, or opt out of sending them
+ *   6. Submit ticket to Firestore (queued on the device first, so nothing is lost offline)
+ *   7. Form clears after successful submission
+ *   8. Unsent work is autosaved as a named draft and restored when they come back
+ *   9. Keep several drafts and pick one to continue from the drafts list
  */
-export default function CreateTicketScreen() {
+export default function CreateTicketScreen({ navigation }) {
     // State for ticket form inputs
     const [title, setTitle] = useState('');
     const [description, setDescription] = useState('');
-    const [type, setType] = useState('bug'); // Default to 'bug' type
+    const [type, setType] = useState('bug'); // Default to 'bug' type, or the first active type
+    const [priority, setPriority] = useState(DEFAULT_PRIORITY);
+    const [customFields, setCustomFields] = useState({}); // Answers to the type's extra fields, by field name
+    const [includeDiagnostics, setIncludeDiagnostics] = useState(true); // Bug reports only; the client can opt out
+    const [deviceDiagnostics] = useState(collectDiagnostics); // Shown before sending, so the client knows what goes out
+    const [files, setFiles] = useState([]); // Attachments, uploaded once the ticket is sent
     const [loading, setLoading] = useState(false);
 
+    // State for drafts
+    const [draftId, setDraftId] = useState(null); // Draft being edited (null = not saved yet)
+    const [draftName, setDraftName] = useState('');
+    const [drafts, setDrafts] = useState([]);
+    const [showDrafts, setShowDrafts] = useState(false);
+    const restoredRef = useRef(false); // Don't autosave until the last draft has been restored
+    const formRef = useRef({}); // Latest form values, for saving when the app is backgrounded
+    formRef.current = {
+        draftId,
+        draftName,
+        title,
+        description,
+        type,
+        priority,
+        customFields,
+        includeDiagnostics,
+        files
+    };
+
+    const ticketTypes = useTicketTypes();
+    const activeTypes = ticketTypes.filter(option => option.active);
+    const defaultType = activeTypes.length > 0 ? activeTypes[0].key : 'bug';
+    const selectedType = getTicketType(ticketTypes, type);
+    const suggestions = useDuplicateSuggestions(title, type);
+
+    /**
+     * Updates the answer to one custom field
+     * @param {string} name - Field name
+     * @param {string|boolean} value - New answer
+     */
+    const handleFieldChange = (name, value) => {
+        setCustomFields(current => ({ ...current, [name]: value }));
+    };
+
+    // If the selected type isn't offered (deactivated by an admin, or an old
+    // draft), fall back to one that can still be submitted
+    useEffect(() => {
+        const stillActive = ticketTypes.some(option => option.active && option.key === type);
+        const firstActive = ticketTypes.find(option => option.active);
+        if (!stillActive && firstActive) {
+            setType(firstActive.key);
+        }
+    }, [ticketTypes, type]);
+
+    /**
+     * Fills the form from a saved draft
+     * @param {object} draft - Draft to continue
+     */
+    const applyDraft = (draft) => {
+        setDraftId(draft.id);
+        setDraftName(draft.name || '');
+        setTitle(draft.title || '');
+        setDescription(draft.description || '');
+        setType(draft.type || 'bug');
+        setPriority(draft.priority || DEFAULT_PRIORITY);
+        setCustomFields(draft.customFields || {});
+        setIncludeDiagnostics(draft.includeDiagnostics !== false);
+        setFiles(draft.attachments || []);
+    };
+
+    // Empties the form and stops editing the current draft
+    const resetForm = () => {
+        setDraftId(null);
+        setDraftName('');
+        setTitle('');
+        setDescription('');
+        setType(defaultType); // Reset to default
+        setPriority(DEFAULT_PRIORITY);
+        setCustomFields({});
+        setIncludeDiagnostics(true);
+        setFiles([]);
+    };
+
+    // Reloads the drafts list
+    const refreshDrafts = () => {
+        getDrafts()
+            .then(setDrafts)
+            .catch((err) => console.error('Error loading drafts:', err));
+    };
+
+    /**
+     * Saves the current form as a draft
+     * @description Does nothing for an empty form that was never saved. A new
+     *   draft gets its ID up front so quick successive saves update one draft.
+     */
+    const persistDraft = async () => {
+        const form = formRef.current;
+        if (!form.draftId && !form.title.trim() && !form.description.trim() && form.files.length === 0) {
+            return;
+        }
+
+        const id = form.draftId || createDraftId();
+        if (!form.draftId) {
+            setDraftId(id);
+            formRef.current = { ...form, draftId: id };
+        }
+
+        try {
+            await saveDraft({
+                id,
+                name: form.draftName.trim(),
+                title: form.title,
+                description: form.description,
+                type: form.type,
+                priority: form.priority,
+                customFields: form.customFields,
+                includeDiagnostics: form.includeDiagnostics,
+                attachments: form.files
+            });
+            refreshDrafts();
+        }
+        catch (err) {
+            console.error('Error saving draft:', err);
+        }
+    };
+
+    // Restore whatever the client was working on last time
+    useEffect(() => {
+        getActiveDraft()
+            .then((draft) => {
+                if (draft) {
+                    applyDraft(draft);
+                }
+            })
+            .catch((err) => console.error('Error restoring draft:', err))
+            .finally(() => {
+                restoredRef.current = true;
+            });
+        refreshDrafts();
+    }, []);
+
+    // Autosave shortly after the client stops typing
+    useEffect(() => {
+        if (!restoredRef.current) {
+            return undefined;
+        }
+        const timer = setTimeout(persistDraft, AUTOSAVE_DELAY_MS);
+        return () => clearTimeout(timer);
+        // persistDraft reads the latest values from formRef
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [draftName, title, description, type, priority, customFields, includeDiagnostics, files]);
+
+    // Save immediately when the app goes to the background
+    useEffect(() => {
+        const subscription = AppState.addEventListener('change', (state) => {
+            if (state !== 'active') {
+                persistDraft();
+            }
+        });
+        return () => subscription.remove();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    /**
+     * Continues a draft picked from the drafts list
+     * @param {object} draft - Draft to continue
+     */
+    const handleOpenDraft = async (draft) => {
+        await persistDraft(); // Don't lose the draft currently on screen
+        applyDraft(draft);
+        setShowDrafts(false);
+        saveDraft(draft).catch((err) => console.error('Error opening draft:', err)); // Mark as active
+    };
+
+    /**
+     * Deletes a draft from the drafts list
+     * @param {object} draft - Draft to delete
+     */
+    const handleDeleteDraft = async (draft) => {
+        try {
+            await deleteDraft(draft.id);
+            if (draft.id === draftId) {
+                resetForm();
+            }
+            refreshDrafts();
+        }
+        catch (err) {
+            Alert.alert('Error', err.message);
+        }
+    };
+
+    // Starts a blank form; the current draft stays in the list
+    const handleNewDraft = async () => {
+        await persistDraft();
+        resetForm();
+        clearActiveDraft().catch((err) => console.error('Error clearing draft:', err));
+    };
+
+    // Throws away the form and its draft once the client has found their issue
+    const discardForm = async () => {
+        if (draftId) {
+            await deleteDraft(draftId);
+            refreshDrafts();
+        }
+        resetForm();
+        clearActiveDraft().catch((err) => console.error('Error clearing draft:', err));
+    };
+
+    /**
+     * Handles "this is my issue" on a suggested ticket
+     * @param {object} suggestion - Suggestion from useDuplicateSuggestions
+     * @description The client's own ticket is simply opened. Someone else's
+     *   feature request is watched, so the client hears about its progress
+     *   without filing a duplicate.
+     */
+    const handleSameIssue = (suggestion) => {
+        const { ticket, mine } = suggestion;
+
+        if (mine) {
+            Alert.alert('Already Reported', `You reported "${ticket.title}" already. Discard this form and open it?`, [
+                { text: 'Keep Writing', style: 'cancel' },
+                {
+                    text: 'Open Ticket',
+                    onPress: async () => {
+                        await discardForm();
+                        navigation.navigate('ClientTicketDetail', { ticketId: ticket.id });
+                    }
+                }
+            ]);
+            return;
+        }
+
+        Alert.alert('Follow This Request?', `You'll be notified when "${ticket.title}" is updated, and this form will be discarded.`, [
+            { text: 'Keep Writing', style: 'cancel' },
+            {
+                text: 'Follow',
+                onPress: async () => {
+                    try {
+                        await watchTicket(ticket.id);
+                        await discardForm();
+                        Alert.alert('Following', "We'll let you know when this request moves forward.");
+                    }
+                    catch (err) {
+                        Alert.alert('Error', err.message);
+                    }
+                }
+            }
+        ]);
+    };
+
+    // Adds screenshots or files to the ticket
+    const handleAttach = async () => {
+        try {
+            const picked = await pickAttachments();
+            if (files.length + picked.length > MAX_ATTACHMENTS) {
+                Alert.alert('Too Many Files', `You can attach up to ${MAX_ATTACHMENTS} files to a ticket.`);
+                return;
+            }
+            setFiles([...files, ...picked]);
+        }
+        catch (err) {
+            Alert.alert('Error', err.message);
+        }
+    };
+
     /**
      * Handles ticket submission
      * @description When user clicks "Submit Ticket":
-     *   1. Validates that all fields are filled
-     *   2. Creates ticket in Firestore
-     *   3. Clears the form
-     *   4. Shows success message
-     *   5. Ticket automatically appears in Home tab (real-time listener)
+     *   1. Validates that all fields are filled, including the type's required custom fields
+     *   2. Saves the ticket to the on-device queue
+     *   3. Sends it to Firestore right away if the device is online
+     *   4. If the server rejects it (validation or permissions), takes it off the
+     *      queue and keeps the form, so the error can be fixed and sent again
+     *   5. Otherwise clears the form and tells the user whether it was sent or is waiting
+     *   6. Ticket automatically appears in Home tab (real-time listener or "waiting to send")
      */
     const handleSubmit = async () => {
         // Validation: Check if fields are filled
@@ -43,20 +342,64 @@ export default function CreateTicketScreen() {
             Alert.alert('Error', 'Please fill in all fields');
             return;
         }
+        try {
+            validateFieldValues(selectedType.fields, customFields);
+        }
+        catch (err) {
+            Alert.alert('Missing Details', err.message);
+            return;
+        }
         
         setLoading(true);
     
         try {
-            // Create the ticket in Firestore
-            await createTicket(title.trim(), description.trim(), type);
-            
-            // Clear form after successful submission
-            setTitle('');
-            setDescription('');
-            setType('bug'); // Reset to default
+            // Queue first so a dropped connection can't lose what was typed
+            const entry = await enqueueTicket({
+                title: title.trim(),
+                description: description.trim(),
+                type,
+                priority,
+                customFields,
+                // Read again at submit time in case the app was updated while this was a draft
+                diagnostics: type === DIAGNOSTICS_TICKET_TYPE && includeDiagnostics ? collectDiagnostics() : null,
+                attachments: files
+            });
             
-            // Show success message
-            Alert.alert('Success', 'Ticket created successfully!');
+            const network = await NetInfo.fetch();
+            const remaining = network.isConnected ? await flushTicketQueue() : [];
+            const unsent = remaining.find(queued => queued.id === entry.id);
+
+            // Sending it again would fail the same way, so leave it to be fixed
+            if (unsent && unsent.failed) {
+                await discardQueuedTicket(entry.id);
+                Alert.alert('Could Not Send', unsent.lastError || 'The ticket was not accepted.');
+                return;
+            }
+
+            // Clear form and drop its draft once the ticket is sent or safely stored on the device
+            if (draftId) {
+                await deleteDraft(draftId);
+                refreshDrafts();
+            }
+            resetForm();
+
+            if (!network.isConnected) {
+                Alert.alert(
+                    'Saved Offline',
+                    "You're offline. Your ticket will be sent automatically when you're back online."
+                );
+                return;
+            }
+
+            if (unsent) {
+                Alert.alert(
+                    'Waiting to Send',
+                    `${unsent.lastError || 'Could not reach the server.'} We'll keep trying automatically.`
+                );
+            } else {
+                // Show success message
+                Alert.alert('Success', 'Ticket created successfully!');
+            }
             } 
         catch (error) {
             
@@ -73,55 +416,79 @@ export default function CreateTicketScreen() {
             {/* Screen Title */}
             <Text style={styles.title}>Create New Ticket</Text>
             <Text style={styles.subtitle}>
-                Report a bug or request a new feature
+                Report a problem, ask a question or request a feature
+            </Text>
+
+            {/* DRAFTS BAR */}
+            <View style={styles.draftBar}>
+                <TouchableOpacity style={styles.draftButton} onPress={() => setShowDrafts(true)}>
+                    <Text style={styles.draftButtonText}>📝 Drafts ({drafts.length})</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.draftButton} onPress={handleNewDraft}>
+                    <Text style={styles.draftButtonText}>＋ New</Text>
+                </TouchableOpacity>
+            </View>
+            <TextInput
+                style={styles.input}
+                placeholder="Draft name (optional, only you can see it)"
+                value={draftName}
+                onChangeText={setDraftName}
+                maxLength={60}
+            />
+            <Text style={styles.draftStatus}>
+                {draftId ? 'Draft saved automatically' : 'Start typing to save a draft'}
             </Text>
 
             {/* TYPE SELECTOR */}
             <Text style={styles.label}>Type</Text>
             <View style={styles.typeContainer}>
-                {/* Bug Type Button */}
-                <TouchableOpacity
-                style={[
-                    styles.typeButton,
-                    type === 'bug' && styles.typeButtonActive
-                ]}
-                onPress={() => setType('bug')}
-                >
-                <Text style={styles.typeEmoji}>🐛</Text>
-                <Text
-                    style={[
-                    styles.typeButtonText,
-                    type === 'bug' && styles.typeButtonTextActive
-                    ]}
-                >
-                    Bug
-                </Text>
-                <Text style={styles.typeDescription}>
-                    Something isn't working
-                </Text>
-                </TouchableOpacity>
+                {activeTypes.map((option) => (
+                    <TouchableOpacity
+                        key={option.key}
+                        style={[
+                            styles.typeButton,
+                            type === option.key && { borderColor: option.color, backgroundColor: `${option.color}1a` }
+                        ]}
+                        onPress={() => setType(option.key)}
+                    >
+                        <Text style={styles.typeEmoji}>{option.icon}</Text>
+                        <Text
+                            style={[
+                                styles.typeButtonText,
+                                type === option.key && { color: option.color }
+                            ]}
+                        >
+                            {option.label}
+                        </Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
 
-                {/* Feature Type Button */}
-                <TouchableOpacity
-                style={[
-                    styles.typeButton,
-                    type === 'feature' && styles.typeButtonActive
-                ]}
-                onPress={() => setType('feature')}
-                >
-                <Text style={styles.typeEmoji}>✨</Text>
-                <Text
-                    style={[
-                    styles.typeButtonText,
-                    type === 'feature' && styles.typeButtonTextActive
-                    ]}
-                >
-                    Feature
-                </Text>
-                <Text style={styles.typeDescription}>
-                    Request new functionality
-                </Text>
-                </TouchableOpacity>
+            {/* PRIORITY SELECTOR */}
+            <Text style={styles.label}>Suggested Priority</Text>
+            <View style={styles.priorityContainer}>
+                {PRIORITIES.map((option) => (
+                    <TouchableOpacity
+                        key={option.key}
+                        style={[
+                            styles.priorityButton,
+                            priority === option.key && {
+                                borderColor: option.color,
+                                backgroundColor: option.background
+                            }
+                        ]}
+                        onPress={() => setPriority(option.key)}
+                    >
+                        <Text
+                            style={[
+                                styles.priorityButtonText,
+                                priority === option.key && { color: option.color }
+                            ]}
+                        >
+                            {option.label}
+                        </Text>
+                    </TouchableOpacity>
+                ))}
             </View>
 
             {/* TITLE INPUT */}
@@ -134,6 +501,28 @@ export default function CreateTicketScreen() {
                 maxLength={100}
             />
 
+            {/* SIMILAR TICKETS */}
+            {suggestions.length > 0 ? (
+                <View style={styles.suggestions}>
+                    <Text style={styles.suggestionsTitle}>Is it one of these?</Text>
+                    {suggestions.map((suggestion) => (
+                        <View key={suggestion.ticket.id} style={styles.suggestionRow}>
+                            <View style={styles.suggestionBody}>
+                                <Text style={styles.suggestionText} numberOfLines={2}>
+                                    {suggestion.ticket.title}
+                                </Text>
+                                <Text style={styles.suggestionMeta}>
+                                    {suggestion.mine ? 'Your ticket' : 'Requested by another client'} · {suggestion.ticket.status}
+                                </Text>
+                            </View>
+                            <TouchableOpacity style={styles.suggestionButton} onPress={() => handleSameIssue(suggestion)}>
+                                <Text style={styles.suggestionButtonText}>This is my issue</Text>
+                            </TouchableOpacity>
+                        </View>
+                    ))}
+                </View>
+            ) : null}
+
             {/* DESCRIPTION INPUT */}
             <Text style={styles.label}>Description</Text>
             <TextInput
@@ -146,6 +535,43 @@ export default function CreateTicketScreen() {
                 textAlignVertical="top"
             />
 
+            {/* TYPE-SPECIFIC FIELDS */}
+            <CustomFieldInputs
+                fields={selectedType.fields}
+                values={customFields}
+                onChange={handleFieldChange}
+            />
+
+            {/* DEVICE DIAGNOSTICS (bug reports only) */}
+            {type === DIAGNOSTICS_TICKET_TYPE ? (
+                <>
+                    <View style={styles.diagnosticsRow}>
+                        <View style={styles.diagnosticsText}>
+                            <Text style={styles.diagnosticsLabel}>Attach device details</Text>
+                            <Text style={styles.diagnosticsHint}>
+                                OS, app version, device model, language and screen size. Nothing personal.
+                            </Text>
+                        </View>
+                        <Switch value={includeDiagnostics} onValueChange={setIncludeDiagnostics} />
+                    </View>
+                    {includeDiagnostics ? (
+                        <DiagnosticsSection diagnostics={deviceDiagnostics} title="What we'll send" />
+                    ) : null}
+                </>
+            ) : null}
+
+            {/* ATTACHMENTS */}
+            <Text style={styles.label}>Attachments</Text>
+            <AttachmentList
+                attachments={files}
+                onRemove={(file) => setFiles(files.filter(f => f.id !== file.id))}
+            />
+            <TouchableOpacity style={styles.attachButton} onPress={handleAttach}>
+                <Text style={styles.attachButtonText}>
+                    📎 Add screenshot or file ({files.length}/{MAX_ATTACHMENTS})
+                </Text>
+            </TouchableOpacity>
+
             {/* SUBMIT BUTTON */}
             <TouchableOpacity
                 style={[styles.submitButton, loading && styles.submitButtonDisabled]}
@@ -157,6 +583,44 @@ export default function CreateTicketScreen() {
                 </Text>
             </TouchableOpacity>
         </View>
+
+        {/* DRAFTS LIST */}
+        <Modal visible={showDrafts} animationType="slide" onRequestClose={() => setShowDrafts(false)}>
+            <View style={styles.modalContainer}>
+                <View style={styles.modalHeader}>
+                    <Text style={styles.modalTitle}>Drafts</Text>
+                    <TouchableOpacity onPress={() => setShowDrafts(false)}>
+                        <Text style={styles.modalClose}>Done</Text>
+                    </TouchableOpacity>
+                </View>
+                <FlatList
+                    data={drafts}
+                    keyExtractor={(item) => item.id}
+                    contentContainerStyle={styles.draftList}
+                    renderItem={({ item }) => (
+                        <TouchableOpacity
+                            style={[styles.draftItem, item.id === draftId && styles.draftItemActive]}
+                            onPress={() => handleOpenDraft(item)}
+                        >
+                            <View style={styles.draftItemBody}>
+                                <Text style={styles.draftItemName}>
+                                    {item.name || item.title || 'Untitled draft'}
+                                </Text>
+                                <Text style={styles.draftItemMeta} numberOfLines={1}>
+                                    {getTicketType(ticketTypes, item.type).icon} {item.title || 'No title'} · {new Date(item.updatedAt).toLocaleString()}
+                                </Text>
+                            </View>
+                            <TouchableOpacity onPress={() => handleDeleteDraft(item)}>
+                                <Text style={styles.draftDelete}>Delete</Text>
+                            </TouchableOpacity>
+                        </TouchableOpacity>
+                    )}
+                    ListEmptyComponent={
+                        <Text style={styles.draftEmpty}>No drafts yet</Text>
+                    }
+                />
+            </View>
+        </Modal>
     </ScrollView>
   );
 }
@@ -189,12 +653,179 @@ const styles = StyleSheet.create({
         marginBottom: 8,
         marginTop: 16
     },
+    suggestions: {
+        backgroundColor: '#fffbeb',
+        borderRadius: 8,
+        padding: 12,
+        marginTop: 8,
+        borderLeftWidth: 3,
+        borderLeftColor: '#f59e0b',
+        gap: 8
+    },
+    suggestionsTitle: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#92400e'
+    },
+    suggestionRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8
+    },
+    suggestionBody: {
+        flex: 1
+    },
+    suggestionText: {
+        fontSize: 14,
+        color: '#1f2937'
+    },
+    suggestionMeta: {
+        fontSize: 12,
+        color: '#6b7280',
+        marginTop: 2
+    },
+    suggestionButton: {
+        paddingHorizontal: 10,
+        paddingVertical: 6,
+        borderRadius: 6,
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#f59e0b'
+    },
+    suggestionButtonText: {
+        color: '#b45309',
+        fontWeight: '600',
+        fontSize: 12
+    },
+    diagnosticsRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 12,
+        marginTop: 16,
+        marginBottom: 8
+    },
+    diagnosticsText: {
+        flex: 1
+    },
+    diagnosticsLabel: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#374151'
+    },
+    diagnosticsHint: {
+        fontSize: 12,
+        color: '#6b7280',
+        marginTop: 2
+    },
+    attachButton: {
+        marginTop: 8,
+        paddingVertical: 12,
+        borderRadius: 8,
+        borderWidth: 1,
+        borderColor: '#d1d5db',
+        borderStyle: 'dashed',
+        alignItems: 'center',
+        backgroundColor: '#fff'
+    },
+    attachButtonText: {
+        color: '#007AFF',
+        fontWeight: '600',
+        fontSize: 14
+    },
+    draftBar: {
+        flexDirection: 'row',
+        gap: 8,
+        marginBottom: 12
+    },
+    draftButton: {
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        borderRadius: 6,
+        backgroundColor: '#e3f2ff'
+    },
+    draftButtonText: {
+        color: '#007AFF',
+        fontWeight: '600',
+        fontSize: 14
+    },
+    draftStatus: {
+        fontSize: 12,
+        color: '#9ca3af',
+        marginTop: 6
+    },
+    modalContainer: {
+        flex: 1,
+        backgroundColor: '#f5f5f5'
+    },
+    modalHeader: {
+        backgroundColor: '#fff',
+        padding: 20,
+        paddingTop: 50,
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        borderBottomWidth: 1,
+        borderBottomColor: '#ddd'
+    },
+    modalTitle: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#1f2937'
+    },
+    modalClose: {
+        fontSize: 16,
+        color: '#007AFF',
+        fontWeight: '600'
+    },
+    draftList: {
+        padding: 16
+    },
+    draftItem: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#fff',
+        padding: 16,
+        marginBottom: 12,
+        borderRadius: 12,
+        borderWidth: 2,
+        borderColor: 'transparent'
+    },
+    draftItemActive: {
+        borderColor: '#007AFF'
+    },
+    draftItemBody: {
+        flex: 1,
+        marginRight: 12
+    },
+    draftItemName: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#1f2937',
+        marginBottom: 4
+    },
+    draftItemMeta: {
+        fontSize: 12,
+        color: '#6b7280'
+    },
+    draftDelete: {
+        color: '#dc2626',
+        fontWeight: '600',
+        fontSize: 14
+    },
+    draftEmpty: {
+        fontSize: 14,
+        color: '#666',
+        textAlign: 'center',
+        marginTop: 40
+    },
     typeContainer: {
         flexDirection: 'row',
+        flexWrap: 'wrap',
         gap: 12
     },
     typeButton: {
-        flex: 1,
+        flexGrow: 1,
+        flexBasis: '30%',
         padding: 16,
         borderRadius: 12,
         borderWidth: 2,
@@ -202,10 +833,6 @@ const styles = StyleSheet.create({
         backgroundColor: '#fff',
         alignItems: 'center'
     },
-    typeButtonActive: {
-        borderColor: '#007AFF',
-        backgroundColor: '#e3f2ff'
-    },
     typeEmoji: {
         fontSize: 32,
         marginBottom: 8
@@ -213,16 +840,25 @@ const styles = StyleSheet.create({
     typeButtonText: {
         fontSize: 16,
         fontWeight: '600',
-        color: '#6b7280',
-        marginBottom: 4
+        color: '#6b7280'
     },
-    typeButtonTextActive: {
-        color: '#007AFF'
+    priorityContainer: {
+        flexDirection: 'row',
+        gap: 8
     },
-    typeDescription: {
-        fontSize: 12,
-        color: '#9ca3af',
-        textAlign: 'center'
+    priorityButton: {
+        flex: 1,
+        paddingVertical: 10,
+        borderRadius: 8,
+        borderWidth: 2,
+        borderColor: '#d1d5db',
+        backgroundColor: '#fff',
+        alignItems: 'center'
+    },
+    priorityButtonText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#6b7280'
     },
     input: {
         backgroundColor: '#fff',
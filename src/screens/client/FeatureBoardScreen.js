@@ -0,0 +1,247 @@
+// FEATURE BOARD SCREEN - Public feature requests clients can vote on
+
+import { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    FlatList,
+    TouchableOpacity,
+    StyleSheet,
+    ActivityIndicator,
+    Alert
+} from 'react-native';
+import { subscribeToFeatureBoard, setVote } from '../../backend';
+
+/**
+ * Renders a single feature request on the board
+ * @param {object} item - Board entry ({ id, title, description, status, voteCount, voted })
+ * @param {boolean} saving - Whether this request's vote is being saved
+ * @param {function} onVote - Called with the entry when the vote button is pressed
+ * @returns {JSX.Element} Request card UI
+ */
+const RequestCard = ({ item, saving, onVote }) => (
+    <View style={styles.request}>
+        <TouchableOpacity
+            style={[styles.voteButton, item.voted && styles.voteButtonActive]}
+            disabled={saving}
+            onPress={() => onVote(item)}
+        >
+            <Text style={[styles.voteArrow, item.voted && styles.voteTextActive]}>▲</Text>
+            <Text style={[styles.voteCount, item.voted && styles.voteTextActive]}>{item.voteCount || 0}</Text>
+        </TouchableOpacity>
+        <View style={styles.requestBody}>
+            <Text style={styles.requestTitle}>{item.title}</Text>
+            {item.description ? (
+                <Text style={styles.requestDesc} numberOfLines={3}>{item.description}</Text>
+            ) : null}
+            <Text style={styles.requestStatus}>{item.status.replace('-', ' ')}</Text>
+        </View>
+    </View>
+);
+
+/**
+ * Feature board screen component
+ * @returns {JSX.Element} List of public feature requests with vote buttons
+ * @description This screen allows clients to:
+ *   1. See every feature request the support team has put on the board,
+ *      most votes first (live)
+ *   2. Vote once for the requests they want, and take a vote back
+ *   Only the title, description and status of a request are shown, never
+ *   who asked for it.
+ */
+export default function FeatureBoardScreen() {
+    const [requests, setRequests] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [savingId, setSavingId] = useState(null); // Request whose vote is being saved
+
+    /**
+     * useEffect: Subscribe to the board and the client's own votes
+     */
+    useEffect(() => {
+        let unsubscribe;
+
+        try {
+            unsubscribe = subscribeToFeatureBoard(
+                (board) => {
+                    setRequests(board);
+                    setError(null);
+                    setLoading(false);
+                },
+                (err) => {
+                    setError(err.message);
+                    setLoading(false);
+                }
+            );
+        }
+        catch (err) {
+            console.error('Error setting up feature board listener:', err);
+            setError(err.message);
+            setLoading(false);
+        }
+
+        return () => {
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        };
+    }, []);
+
+    /**
+     * Votes for a request, or takes the vote back if already given
+     * @param {object} request - Board entry
+     */
+    const handleVote = async (request) => {
+        setSavingId(request.id);
+        try {
+            await setVote(request.id, !request.voted);
+        }
+        catch (err) {
+            Alert.alert('Error', err.message);
+        }
+        finally {
+            setSavingId(null);
+        }
+    };
+
+    const renderEmpty = () => (
+        <View style={styles.emptyContainer}>
+            <Text style={styles.emptyEmoji}>{error ? '⚠️' : '💡'}</Text>
+            <Text style={styles.emptyTitle}>{error ? 'Error Loading Requests' : 'Nothing on the board yet'}</Text>
+            <Text style={styles.emptyText}>
+                {error || 'Feature requests the support team shares will show up here for voting.'}
+            </Text>
+        </View>
+    );
+
+    return (
+        <View style={styles.container}>
+            {/* HEADER SECTION */}
+            <View style={styles.header}>
+                <Text style={styles.headerTitle}>Feature Board</Text>
+                <Text style={styles.headerSubtitle}>Vote for the ideas you want most</Text>
+            </View>
+
+            {/* REQUESTS LIST */}
+            {loading ? (
+                <ActivityIndicator style={styles.loader} size="large" color="#007AFF" />
+            ) : (
+                <FlatList
+                    data={requests}
+                    renderItem={({ item }) => (
+                        <RequestCard item={item} saving={savingId === item.id} onVote={handleVote} />
+                    )}
+                    keyExtractor={(item) => item.id}
+                    contentContainerStyle={styles.listContent}
+                    ListEmptyComponent={renderEmpty()}
+                />
+            )}
+        </View>
+    );
+}
+
+// Styles for this screen
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5'
+    },
+    header: {
+        backgroundColor: '#fff',
+        padding: 20,
+        paddingTop: 50,
+        borderBottomWidth: 1,
+        borderBottomColor: '#ddd'
+    },
+    headerTitle: {
+        fontSize: 28,
+        fontWeight: 'bold',
+        color: '#1f2937'
+    },
+    headerSubtitle: {
+        fontSize: 14,
+        color: '#666',
+        marginTop: 4
+    },
+    listContent: {
+        padding: 16
+    },
+    request: {
+        flexDirection: 'row',
+        backgroundColor: '#fff',
+        padding: 16,
+        marginBottom: 12,
+        borderRadius: 12,
+        gap: 12
+    },
+    voteButton: {
+        alignItems: 'center',
+        justifyContent: 'center',
+        width: 52,
+        paddingVertical: 8,
+        borderRadius: 8,
+        borderWidth: 1,
+        borderColor: '#d1d5db'
+    },
+    voteButtonActive: {
+        borderColor: '#6366f1',
+        backgroundColor: '#eef2ff'
+    },
+    voteArrow: {
+        fontSize: 14,
+        color: '#6b7280'
+    },
+    voteCount: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#374151'
+    },
+    voteTextActive: {
+        color: '#6366f1'
+    },
+    requestBody: {
+        flex: 1
+    },
+    requestTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#1f2937',
+        marginBottom: 4
+    },
+    requestDesc: {
+        fontSize: 14,
+        color: '#666',
+        lineHeight: 20,
+        marginBottom: 8
+    },
+    requestStatus: {
+        fontSize: 12,
+        color: '#007AFF',
+        fontWeight: '600',
+        textTransform: 'capitalize'
+    },
+    loader: {
+        marginTop: 64
+    },
+    emptyContainer: {
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingVertical: 64
+    },
+    emptyEmoji: {
+        fontSize: 64,
+        marginBottom: 16
+    },
+    emptyTitle: {
+        fontSize: 20,
+        fontWeight: '600',
+        color: '#1f2937',
+        marginBottom: 8
+    },
+    emptyText: {
+        fontSize: 14,
+        color: '#666',
+        textAlign: 'center',
+        paddingHorizontal: 40
+    }
+});
@@ -0,0 +1,293 @@
+// NOTIFICATIONS SCREEN - Inbox of updates on tickets the user cares about
+
+import { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    FlatList,
+    TouchableOpacity,
+    StyleSheet,
+    ActivityIndicator,
+    Alert
+} from 'react-native';
+import {
+    subscribeToNotifications,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getTicketById
+} from '../../backend';
+import { formatTimestamp } from '../../utils/format';
+
+// Icon shown for each kind of ticket event
+const NOTIFICATION_ICONS = {
+    status: '🔄',
+    comment: '💬',
+    assignment: '👤'
+};
+
+/**
+ * Renders a single notification row
+ * @param {object} item - Notification object from Firestore
+ * @param {function} onPress - Function to call when the row is pressed
+ * @returns {JSX.Element} Notification row UI
+ */
+const NotificationRow = ({ item, onPress }) => {
+    return (
+        <TouchableOpacity
+            style={[styles.notification, !item.read && styles.notificationUnread]}
+            onPress={() => onPress(item)}
+        >
+            <Text style={styles.icon}>{NOTIFICATION_ICONS[item.type] || '🔔'}</Text>
+            <View style={styles.notificationBody}>
+                <Text style={styles.ticketTitle} numberOfLines={1}>{item.ticketTitle}</Text>
+                <Text style={styles.message} numberOfLines={2}>{item.message}</Text>
+                <Text style={styles.meta}>
+                    {item.actorName} · {formatTimestamp(item.createdAt)}
+                </Text>
+            </View>
+            {!item.read ? <View style={styles.unreadDot} /> : null}
+        </TouchableOpacity>
+    );
+};
+
+/**
+ * Notifications screen component
+ * @param {object} navigation - React Navigation object for screen navigation
+ * @param {object} route - Route object; params.ticketScreen is the detail screen to open
+ *   ('ClientTicketDetail' for clients, 'TicketDetail' for admins)
+ * @returns {JSX.Element} Notification inbox
+ * @description Shared by clients and admins:
+ *   1. Lists status changes, replies and assignments on their tickets in real-time
+ *   2. Highlights unread notifications (the tab badge shows how many)
+ *   3. Tapping a notification marks it read and opens the ticket (or, for a
+ *      request the client only follows, shows the update)
+ *   4. "Mark all read" clears the badge
+ */
+export default function NotificationsScreen({ navigation, route }) {
+    const { ticketScreen } = route.params;
+    const [notifications, setNotifications] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let unsubscribe;
+
+        try {
+            unsubscribe = subscribeToNotifications(
+                (data) => {
+                    setNotifications(data);
+                    setLoading(false);
+                    setError(null);
+                },
+                (err) => {
+                    setError(err.message);
+                    setLoading(false);
+                }
+            );
+        }
+        catch (err) {
+            console.error('Error setting up notification listener:', err);
+            setError(err.message);
+            setLoading(false);
+        }
+
+        return () => {
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        };
+    }, []);
+
+    /**
+     * Marks the notification read and opens its ticket
+     * @param {object} notification - Notification that was pressed
+     * @description The admin detail screen starts from a full ticket object,
+     *   so it's fetched first; the client screen only needs the ID. Requests the
+     *   client only follows belong to someone else, so the update is shown instead.
+     */
+    const handlePress = async (notification) => {
+        if (!notification.read) {
+            markNotificationRead(notification.id).catch((err) => console.error('Error marking notification read:', err));
+        }
+
+        if (notification.watching) {
+            Alert.alert(notification.ticketTitle, `${notification.message}\n\nYou're following this request, so you'll hear when its status changes.`);
+            return;
+        }
+
+        try {
+            if (ticketScreen === 'TicketDetail') {
+                const ticket = await getTicketById(notification.ticketId);
+                navigation.navigate('TicketDetail', { ticket });
+            } else {
+                navigation.navigate(ticketScreen, { ticketId: notification.ticketId });
+            }
+        }
+        catch (err) {
+            Alert.alert('Error', err.message);
+        }
+    };
+
+    // Clears every unread notification
+    const handleMarkAllRead = async () => {
+        try {
+            await markAllNotificationsRead();
+        }
+        catch (err) {
+            Alert.alert('Error', err.message);
+        }
+    };
+
+    const unreadCount = notifications.filter(notification => !notification.read).length;
+
+    // empty state handling and rendering
+    const renderEmpty = () => (
+        <View style={styles.emptyContainer}>
+            <Text style={styles.emptyEmoji}>{error ? '⚠️' : '🔔'}</Text>
+            <Text style={styles.emptyTitle}>{error ? 'Error Loading Notifications' : 'All caught up'}</Text>
+            <Text style={styles.emptyText}>
+                {error || "You'll be notified here when a ticket you're involved in changes."}
+            </Text>
+        </View>
+    );
+
+    return (
+        <View style={styles.container}>
+        {/* HEADER SECTION */}
+        <View style={styles.header}>
+            <View>
+                <Text style={styles.headerTitle}>Notifications</Text>
+                <Text style={styles.headerSubtitle}>{unreadCount} unread</Text>
+            </View>
+            {unreadCount > 0 ? (
+                <TouchableOpacity onPress={handleMarkAllRead} style={styles.markAllButton}>
+                    <Text style={styles.markAllText}>Mark all read</Text>
+                </TouchableOpacity>
+            ) : null}
+        </View>
+
+        {/* NOTIFICATIONS LIST */}
+        {loading ? (
+            <ActivityIndicator style={styles.loader} />
+        ) : (
+            <FlatList
+                data={notifications}
+                renderItem={({ item }) => (
+                    <NotificationRow item={item} onPress={handlePress} />
+                )}
+                keyExtractor={(item) => item.id}
+                contentContainerStyle={styles.listContent}
+                ListEmptyComponent={renderEmpty()}
+            />
+        )}
+        </View>
+    );
+}
+
+// Styles for this screen
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5'
+    },
+    header: {
+        backgroundColor: '#fff',
+        padding: 20,
+        paddingTop: 50,
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        borderBottomWidth: 1,
+        borderBottomColor: '#ddd'
+    },
+    headerTitle: {
+        fontSize: 28,
+        fontWeight: 'bold',
+        color: '#1f2937'
+    },
+    headerSubtitle: {
+        fontSize: 14,
+        color: '#666',
+        marginTop: 4
+    },
+    markAllButton: {
+        paddingHorizontal: 16,
+        paddingVertical: 8,
+        borderRadius: 6,
+        backgroundColor: '#e3f2ff'
+    },
+    markAllText: {
+        color: '#007AFF',
+        fontWeight: '600',
+        fontSize: 14
+    },
+    loader: {
+        marginTop: 40
+    },
+    listContent: {
+        padding: 16
+    },
+    notification: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#fff',
+        padding: 16,
+        marginBottom: 12,
+        borderRadius: 12
+    },
+    notificationUnread: {
+        backgroundColor: '#eff6ff',
+        borderWidth: 1,
+        borderColor: '#bfdbfe'
+    },
+    icon: {
+        fontSize: 22,
+        marginRight: 12
+    },
+    notificationBody: {
+        flex: 1
+    },
+    ticketTitle: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#1f2937',
+        marginBottom: 2
+    },
+    message: {
+        fontSize: 14,
+        color: '#4b5563',
+        marginBottom: 4
+    },
+    meta: {
+        fontSize: 12,
+        color: '#9ca3af'
+    },
+    unreadDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        backgroundColor: '#007AFF',
+        marginLeft: 8
+    },
+    emptyContainer: {
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingVertical: 64
+    },
+    emptyEmoji: {
+        fontSize: 64,
+        marginBottom: 16
+    },
+    emptyTitle: {
+        fontSize: 20,
+        fontWeight: '600',
+        color: '#1f2937',
+        marginBottom: 8
+    },
+    emptyText: {
+        fontSize: 14,
+        color: '#666',
+        textAlign: 'center',
+        paddingHorizontal: 40
+    }
+});
@@ -0,0 +1,66 @@
+// ATTACHMENT PICKER - Lets the user choose screenshots and files to attach to a ticket
+
+import {
+    pick,
+    keepLocalCopy,
+    errorCodes,
+    isErrorWithCode
+} from '@react-native-documents/picker';
+import { ALLOWED_ATTACHMENT_TYPES, validateAttachment } from '../config/attachments';
+
+/**
+ * Creates an ID for a picked file
+ * @returns {string} Unique attachment ID, also used in its Storage path
+ */
+const createAttachmentId = () => {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * Opens the system file picker and copies the chosen files into app storage
+ * @returns {Promise<Array<object>>} Picked files ({ id, uri, name, type, size }),
+ *   or an empty array if the user cancelled
+ * @throws {Error} If a file breaks the attachment limits or can't be read
+ * @description Files are copied into the app's document directory so that a
+ *   ticket waiting in the offline queue can still upload them later.
+ */
+export const pickAttachments = async () => {
+    let picked;
+    try {
+        picked = await pick({
+            type: ALLOWED_ATTACHMENT_TYPES,
+            allowMultiSelection: true
+        });
+    } catch (error) {
+        if (isErrorWithCode(error) && error.code === errorCodes.OPERATION_CANCELED) {
+            return [];
+        }
+        throw new Error(error.message || 'Failed to open file picker');
+    }
+
+    const files = picked.map(file => ({
+        id: createAttachmentId(),
+        uri: file.uri,
+        name: file.name || 'attachment',
+        type: file.type,
+        size: file.size
+    }));
+
+    const invalid = files.map(validateAttachment).find(Boolean);
+    if (invalid) {
+        throw new Error(invalid);
+    }
+
+    const copies = await keepLocalCopy({
+        files: files.map(file => ({ uri: file.uri, fileName: file.name })),
+        destination: 'documentDirectory'
+    });
+
+    return files.map((file, index) => {
+        const copy = copies[index];
+        if (copy.status !== 'success') {
+            throw new Error(`Could not read "${file.name}"`);
+        }
+        return { ...file, uri: copy.localUri };
+    });
+};
@@ -0,0 +1,53 @@
+// DIAGNOSTICS - Reads device and app details to attach to bug reports
+
+import { Platform, Dimensions, PixelRatio } from 'react-native';
+import Config from 'react-native-config';
+
+/**
+ * Works out a readable OS version
+ * @returns {string} e.g. "17.4" on iOS or "14 (API 34)" on Android
+ */
+const getOsVersion = () => {
+    if (Platform.OS === 'android') {
+        const release = Platform.constants && Platform.constants.Release;
+        return release ? `${release} (API ${Platform.Version})` : `API ${Platform.Version}`;
+    }
+    return String(Platform.Version);
+};
+
+/**
+ * Works out the device model
+ * @returns {string} e.g. "Google Pixel 7" on Android, "iPhone" or "iPad" on iOS
+ * @description iOS doesn't expose the exact model without a native module,
+ *   so only the kind of device is reported there.
+ */
+const getDeviceModel = () => {
+    const constants = Platform.constants || {};
+    if (Platform.OS === 'android') {
+        return [constants.Manufacturer, constants.Model].filter(Boolean).join(' ');
+    }
+    if (Platform.OS === 'ios') {
+        return constants.interfaceIdiom === 'pad' ? 'iPad' : 'iPhone';
+    }
+    return '';
+};
+
+/**
+ * Collects the diagnostics shown to the client and attached to their bug report
+ * @returns {object} { platform, osVersion, appVersion, appBuild, deviceModel, locale, screen }
+ * @description Nothing here identifies the person: no device IDs, names or
+ *   location. App version and build come from APP_VERSION / APP_BUILD in .env.
+ */
+export const collectDiagnostics = () => {
+    const screen = Dimensions.get('screen');
+
+    return {
+        platform: Platform.OS,
+        osVersion: getOsVersion(),
+        appVersion: Config.APP_VERSION || 'unknown',
+        appBuild: Config.APP_BUILD || 'unknown',
+        deviceModel: getDeviceModel() || 'unknown',
+        locale: Intl.DateTimeFormat().resolvedOptions().locale,
+        screen: `${Math.round(screen.width)}×${Math.round(screen.height)} @${PixelRatio.get()}x`
+    };
+};
@@ -0,0 +1,99 @@
+// TICKET DRAFTS - Unsent ticket forms saved on the device, per user
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getCurrentUser } from '../backend';
+
+/**
+ * Builds the storage keys for the signed-in user's drafts
+ * @returns {object} Keys for the draft list and the draft currently being edited
+ * @throws {Error} If user is not authenticated
+ */
+const getDraftKeys = () => {
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+        throw new Error('You must be logged in to save drafts');
+    }
+    return {
+        drafts: `ticketDrafts:${currentUser.uid}`,
+        active: `ticketDrafts:${currentUser.uid}:active`
+    };
+};
+
+/**
+ * Creates an ID for a new draft
+ * @returns {string} Unique draft ID
+ */
+export const createDraftId = () => {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * Reads the signed-in user's drafts
+ * @returns {Promise<Array<object>>} Drafts, most recently edited first
+ */
+export const getDrafts = async () => {
+    const stored = await AsyncStorage.getItem(getDraftKeys().drafts);
+    const drafts = stored ? JSON.parse(stored) : [];
+    return drafts.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Creates or updates a draft and marks it as the one being edited
+ * @param {object} draft - Draft with id, name, title, description, type, priority and customFields
+ * @returns {Promise<object>} The saved draft
+ * @throws {Error} If the draft has no ID
+ */
+export const saveDraft = async (draft) => {
+    if (!draft.id) {
+        throw new Error('Draft ID is required');
+    }
+
+    const keys = getDraftKeys();
+    const saved = { ...draft, updatedAt: Date.now() };
+    const drafts = await getDrafts();
+
+    await AsyncStorage.multiSet([
+        [keys.drafts, JSON.stringify([saved, ...drafts.filter(existing => existing.id !== draft.id)])],
+        [keys.active, draft.id]
+    ]);
+
+    return saved;
+};
+
+/**
+ * Deletes a draft
+ * @param {string} id - ID of the draft to delete
+ * @returns {Promise<void>}
+ */
+export const deleteDraft = async (id) => {
+    const keys = getDraftKeys();
+    const drafts = await getDrafts();
+
+    await AsyncStorage.setItem(keys.drafts, JSON.stringify(drafts.filter(draft => draft.id !== id)));
+    if ((await AsyncStorage.getItem(keys.active)) === id) {
+        await AsyncStorage.removeItem(keys.active);
+    }
+};
+
+/**
+ * Gets the draft the user was last editing
+ * @returns {Promise<object|null>} The draft, or null if the form was left empty
+ */
+export const getActiveDraft = async () => {
+    const keys = getDraftKeys();
+    const activeId = await AsyncStorage.getItem(keys.active);
+    if (!activeId) {
+        return null;
+    }
+
+    const drafts = await getDrafts();
+    return drafts.find(draft => draft.id === activeId) || null;
+};
+
+/**
+ * Forgets which draft is being edited (the draft itself is kept)
+ * @returns {Promise<void>}
+ */
+export const clearActiveDraft = async () => {
+    await AsyncStorage.removeItem(getDraftKeys().active);
+};
@@ -0,0 +1,188 @@
+// TICKET QUEUE - Stores new tickets on the device until they can be sent to Firestore
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { createTicket, generateTicketId, getCurrentUser, uploadAttachment } from '../backend';
+
+// Listeners notified whenever the queue changes (see subscribeToTicketQueue)
+const listeners = new Set();
+
+// Shared promise so overlapping flushes never send the same ticket twice at once
+let activeFlush = null;
+
+// Failures worth retrying later because the server couldn't be reached. Backend
+// errors keep Firebase's "[service/code]" prefix in their message.
+const RETRYABLE_ERROR = /unavailable|deadline-exceeded|network-request-failed|retry-limit-exceeded|network request failed/i;
+
+/**
+ * Checks whether a failed send should be tried again later
+ * @param {Error} error - Error thrown while sending
+ * @returns {boolean} True for network and availability errors; false for
+ *   validation and permission errors, which fail the same way every time
+ */
+const isRetryableError = (error) => RETRYABLE_ERROR.test(`${error.code || ''} ${error.message || ''}`);
+
+/**
+ * Builds the storage key for the signed-in user's queue
+ * @returns {string} AsyncStorage key
+ * @throws {Error} If user is not authenticated
+ */
+const getQueueKey = () => {
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+        throw new Error('You must be logged in to create a ticket');
+    }
+    return `ticketQueue:${currentUser.uid}`;
+};
+
+/**
+ * Reads the signed-in user's queued tickets
+ * @returns {Promise<Array<object>>} Queued tickets, oldest first
+ */
+export const getQueuedTickets = async () => {
+    const stored = await AsyncStorage.getItem(getQueueKey());
+    return stored ? JSON.parse(stored) : [];
+};
+
+/**
+ * Saves the queue and tells listeners about it
+ * @param {Array<object>} queue - Queued tickets to store
+ * @returns {Promise<void>}
+ */
+const saveQueue = async (queue) => {
+    await AsyncStorage.setItem(getQueueKey(), JSON.stringify(queue));
+    listeners.forEach(listener => listener(queue));
+};
+
+/**
+ * Adds a ticket to the queue
+ * @param {object} ticket - Ticket fields (title, description, type, priority,
+ *   customFields, diagnostics) and optional attachments picked with pickAttachments
+ * @returns {Promise<object>} The queued entry; its id doubles as the idempotency key
+ */
+export const enqueueTicket = async (ticket) => {
+    const entry = {
+        ...ticket,
+        attachments: ticket.attachments || [],
+        id: generateTicketId(),
+        queuedAt: Date.now(),
+        lastError: null,
+        failed: false // True once the server rejected it; it is no longer retried
+    };
+
+    const queue = await getQueuedTickets();
+    await saveQueue([...queue, entry]);
+
+    return entry;
+};
+
+/**
+ * Removes a ticket from the queue without sending it
+ * @param {string} id - ID of the queued ticket
+ * @returns {Promise<void>}
+ */
+export const discardQueuedTicket = async (id) => {
+    const queue = await getQueuedTickets();
+    await saveQueue(queue.filter(entry => entry.id !== id));
+};
+
+/**
+ * Sends every queued ticket to Firestore
+ * @returns {Promise<Array<object>>} Tickets still waiting after this attempt
+ * @description Each ticket is created with its queued ID, so a ticket whose
+ *   first attempt reached the server but never reported back is not duplicated.
+ *   Attachments are uploaded once the ticket exists; uploads are keyed by
+ *   attachment ID, so retrying them is safe too.
+ *   1. Tickets that couldn't reach the server (including any of their uploads)
+ *      stay queued with the error for the next attempt
+ *   2. Tickets the server rejected (validation or permissions) stay queued with
+ *      the error and failed set, and aren't sent again until discarded
+ *   3. An upload rejected after its ticket was created is skipped, as the
+ *      ticket itself was sent
+ */
+export const flushTicketQueue = () => {
+    if (activeFlush) {
+        return activeFlush;
+    }
+
+    activeFlush = (async () => {
+        try {
+            const queue = await getQueuedTickets();
+            if (queue.length === 0) {
+                return queue;
+            }
+
+            const sentIds = new Set();
+            const errors = {}; // { lastError, failed } for each ticket that wasn't sent
+
+            for (const entry of queue.filter(queued => !queued.failed)) {
+                try {
+                    await createTicket(
+                        entry.title,
+                        entry.description,
+                        entry.type,
+                        entry.priority,
+                        entry.id,
+                        entry.customFields,
+                        entry.diagnostics
+                    );
+                    for (const file of entry.attachments || []) {
+                        try {
+                            await uploadAttachment(entry.id, file);
+                        } catch (err) {
+                            if (isRetryableError(err)) {
+                                throw err;
+                            }
+                            console.error('Error uploading queued attachment:', err);
+                        }
+                    }
+                    sentIds.add(entry.id);
+                } catch (err) {
+                    errors[entry.id] = { lastError: err.message, failed: !isRetryableError(err) };
+                }
+            }
+
+            // Re-read so tickets queued or discarded during the flush are respected
+            const latest = await getQueuedTickets();
+            const remaining = latest
+                .filter(entry => !sentIds.has(entry.id))
+                .map(entry => (errors[entry.id] ? { ...entry, ...errors[entry.id] } : entry));
+
+            await saveQueue(remaining);
+            return remaining;
+        } finally {
+            activeFlush = null;
+        }
+    })();
+
+    return activeFlush;
+};
+
+/**
+ * Subscribes to changes in the signed-in user's queue
+ * @param {function} callback - Called with the queued tickets now and on every change
+ * @returns {function} Unsubscribe function to stop listening
+ */
+export const subscribeToTicketQueue = (callback) => {
+    listeners.add(callback);
+
+    getQueuedTickets()
+        .then(callback)
+        .catch((err) => console.error('Error reading ticket queue:', err));
+
+    return () => {
+        listeners.delete(callback);
+    };
+};
+
+/**
+ * Flushes the queue now and every time the device comes back online
+ * @returns {function} Unsubscribe function to stop watching connectivity
+ */
+export const startTicketQueueSync = () => {
+    return NetInfo.addEventListener((state) => {
+        if (state.isConnected && state.isInternetReachable !== false) {
+            flushTicketQueue().catch((err) => console.error('Error sending queued tickets:', err));
+        }
+    });
+};
@@ -0,0 +1,48 @@
+// FORMATTING HELPERS - Small display helpers shared between screens
+
+/**
+ * Converts a Firestore timestamp into a readable date/time string
+ * @param {object|null} timestamp - Firestore Timestamp (null while a serverTimestamp is still pending)
+ * @returns {string} Localized date/time, or 'Just now' for pending writes
+ */
+export const formatTimestamp = (timestamp) => {
+    if (!timestamp || typeof timestamp.toDate !== 'function') {
+        return 'Just now';
+    }
+    return timestamp.toDate().toLocaleString();
+};
+
+/**
+ * Converts a duration in milliseconds into a short label such as "2d 3h" or "45m"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Compact duration label
+ */
+export const formatDuration = (ms) => {
+    const minutes = Math.max(0, Math.floor(ms / 60000));
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    const mins = minutes % 60;
+
+    if (days > 0) {
+        return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+    }
+    if (hours > 0) {
+        return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
+    }
+    return `${mins}m`;
+};
+
+/**
+ * Converts a file size in bytes into a short label such as "1.2 MB" or "340 KB"
+ * @param {number} bytes - File size in bytes
+ * @returns {string} Compact size label
+ */
+export const formatFileSize = (bytes) => {
+    if (!bytes || bytes < 1024) {
+        return `${bytes || 0} B`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,88 @@
+// SIMILARITY - Finds existing tickets whose titles look like the one being typed
+// Pure functions with no network access, so suggestions are the same for the
+// same input every time (see __tests__/similarity.test.js).
+
+// Words that say nothing about what the ticket is about
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'app', 'are', 'be', 'but', 'can', 'cannot', 'cant', 'do', 'does',
+    'doesnt', 'dont', 'for', 'from', 'have', 'how', 'i', 'in', 'is', 'it', 'its', 'me',
+    'my', 'not', 'of', 'on', 'or', 'please', 'the', 'this', 'to', 'when', 'with', 'wont'
+]);
+
+// Endings removed so "crashes", "crashed" and "crashing" count as the same word
+const SUFFIXES = ['ing', 'ed', 'es', 's'];
+
+// Suggestions below this score are too loose to be useful
+export const MIN_SIMILARITY = 0.4;
+
+// Most suggestions shown at once
+export const MAX_SUGGESTIONS = 3;
+
+/**
+ * Reduces a word to a rough stem
+ * @param {string} word - Lowercase word
+ * @returns {string} Word without a common ending; short words are left alone
+ */
+const stem = (word) => {
+    const suffix = SUFFIXES.find(ending => word.length - ending.length >= 4 && word.endsWith(ending));
+    return suffix ? word.slice(0, -suffix.length) : word;
+};
+
+/**
+ * Splits a title into the words worth comparing
+ * @param {string} text - Ticket title
+ * @returns {Array<string>} Unique stemmed words, in the order they first appear
+ */
+export const tokenize = (text) => {
+    const words = (text || '')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(stem);
+
+    return [...new Set(words)];
+};
+
+/**
+ * Scores how alike two titles are
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} 0 (nothing in common) to 1 (same words)
+ * @description Dice coefficient over the stemmed words: twice the shared
+ *   words divided by the total words of both titles.
+ */
+export const titleSimilarity = (a, b) => {
+    const wordsA = tokenize(a);
+    const wordsB = tokenize(b);
+    if (wordsA.length === 0 || wordsB.length === 0) {
+        return 0;
+    }
+
+    const setB = new Set(wordsB);
+    const shared = wordsA.filter(word => setB.has(word)).length;
+    return (2 * shared) / (wordsA.length + wordsB.length);
+};
+
+/**
+ * Finds the tickets most like a title
+ * @param {string} title - Title being typed
+ * @param {Array<object>} tickets - Candidates, each with at least id and title
+ * @param {object} options - Optional limits
+ * @param {number} options.minScore - Lowest score to keep (default MIN_SIMILARITY)
+ * @param {number} options.limit - Most tickets to return (default MAX_SUGGESTIONS)
+ * @returns {Array<object>} [{ ticket, score }], best match first; equal scores
+ *   are ordered by ticket ID so the list never reshuffles between renders
+ */
+export const findSimilarTickets = (title, tickets, options = {}) => {
+    const { minScore = MIN_SIMILARITY, limit = MAX_SUGGESTIONS } = options;
+    if (tokenize(title).length === 0) {
+        return [];
+    }
+
+    return tickets
+        .map(ticket => ({ ticket, score: titleSimilarity(title, ticket.title) }))
+        .filter(match => match.score >= minScore)
+        .sort((a, b) => b.score - a.score || a.ticket.id.localeCompare(b.ticket.id))
+        .slice(0, limit);
+};
@@ -0,0 +1,113 @@
+// SLA HELPERS - Due-date and breach calculations (pure, no Firebase access)
+
+import { formatDuration } from './format';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Show the "due soon" warning once less than this much time is left
+export const SLA_WARNING_MS = 2 * HOUR_MS;
+
+/**
+ * Fallback SLA targets per priority, used when no policy is stored in Firestore
+ * @description Hours until first response and until resolution
+ */
+export const DEFAULT_SLA_POLICIES = {
+    urgent: { firstResponseHours: 1, resolutionHours: 8 },
+    high: { firstResponseHours: 4, resolutionHours: 24 },
+    medium: { firstResponseHours: 8, resolutionHours: 72 },
+    low: { firstResponseHours: 24, resolutionHours: 168 }
+};
+
+/**
+ * Converts a Firestore Timestamp, Date or millisecond number to milliseconds
+ * @param {object|number|null} value - Value to convert
+ * @returns {number|null} Milliseconds since epoch, or null if missing
+ */
+export const toMillis = (value) => {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (typeof value.toMillis === 'function') {
+        return value.toMillis();
+    }
+    if (typeof value.getTime === 'function') {
+        return value.getTime();
+    }
+    return null;
+};
+
+/**
+ * Calculates SLA due dates for a new ticket
+ * @param {number} createdAtMs - Creation time in milliseconds
+ * @param {object} policy - Policy with firstResponseHours and resolutionHours
+ * @returns {object} firstResponseDueAt and resolutionDueAt in milliseconds
+ */
+export const getDueDates = (createdAtMs, policy) => ({
+    firstResponseDueAt: createdAtMs + policy.firstResponseHours * HOUR_MS,
+    resolutionDueAt: createdAtMs + policy.resolutionHours * HOUR_MS
+});
+
+/**
+ * Pushes SLA due dates back by the time a ticket spent waiting on the client
+ * @param {object} ticket - Ticket with slaPausedAt, slaPausedMs and due dates
+ * @param {number} nowMs - Time the clock resumes, in milliseconds
+ * @returns {object} Shifted firstResponseDueAt/resolutionDueAt (ms) and the new slaPausedMs total
+ */
+export const resumeDueDates = (ticket, nowMs) => {
+    const pausedAt = toMillis(ticket.slaPausedAt);
+    const pausedFor = pausedAt === null ? 0 : Math.max(0, nowMs - pausedAt);
+    const firstResponseDueAt = toMillis(ticket.firstResponseDueAt);
+    const resolutionDueAt = toMillis(ticket.resolutionDueAt);
+
+    return {
+        firstResponseDueAt: firstResponseDueAt === null ? null : firstResponseDueAt + pausedFor,
+        resolutionDueAt: resolutionDueAt === null ? null : resolutionDueAt + pausedFor,
+        slaPausedMs: (ticket.slaPausedMs || 0) + pausedFor
+    };
+};
+
+/**
+ * Works out where a ticket stands against its SLA
+ * @param {object} ticket - Ticket object from Firestore
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {object|null} { state, label } where state is 'ok', 'warning', 'breached',
+ *   'paused' or 'met'; null for tickets created before SLAs existed
+ */
+export const getSlaStatus = (ticket, nowMs = Date.now()) => {
+    const resolutionDueAt = toMillis(ticket.resolutionDueAt);
+    if (resolutionDueAt === null) {
+        return null;
+    }
+
+    // Finished tickets are judged on when they were resolved
+    if (['resolved', 'closed'].includes(ticket.status)) {
+        const resolvedAt = toMillis(ticket.resolvedAt);
+        if (resolvedAt !== null && resolvedAt > resolutionDueAt) {
+            return { state: 'breached', label: 'Resolved late' };
+        }
+        return { state: 'met', label: 'SLA met' };
+    }
+
+    // While paused the clock is frozen at the moment it stopped
+    const pausedAt = toMillis(ticket.slaPausedAt);
+    const effectiveNow = pausedAt === null ? nowMs : pausedAt;
+
+    const awaitingResponse = !ticket.firstRespondedAt;
+    const dueAt = awaitingResponse ? toMillis(ticket.firstResponseDueAt) : resolutionDueAt;
+    const kind = awaitingResponse ? 'Response' : 'Resolution';
+    const remaining = dueAt - effectiveNow;
+
+    if (remaining < 0) {
+        return { state: 'breached', label: `${kind} breached` };
+    }
+    if (pausedAt !== null) {
+        return { state: 'paused', label: 'Waiting on client' };
+    }
+    if (remaining <= SLA_WARNING_MS) {
+        return { state: 'warning', label: `${kind} due in ${formatDuration(remaining)}` };
+    }
+    return { state: 'ok', label: `${kind} due in ${formatDuration(remaining)}` };
+};